@@ -0,0 +1,150 @@
+// address-proof.js
+// Proof that a caller controls a Taproot address: a BIP322 "simple" signature
+// over a short-lived message Harvy issues for that address
+
+import crypto from 'crypto';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { getNetworkConfig } from './network-config.js';
+
+bitcoin.initEccLib(ecc);
+
+// How long a signed message keeps unlocking an address's records
+export const ADDRESS_PROOF_TTL_SECONDS = 60 * 60;
+// Tolerated clock skew for messages issued "in the future"
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const MESSAGE_PATTERN = /^Harvy tax records access for (\S+) issued (\S+)$/;
+
+function proofError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_ADDRESS_PROOF';
+  return err;
+}
+
+function taggedHash(tag, data) {
+  const tagHash = crypto.createHash('sha256').update(tag).digest();
+  return crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, data])).digest();
+}
+
+// BIP322 witnesses are serialized as a consensus-encoded witness stack
+function decodeWitness(bytes) {
+  let offset = 0;
+  const readVarInt = () => {
+    const first = bytes[offset];
+    const size = first < 0xfd ? 1 : first === 0xfd ? 3 : first === 0xfe ? 5 : 9;
+    if (offset + size > bytes.length) {
+      throw proofError('Invalid address proof: malformed signature');
+    }
+    const value = size === 1 ? first : Number(bytes.readUIntLE(offset + 1, Math.min(size - 1, 6)));
+    offset += size;
+    return value;
+  };
+  const stack = [];
+  for (let count = readVarInt(); count > 0; count--) {
+    const length = readVarInt();
+    if (offset + length > bytes.length) {
+      throw proofError('Invalid address proof: malformed signature');
+    }
+    stack.push(bytes.subarray(offset, offset + length));
+    offset += length;
+  }
+  if (offset !== bytes.length) {
+    throw proofError('Invalid address proof: malformed signature');
+  }
+  return stack;
+}
+
+/**
+ * Verify a BIP322 "simple" signature by a Taproot (key path) address.
+ * @param {string} address - P2TR address
+ * @param {string} message - Signed message
+ * @param {string} signature - Base64 witness, as returned by wallets' signMessage
+ * @param {object} [network] - bitcoinjs network params
+ * @returns {boolean}
+ */
+export function verifyBip322Signature(address, message, signature, network = getNetworkConfig().params) {
+  const outputScript = bitcoin.address.toOutputScript(address, network);
+  if (outputScript.length !== 34 || outputScript[0] !== bitcoin.opcodes.OP_1 || outputScript[1] !== 0x20) {
+    throw proofError('Invalid address proof: only Taproot addresses are supported');
+  }
+
+  const witness = decodeWitness(Buffer.from(signature, 'base64'));
+  const [schnorrSig] = witness;
+  if (witness.length !== 1 || (schnorrSig.length !== 64 && schnorrSig.length !== 65)) {
+    return false;
+  }
+  const hashType = schnorrSig.length === 65 ? schnorrSig[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+  if (schnorrSig.length === 65 && hashType === bitcoin.Transaction.SIGHASH_DEFAULT) {
+    return false;
+  }
+
+  const toSpend = new bitcoin.Transaction();
+  toSpend.version = 0;
+  toSpend.addInput(
+    Buffer.alloc(32),
+    0xffffffff,
+    0,
+    bitcoin.script.compile([bitcoin.opcodes.OP_0, taggedHash('BIP0322-signed-message', Buffer.from(message, 'utf8'))])
+  );
+  toSpend.addOutput(outputScript, 0n);
+
+  const toSign = new bitcoin.Transaction();
+  toSign.version = 0;
+  toSign.addInput(toSpend.getHash(), 0, 0);
+  toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0n);
+
+  const sighash = toSign.hashForWitnessV1(0, [outputScript], [0n], hashType);
+  return ecc.verifySchnorr(sighash, outputScript.subarray(2), schnorrSig.subarray(0, 64));
+}
+
+/**
+ * The message a seller signs to unlock their address's tax records.
+ * @param {string} address - Taproot address
+ * @param {Date} [now]
+ * @returns {object} - { message, expiresAt }
+ */
+export function createAddressProofMessage(address, now = new Date()) {
+  return {
+    message: `Harvy tax records access for ${address} issued ${now.toISOString()}`,
+    expiresAt: new Date(now.getTime() + ADDRESS_PROOF_TTL_SECONDS * 1000).toISOString(),
+  };
+}
+
+/**
+ * SECURITY: Check that `signature` signs an unexpired Harvy message for
+ * `address` with that address's key.
+ * @param {object} proof
+ * @param {string} proof.address - Address whose records are requested
+ * @param {string} proof.message - Message from createAddressProofMessage
+ * @param {string} proof.signature - Base64 BIP322 signature
+ * @param {object} [options]
+ * @param {object} [options.network] - bitcoinjs network params
+ * @param {Date} [options.now] - Clock override for tests
+ * @throws {Error} with code INVALID_ADDRESS_PROOF
+ */
+export function verifyAddressProof({ address, message, signature }, { network, now = new Date() } = {}) {
+  if (!message || !signature) {
+    throw proofError('Sign the Harvy message with your wallet to view this address\'s tax records');
+  }
+  const match = MESSAGE_PATTERN.exec(message);
+  if (!match || match[1] !== address) {
+    throw proofError('Invalid address proof: message is not for this address');
+  }
+  const issuedAt = Date.parse(match[2]);
+  if (!Number.isFinite(issuedAt) || issuedAt > now.getTime() + CLOCK_SKEW_MS) {
+    throw proofError('Invalid address proof: bad issue time');
+  }
+  if (now.getTime() - issuedAt > ADDRESS_PROOF_TTL_SECONDS * 1000) {
+    throw proofError('Address proof expired: sign a new message');
+  }
+  let valid;
+  try {
+    valid = verifyBip322Signature(address, message, signature, network);
+  } catch (e) {
+    throw e.code ? e : proofError(`Invalid address proof: ${e.message}`);
+  }
+  if (!valid) {
+    throw proofError('Invalid address proof: signature does not match the address');
+  }
+}
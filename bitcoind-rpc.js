@@ -0,0 +1,44 @@
+// bitcoind-rpc.js
+// Minimal bitcoind JSON-RPC client (BITCOIND_RPC_URL, BITCOIND_RPC_USER, BITCOIND_RPC_PASSWORD)
+
+/**
+ * Call a bitcoind RPC method.
+ * @param {string} method - RPC method name
+ * @param {Array} [params] - Positional parameters
+ * @returns {Promise<any>} - RPC result
+ * @throws {Error} with `.code` set to the RPC error code when bitcoind returns an error
+ */
+export async function bitcoindRpc(method, params = []) {
+  const rpcUrl = process.env.BITCOIND_RPC_URL;
+  if (!rpcUrl) {
+    throw new Error('BITCOIND_RPC_URL not configured');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.BITCOIND_RPC_USER) {
+    const credentials = `${process.env.BITCOIND_RPC_USER}:${process.env.BITCOIND_RPC_PASSWORD || ''}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ jsonrpc: '1.0', id: 'harvy', method, params }),
+  });
+
+  // bitcoind answers RPC errors with HTTP 404/500 and a JSON body
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {}
+
+  if (body?.error) {
+    const err = new Error(`bitcoind RPC error: ${body.error.message || JSON.stringify(body.error)}`);
+    err.code = body.error.code;
+    throw err;
+  }
+  if (!response.ok || !body) {
+    throw new Error(`bitcoind RPC error: ${response.status} ${response.statusText}`);
+  }
+  return body.result;
+}
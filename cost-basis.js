@@ -0,0 +1,333 @@
+// cost-basis.js
+// Cost basis discovery: what the seller paid for an inscription, read from its purchase or mint transactions
+
+import { inscriptionProviders } from './inscription-providers.js';
+import { fetchTransaction } from './fee-bump.js';
+
+// Activity kinds that record a marketplace sale, with its price
+const SALE_KINDS = new Set(['buying_broadcasted', 'sale', 'list_sale']);
+
+// How many transfers into the address are examined before giving up
+const MAX_TRANSFERS = 5;
+
+// OP_FALSE OP_IF "ord": the start of an inscription envelope in a tapscript
+const ENVELOPE_MARKER = '0063036f7264';
+
+function sumValues(entries) {
+  return entries.reduce((sum, entry) => sum + entry.value, 0);
+}
+
+function blockDate(tx) {
+  return tx.status?.block_time ? new Date(tx.status.block_time * 1000).toISOString() : null;
+}
+
+/**
+ * Work out what the buyer paid in a purchase transaction (Esplora JSON with
+ * prevouts). The input carrying the inscription is found by first-in,
+ * first-out sat order from the output that now holds it; every other input
+ * not from the previous owner funded the purchase. What the buyer paid is
+ * those inputs minus the outputs returned to the buyer's addresses (padding
+ * and change), which covers the price, marketplace fee and miner fee.
+ *
+ * @param {object} tx - Esplora transaction
+ * @param {object} options
+ * @param {number} options.inscriptionVout - Output the inscription moved to
+ * @param {string} options.buyerAddress - Address receiving the inscription
+ * @param {string} [options.previousOwner] - Address the inscription came from, when known
+ * @returns {object|null} - { paidSats, minerFeeSats, postageSats, inscriptionInput, buyerInputCount } or null if the buyer paid nothing (a transfer)
+ */
+export function derivePurchaseCost(tx, { inscriptionVout, buyerAddress, previousOwner = null }) {
+  const inscriptionOutput = tx.vout[inscriptionVout];
+  if (!inscriptionOutput) {
+    throw new Error(`Transaction ${tx.txid} has no output ${inscriptionVout}`);
+  }
+
+  const offset = sumValues(tx.vout.slice(0, inscriptionVout));
+  let start = 0;
+  let inscriptionInput = -1;
+  tx.vin.forEach((input, index) => {
+    const value = input.prevout?.value ?? 0;
+    if (inscriptionInput === -1 && offset >= start && offset < start + value) {
+      inscriptionInput = index;
+    }
+    start += value;
+  });
+  if (inscriptionInput === -1) {
+    throw new Error(`Could not locate the inscription input of ${tx.txid}`);
+  }
+
+  const sellerAddresses = new Set([tx.vin[inscriptionInput].prevout?.scriptpubkey_address, previousOwner].filter(Boolean));
+  if (sellerAddresses.has(buyerAddress)) {
+    // Moved between outputs of the same address
+    return null;
+  }
+  const buyerInputs = tx.vin
+    .filter((input, index) => index !== inscriptionInput && !sellerAddresses.has(input.prevout?.scriptpubkey_address))
+    .map(input => input.prevout);
+  if (buyerInputs.length === 0) {
+    return null;
+  }
+
+  const buyerAddresses = new Set([buyerAddress, ...buyerInputs.map(prevout => prevout.scriptpubkey_address)]);
+  const returned = tx.vout.filter((output, index) => index !== inscriptionVout && buyerAddresses.has(output.scriptpubkey_address));
+  const paidSats = sumValues(buyerInputs) - sumValues(returned);
+  if (paidSats <= (tx.fee || 0)) {
+    // Only the miner fee left the buyer's wallet: nobody was paid for it
+    return null;
+  }
+
+  return {
+    paidSats,
+    minerFeeSats: tx.fee ?? null,
+    postageSats: inscriptionOutput.value,
+    inscriptionInput,
+    buyerInputCount: buyerInputs.length,
+  };
+}
+
+// Envelopes in a reveal transaction's tapscripts (the script is the witness
+// item before the control block)
+function countEnvelopes(tx) {
+  let count = 0;
+  for (const input of tx.vin) {
+    const witness = input.witness || [];
+    const tapscript = witness.length >= 2 ? witness[witness.length - 2] : '';
+    count += tapscript.split(ENVELOPE_MARKER).length - 1;
+  }
+  return count;
+}
+
+/**
+ * Work out what minting an inscription cost: the commit and reveal miner
+ * fees, the postage its output carries, and anything paid to addresses
+ * other than the minter's in either transaction (a launchpad's mint price
+ * or service fee). Fees and launchpad payments of a batch reveal are split
+ * evenly across its inscriptions.
+ *
+ * @param {object} reveal - Esplora reveal transaction (the inscription id's txid)
+ * @param {object} commit - Esplora transaction whose output the reveal spends
+ * @param {object} [options]
+ * @param {number} [options.inscriptionIndex] - The `i<n>` suffix of the inscription id
+ * @returns {object} - { sats, recipient, inscriptionCount, breakdown: { commitFeeSats, revealFeeSats, postageSats, launchpadFeeSats } }
+ */
+export function deriveMintCost(reveal, commit, { inscriptionIndex = 0 } = {}) {
+  const inscriptionCount = Math.max(1, countEnvelopes(reveal));
+  // Batches put each inscription in its own output; otherwise they share output 0
+  const separateOutputs = inscriptionCount > 1 && reveal.vout.length >= inscriptionCount;
+  const inscriptionOutput = reveal.vout[separateOutputs ? inscriptionIndex : 0];
+  if (!inscriptionOutput) {
+    throw new Error(`Reveal ${reveal.txid} has no output for inscription ${inscriptionIndex}`);
+  }
+
+  const revealOutputs = separateOutputs ? reveal.vout.slice(0, inscriptionCount) : [inscriptionOutput];
+  const minterAddresses = new Set([
+    ...commit.vin.map(input => input.prevout?.scriptpubkey_address),
+    ...revealOutputs.map(output => output.scriptpubkey_address),
+  ].filter(Boolean));
+  const spentCommitOutputs = new Set(reveal.vin.filter(input => input.txid === commit.txid).map(input => input.vout));
+  const launchpadOutputs = [
+    ...commit.vout.filter((output, vout) => !spentCommitOutputs.has(vout) && !minterAddresses.has(output.scriptpubkey_address)),
+    ...reveal.vout.filter(output => !revealOutputs.includes(output) && !minterAddresses.has(output.scriptpubkey_address)),
+  ];
+
+  const share = (sats) => Math.round(sats / inscriptionCount);
+  const breakdown = {
+    commitFeeSats: share(commit.fee || 0),
+    revealFeeSats: share(reveal.fee || 0),
+    postageSats: separateOutputs ? inscriptionOutput.value : share(inscriptionOutput.value),
+    launchpadFeeSats: share(sumValues(launchpadOutputs)),
+  };
+  return {
+    sats: breakdown.commitFeeSats + breakdown.revealFeeSats + breakdown.postageSats + breakdown.launchpadFeeSats,
+    recipient: inscriptionOutput.scriptpubkey_address || null,
+    inscriptionCount,
+    breakdown,
+  };
+}
+
+/**
+ * Create a cost basis discovery service.
+ *
+ * @param {object} [options]
+ * @param {object} [options.providers] - Inscription provider chain
+ * @param {Function} [options.fetchTx] - txid → Esplora transaction
+ * @returns {object} - { discoverCostBasis(inscriptionId, { address }) }
+ */
+export function createCostBasisDiscovery({
+  providers = inscriptionProviders,
+  fetchTx = fetchTransaction,
+} = {}) {
+  function marketplaceBasis(sale, address) {
+    return {
+      sats: sale.priceSats,
+      date: sale.createdAt,
+      txid: sale.txId,
+      breakdown: { priceSats: sale.priceSats },
+      confidence: 'low',
+      source: 'marketplace_activity',
+      reason: `Marketplace sale price to ${address}; the purchase transaction could not be read`,
+    };
+  }
+
+  async function fromMint(inscriptionId, { address }) {
+    const [revealTxid, index] = inscriptionId.split('i');
+    const reveal = await fetchTx(revealTxid);
+    // The commit output is spent by the input carrying the envelope
+    const envelopeInput = reveal.vin.find(input => (input.witness || []).some(item => item.includes(ENVELOPE_MARKER))) || reveal.vin[0];
+    const commit = await fetchTx(envelopeInput.txid);
+    const cost = deriveMintCost(reveal, commit, { inscriptionIndex: parseInt(index, 10) || 0 });
+    if (cost.recipient !== address) {
+      return null;
+    }
+    return {
+      sats: cost.sats,
+      date: blockDate(reveal),
+      txid: reveal.txid,
+      breakdown: { commitTxid: commit.txid, ...cost.breakdown },
+      confidence: 'high',
+      source: 'mint',
+      reason: cost.inscriptionCount > 1
+        ? `Inscribed to this address; commit and reveal costs split across ${cost.inscriptionCount} inscriptions`
+        : 'Inscribed to this address; commit and reveal fees plus postage',
+    };
+  }
+
+  async function fromTransfer(transfer, { address, location }) {
+    const tx = await fetchTx(transfer.txid);
+    const inscriptionVout = location?.txid === tx.txid
+      ? location.vout
+      : tx.vout.findIndex(output => output.scriptpubkey_address === address);
+    if (inscriptionVout < 0) {
+      throw new Error(`Transaction ${tx.txid} pays nothing to ${address}`);
+    }
+    const cost = derivePurchaseCost(tx, { inscriptionVout, buyerAddress: address, previousOwner: transfer.oldOwner });
+    if (!cost) {
+      return null;
+    }
+
+    const sale = transfer.sale;
+    const priceSats = sale?.priceSats ?? null;
+    // The marketplace record corroborates the chain when it is for this
+    // transaction and its price fits inside what the buyer paid
+    const corroborated = priceSats !== null && priceSats <= cost.paidSats - (cost.minerFeeSats || 0);
+    return {
+      sats: cost.paidSats,
+      date: blockDate(tx) || sale?.createdAt || null,
+      txid: tx.txid,
+      breakdown: {
+        priceSats,
+        marketplaceFeeSats: corroborated ? cost.paidSats - cost.minerFeeSats - priceSats : null,
+        minerFeeSats: cost.minerFeeSats,
+        postageSats: cost.postageSats,
+      },
+      confidence: corroborated ? 'high' : 'medium',
+      source: 'onchain_purchase',
+      reason: corroborated
+        ? 'Purchase transaction matches the marketplace sale record'
+        : 'Derived from the purchase transaction without a matching marketplace sale record',
+    };
+  }
+
+  return {
+    /**
+     * Find what `address` (the inscription's owner by default) paid for an
+     * inscription. Transfers into the address are examined newest first;
+     * transfers where nobody was paid (self-transfers, gifts) are skipped.
+     * Without a purchase, an inscription the address minted is valued at
+     * its commit/reveal cost.
+     *
+     * @param {string} inscriptionId
+     * @param {object} [options]
+     * @param {string} [options.address] - The seller's address
+     * @returns {Promise<object>} - { inscriptionId, address, basis: { sats, btc, date, txid, breakdown } | null, confidence: 'high'|'medium'|'low'|'none', source, reason }
+     */
+    async discoverCostBasis(inscriptionId, { address } = {}) {
+      const [inscription, location, activities] = await Promise.all([
+        address ? null : providers.getInscription(inscriptionId),
+        providers.getLocation(inscriptionId).catch(() => null),
+        providers.getActivity(inscriptionId).catch(e => {
+          console.warn(`Activity lookup failed for ${inscriptionId}: ${e.message}`);
+          return null;
+        }),
+      ]);
+      const owner = address || inscription?.owner;
+      const result = { inscriptionId, address: owner || null, basis: null, confidence: 'none', source: null, reason: null };
+      if (!owner) {
+        return { ...result, reason: 'Inscription owner unknown' };
+      }
+
+      // Transfers into the owner, newest first, each with the marketplace
+      // sale recorded for the same transaction (if any)
+      const sorted = [...(activities || [])]
+        .filter(a => a.txId)
+        .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+      const transfers = [];
+      for (const activity of sorted) {
+        if (activity.newOwner !== owner || transfers.some(t => t.txid === activity.txId)) {
+          continue;
+        }
+        const sale = sorted.find(a => a.txId === activity.txId && SALE_KINDS.has(a.kind) && a.priceSats);
+        transfers.push({ txid: activity.txId, oldOwner: activity.oldOwner, createdAt: activity.createdAt, sale });
+      }
+      // The transaction that created the current location moved the
+      // inscription to its owner, even when no indexer reported it
+      if (location && !transfers.some(t => t.txid === location.txid)) {
+        transfers.unshift({ txid: location.txid, oldOwner: null, createdAt: null, sale: null });
+      }
+
+      const withBasis = ({ confidence, source, reason, ...basis }) => (
+        { ...result, basis: { ...basis, btc: basis.sats / 100000000 }, confidence, source, reason }
+      );
+      const genesisTxid = inscriptionId.split('i')[0];
+      let reachedMint = false;
+      for (const transfer of transfers.slice(0, MAX_TRANSFERS)) {
+        if (transfer.txid === genesisTxid) {
+          reachedMint = true;
+          break;
+        }
+        let found;
+        try {
+          found = await fromTransfer(transfer, { address: owner, location });
+        } catch (e) {
+          console.warn(`Cost basis lookup for ${inscriptionId} in ${transfer.txid} failed: ${e.message}`);
+          if (transfer.sale) {
+            found = marketplaceBasis(transfer.sale, owner);
+          }
+        }
+        if (found) {
+          return withBasis(found);
+        }
+      }
+
+      // No purchase: the owner may have inscribed it (then perhaps moved it
+      // between their own outputs)
+      try {
+        const minted = await fromMint(inscriptionId, { address: owner });
+        if (minted) {
+          return withBasis(minted);
+        }
+      } catch (e) {
+        console.warn(`Mint cost lookup for ${inscriptionId} failed: ${e.message}`);
+        if (reachedMint) {
+          return { ...result, source: 'mint', reason: 'Inscribed to this address, but the commit and reveal transactions could not be read' };
+        }
+      }
+
+      return {
+        ...result,
+        reason: transfers.length > 0
+          ? 'No paid transfer into this address was found'
+          : 'No transfer history for this inscription',
+      };
+    },
+  };
+}
+
+const sharedDiscovery = createCostBasisDiscovery();
+
+/**
+ * discoverCostBasis() on the shared provider chain and mempool API.
+ */
+export function discoverCostBasis(inscriptionId, options) {
+  return sharedDiscovery.discoverCostBasis(inscriptionId, options);
+}
@@ -0,0 +1,46 @@
+// currencies.js
+// Reporting currencies for tax figures: the supported set, REPORTING_CURRENCY and display formatting
+
+// Lowercase codes, as CoinGecko's vs_currencies and the btc_daily_prices table use them
+export const REPORTING_CURRENCIES = {
+  usd: { symbol: '$', name: 'US Dollar' },
+  eur: { symbol: '€', name: 'Euro' },
+  gbp: { symbol: '£', name: 'British Pound' },
+  cad: { symbol: 'CA$', name: 'Canadian Dollar' },
+  aud: { symbol: 'A$', name: 'Australian Dollar' },
+};
+
+/**
+ * Normalize a currency code.
+ * @param {string} value - e.g. 'EUR', 'eur'
+ * @returns {string|null} - Lowercase code, or null if it is not a reporting currency
+ */
+export function parseCurrency(value) {
+  const code = String(value ?? '').trim().toLowerCase();
+  return Object.hasOwn(REPORTING_CURRENCIES, code) ? code : null;
+}
+
+/**
+ * Resolve REPORTING_CURRENCY (default usd), the currency tax figures are
+ * reported in when a request does not choose one.
+ * @returns {string} - One of the REPORTING_CURRENCIES keys
+ * @throws {Error} for unsupported currencies
+ */
+export function getReportingCurrency(env = process.env) {
+  const raw = env.REPORTING_CURRENCY || 'usd';
+  const currency = parseCurrency(raw);
+  if (!currency) {
+    throw new Error(`Unknown REPORTING_CURRENCY: ${raw} (expected ${Object.keys(REPORTING_CURRENCIES).join(', ')})`);
+  }
+  return currency;
+}
+
+/**
+ * Format an amount for logs and receipt lines, e.g. "€12.34".
+ * @param {number} amount
+ * @param {string} currency - Reporting currency code
+ * @returns {string}
+ */
+export function formatFiat(amount, currency) {
+  return `${REPORTING_CURRENCIES[currency]?.symbol ?? `${currency.toUpperCase()} `}${amount.toFixed(2)}`;
+}
@@ -0,0 +1,434 @@
+// fee-bump.js
+// RBF and CPFP fee bumping for stuck Harvy sale transactions
+
+import * as bitcoin from 'bitcoinjs-lib';
+import {
+  broadcastRawTransaction,
+  getNetwork,
+  loadHarvyKeyPair,
+  RBF_SEQUENCE,
+} from './psbt-utils.js';
+import { estimateFeeRate, resolveFeeTarget } from './fee-estimator.js';
+import { detectScriptType, estimateVsize } from './tx-size.js';
+import { getMempoolApiUrl } from './network-config.js';
+
+const MIN_OUTPUT_VALUE = 546;
+// BIP125 rule 4: a replacement must add at least this much fee per vbyte it relays
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+
+function parsePositiveIntEnv(name, fallback) {
+  const raw = parseInt(process.env[name] || String(fallback), 10);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    throw new Error(`Invalid ${name} configuration`);
+  }
+  return raw;
+}
+
+/**
+ * Fetch a transaction (with prevouts, fee and weight) from the mempool API.
+ * @param {string} txid
+ * @returns {Promise<object>} - Esplora transaction JSON
+ */
+export async function fetchTransaction(txid) {
+  const mempoolAPI = getMempoolApiUrl();
+  const response = await fetch(`${mempoolAPI}/tx/${txid}`);
+  if (!response.ok) {
+    throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+async function fetchOutspend(txid, vout) {
+  const mempoolAPI = getMempoolApiUrl();
+  const response = await fetch(`${mempoolAPI}/tx/${txid}/outspend/${vout}`);
+  if (!response.ok) {
+    throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+async function isOutputSpent(txid, vout) {
+  return !!(await fetchOutspend(txid, vout)).spent;
+}
+
+/**
+ * Unconfirmed transactions descending from a transaction: Harvy's CPFP
+ * child (auto or admin), or the seller spending their payment early. A
+ * BIP125 replacement evicts them all, so rule 3 requires it to pay their
+ * fees on top of the original's.
+ * @param {object} tx - Esplora transaction JSON
+ * @returns {Promise<Array>} - [{ txid, fee }]
+ */
+async function findUnconfirmedDescendants(tx) {
+  const descendants = [];
+  const seen = new Set([tx.txid]);
+  const queue = [tx];
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    for (let vout = 0; vout < parent.vout.length; vout++) {
+      const outspend = await fetchOutspend(parent.txid, vout);
+      if (!outspend.spent || outspend.status?.confirmed || seen.has(outspend.txid)) {
+        continue;
+      }
+      seen.add(outspend.txid);
+      const child = await fetchTransaction(outspend.txid);
+      descendants.push({ txid: outspend.txid, fee: child.fee });
+      queue.push({ ...child, txid: outspend.txid });
+    }
+  }
+  return descendants;
+}
+
+function harvyTaproot(network) {
+  const harvyKeyPair = loadHarvyKeyPair();
+  const internalPubkey = harvyKeyPair.publicKey.subarray(1, 33);
+  return {
+    internalPubkey,
+    signer: harvyKeyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', internalPubkey)),
+    output: bitcoin.payments.p2tr({ internalPubkey, network }).output,
+  };
+}
+
+function assertBumpable(trade) {
+  if (!trade?.txid) {
+    throw new Error('Trade has not been broadcast');
+  }
+  if (trade.confirmationStatus === 'confirmed') {
+    throw new Error('Trade transaction is already confirmed');
+  }
+  if (trade.harvyChangeVout === null || trade.harvyChangeVout === undefined) {
+    throw new Error('Trade has no Harvy change output to fund a fee bump');
+  }
+}
+
+/**
+ * Size a CPFP child so parent + child together pay the target fee rate.
+ * @param {object} params
+ * @param {number} params.parentVsize
+ * @param {number} params.parentFee - sats
+ * @param {number} params.changeValue - Value of the Harvy output being spent
+ * @param {number} params.childVsize
+ * @param {number} params.targetFeeRate - sat/vB for the package
+ * @returns {object} - { childFee, outputValue, packageFeeRate }
+ */
+export function planCpfp({ parentVsize, parentFee, changeValue, childVsize, targetFeeRate }) {
+  const packageFee = Math.ceil(targetFeeRate * (parentVsize + childVsize));
+  // The child must still relay on its own
+  const childFee = Math.max(packageFee - parentFee, Math.ceil(childVsize * INCREMENTAL_RELAY_FEE_RATE));
+  const outputValue = changeValue - childFee;
+  if (outputValue < MIN_OUTPUT_VALUE) {
+    throw new Error(`Harvy change output (${changeValue} sats) cannot fund a ${childFee} sat CPFP fee`);
+  }
+  return {
+    childFee,
+    outputValue,
+    packageFeeRate: (parentFee + childFee) / (parentVsize + childVsize),
+  };
+}
+
+/**
+ * Build and sign a CPFP child spending the trade's Harvy change output back
+ * to Harvy, paying enough fee to lift the package to feeRate.
+ * @param {object} params
+ * @param {object} params.trade - Broadcast trade
+ * @param {number} params.feeRate - Target package fee rate (sat/vB)
+ * @returns {Promise<object>} - { txHex, txid, childFee, childVsize, parentFee, parentVsize, packageFeeRate }
+ */
+export async function createCpfpTransaction({ trade, feeRate }) {
+  assertBumpable(trade);
+  const network = getNetwork();
+  const harvyAddress = process.env.HARVY_WALLET_ADDRESS;
+
+  const parent = await fetchTransaction(trade.txid);
+  if (parent.status?.confirmed) {
+    throw new Error('Trade transaction is already confirmed');
+  }
+
+  const change = parent.vout[trade.harvyChangeVout];
+  if (!change || change.scriptpubkey_address !== harvyAddress) {
+    throw new Error(`Output ${trade.harvyChangeVout} of ${trade.txid} is not Harvy's change`);
+  }
+  if (await isOutputSpent(trade.txid, trade.harvyChangeVout)) {
+    throw new Error('Harvy change output is already spent (a CPFP child may already exist)');
+  }
+
+  const parentVsize = Math.ceil(parent.weight / 4);
+  const parentFee = parent.fee;
+  if (parentFee / parentVsize >= feeRate) {
+    throw new Error(`Transaction already pays ${(parentFee / parentVsize).toFixed(1)} sat/vB (target ${feeRate})`);
+  }
+
+  const childVsize = estimateVsize({ inputs: ['p2tr'], outputs: ['p2tr'] });
+  const plan = planCpfp({
+    parentVsize,
+    parentFee,
+    changeValue: change.value,
+    childVsize,
+    targetFeeRate: feeRate,
+  });
+
+  const harvy = harvyTaproot(network);
+  const psbt = new bitcoin.Psbt({ network });
+  psbt.addInput({
+    hash: trade.txid,
+    index: trade.harvyChangeVout,
+    sequence: RBF_SEQUENCE,
+    witnessUtxo: {
+      script: harvy.output,
+      value: BigInt(change.value),
+    },
+    tapInternalKey: harvy.internalPubkey,
+  });
+  psbt.addOutput({
+    address: harvyAddress,
+    value: BigInt(plan.outputValue),
+  });
+  psbt.signInput(0, harvy.signer);
+  psbt.finalizeAllInputs();
+
+  const tx = psbt.extractTransaction();
+  return {
+    txHex: tx.toHex(),
+    txid: tx.getId(),
+    childFee: plan.childFee,
+    childVsize,
+    parentFee,
+    parentVsize,
+    packageFeeRate: plan.packageFeeRate,
+  };
+}
+
+/**
+ * CPFP-bump a trade and record the bump (and its outcome) against it.
+ * @param {object} store - Trade store
+ * @param {object} trade - Broadcast trade
+ * @param {object} params
+ * @param {number} params.feeRate - Target package fee rate (sat/vB)
+ * @returns {Promise<object>} - Stored fee bump
+ */
+export async function bumpTradeWithCpfp(store, trade, { feeRate }) {
+  const child = await createCpfpTransaction({ trade, feeRate });
+  const bump = store.createFeeBump({
+    tradeId: trade.id,
+    method: 'cpfp',
+    originalTxid: trade.txid,
+    bumpTxid: child.txid,
+    feeSats: child.childFee,
+    feeRate,
+    packageFeeRate: child.packageFeeRate,
+  });
+
+  try {
+    await broadcastRawTransaction(child.txHex, child.txid);
+  } catch (e) {
+    store.updateFeeBump(bump.id, { status: 'failed', error: e.message });
+    throw e;
+  }
+
+  store.recordEvent('fee_bump_broadcast', {
+    tradeId: trade.id,
+    txid: trade.txid,
+    method: 'cpfp',
+    bumpTxid: child.txid,
+    feeSats: child.childFee,
+    packageFeeRate: child.packageFeeRate,
+  });
+  return store.updateFeeBump(bump.id, { status: 'broadcast' });
+}
+
+/**
+ * Build a BIP125 replacement of a trade's transaction: same inputs and
+ * outputs, with Harvy's change reduced to pay the higher fee. Harvy's inputs
+ * are signed; the seller must re-sign their inputs before finalize-psbt.
+ * When a CPFP child (or any other unconfirmed descendant) exists, the new
+ * fee also covers the descendants' fees, since the replacement evicts them.
+ *
+ * @param {object} params
+ * @param {object} params.trade - Broadcast trade
+ * @param {string} [params.sellerPublicKey] - Seller's internal public key (hex)
+ * @param {number} params.feeRate - Target fee rate (sat/vB)
+ * @returns {Promise<object>} - { psbtBase64, psbtHex, details } (details.signInputs maps seller addresses to input indices)
+ */
+export async function createRbfReplacementPSBT({ trade, sellerPublicKey, feeRate }) {
+  assertBumpable(trade);
+  const network = getNetwork();
+  const harvyAddress = process.env.HARVY_WALLET_ADDRESS;
+
+  const original = await fetchTransaction(trade.txid);
+  if (original.status?.confirmed) {
+    throw new Error('Trade transaction is already confirmed');
+  }
+
+  const harvy = harvyTaproot(network);
+  let sellerInternalPubkey;
+  if (sellerPublicKey) {
+    const pubkeyBuf = Buffer.from(sellerPublicKey, 'hex');
+    sellerInternalPubkey = pubkeyBuf.length === 33 ? pubkeyBuf.subarray(1, 33) : pubkeyBuf;
+  } else {
+    sellerInternalPubkey = bitcoin.address.fromBech32(trade.sellerAddress).data;
+  }
+
+  const vsize = estimateVsize({
+    inputs: original.vin.map(vin => detectScriptType(vin.prevout.scriptpubkey)),
+    outputs: original.vout.map(vout => detectScriptType(vout.scriptpubkey)),
+  });
+  const originalFee = original.fee;
+  // BIP125 rules 3 and 4: pay for everything evicted, plus relay of the replacement
+  const descendants = await findUnconfirmedDescendants({ ...original, txid: trade.txid });
+  const descendantFee = descendants.reduce((total, descendant) => total + descendant.fee, 0);
+  const newFee = Math.max(
+    Math.ceil(feeRate * vsize),
+    originalFee + descendantFee + Math.ceil(INCREMENTAL_RELAY_FEE_RATE * vsize)
+  );
+  const extraFee = newFee - originalFee;
+
+  const change = original.vout[trade.harvyChangeVout];
+  if (!change || change.scriptpubkey_address !== harvyAddress) {
+    throw new Error(`Output ${trade.harvyChangeVout} of ${trade.txid} is not Harvy's change`);
+  }
+  const newChangeValue = change.value - extraFee;
+  if (newChangeValue < MIN_OUTPUT_VALUE) {
+    throw new Error(`Harvy change output (${change.value} sats) cannot fund a ${extraFee} sat RBF increase`);
+  }
+
+  // Same inputs, same order, same sequence numbers (inscription inputs stay first)
+  const psbt = new bitcoin.Psbt({ network });
+  const sellerInputIndices = [];
+  const harvyInputIndices = [];
+  const signInputs = {};
+  for (const vin of original.vin) {
+    const address = vin.prevout.scriptpubkey_address;
+    const isHarvy = address === harvyAddress;
+    if (isHarvy) {
+      harvyInputIndices.push(psbt.inputCount);
+    } else {
+      sellerInputIndices.push(psbt.inputCount);
+      signInputs[address] = [...(signInputs[address] || []), psbt.inputCount];
+    }
+
+    const type = detectScriptType(vin.prevout.scriptpubkey);
+    let inputFields = {};
+    if (isHarvy) {
+      inputFields = { tapInternalKey: harvy.internalPubkey };
+    } else if (type === 'p2tr') {
+      inputFields = { tapInternalKey: sellerInternalPubkey };
+    } else if (type === 'p2sh') {
+      // P2SH-P2WPKH payment inputs: the scriptSig is a single push of the redeem script
+      inputFields = { redeemScript: Buffer.from(vin.scriptsig, 'hex').subarray(1) };
+    }
+
+    psbt.addInput({
+      hash: vin.txid,
+      index: vin.vout,
+      sequence: vin.sequence,
+      witnessUtxo: {
+        script: Buffer.from(vin.prevout.scriptpubkey, 'hex'),
+        value: BigInt(vin.prevout.value),
+      },
+      ...inputFields,
+    });
+  }
+
+  original.vout.forEach((vout, i) => {
+    psbt.addOutput({
+      script: Buffer.from(vout.scriptpubkey, 'hex'),
+      value: BigInt(i === trade.harvyChangeVout ? newChangeValue : vout.value),
+    });
+  });
+
+  for (const i of harvyInputIndices) {
+    psbt.signInput(i, harvy.signer);
+  }
+
+  return {
+    psbtBase64: psbt.toBase64(),
+    psbtHex: psbt.toHex(),
+    details: {
+      sellerInputIndices,
+      signInputs,
+      originalTxid: trade.txid,
+      originalFee,
+      replacedDescendants: descendants,
+      newFee,
+      estimatedVsize: vsize,
+      feeRate: newFee / vsize,
+      harvyChangeVout: trade.harvyChangeVout,
+      unsignedTxid: bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId(),
+    },
+  };
+}
+
+/**
+ * Record a broadcast RBF replacement against its trade. Called from
+ * finalize-psbt once the seller-signed replacement is on the network, so
+ * only bumps that were actually broadcast are stored. CPFP children of the
+ * replaced transaction were evicted with it and are marked 'replaced'.
+ * @param {object} store - Trade store
+ * @param {object} params
+ * @param {object} params.trade - Trade, still carrying the replaced txid
+ * @param {string} params.quoteId - Quote the replacement was finalized with
+ * @param {string} params.txid - Replacement txid
+ * @param {number} params.feeSats - Replacement fee
+ * @param {number} params.vsize - Replacement virtual size
+ * @returns {object} - Stored fee bump
+ */
+export function recordRbfReplacement(store, { trade, quoteId, txid, feeSats, vsize }) {
+  for (const child of store.listFeeBumps({ tradeId: trade.id, method: 'cpfp', status: 'broadcast' })) {
+    store.updateFeeBump(child.id, { status: 'replaced' });
+  }
+  const feeRate = feeSats / vsize;
+  store.recordEvent('fee_bump_broadcast', {
+    tradeId: trade.id,
+    txid: trade.txid,
+    method: 'rbf',
+    bumpTxid: txid,
+    feeSats,
+    feeRate,
+  });
+  return store.createFeeBump({
+    tradeId: trade.id,
+    method: 'rbf',
+    status: 'broadcast',
+    originalTxid: trade.txid,
+    bumpTxid: txid,
+    quoteId,
+    feeSats,
+    feeRate,
+  });
+}
+
+/**
+ * Tracker hook that CPFP-bumps trades stuck in the mempool longer than
+ * FEE_BUMP_AFTER_MINUTES when they pay less than the FEE_BUMP_TARGET rate.
+ * @param {object} store - Trade store
+ * @returns {Function} - async (trade) => void
+ * @throws {Error} for an invalid FEE_BUMP_AFTER_MINUTES or FEE_BUMP_TARGET
+ */
+export function createAutoCpfp(store) {
+  const afterMs = parsePositiveIntEnv('FEE_BUMP_AFTER_MINUTES', 60) * 60 * 1000;
+  const target = resolveFeeTarget(process.env.FEE_BUMP_TARGET || 'fast');
+
+  return async function autoCpfp(trade) {
+    if (trade.confirmationStatus !== 'unconfirmed' || trade.harvyChangeVout === null) {
+      return;
+    }
+    const broadcastAt = Date.parse(trade.broadcastResult?.broadcastAt || trade.updatedAt);
+    if (Date.now() - broadcastAt < afterMs) {
+      return;
+    }
+    if (store.listFeeBumps({ tradeId: trade.id, method: 'cpfp', status: 'broadcast' }).length > 0) {
+      return;
+    }
+
+    try {
+      const { satPerVb } = await estimateFeeRate({ target });
+      if (trade.feeRate && trade.feeRate >= satPerVb) {
+        return;
+      }
+      const bump = await bumpTradeWithCpfp(store, trade, { feeRate: satPerVb });
+      console.log(`⛽ Auto CPFP for trade ${trade.id}: child ${bump.bumpTxid} @ ${satPerVb} sat/vB`);
+    } catch (e) {
+      console.warn(`Auto CPFP skipped for trade ${trade.id}: ${e.message}`);
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// fee-estimator.js
+// Live miner fee-rate estimation (mempool recommended fees, bitcoind estimatesmartfee)
+
+import NodeCache from 'node-cache';
+import { bitcoindRpc } from './bitcoind-rpc.js';
+import { getMempoolApiUrl } from './network-config.js';
+
+export const FEE_TARGETS = ['fast', 'normal', 'economy'];
+
+// Field of mempool's /v1/fees/recommended used for each target
+const MEMPOOL_FEE_FIELDS = {
+  fast: 'fastestFee',
+  normal: 'halfHourFee',
+  economy: 'economyFee',
+};
+
+// estimatesmartfee confirmation targets (blocks) for each target
+const BITCOIND_CONF_TARGETS = {
+  fast: 2,
+  normal: 6,
+  economy: 144,
+};
+
+const DEFAULT_SOURCES = ['mempool'];
+
+// Upstream fee estimates move slowly; cache briefly to avoid hammering them
+const cache = new NodeCache({ stdTTL: 30 });
+
+function parseRateEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`Invalid ${name} configuration`);
+  }
+  return value;
+}
+
+/**
+ * Resolve the fee target from an explicit value or FEE_TARGET (default normal).
+ * @param {string} [target]
+ * @returns {string} - 'fast' | 'normal' | 'economy'
+ */
+export function resolveFeeTarget(target) {
+  const resolved = (target || process.env.FEE_TARGET || 'normal').trim().toLowerCase();
+  if (!FEE_TARGETS.includes(resolved)) {
+    throw new Error(`Invalid fee target: ${resolved} (expected ${FEE_TARGETS.join(', ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * Floor and ceiling applied to every estimate, in sat/vB.
+ * @returns {{ floor: number, ceiling: number }}
+ */
+export function getFeeRateLimits() {
+  const floor = parseRateEnv('FEE_RATE_FLOOR_SAT_VB', 1);
+  const ceiling = parseRateEnv('FEE_RATE_CEILING_SAT_VB', 200);
+  if (floor > ceiling) {
+    throw new Error('FEE_RATE_FLOOR_SAT_VB must not exceed FEE_RATE_CEILING_SAT_VB');
+  }
+  return { floor, ceiling };
+}
+
+/**
+ * Fetch a fee rate from mempool's recommended-fees endpoint.
+ * @param {string} target - Fee target
+ * @returns {Promise<number>} - sat/vB
+ */
+export async function fetchMempoolFeeRate(target) {
+  const mempoolAPI = getMempoolApiUrl();
+  const response = await fetch(`${mempoolAPI}/v1/fees/recommended`);
+  if (!response.ok) {
+    throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+  }
+
+  const fees = await response.json();
+  const rate = Number(fees[MEMPOOL_FEE_FIELDS[target]]);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Mempool API returned no ${MEMPOOL_FEE_FIELDS[target]}`);
+  }
+  return rate;
+}
+
+/**
+ * Fetch a fee rate from bitcoind's estimatesmartfee over JSON-RPC
+ * (BITCOIND_RPC_URL, BITCOIND_RPC_USER, BITCOIND_RPC_PASSWORD).
+ * @param {string} target - Fee target
+ * @returns {Promise<number>} - sat/vB
+ */
+export async function fetchBitcoindFeeRate(target) {
+  const result = await bitcoindRpc('estimatesmartfee', [
+    BITCOIND_CONF_TARGETS[target],
+    target === 'fast' ? 'CONSERVATIVE' : 'ECONOMICAL',
+  ]);
+  if (!result || typeof result.feerate !== 'number') {
+    throw new Error(`bitcoind has no fee estimate: ${(result?.errors || []).join('; ') || 'unknown reason'}`);
+  }
+
+  // feerate is BTC/kvB; 1 BTC/kvB = 100,000 sat/vB
+  return result.feerate * 100000;
+}
+
+const FEE_SOURCES = {
+  mempool: fetchMempoolFeeRate,
+  bitcoind: fetchBitcoindFeeRate,
+};
+
+/**
+ * Resolve the fee source order from FEE_RATE_SOURCES (default mempool).
+ * @returns {string[]}
+ */
+export function resolveFeeSources(env = process.env) {
+  const raw = env.FEE_RATE_SOURCES;
+  if (!raw || !raw.trim()) {
+    return [...DEFAULT_SOURCES];
+  }
+  return raw.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Estimate the miner fee rate for a target. Sources are tried in order; if
+ * all fail, FEE_RATE_FALLBACK_SAT_VB is used when configured. The result is
+ * clamped to the configured floor and ceiling.
+ *
+ * @param {object} [options]
+ * @param {string} [options.target] - 'fast' | 'normal' | 'economy'
+ * @returns {Promise<object>} - { satPerVb, target, source, rawSatPerVb, floor, ceiling, clamped }
+ */
+export async function estimateFeeRate({ target } = {}) {
+  const resolvedTarget = resolveFeeTarget(target);
+  const { floor, ceiling } = getFeeRateLimits();
+  const sources = resolveFeeSources();
+
+  const cacheKey = `${resolvedTarget}:${sources.join(',')}`;
+  let estimate = cache.get(cacheKey);
+
+  if (!estimate) {
+    const errors = [];
+    for (const name of sources) {
+      const fetchRate = FEE_SOURCES[name];
+      if (!fetchRate) {
+        throw new Error(`Unknown fee rate source: ${name}`);
+      }
+      try {
+        estimate = { rawSatPerVb: await fetchRate(resolvedTarget), source: name };
+        cache.set(cacheKey, estimate);
+        break;
+      } catch (e) {
+        console.warn(`Fee rate source ${name} failed: ${e.message}`);
+        errors.push(e);
+      }
+    }
+
+    if (!estimate) {
+      const fallback = parseRateEnv('FEE_RATE_FALLBACK_SAT_VB', null);
+      if (fallback === null) {
+        const err = new Error(`Fee estimation unavailable: ${errors.map(e => e.message).join('; ')}`);
+        err.errors = errors;
+        throw err;
+      }
+      console.warn(`Using fallback FEE_RATE_FALLBACK_SAT_VB (${fallback} sat/vB)`);
+      estimate = { rawSatPerVb: fallback, source: 'fallback' };
+    }
+  }
+
+  const satPerVb = Math.min(Math.max(estimate.rawSatPerVb, floor), ceiling);
+  return {
+    satPerVb,
+    target: resolvedTarget,
+    source: estimate.source,
+    rawSatPerVb: estimate.rawSatPerVb,
+    floor,
+    ceiling,
+    clamped: satPerVb !== estimate.rawSatPerVb,
+  };
+}
+
+/**
+ * Drop cached estimates (used by tests and after configuration changes).
+ */
+export function clearFeeRateCache() {
+  cache.flushAll();
+}
@@ -0,0 +1,106 @@
+// form8949.js
+// Form 8949 boxes and holding periods: the one implementation of box choice,
+// holding period and IRS date formatting, used by the server's realized sales
+// and PDF and by the frontend reports (frontend/craco.config.js lets the build
+// import it). No imports, so Node and the frontend build load it as is.
+// All dates are UTC days: a sale's date is the UTC day its transaction confirmed.
+
+/**
+ * Form 8949 checkboxes. A-F cover 1099-B reporting; from tax year 2025
+ * digital assets use G-L, keyed to Form 1099-DA. Each box's totals go on
+ * the Schedule D line shown.
+ */
+export const FORM_8949_BOXES = {
+  A: { part: 'I', reporting: 'basis_reported', digitalAsset: false, scheduleDLine: '1b' },
+  B: { part: 'I', reporting: 'basis_not_reported', digitalAsset: false, scheduleDLine: '2' },
+  C: { part: 'I', reporting: 'none', digitalAsset: false, scheduleDLine: '3' },
+  D: { part: 'II', reporting: 'basis_reported', digitalAsset: false, scheduleDLine: '8b' },
+  E: { part: 'II', reporting: 'basis_not_reported', digitalAsset: false, scheduleDLine: '9' },
+  F: { part: 'II', reporting: 'none', digitalAsset: false, scheduleDLine: '10' },
+  G: { part: 'I', reporting: 'basis_reported', digitalAsset: true, scheduleDLine: '1b' },
+  H: { part: 'I', reporting: 'basis_not_reported', digitalAsset: true, scheduleDLine: '2' },
+  I: { part: 'I', reporting: 'none', digitalAsset: true, scheduleDLine: '3' },
+  J: { part: 'II', reporting: 'basis_reported', digitalAsset: true, scheduleDLine: '8b' },
+  K: { part: 'II', reporting: 'basis_not_reported', digitalAsset: true, scheduleDLine: '9' },
+  L: { part: 'II', reporting: 'none', digitalAsset: true, scheduleDLine: '10' },
+};
+
+// Broker reporting options: whether a 1099-DA (or 1099-B) covered the sale
+export const BROKER_REPORTING = {
+  none: 'No 1099-DA received',
+  basis_reported: '1099-DA with basis reported to the IRS',
+  basis_not_reported: '1099-DA without basis reported',
+};
+
+// First tax year whose Form 8949 has the digital-asset boxes G-L
+export const DIGITAL_ASSET_BOXES_FROM = 2025;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The UTC day of a date ('YYYY-MM-DD', an ISO timestamp or milliseconds)
+ * as 'YYYY-MM-DD', or null when missing or invalid
+ */
+export function toUTCDay(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a date as MM/DD/YYYY (UTC day) for IRS forms, or 'Unknown'
+ */
+export function formatIRSDate(value) {
+  const day = toUTCDay(value);
+  if (!day) return 'Unknown';
+  const [year, month, date] = day.split('-');
+  return `${month}/${date}/${year}`;
+}
+
+/**
+ * Days from acquisition to sale, by UTC day, or null without both dates
+ */
+export function holdingPeriodDays(dateAcquired, dateSold) {
+  const acquired = toUTCDay(dateAcquired);
+  const sold = toUTCDay(dateSold);
+  if (!acquired || !sold) return null;
+  return Math.round((Date.parse(`${sold}T00:00:00Z`) - Date.parse(`${acquired}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Whether a sale is long-term: held more than one year, i.e. sold after
+ * the first anniversary of the acquisition (365 or 366 days, depending on
+ * leap years). Sales without an acquisition date are short-term until the
+ * user supplies one.
+ *
+ * @param {object} sale - { dateAcquired, dateSold }
+ * @returns {boolean}
+ */
+export function isLongTerm({ dateAcquired, dateSold }) {
+  const acquired = toUTCDay(dateAcquired);
+  const sold = toUTCDay(dateSold);
+  if (!acquired || !sold) return false;
+  const anniversary = `${Number(acquired.slice(0, 4)) + 1}${acquired.slice(4)}`;
+  return sold > anniversary;
+}
+
+/**
+ * Pick the Form 8949 box for a sale: Part II if long-term, otherwise
+ * Part I. Ordinals are digital assets, so sales from 2025 on use G-L.
+ *
+ * @param {object} sale - { dateAcquired, dateSold }
+ * @param {string} [reporting] - One of the BROKER_REPORTING keys
+ * @returns {string} - Box letter
+ */
+export function classifyForm8949Box(sale, reporting = 'none') {
+  if (!Object.keys(BROKER_REPORTING).includes(reporting)) {
+    throw new Error(`Unknown broker reporting: ${reporting}`);
+  }
+  const part = isLongTerm(sale) ? 'II' : 'I';
+  const digitalAsset = Number(toUTCDay(sale.dateSold).slice(0, 4)) >= DIGITAL_ASSET_BOXES_FROM;
+  return Object.keys(FORM_8949_BOXES).find((box) => {
+    const spec = FORM_8949_BOXES[box];
+    return spec.part === part && spec.reporting === reporting && spec.digitalAsset === digitalAsset;
+  });
+}
@@ -1,4 +1,9 @@
+const path = require('path');
 const webpack = require('webpack');
+const ModuleScopePlugin = require('react-dev-utils/ModuleScopePlugin');
+
+// Modules the backend owns and shares with the frontend (outside src/)
+const SHARED_BACKEND_MODULES = [path.resolve(__dirname, '../form8949.js')];
 
 module.exports = {
   devServer: {
@@ -15,6 +20,13 @@ module.exports = {
         "url": require.resolve("url/"),
       };
 
+      // Let src/ import the shared backend modules
+      for (const plugin of webpackConfig.resolve.plugins || []) {
+        if (plugin instanceof ModuleScopePlugin) {
+          SHARED_BACKEND_MODULES.forEach(file => plugin.allowedFiles.add(file));
+        }
+      }
+
       // Add plugins
       webpackConfig.plugins = [
         ...(webpackConfig.plugins || []),
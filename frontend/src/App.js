@@ -13,13 +13,15 @@ export default function App() {
   const [btcAddress, setBtcAddress] = useState('');
   const [connectedWalletType, setConnectedWalletType] = useState(''); // 'xverse' | 'unisat' | 'leather'
   const [btcPublicKey, setBtcPublicKey] = useState('');
+  const [paymentAccount, setPaymentAccount] = useState(null); // { address, publicKey, addressType } (Xverse)
 
   // Simple handler - just update React state
   // No localStorage persistence for security (wallet handles persistence)
-  const handleBitcoinConnect = (address, walletType, publicKey) => {
+  const handleBitcoinConnect = (address, walletType, publicKey, payment) => {
     setBtcAddress(address || '');
     setConnectedWalletType(walletType || '');
     setBtcPublicKey(publicKey || '');
+    setPaymentAccount(payment || null);
   };
 
   // Handle navigation
@@ -190,7 +192,12 @@ export default function App() {
         {activeTab === 'ordinals' && (
           <section>
             <h2 className="section-title">Bitcoin Ordinals</h2>
-            <OrdinalList btcAddress={btcAddress} walletType={connectedWalletType} btcPublicKey={btcPublicKey} />
+            <OrdinalList
+              btcAddress={btcAddress}
+              walletType={connectedWalletType}
+              btcPublicKey={btcPublicKey}
+              paymentAccount={paymentAccount}
+            />
           </section>
         )}
 
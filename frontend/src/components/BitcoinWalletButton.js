@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { request } from 'sats-connect';
+import { explorerAddressUrl } from '../utils/network';
 
 // Wallet config - logos and fallback colors
 const WALLET_CONFIG = {
@@ -72,7 +73,7 @@ function BitcoinWalletButton({ onAddressChange = () => {} }) {
       setIsConnecting(true);
       const response = await Promise.race([
         request('wallet_connect', {
-          addresses: ['ordinals'],
+          addresses: ['ordinals', 'payment'],
           message: 'Connect your wallet to view your Ordinals',
         }),
         new Promise((_, reject) =>
@@ -89,6 +90,17 @@ function BitcoinWalletButton({ onAddressChange = () => {} }) {
         const ordinalsAddressItem = response.result.addresses.find(
           (address) => address.purpose === 'ordinals'
         );
+        // Xverse keeps spendable BTC in a separate (P2WPKH / P2SH-P2WPKH) payment address
+        const paymentAddressItem = response.result.addresses.find(
+          (address) => address.purpose === 'payment'
+        );
+        const paymentAccount = paymentAddressItem
+          ? {
+            address: paymentAddressItem.address,
+            publicKey: paymentAddressItem.publicKey || '',
+            addressType: paymentAddressItem.addressType || '',
+          }
+          : null;
 
         if (ordinalsAddressItem) {
           const addr = ordinalsAddressItem.address;
@@ -96,11 +108,12 @@ function BitcoinWalletButton({ onAddressChange = () => {} }) {
           if (process.env.NODE_ENV === 'development') {
             console.log('Xverse ordinals address item:', JSON.stringify(ordinalsAddressItem));
             console.log('Xverse ordinals publicKey:', pubKey);
+            console.log('Xverse payment address item:', JSON.stringify(paymentAddressItem));
           }
           setBtcAddress(addr);
           setConnectedWallet('xverse');
           if (typeof onAddressChange === 'function') {
-            onAddressChange(addr, 'xverse', pubKey);
+            onAddressChange(addr, 'xverse', pubKey, paymentAccount);
           }
         }
       } else if (process.env.NODE_ENV === 'development') {
@@ -208,7 +221,7 @@ function BitcoinWalletButton({ onAddressChange = () => {} }) {
     setBtcAddress('');
     setConnectedWallet('');
     if (typeof onAddressChange === 'function') {
-      onAddressChange('', '', '');
+      onAddressChange('', '', '', null);
     }
     setIsDropdownVisible(false);
   };
@@ -373,30 +386,32 @@ function BitcoinWalletButton({ onAddressChange = () => {} }) {
                   Copy Address
                 </button>
 
-                <button
-                  onClick={() => {
-                    window.open(`https://mempool.space/address/${btcAddress}`, '_blank');
-                    setIsDropdownVisible(false);
-                  }}
-                  style={{
-                    background: '#1a1f2e',
-                    display: 'flex',
-                    justifyContent: 'center',
-                    alignItems: 'center',
-                    border: 'none',
-                    outline: 'none',
-                    cursor: 'pointer',
-                    padding: '0 20px',
-                    borderRadius: '6px',
-                    height: '37px',
-                    color: 'white',
-                    fontSize: '14px',
-                    fontWeight: '600',
-                    width: '100%',
-                  }}
-                >
-                  View on Explorer
-                </button>
+                {explorerAddressUrl(btcAddress) && (
+                  <button
+                    onClick={() => {
+                      window.open(explorerAddressUrl(btcAddress), '_blank');
+                      setIsDropdownVisible(false);
+                    }}
+                    style={{
+                      background: '#1a1f2e',
+                      display: 'flex',
+                      justifyContent: 'center',
+                      alignItems: 'center',
+                      border: 'none',
+                      outline: 'none',
+                      cursor: 'pointer',
+                      padding: '0 20px',
+                      borderRadius: '6px',
+                      height: '37px',
+                      color: 'white',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      width: '100%',
+                    }}
+                  >
+                    View on Explorer
+                  </button>
+                )}
 
                 <button
                   onClick={disconnect}
@@ -1,17 +1,12 @@
 import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import OrdinalPriceCard from './OrdinalPriceCard';
 import SellModal from './SellModal';
+import { isTaproot, TAPROOT_PREFIX } from '../utils/network';
+import { IMPORT_FORMATS, diffImportedBasis, matchPurchases, readPurchases, saveImportedBasis } from '../utils/costBasisImport';
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
-// Taproot addresses start with bc1p and are typically 62 chars but can vary
-const isTaproot = (s) => {
-  const trimmed = (s || '').trim();
-  const prefix = (process.env.REACT_APP_BITCOIN_NETWORK || 'mainnet') === 'mainnet' ? 'bc1p' : 'tb1p';
-  return new RegExp(`^${prefix}[0-9a-z]{58,86}$`, 'i').test(trimmed);
-};
-
-export default function OrdinalList({ btcAddress: connectedAddress, walletType, btcPublicKey }) {
+export default function OrdinalList({ btcAddress: connectedAddress, walletType, btcPublicKey, paymentAccount }) {
   const [address, setAddress] = useState(connectedAddress || '');
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -32,6 +27,11 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
   const [selectedCollection, setSelectedCollection] = useState('all');
   const [filterText, setFilterText] = useState('');
 
+  // Purchases read from an imported tax software CSV: { fileName, format, purchases, skippedCount }
+  const [basisImport, setBasisImport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [replaceIds, setReplaceIds] = useState(() => new Set());
+
   // Handle ordinal selection toggle
   const handleSelectOrdinal = (inscriptionId) => {
     setSelectedIds(prev => {
@@ -77,6 +77,25 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
     setFilterText('');
   }, [address, excludeBrc20]);
 
+  const handleImportBasis = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // allow re-importing the same file
+    if (!file) return;
+    setImportError(null);
+    try {
+      const { format, purchases, skippedCount } = readPurchases(await file.text());
+      if (purchases.length === 0) {
+        throw new Error('No BTC purchases of ordinals found in this file.');
+      }
+      setBasisImport({ fileName: file.name, format, purchases, skippedCount, applied: null });
+      setReplaceIds(new Set());
+    } catch (error) {
+      console.error('Cost basis import failed:', error);
+      setBasisImport(null);
+      setImportError(error.message);
+    }
+  };
+
   // Get selected ordinal items
   const getSelectedOrdinals = () => {
     return items
@@ -98,11 +117,11 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
   const load = useCallback(async (offset = 0, append = false) => {
     const a = (address || '').trim();
     if (!a) {
-      setErr('Please enter a Taproot owner address (starts with bc1p...)');
+      setErr(`Please enter a Taproot owner address (starts with ${TAPROOT_PREFIX}...)`);
       return;
     }
     if (!isTaproot(a)) {
-      setErr('Invalid address format. Taproot addresses must start with bc1p... and contain only valid characters.');
+      setErr(`Invalid address format. Taproot addresses must start with ${TAPROOT_PREFIX}... and contain only valid characters.`);
       return;
     }
 
@@ -272,6 +291,30 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
     return filteredItems.slice(0, displayCount);
   }, [filteredItems, displayCount]);
 
+  // Until the import is applied, match it against every loaded ordinal,
+  // including pages loaded later; nothing is saved before the user confirms
+  const importMatch = useMemo(
+    () => (basisImport && !basisImport.applied ? matchPurchases(basisImport.purchases, items) : null),
+    [basisImport, items]
+  );
+  const importDiff = useMemo(() => (importMatch ? diffImportedBasis(importMatch.matched) : null), [importMatch]);
+
+  const toggleReplace = (inscriptionId) => {
+    setReplaceIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(inscriptionId)) next.delete(inscriptionId);
+      else next.add(inscriptionId);
+      return next;
+    });
+  };
+
+  const handleApplyImport = () => {
+    const result = saveImportedBasis(importMatch.matched, { replace: [...replaceIds] });
+    setBasisImport({ ...basisImport, applied: { ...result, unmatched: importMatch.unmatched } });
+  };
+
+  const unmatchedPurchases = basisImport?.applied ? basisImport.applied.unmatched : importMatch?.unmatched || [];
+
   const selectedCountInView = selectedIds.size;
   const selectedCollectionInfo = collections.find((collection) => collection.name === selectedCollection) || null;
 
@@ -367,6 +410,11 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
             />
             <span>Hide BRC-20</span>
           </label>
+
+          <label className="ordinals-toolbar-toggle" title="Koinly, CoinTracker or a CSV with inscription IDs and BTC prices">
+            <input type="file" accept=".csv,text/csv" onChange={handleImportBasis} hidden />
+            <span>Import cost basis (CSV)</span>
+          </label>
         </div>
 
         <div className="ordinals-toolbar-summary">
@@ -380,6 +428,116 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
             </span>
           )}
         </div>
+
+        {importError && (
+          <div className="ordinals-import-panel error">
+            <div className="ordinals-import-summary">
+              <span>Could not import cost basis: {importError}</span>
+              <button onClick={() => setImportError(null)} className="ordinals-clear-button">Dismiss</button>
+            </div>
+          </div>
+        )}
+
+        {basisImport && (importMatch || basisImport.applied) && (
+          <div className="ordinals-import-panel">
+            <div className="ordinals-import-summary">
+              {basisImport.applied ? (
+                <span>
+                  {IMPORT_FORMATS[basisImport.format].label} import ({basisImport.fileName}) applied: purchase price and
+                  date saved for {basisImport.applied.savedCount} ordinal{basisImport.applied.savedCount !== 1 ? 's' : ''}
+                  {basisImport.applied.replacedCount > 0 && `, ${basisImport.applied.replacedCount} replaced`}.
+                </span>
+              ) : (
+                <span>
+                  {IMPORT_FORMATS[basisImport.format].label} import ({basisImport.fileName}):{' '}
+                  {importDiff.additions.length} ordinal{importDiff.additions.length !== 1 ? 's' : ''} will get a purchase price and date.
+                  {importDiff.unchanged.length > 0 && ` ${importDiff.unchanged.length} already match.`}
+                  {basisImport.skippedCount > 0 && ` ${basisImport.skippedCount} row${basisImport.skippedCount !== 1 ? 's' : ''} skipped (not BTC purchases of ordinals).`}
+                </span>
+              )}
+              <div className="ordinals-import-actions">
+                {!basisImport.applied && (
+                  <button
+                    onClick={handleApplyImport}
+                    className="ordinals-clear-button"
+                    disabled={importDiff.additions.length === 0 && replaceIds.size === 0}
+                  >
+                    Apply import
+                  </button>
+                )}
+                <button onClick={() => setBasisImport(null)} className="ordinals-clear-button">
+                  {basisImport.applied ? 'Done' : 'Cancel'}
+                </button>
+              </div>
+            </div>
+            {!basisImport.applied && importDiff.conflicts.length > 0 && (
+              <>
+                <div className="ordinals-import-note">
+                  {importDiff.conflicts.length} ordinal{importDiff.conflicts.length !== 1 ? 's already have' : ' already has'} a
+                  saved price or date that differs from this file. Saved values are kept unless you tick Replace.
+                </div>
+                <table className="ordinals-import-table">
+                  <thead>
+                    <tr>
+                      <th>Ordinal</th>
+                      <th>Saved</th>
+                      <th>In file</th>
+                      <th>Replace</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importDiff.conflicts.map(({ inscriptionId, saved, imported }) => (
+                      <tr key={inscriptionId}>
+                        <td className="ordinals-import-ref">{inscriptionId}</td>
+                        <td>{saved.priceBTC !== null ? `${saved.priceBTC.toFixed(8)} BTC` : 'No price'}, {saved.date || 'no date'}</td>
+                        <td>{imported.priceBTC.toFixed(8)} BTC, {imported.date || 'no date'}</td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={replaceIds.has(inscriptionId)}
+                            onChange={() => toggleReplace(inscriptionId)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+            {unmatchedPurchases.length > 0 && (
+              <>
+                <div className="ordinals-import-note">
+                  {unmatchedPurchases.length} purchase{unmatchedPurchases.length !== 1 ? 's' : ''} did not match a loaded ordinal.
+                  {hasMore && !basisImport.applied
+                    ? ' More may match as the rest of your wallet loads.'
+                    : ' Enter these prices by hand if the ordinal is still yours.'}
+                </div>
+                <table className="ordinals-import-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Date</th>
+                      <th>Asset or transaction</th>
+                      <th>Price (BTC)</th>
+                      <th>Why</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {unmatchedPurchases.map(purchase => (
+                      <tr key={purchase.line}>
+                        <td>{purchase.line}</td>
+                        <td>{purchase.date || 'Unknown'}</td>
+                        <td className="ordinals-import-ref">{purchase.inscriptionId || purchase.asset || purchase.txid}</td>
+                        <td>{purchase.priceBTC.toFixed(8)}</td>
+                        <td>{purchase.reason === 'ambiguous' ? 'Several of your ordinals share this transaction' : 'Not in this wallet'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Selection info bar */}
@@ -410,7 +568,7 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
               <div className="step-number">2</div>
               <div className="step-content">
                 <strong>Enter purchase prices</strong>
-                <span>Enter your own cost basis for each ordinal</span>
+                <span>Enter your own cost basis for each ordinal, or import it from Koinly or CoinTracker</span>
               </div>
             </div>
             <div className="onboarding-step">
@@ -572,6 +730,7 @@ export default function OrdinalList({ btcAddress: connectedAddress, walletType,
           btcAddress={address}
           walletType={walletType}
           btcPublicKey={btcPublicKey}
+          paymentAccount={paymentAccount}
           onClose={handleCloseModal}
           onSaleComplete={handleSaleComplete}
         />
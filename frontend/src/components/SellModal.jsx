@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import { request } from 'sats-connect';
+import { REPORTING_CURRENCIES, formatFiat, getReportingCurrency, setReportingCurrency } from '../utils/currency';
+import { describeRepurchaseRule, getJurisdiction } from '../utils/jurisdiction';
 import '../styles/SellModal.css';
 
+// How each discovered basis was found (see cost-basis.js)
+const BASIS_SOURCE_LABELS = {
+  onchain_purchase: 'From purchase tx',
+  marketplace_activity: 'From marketplace sale',
+  mint: 'Mint cost (commit + reveal)',
+};
+
 /**
  * Modal for confirming sale of multiple ordinals to Harvy
  * Shows each ordinal with editable purchase price, calculates totals
  */
-export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, btcAddress, walletType, btcPublicKey }) {
+export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, btcAddress, walletType, btcPublicKey, paymentAccount }) {
   const rawFeeSats = Number(process.env.REACT_APP_FLAT_SERVICE_FEE_SATS || 1000);
   const configuredFeeSats = Number.isFinite(rawFeeSats) ? rawFeeSats : 1000;
   const [isProcessing, setIsProcessing] = useState(false);
@@ -15,16 +24,33 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
 
   // Store purchase prices as STRINGS to preserve user input (allows "0.00" typing)
   const [purchasePrices, setPurchasePrices] = useState({});
+  // Purchase dates (YYYY-MM-DD) value each basis at that day's BTC close
+  const [purchaseDates, setPurchaseDates] = useState({});
+  // Daily closes keyed by `${currency}:${date}`
+  const [historicalPrices, setHistoricalPrices] = useState({});
+  // Where a prefilled basis came from: { confidence, source, reason, txid }
+  const [basisHints, setBasisHints] = useState({});
 
   const [userTaxRate, setUserTaxRate] = useState(30);
   const [showTaxHelp, setShowTaxHelp] = useState(false);
-  const [btcPriceUSD, setBtcPriceUSD] = useState(null);
+  // Reporting currency for every fiat figure in the modal and receipt
+  const [currency, setCurrency] = useState(getReportingCurrency);
+  const [btcPrice, setBtcPrice] = useState(null);
+  // Why there is no price (the oracle's 503 message); no figures are shown without one
+  const [priceError, setPriceError] = useState(null);
   const [loadingPrice, setLoadingPrice] = useState(true);
+  const [feeEstimate, setFeeEstimate] = useState(null);
+  const [txStatus, setTxStatus] = useState(null);
 
   // Initialize purchase prices from localStorage or prior optional activity data
   useEffect(() => {
     const initialPrices = {};
+    const initialDates = {};
     selectedOrdinals.forEach(ord => {
+      const savedDate = localStorage.getItem(`ordinal-date-${ord.inscription.id}`);
+      if (savedDate) {
+        initialDates[ord.inscription.id] = savedDate;
+      }
       const savedPrice = localStorage.getItem(`ordinal-price-${ord.inscription.id}`);
       if (savedPrice) {
         // Keep as string for display
@@ -34,30 +60,145 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
       }
     });
     setPurchasePrices(initialPrices);
+    setPurchaseDates(initialDates);
   }, [selectedOrdinals]);
 
-  // Fetch BTC price on mount
+  // Look up what the user paid on-chain for ordinals without a saved price
+  useEffect(() => {
+    let cancelled = false;
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    selectedOrdinals
+      .filter(ord => !localStorage.getItem(`ordinal-price-${ord.inscription.id}`))
+      .forEach(async (ord) => {
+        const id = ord.inscription.id;
+        try {
+          const query = btcAddress ? `?address=${encodeURIComponent(btcAddress)}` : '';
+          const response = await fetch(`${apiUrl}/api/ordinal-cost-basis/${encodeURIComponent(id)}${query}`);
+          const data = await response.json();
+          if (cancelled || !response.ok || !data.basis) return;
+          // Never overwrite what the user has typed in the meantime
+          setPurchasePrices(prev => (prev[id] ? prev : { ...prev, [id]: String(data.basis.btc) }));
+          if (data.basis.date) {
+            setPurchaseDates(prev => (prev[id] ? prev : { ...prev, [id]: data.basis.date.slice(0, 10) }));
+          }
+          setBasisHints(prev => ({
+            ...prev,
+            [id]: { confidence: data.confidence, source: data.source, reason: data.reason, txid: data.basis.txid },
+          }));
+        } catch (err) {
+          console.error(`Failed to discover cost basis for ${id}:`, err);
+        }
+      });
+    return () => { cancelled = true; };
+  }, [selectedOrdinals, btcAddress]);
+
+  // Fetch the BTC close for each purchase date not looked up yet in this currency
+  useEffect(() => {
+    const missing = [...new Set(Object.values(purchaseDates))]
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date) && !(`${currency}:${date}` in historicalPrices));
+    if (missing.length === 0) return;
+
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+    missing.forEach(async (date) => {
+      let price = null;
+      try {
+        const response = await fetch(`${apiUrl}/api/btc-price?date=${date}&currency=${currency}`);
+        const data = await response.json();
+        if (response.ok && typeof data.price === 'number') {
+          price = data.price;
+        }
+      } catch (err) {
+        console.error(`Failed to fetch BTC price for ${date}:`, err);
+      }
+      // null marks a date with no price so it is not refetched on every render
+      setHistoricalPrices(prev => ({ ...prev, [`${currency}:${date}`]: price }));
+    });
+  }, [purchaseDates, historicalPrices, currency]);
+
+  // Fetch BTC price on mount and whenever the reporting currency changes
   useEffect(() => {
     async function fetchBTCPrice() {
+      setLoadingPrice(true);
       try {
         const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-        const response = await fetch(`${apiUrl}/api/btc-price`);
+        const response = await fetch(`${apiUrl}/api/btc-price?currency=${currency}`);
         const data = await response.json();
-        if (response.ok && typeof data.priceUSD === 'number') {
-          setBtcPriceUSD(data.priceUSD);
+        if (response.ok && typeof data.price === 'number') {
+          setBtcPrice(data.price);
+          setPriceError(null);
         } else {
           throw new Error(data.error || 'Invalid BTC price response');
         }
         setLoadingPrice(false);
       } catch (err) {
         console.error('Failed to fetch BTC price:', err);
-        setBtcPriceUSD(100000);
+        setBtcPrice(null);
+        setPriceError(err.message);
         setLoadingPrice(false);
       }
     }
     fetchBTCPrice();
+  }, [currency]);
+
+  // Fetch the current miner fee rate on mount (informational; Harvy pays it)
+  useEffect(() => {
+    async function fetchFeeRate() {
+      try {
+        const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+        const response = await fetch(`${apiUrl}/api/fee-rate`);
+        const data = await response.json();
+        if (response.ok && typeof data.satPerVb === 'number') {
+          setFeeEstimate(data);
+        }
+      } catch (err) {
+        console.error('Failed to fetch fee rate:', err);
+      }
+    }
+    fetchFeeRate();
   }, []);
 
+  // Follow the broadcast transaction until it confirms
+  const broadcastTxid = txResult?.txid;
+  useEffect(() => {
+    if (!broadcastTxid) return undefined;
+    let cancelled = false;
+    let timer = null;
+
+    async function pollTxStatus() {
+      try {
+        const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+        const response = await fetch(`${apiUrl}/api/tx-status/${broadcastTxid}`);
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setTxStatus(data);
+          if (data.status === 'confirmed') return;
+        }
+      } catch (err) {
+        console.error('Failed to fetch transaction status:', err);
+      }
+      if (!cancelled) {
+        timer = setTimeout(pollTxStatus, 30000);
+      }
+    }
+    pollTxStatus();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [broadcastTxid]);
+
+  const describeTxStatus = (status) => {
+    if (!status) return 'Checking...';
+    if (status.status === 'confirmed') {
+      return `Confirmed in block ${status.blockHeight?.toLocaleString()} (${status.confirmations} confirmation${status.confirmations === 1 ? '' : 's'})`;
+    }
+    if (status.status === 'evicted') return 'Dropped from mempool';
+    if (status.status === 'not_found') return 'Not yet seen by the network';
+    return 'Pending in mempool';
+  };
+
   // Handle price change for an ordinal - keep as string to allow typing "0.001"
   const handlePriceChange = (inscriptionId, value) => {
     // Store the raw string value for display
@@ -65,6 +206,13 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
       ...prev,
       [inscriptionId]: value
     }));
+    // A typed price replaces the discovered one
+    setBasisHints(prev => {
+      if (!prev[inscriptionId]) return prev;
+      const next = { ...prev };
+      delete next[inscriptionId];
+      return next;
+    });
     // Save to localStorage if it's a valid number
     const numValue = parseFloat(value);
     if (!isNaN(numValue) && numValue > 0) {
@@ -74,6 +222,37 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
     }
   };
 
+  const handleDateChange = (inscriptionId, value) => {
+    setPurchaseDates(prev => {
+      const next = { ...prev };
+      if (value) {
+        next[inscriptionId] = value;
+      } else {
+        delete next[inscriptionId];
+      }
+      return next;
+    });
+    if (value) {
+      localStorage.setItem(`ordinal-date-${inscriptionId}`, value);
+    } else {
+      localStorage.removeItem(`ordinal-date-${inscriptionId}`);
+    }
+  };
+
+  const handleCurrencyChange = (value) => {
+    setCurrency(value);
+    setReportingCurrency(value);
+  };
+
+  const fiat = (amount) => formatFiat(amount, currency);
+
+  // BTC price a basis is valued at: the purchase-date close, else today's price
+  const getBasisPrice = (inscriptionId) => {
+    const date = purchaseDates[inscriptionId];
+    const close = date ? historicalPrices[`${currency}:${date}`] : null;
+    return close || btcPrice;
+  };
+
   // Helper to get numeric value from string price
   const getNumericPrice = (inscriptionId) => {
     const strValue = purchasePrices[inscriptionId];
@@ -85,6 +264,7 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
   // Calculate totals
   const calculateTotals = () => {
     let totalPurchase = 0;
+    let costBasis = 0;
     let validCount = 0;
 
     selectedOrdinals.forEach(ord => {
@@ -92,6 +272,7 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
 
       if (purchasePrice && purchasePrice > 0) {
         totalPurchase += purchasePrice;
+        costBasis += purchasePrice * (getBasisPrice(ord.inscription.id) || 0);
         validCount++;
       }
     });
@@ -99,10 +280,12 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
     const saleProceedsBTC = (600 * validCount) / 100000000;
     const totalLoss = totalPurchase - saleProceedsBTC;
     const taxRate = userTaxRate / 100;
-    const taxLossUSD = btcPriceUSD ? totalLoss * btcPriceUSD : 0;
-    const taxSavingsUSD = taxLossUSD * taxRate;
-    const feeUSD = btcPriceUSD ? (configuredFeeSats / 100000000) * btcPriceUSD : 0;
-    const netBenefitUSD = taxSavingsUSD - feeUSD;
+    // Basis and proceeds are converted at their own dates' prices
+    const proceeds = btcPrice ? saleProceedsBTC * btcPrice : 0;
+    const taxLoss = btcPrice ? Math.max(costBasis - proceeds, 0) : 0;
+    const taxSavings = taxLoss * taxRate;
+    const fee = btcPrice ? (configuredFeeSats / 100000000) * btcPrice : 0;
+    const netBenefit = taxSavings - fee;
     const paymentSats = 600 * validCount; // 600 sats per ordinal
     const netCashSats = paymentSats - configuredFeeSats;
 
@@ -110,18 +293,20 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
       totalPurchase,
       saleProceedsBTC,
       totalLoss,
-      taxLossUSD,
-      taxSavingsUSD,
+      costBasis,
+      proceeds,
+      taxLoss,
+      taxSavings,
       feeSats: configuredFeeSats,
-      feeUSD,
-      netBenefitUSD,
+      fee,
+      netBenefit,
       validCount,
       paymentSats,
       netCashSats,
     };
   };
 
-  const totals = btcPriceUSD ? calculateTotals() : null;
+  const totals = btcPrice ? calculateTotals() : null;
 
   // Check if all ordinals have purchase prices
   const allHavePrices = selectedOrdinals.every(ord => {
@@ -144,21 +329,35 @@ export default function SellModal({ selectedOrdinals, onClose, onSaleComplete, b
 Date: ${date}
 Time: ${time}
 Transaction ID: ${txResult.txid}
+Status: ${describeTxStatus(txStatus)}
 
 --------------------------------------------------------------------------------
                               ORDINALS SOLD
 --------------------------------------------------------------------------------
 `;
 
+    // Server-valued lots (basis at each purchase date's close) when available,
+    // in the currency the sale was quoted in
+    const taxCalculation = txResult.taxCalculation || {};
+    const lots = taxCalculation.lots || [];
+    const saleCurrency = txResult.currency;
+    const code = saleCurrency.toUpperCase();
+    const money = (amount) => formatFiat(amount, saleCurrency);
+
     selectedOrdinals.forEach((ord, index) => {
       const purchasePrice = getNumericPrice(ord.inscription.id) || 0;
       const salePrice = 600 / 100000000;
       const loss = purchasePrice - salePrice;
+      const lot = lots.find(l => l.inscriptionId === ord.inscription.id);
+      const basisPrice = lot?.btcPrice ?? getBasisPrice(ord.inscription.id) ?? 0;
+      const costBasis = lot?.costBasis ?? purchasePrice * basisPrice;
 
       receipt += `
 ${index + 1}. Inscription #${ord.inscription.number || ord.inscription.id.slice(0, 16) + '...'}
    Inscription ID: ${ord.inscription.id}
+   Purchase Date:               ${lot?.purchaseDate || purchaseDates[ord.inscription.id] || 'Not provided (valued at sale-date price)'}
    Cost Basis (Purchase Price): ${purchasePrice.toFixed(8)} BTC
+   Cost Basis (${code}):            ${money(costBasis)} (at ${money(basisPrice)}/BTC)
    Sale Price (to Harvy):       ${salePrice.toFixed(8)} BTC (600 sats)
    Capital Loss:                ${loss.toFixed(8)} BTC
 `;
@@ -171,15 +370,18 @@ ${index + 1}. Inscription #${ord.inscription.number || ord.inscription.id.slice(
 
 Total Ordinals Sold:        ${txResult.ordinalCount}
 Total Cost Basis:           ${txResult.totals.totalPurchase.toFixed(8)} BTC
-Total Sale Proceeds:        ${(600 * txResult.ordinalCount / 100000000).toFixed(8)} BTC
-Harvy Service Fee:          ${txResult.totals.feeSats.toLocaleString()} sats
+Total Sale Proceeds:        ${(txResult.saleProceedsSats / 100000000).toFixed(8)} BTC
+Harvy Service Fee:          ${txResult.totals.feeSats.toLocaleString()} sats${txResult.feeSettlement === 'net_payout' ? ' (deducted from payout)' : ''}
+Miner Fee (paid by Harvy):  ${txResult.minerFee ? `${txResult.minerFee.sats.toLocaleString()} sats @ ${txResult.minerFee.satPerVb} sat/vB` : 'N/A'}
 Total Capital Loss:         ${txResult.totals.totalLoss.toFixed(8)} BTC
 
-USD Values (at time of sale):
-  BTC Price:                $${btcPriceUSD?.toLocaleString() || 'N/A'}
-  Total Loss (USD):         $${txResult.totals.taxLossUSD.toFixed(2)}
-  Est. Tax Savings (${userTaxRate}%): $${txResult.totals.taxSavingsUSD.toFixed(2)}
-  Harvy Fee (USD):          $${txResult.totals.feeUSD.toFixed(2)}
+${code} Values (basis at purchase dates, proceeds at time of sale):
+  BTC Price at Sale:        ${money(taxCalculation.btcPrice ?? btcPrice)}
+  Total Cost Basis (${code}):   ${money(taxCalculation.totalCostBasis ?? txResult.totals.costBasis)}
+  Total Proceeds (${code}):     ${money(taxCalculation.totalProceeds ?? txResult.totals.proceeds)}
+  Total Loss (${code}):         ${money(taxCalculation.totalLoss ?? txResult.totals.taxLoss)}
+  Est. Tax Savings (${userTaxRate}%): ${money(taxCalculation.taxSavings ?? txResult.totals.taxSavings)}
+  Harvy Fee (${code}):          ${money(txResult.serviceFee ?? txResult.totals.fee)}
 
 --------------------------------------------------------------------------------
                               VERIFICATION
@@ -217,7 +419,11 @@ guidance on reporting cryptocurrency transactions.
   }
 
   const handleConfirm = async () => {
-    if (!allHavePrices || !btcPriceUSD || !totals) {
+    if (!btcPrice) {
+      alert(`BTC price unavailable: ${priceError}`);
+      return;
+    }
+    if (!allHavePrices || !totals) {
       alert('Please enter purchase prices for all ordinals.');
       return;
     }
@@ -240,6 +446,7 @@ guidance on reporting cryptocurrency transactions.
       const ordinalsData = selectedOrdinals.map(ord => ({
         inscriptionId: ord.inscription.id,
         purchasePriceSats: Math.round(getNumericPrice(ord.inscription.id) * 100000000),
+        purchaseDate: purchaseDates[ord.inscription.id] || undefined,
       }));
 
       // Debug: log the public key being sent
@@ -254,7 +461,9 @@ guidance on reporting cryptocurrency transactions.
           ordinals: ordinalsData,
           sellerAddress: btcAddress,
           sellerPublicKey: btcPublicKey,
-          btcPriceUSD,
+          sellerPaymentAddress: paymentAccount?.address || undefined,
+          sellerPaymentPublicKey: paymentAccount?.publicKey || undefined,
+          currency,
           userTaxRate: userTaxRate / 100,
         }),
       });
@@ -271,11 +480,13 @@ guidance on reporting cryptocurrency transactions.
       let signedPsbtBase64;
 
       if (walletType === 'xverse') {
-        // Xverse signPsbt uses signInputs: Record<address, inputIndexes[]>
+        // Xverse signPsbt uses signInputs: Record<address, inputIndexes[]>.
+        // Inscription inputs are signed by the ordinals address and fee inputs
+        // by the payment address, so use the per-address map from the backend.
         const signResponse = await request('signPsbt', {
           psbt: data.psbtBase64,
           broadcast: false,
-          signInputs: {
+          signInputs: data.details.signInputs || {
             [btcAddress]: data.details.sellerInputIndices,
           },
         });
@@ -313,6 +524,7 @@ guidance on reporting cryptocurrency transactions.
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           psbtBase64: signedPsbtBase64,
+          quoteId: data.quote?.id,
         }),
       });
 
@@ -331,6 +543,13 @@ guidance on reporting cryptocurrency transactions.
         explorerUrl: broadcastData.explorerUrl,
         ordinalCount: selectedOrdinals.length,
         totals,
+        minerFee: data.transaction?.minerFee || null,
+        feeSettlement: data.transaction?.serviceFee?.settlement || 'seller_inputs',
+        saleProceedsSats: data.transaction?.totalOfferSats ?? 600 * selectedOrdinals.length,
+        taxCalculation: data.transaction?.taxCalculation || null,
+        currency: data.transaction?.currency || currency,
+        serviceFee: data.transaction?.serviceFee?.fiat ?? null,
+        netBenefit: data.transaction?.sellerNetBenefit ?? null,
       });
       // NOTE: Don't call onSaleComplete here — let the user see the success
       // screen and download their receipt first. It's called when they click "Done".
@@ -356,7 +575,7 @@ guidance on reporting cryptocurrency transactions.
             Harvy pays 600 sats per ordinal and charges a flat {configuredFeeSats.toLocaleString()} sat service fee per batch.
           </div>
           <div className="sale-mechanics-subline">
-            You enter basis manually, Harvy records the on-chain sale, and Harvy currently covers the miner fee for this batched transaction.
+            Harvy fills in your basis from your purchase or mint transactions where it can find them (check it, or type your own), records the on-chain sale, and currently covers the miner fee for this batched transaction.
           </div>
         </div>
 
@@ -373,6 +592,15 @@ guidance on reporting cryptocurrency transactions.
                 <span className="ordinal-item-current">
                   Sale Price: 600 sats
                 </span>
+                {basisHints[ord.inscription.id] && (
+                  <span
+                    className={`ordinal-item-basis-hint basis-${basisHints[ord.inscription.id].confidence}`}
+                    title={basisHints[ord.inscription.id].reason}
+                  >
+                    {BASIS_SOURCE_LABELS[basisHints[ord.inscription.id].source] || 'Discovered'}
+                    {' · '}{basisHints[ord.inscription.id].confidence} confidence
+                  </span>
+                )}
               </div>
               <div className="ordinal-item-input">
                 <input
@@ -384,6 +612,14 @@ guidance on reporting cryptocurrency transactions.
                   className="price-input-small"
                 />
                 <span className="price-unit-small">BTC</span>
+                <input
+                  type="date"
+                  value={purchaseDates[ord.inscription.id] || ''}
+                  max={new Date().toISOString().split('T')[0]}
+                  onChange={(e) => handleDateChange(ord.inscription.id, e.target.value)}
+                  title="Purchase date (values your basis at that day's BTC close)"
+                  className="price-input-small date-input-small"
+                />
               </div>
             </div>
           ))}
@@ -425,6 +661,20 @@ guidance on reporting cryptocurrency transactions.
             />
             <span className="price-unit">%</span>
           </div>
+
+          <div className="price-input-group currency-select-group">
+            <label className="price-label" htmlFor="reporting-currency">Report in</label>
+            <select
+              id="reporting-currency"
+              value={currency}
+              onChange={(e) => handleCurrencyChange(e.target.value)}
+              className="price-input currency-select"
+            >
+              {Object.entries(REPORTING_CURRENCIES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </div>
         </div>
 
         {/* BTC Price Display */}
@@ -432,10 +682,17 @@ guidance on reporting cryptocurrency transactions.
           <div className="modal-section">
             <div className="loading-text">Loading BTC price...</div>
           </div>
-        ) : btcPriceUSD && (
+        ) : btcPrice ? (
           <div className="modal-section">
             <div className="btc-price-display">
-              Current BTC Price: ${btcPriceUSD.toLocaleString('en-US', { minimumFractionDigits: 2 })}
+              Current BTC Price: {fiat(btcPrice)}
+            </div>
+          </div>
+        ) : (
+          <div className="modal-section">
+            <div className="modal-warning">
+              <strong>BTC price unavailable:</strong> {priceError} Tax figures and selling are disabled until a
+              price is available; try again shortly.
             </div>
           </div>
         )}
@@ -456,26 +713,44 @@ guidance on reporting cryptocurrency transactions.
                 <span>{totals.saleProceedsBTC.toFixed(8)} BTC</span>
               </div>
 
+              <div className="summary-row">
+                <span>Cost Basis ({currency.toUpperCase()}, at purchase dates)</span>
+                <span>{fiat(totals.costBasis)}</span>
+              </div>
+
+              <div className="summary-row">
+                <span>Sale Proceeds ({currency.toUpperCase()}, today)</span>
+                <span>{fiat(totals.proceeds)}</span>
+              </div>
+
               <div className="summary-row loss">
                 <span>Total Tax Loss</span>
-                <span>{totals.totalLoss.toFixed(8)} BTC (${totals.taxLossUSD.toFixed(2)})</span>
+                <span>{totals.totalLoss.toFixed(8)} BTC ({fiat(totals.taxLoss)})</span>
               </div>
+
+              {describeRepurchaseRule(getJurisdiction()) && (
+                <div className="tax-help-tooltip">{describeRepurchaseRule(getJurisdiction())}</div>
+              )}
             </div>
 
             <div className="modal-section benefit-section">
               <div className="benefit-row highlight">
                 <span>Estimated Tax Savings ({userTaxRate}%)</span>
-                <span className="benefit-value">${totals.taxSavingsUSD.toFixed(2)}</span>
+                <span className="benefit-value">{fiat(totals.taxSavings)}</span>
               </div>
 
               <div className="benefit-row">
                 <span>Service Fee</span>
-                <span>{totals.feeSats.toLocaleString()} sats (${totals.feeUSD.toFixed(2)})</span>
+                <span>{totals.feeSats.toLocaleString()} sats ({fiat(totals.fee)})</span>
               </div>
 
               <div className="benefit-row">
                 <span>Miner Fee</span>
-                <span>Covered by Harvy in the current batch flow</span>
+                <span>
+                  {feeEstimate
+                    ? `~${feeEstimate.satPerVb} sat/vB (${feeEstimate.target}), covered by Harvy`
+                    : 'Covered by Harvy in the current batch flow'}
+                </span>
               </div>
 
               <div className="benefit-row">
@@ -490,17 +765,17 @@ guidance on reporting cryptocurrency transactions.
 
               <div className="benefit-row total">
                 <span>Your Net Benefit</span>
-                <span className="benefit-total">${totals.netBenefitUSD.toFixed(2)}</span>
+                <span className="benefit-total">{fiat(totals.netBenefit)}</span>
               </div>
               <div className="benefit-row" style={{ fontSize: '12px', color: '#a0a4b8', marginTop: '8px' }}>
                 <span>In plain English</span>
                 <span>
-                  You&apos;ll sell for {totals.paymentSats.toLocaleString()} sats, pay Harvy&apos;s {totals.feeSats.toLocaleString()} sat service fee, and keep an estimated net tax benefit of ${totals.netBenefitUSD.toFixed(2)} after the fee.
+                  You&apos;ll sell for {totals.paymentSats.toLocaleString()} sats, pay Harvy&apos;s {totals.feeSats.toLocaleString()} sat service fee, and keep an estimated net tax benefit of {fiat(totals.netBenefit)} after the fee.
                 </span>
               </div>
               <div className="benefit-row" style={{ fontSize: '12px', color: '#a0a4b8', marginTop: '8px' }}>
                 <span>Basis Source</span>
-                <span>You entered the purchase prices above. Harvy does not verify them.</span>
+                <span>You entered the purchase prices and dates above. Harvy does not verify them. Undated purchases are valued at today&apos;s BTC price.</span>
               </div>
             </div>
           </>
@@ -542,13 +817,29 @@ guidance on reporting cryptocurrency transactions.
                   <span>Transaction:</span>
                   <span className="success-txid">{txResult.txid?.slice(0, 12)}...</span>
                 </div>
+                <div className="success-row">
+                  <span>Status:</span>
+                  <span>{describeTxStatus(txStatus)}</span>
+                </div>
+                {txResult.feeSettlement === 'net_payout' && (
+                  <div className="success-row">
+                    <span>Service Fee:</span>
+                    <span>Deducted from your payout</span>
+                  </div>
+                )}
+                {txResult.minerFee && (
+                  <div className="success-row">
+                    <span>Miner Fee (Harvy):</span>
+                    <span>{txResult.minerFee.sats.toLocaleString()} sats @ {txResult.minerFee.satPerVb} sat/vB</span>
+                  </div>
+                )}
                 <div className="success-row">
                   <span>Total Tax Savings:</span>
-                  <span className="success-value-big">${txResult.totals.taxSavingsUSD.toFixed(2)}</span>
+                  <span className="success-value-big">{formatFiat(txResult.taxCalculation?.taxSavings ?? txResult.totals.taxSavings, txResult.currency)}</span>
                 </div>
                 <div className="success-row">
                   <span>Net Benefit:</span>
-                  <span className="success-value-big">${txResult.totals.netBenefitUSD.toFixed(2)}</span>
+                  <span className="success-value-big">{formatFiat(txResult.netBenefit ?? txResult.totals.netBenefit, txResult.currency)}</span>
                 </div>
               </div>
               <button className="btn-download-receipt" onClick={generateTaxReceipt}>
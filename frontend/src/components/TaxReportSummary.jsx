@@ -1,24 +1,396 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
+  BROKER_REPORTING,
+  EXPORT_FORMATS,
+  groupForm8949ByBox,
   prepareForm8949Data,
+  prepareRealizedForm8949Data,
   generateForm8949CSV,
+  generateTXF,
+  generateExportCSV,
+  generateJurisdictionCSV,
   calculateTaxSummary,
   downloadCSV,
+  downloadTXF,
   generateFilename,
 } from '../utils/taxReportGenerator';
+import { REPORTING_CURRENCIES, formatFiat, getReportingCurrency, setReportingCurrency } from '../utils/currency';
+import { useBtcPrices } from '../hooks/useBtcPrices';
+import { downloadTaxFormsPdf, useRealizedSales } from '../hooks/useRealizedSales';
+import { useJurisdictionReport } from '../hooks/useJurisdictionReport';
+import { JURISDICTIONS, RULE_STATUS_LABELS, getJurisdiction, setJurisdiction } from '../utils/jurisdiction';
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+/**
+ * Realized sales: the Form 8949 rows for ordinals actually sold to Harvy
+ * in a tax year, in USD, ready to file
+ */
+function RealizedSalesReport({ sellerAddress, walletType }) {
+  const [taxYear, setTaxYear] = useState(CURRENT_YEAR);
+  // Harvy is not a broker, so sales have no 1099-DA unless the user's own broker issued one
+  const [reporting, setReporting] = useState('none');
+  const [exportFormat, setExportFormat] = useState('koinly');
+  const { report, loading, error } = useRealizedSales(sellerAddress, taxYear, walletType);
+  const reportData = useMemo(() => prepareRealizedForm8949Data(report?.sales), [report]);
+  const boxes = useMemo(() => groupForm8949ByBox(reportData, { reporting }), [reportData, reporting]);
+
+  const handleExportCSV = () => {
+    const csvContent = generateForm8949CSV(reportData, { reporting });
+    if (!csvContent) {
+      alert(`No realized sales in ${taxYear} to export.`);
+      return;
+    }
+    downloadCSV(csvContent, generateFilename(`harvy-form-8949-${taxYear}`));
+  };
+
+  const handleExportTXF = () => {
+    const txfContent = generateTXF(reportData, { reporting });
+    if (!txfContent) {
+      alert(`No realized sales in ${taxYear} to export.`);
+      return;
+    }
+    if (report.missingBasisCount > 0) {
+      alert(`${report.missingBasisCount} sale(s) have no cost basis. Enter the date acquired and basis for them in your tax software after importing.`);
+    }
+    downloadTXF(txfContent, generateFilename(`harvy-form-8949-${taxYear}`, 'txf'));
+  };
+
+  const handleExportSoftwareCSV = () => {
+    const csvContent = generateExportCSV(exportFormat, reportData);
+    if (!csvContent) {
+      alert(`No realized sales in ${taxYear} to export.`);
+      return;
+    }
+    downloadCSV(csvContent, generateFilename(`harvy-${exportFormat}-${taxYear}`));
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      await downloadTaxFormsPdf(sellerAddress, taxYear, walletType, reporting);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const yearSelect = (
+    <label className="tax-currency-label">
+      Tax year{' '}
+      <select value={taxYear} onChange={(e) => setTaxYear(Number(e.target.value))}>
+        {[CURRENT_YEAR, CURRENT_YEAR - 1, CURRENT_YEAR - 2].map(year => (
+          <option key={year} value={year}>{year}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (!sellerAddress) {
+    return (
+      <div className="tax-summary-empty">
+        <h3>Connect your wallet</h3>
+        <p>Realized sales are looked up by the address you sold from.</p>
+      </div>
+    );
+  }
+  if (loading || (!report && !error)) {
+    return <div className="tax-summary-empty"><p>Loading your sales...</p></div>;
+  }
+  if (error || reportData.length === 0) {
+    return (
+      <div className="tax-summary-empty">
+        {yearSelect}
+        <h3>{error ? 'Could not load your sales' : `No realized sales in ${taxYear}`}</h3>
+        <p>{error || 'Sales appear here once their transaction confirms.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="tax-stats-grid">
+        <div className="tax-stat-card primary">
+          <div className="tax-stat-label">Gain or (Loss)</div>
+          <div className="tax-stat-value">{formatFiat(report.totals.gainLossUSD, 'usd')}</div>
+          <div className="tax-stat-subtext">
+            Across {reportData.length} ordinal sale{reportData.length !== 1 ? 's' : ''}
+          </div>
+        </div>
+        <div className="tax-stat-card">
+          <div className="tax-stat-label">Proceeds</div>
+          <div className="tax-stat-value">{formatFiat(report.totals.proceedsUSD, 'usd')}</div>
+          <div className="tax-stat-subtext">USD at each sale</div>
+        </div>
+        <div className="tax-stat-card">
+          <div className="tax-stat-label">Cost Basis</div>
+          <div className="tax-stat-value">{formatFiat(report.totals.costBasisUSD, 'usd')}</div>
+          <div className="tax-stat-subtext">USD at each purchase date</div>
+        </div>
+      </div>
+
+      {report.missingBasisCount > 0 && (
+        <p className="tax-info-note">
+          <strong>{report.missingBasisCount} sale{report.missingBasisCount !== 1 ? 's have' : ' has'} no purchase date.</strong>{' '}
+          Their basis and gain columns are left blank; fill them in before filing.
+        </p>
+      )}
+
+      <table className="tax-box-table">
+        <thead>
+          <tr>
+            <th>Part</th>
+            <th>Box</th>
+            <th>Sales</th>
+            <th>Proceeds</th>
+            <th>Cost basis</th>
+            <th>Gain or (loss)</th>
+            <th>Schedule D</th>
+          </tr>
+        </thead>
+        <tbody>
+          {boxes.map(group => (
+            <tr key={group.box}>
+              <td>{group.part === 'I' ? 'I (short-term)' : 'II (long-term)'}</td>
+              <td>{group.box}</td>
+              <td>{group.rows.length}</td>
+              <td>{formatFiat(group.totals.proceeds, 'usd')}</td>
+              <td>{formatFiat(group.totals.costBasis, 'usd')}</td>
+              <td>{formatFiat(group.totals.gainLoss, 'usd')}</td>
+              <td>Line {group.scheduleDLine}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="tax-export-section">
+        {yearSelect}
+        <label className="tax-currency-label">
+          Broker reporting{' '}
+          <select value={reporting} onChange={(e) => setReporting(e.target.value)}>
+            {Object.entries(BROKER_REPORTING).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button className="tax-export-button" onClick={handleExportCSV}>
+          <span className="tax-export-icon">📄</span>
+          <span className="tax-export-text">
+            <strong>Export Form 8949 (CSV)</strong>
+            <small>Realized sales in USD, with transaction IDs</small>
+          </span>
+        </button>
+        <button className="tax-export-button" onClick={handleExportTXF}>
+          <span className="tax-export-icon">💼</span>
+          <span className="tax-export-text">
+            <strong>Export for TurboTax / H&amp;R Block (TXF)</strong>
+            <small>Import into desktop tax software</small>
+          </span>
+        </button>
+        <label className="tax-currency-label">
+          Tax software{' '}
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+            {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
+        </label>
+        <button className="tax-export-button" onClick={handleExportSoftwareCSV}>
+          <span className="tax-export-icon">🔄</span>
+          <span className="tax-export-text">
+            <strong>Export for {EXPORT_FORMATS[exportFormat].label} (CSV)</strong>
+            <small>Each sale as a trade: ordinal sent, BTC received, service fee as the fee</small>
+          </span>
+        </button>
+        <button className="tax-export-button" onClick={handleDownloadPdf}>
+          <span className="tax-export-icon">🧾</span>
+          <span className="tax-export-text">
+            <strong>Download Form 8949 + Schedule D (PDF)</strong>
+            <small>Filled-in form pages for your accountant</small>
+          </span>
+        </button>
+        <p className="tax-export-description">
+          One row per ordinal sold to Harvy: the date the sale confirmed on-chain, its share of the
+          sale proceeds and your basis at the purchase date, all in USD. Rows are grouped into
+          Part I/II and the box to check, with each box's totals for its Schedule D line. The PDF
+          lays the same sales out on Form 8949 pages (14 per page, with page totals) followed by a
+          Schedule D summary.
+        </p>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Realized sales under a non-US jurisdiction: the local report layout in
+ * its currency, with losses disallowed or flagged where the wallet
+ * re-acquired the same ordinal, or one from its collection, inside the
+ * repurchase window
+ */
+function LocalSalesReport({ sellerAddress, walletType, jurisdiction, ordinals, activityData }) {
+  const [taxYear, setTaxYear] = useState(CURRENT_YEAR);
+  // The wallet's ordinals with a known purchase date, saved in SellModal or found on-chain
+  const acquisitions = useMemo(() => (ordinals || [])
+    .map((ordinal) => {
+      const saved = localStorage.getItem(`ordinal-date-${ordinal.id}`);
+      const lastPurchase = activityData?.[ordinal.id]?.lastPurchaseDate;
+      return {
+        inscriptionId: ordinal.id,
+        collection: ordinal.collection_name || null,
+        date: saved || (lastPurchase ? new Date(lastPurchase).toISOString().slice(0, 10) : null),
+      };
+    })
+    .filter(acquisition => acquisition.date), [ordinals, activityData]);
+  const { report, loading, error } = useJurisdictionReport(sellerAddress, taxYear, jurisdiction, acquisitions, walletType);
+  const flagged = useMemo(() => (report?.sales || []).filter(sale => sale.rule.status !== 'allowed'), [report]);
+
+  const handleExportCSV = () => {
+    const csvContent = generateJurisdictionCSV(report, RULE_STATUS_LABELS);
+    if (!csvContent) {
+      alert(`No realized sales in ${taxYear} to export.`);
+      return;
+    }
+    downloadCSV(csvContent, generateFilename(`harvy-${jurisdiction}-capital-gains-${taxYear}`));
+  };
+
+  const yearSelect = (
+    <label className="tax-currency-label">
+      Tax year{' '}
+      <select value={taxYear} onChange={(e) => setTaxYear(Number(e.target.value))}>
+        {[CURRENT_YEAR, CURRENT_YEAR - 1, CURRENT_YEAR - 2].map(year => (
+          <option key={year} value={year}>{year}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (!sellerAddress) {
+    return (
+      <div className="tax-summary-empty">
+        <h3>Connect your wallet</h3>
+        <p>Realized sales are looked up by the address you sold from.</p>
+      </div>
+    );
+  }
+  if (loading || (!report && !error)) {
+    return <div className="tax-summary-empty"><p>Loading your sales...</p></div>;
+  }
+  if (error || report.sales.length === 0) {
+    return (
+      <div className="tax-summary-empty">
+        {yearSelect}
+        <h3>{error ? 'Could not load your sales' : `No realized sales in ${taxYear}`}</h3>
+        <p>{error || 'Sales appear here once their transaction confirms.'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <table className="tax-box-table">
+        <caption>{report.title} ({report.currency.toUpperCase()})</caption>
+        <tbody>
+          {report.summary.map(line => (
+            <tr key={line.label}>
+              <td>{line.label}</td>
+              <td>{line.isCount ? line.amount : formatFiat(line.amount, report.currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {report.unvaluedCount > 0 && (
+        <p className="tax-info-note">
+          <strong>{report.unvaluedCount} sale{report.unvaluedCount !== 1 ? 's have' : ' has'} no purchase date or price.</strong>{' '}
+          They are left out of the totals; add them before filing.
+        </p>
+      )}
+
+      {flagged.length > 0 && (
+        <table className="tax-box-table">
+          <caption>{report.rule.name}: {flagged.length} loss{flagged.length !== 1 ? 'es' : ''} affected</caption>
+          <thead>
+            <tr>
+              <th>Sold</th>
+              <th>Date sold</th>
+              <th>Loss</th>
+              <th>Re-acquired</th>
+              <th>On</th>
+              <th>Outcome</th>
+            </tr>
+          </thead>
+          <tbody>
+            {flagged.map(sale => (
+              <tr key={`${sale.tradeId}-${sale.inscriptionId}`}>
+                <td>{sale.inscriptionId.slice(0, 10)}...</td>
+                <td>{sale.dateSold.slice(0, 10)}</td>
+                <td>{formatFiat(sale.gainLoss, report.currency)}</td>
+                <td>
+                  {sale.rule.inscriptionId === sale.inscriptionId
+                    ? 'Same ordinal'
+                    : `${sale.rule.inscriptionId.slice(0, 10)}... (${sale.rule.collection})`}
+                </td>
+                <td>{sale.rule.acquiredOn}</td>
+                <td>{RULE_STATUS_LABELS[sale.rule.status]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="tax-export-section">
+        {yearSelect}
+        <button className="tax-export-button" onClick={handleExportCSV}>
+          <span className="tax-export-icon">📄</span>
+          <span className="tax-export-text">
+            <strong>Export {report.name} report (CSV)</strong>
+            <small>Sales in {report.currency.toUpperCase()} with the {report.rule.name} applied</small>
+          </span>
+        </button>
+        <p className="tax-export-description">
+          {report.rule.note} Proceeds use the price quoted at each sale when it was in{' '}
+          {report.currency.toUpperCase()}, otherwise the BTC close on the sale date; costs use the
+          close on each purchase date. Re-acquisitions are checked against the ordinals in this
+          wallet with a known purchase date.
+        </p>
+      </div>
+    </>
+  );
+}
 
 /**
  * Tax Report Summary Component
  *
- * Shows users their potential tax losses and allows them to export
- * Form 8949-compatible CSV for their accountant or tax software
+ * Realized mode reports the user's confirmed sales to Harvy for filing;
+ * planning mode shows potential tax losses if every ordinal were sold today.
+ * Both export Form 8949-compatible CSV for an accountant or tax software;
+ * outside the US, realized mode shows the local report for the chosen jurisdiction
  */
-export default function TaxReportSummary({ ordinals, activityData, valueData }) {
+export default function TaxReportSummary({ ordinals, activityData, valueData, sellerAddress, walletType }) {
+  const [mode, setMode] = useState('realized');
+  const [currency, setCurrency] = useState(getReportingCurrency);
+  const [jurisdiction, setJurisdictionState] = useState(getJurisdiction);
+
+  // Acquisition dates whose close values the basis in the reporting currency
+  const acquisitionDates = useMemo(() => (ordinals || [])
+    .map(ordinal => activityData?.[ordinal.id]?.lastPurchaseDate)
+    .filter(Boolean)
+    .map(date => new Date(date).toISOString().slice(0, 10)), [ordinals, activityData]);
+  const { spotPrice, closes } = useBtcPrices(currency, acquisitionDates);
+
   // Prepare Form 8949 data
   const reportData = useMemo(() => {
     if (!ordinals || ordinals.length === 0) return [];
-    return prepareForm8949Data(ordinals, activityData, valueData);
-  }, [ordinals, activityData, valueData]);
+    return prepareForm8949Data(ordinals, activityData, valueData, { currency, spotPrice, closes });
+  }, [ordinals, activityData, valueData, currency, spotPrice, closes]);
+
+  const handleJurisdictionChange = (value) => {
+    setJurisdictionState(value);
+    setJurisdiction(value);
+  };
+
+  const handleCurrencyChange = (value) => {
+    setCurrency(value);
+    setReportingCurrency(value);
+  };
 
   // Calculate summary statistics
   const summary = useMemo(() => {
@@ -33,7 +405,7 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
       return;
     }
 
-    const filename = generateFilename('harvy-tax-loss-report');
+    const filename = generateFilename(`harvy-tax-loss-report-${currency}`);
     downloadCSV(csvContent, filename);
 
     if (process.env.NODE_ENV === 'development') {
@@ -41,10 +413,55 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
     }
   };
 
+  const modeSwitch = (
+    <div className="tax-mode-switch">
+      <button className={mode === 'realized' ? 'active' : ''} onClick={() => setMode('realized')}>
+        Realized sales
+      </button>
+      <button className={mode === 'planning' ? 'active' : ''} onClick={() => setMode('planning')}>
+        Planning (hypothetical)
+      </button>
+    </div>
+  );
+
+  if (mode === 'realized') {
+    return (
+      <div className="tax-report-summary">
+        <div className="tax-summary-header">
+          <h2 className="tax-summary-title">Your Realized Sales</h2>
+          <p className="tax-summary-subtitle">
+            Ordinals you sold to Harvy, for {jurisdiction === 'us' ? 'Form 8949' : `your ${JURISDICTIONS[jurisdiction].label} return`}
+          </p>
+        </div>
+        {modeSwitch}
+        <label className="tax-currency-label">
+          Tax jurisdiction{' '}
+          <select value={jurisdiction} onChange={(e) => handleJurisdictionChange(e.target.value)}>
+            {Object.entries(JURISDICTIONS).map(([code, { label }]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {jurisdiction === 'us'
+          ? <RealizedSalesReport sellerAddress={sellerAddress} walletType={walletType} />
+          : (
+            <LocalSalesReport
+              sellerAddress={sellerAddress}
+              walletType={walletType}
+              jurisdiction={jurisdiction}
+              ordinals={ordinals}
+              activityData={activityData}
+            />
+          )}
+      </div>
+    );
+  }
+
   // Don't render if no losses found
   if (!reportData || reportData.length === 0) {
     return (
       <div className="tax-summary-empty">
+        {modeSwitch}
         <div className="tax-summary-icon">📊</div>
         <h3>No Tax Losses Found</h3>
         <p>
@@ -65,9 +482,10 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
       <div className="tax-summary-header">
         <h2 className="tax-summary-title">Your Tax Loss Harvesting Opportunities</h2>
         <p className="tax-summary-subtitle">
-          Based on your current Ordinals portfolio, here's your potential tax savings for 2025
+          Planning only: based on your current Ordinals portfolio, here's your potential tax savings for {CURRENT_YEAR}
         </p>
       </div>
+      {modeSwitch}
 
       {/* Main Stats */}
       <div className="tax-stats-grid">
@@ -79,6 +497,12 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
           <div className="tax-stat-subtext">
             Across {summary.numberOfLosses} Ordinal{summary.numberOfLosses !== 1 ? 's' : ''}
           </div>
+          {summary.totalLossesFiat !== null && (
+            <div className="tax-stat-subtext">
+              ≈ {formatFiat(summary.totalLossesFiat, currency)} at purchase-date prices
+              {summary.unvaluedFiatCount > 0 && ` (${summary.unvaluedFiatCount} without a purchase-date price)`}
+            </div>
+          )}
         </div>
 
         <div className="tax-stat-card">
@@ -126,16 +550,24 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
 
       {/* Export Button */}
       <div className="tax-export-section">
+        <label className="tax-currency-label">
+          Report currency{' '}
+          <select value={currency} onChange={(e) => handleCurrencyChange(e.target.value)}>
+            {Object.entries(REPORTING_CURRENCIES).map(([code, { label }]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </label>
         <button className="tax-export-button" onClick={handleExportCSV}>
           <span className="tax-export-icon">📄</span>
           <span className="tax-export-text">
-            <strong>Export Tax Report (CSV)</strong>
-            <small>Form 8949 compatible format</small>
+            <strong>Export Planning Report (CSV)</strong>
+            <small>Hypothetical sales; not for filing</small>
           </span>
         </button>
         <p className="tax-export-description">
-          Download a CSV file formatted for IRS Form 8949. Share this with your accountant
-          or import it into tax software like TurboTax or TaxAct.
+          Download a CSV laid out like IRS Form 8949 to plan with your accountant. It assumes each
+          ordinal is sold today at its listing or floor price; file from your realized sales instead.
         </p>
       </div>
 
@@ -147,6 +579,10 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
             <strong>Form 8949 Columns:</strong> Description, date acquired, date disposed,
             proceeds, cost basis, and gain/loss
           </li>
+          <li>
+            <strong>Reporting Currency:</strong> Proceeds, basis and gain/loss in {currency.toUpperCase()},
+            with basis valued at the BTC close on each acquisition date
+          </li>
           <li>
             <strong>Holding Periods:</strong> Short-term vs. long-term classification for each asset
           </li>
@@ -169,7 +605,7 @@ export default function TaxReportSummary({ ordinals, activityData, valueData })
         <div className="deadline-content">
           <h4>Important Deadline</h4>
           <p>
-            To offset 2025 capital gains, losses must be <strong>realized by December 31, 2025</strong>.
+            To offset {CURRENT_YEAR} capital gains, losses must be <strong>realized by December 31, {CURRENT_YEAR}</strong>.
             Don't wait until the last minute!
           </p>
         </div>
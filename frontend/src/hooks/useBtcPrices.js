@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+/**
+ * Hook to fetch BTC prices in a reporting currency: today's price and the
+ * daily close for each of the given dates (YYYY-MM-DD)
+ * Dates without a close map to null
+ */
+export function useBtcPrices(currency, dates) {
+  const [spotPrice, setSpotPrice] = useState(null);
+  const [closes, setCloses] = useState({});
+  const dateKey = [...new Set((dates || []).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function fetchPrice(query) {
+      try {
+        const response = await fetch(`${API_BASE}/api/btc-price?currency=${currency}${query}`, {
+          headers: { Accept: 'application/json' },
+        });
+        const data = await response.json();
+        return response.ok && typeof data.price === 'number' ? data.price : null;
+      } catch (err) {
+        console.error('Failed to fetch BTC price:', err);
+        return null;
+      }
+    }
+
+    async function fetchAll() {
+      const spot = await fetchPrice('');
+      const entries = [];
+      for (const date of dateKey ? dateKey.split(',') : []) {
+        entries.push([date, await fetchPrice(`&date=${date}`)]);
+      }
+      if (!cancelled) {
+        setSpotPrice(spot);
+        setCloses(Object.fromEntries(entries));
+      }
+    }
+    fetchAll();
+
+    return () => { cancelled = true; };
+  }, [currency, dateKey]);
+
+  return { spotPrice, closes };
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+import { addressProofHeaders } from '../utils/addressProof';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+/**
+ * Hook to fetch the seller's realized Harvy sales for a tax year under a
+ * non-US jurisdiction's rules. `acquisitions` ([{ inscriptionId, collection,
+ * date }]) are the wallet's ordinals with known purchase dates, which the
+ * backend checks against each loss's repurchase window. The wallet signs an
+ * address proof first (see utils/addressProof).
+ * Returns { report, loading, error }; report is null until loaded
+ */
+export function useJurisdictionReport(address, year, jurisdiction, acquisitions, walletType) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!address || !jurisdiction) return undefined;
+    let cancelled = false;
+
+    async function fetchReport() {
+      setLoading(true);
+      setError(null);
+      try {
+        const proof = await addressProofHeaders(address, walletType);
+        const response = await fetch(`${API_BASE}/api/realized-sales/jurisdiction-report`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...proof },
+          body: JSON.stringify({ address, year, jurisdiction, acquisitions }),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to fetch jurisdiction report: ${response.status}`);
+        }
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        console.error('Failed to fetch jurisdiction report:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    fetchReport();
+
+    return () => { cancelled = true; };
+  }, [address, year, jurisdiction, acquisitions, walletType]);
+
+  return { report, loading, error };
+}
@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import { addressProofHeaders } from '../utils/addressProof';
+import { downloadPDF } from '../utils/taxReportGenerator';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+/**
+ * Hook to fetch the seller's realized Harvy sales (confirmed trades) for a
+ * tax year, as USD Form 8949 rows from the backend. The wallet signs an
+ * address proof first (see utils/addressProof).
+ * Returns { report, loading, error }; report is null until loaded
+ */
+export function useRealizedSales(address, year, walletType) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!address) return undefined;
+    let cancelled = false;
+
+    async function fetchSales() {
+      setLoading(true);
+      setError(null);
+      try {
+        const query = `address=${encodeURIComponent(address)}${year ? `&year=${year}` : ''}`;
+        const proof = await addressProofHeaders(address, walletType);
+        const response = await fetch(`${API_BASE}/api/realized-sales?${query}`, {
+          headers: { Accept: 'application/json', ...proof },
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to fetch realized sales: ${response.status}`);
+        }
+        if (!cancelled) setReport(data);
+      } catch (err) {
+        console.error('Failed to fetch realized sales:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    fetchSales();
+
+    return () => { cancelled = true; };
+  }, [address, year, walletType]);
+
+  return { report, loading, error };
+}
+
+/**
+ * Download the backend's Form 8949 and Schedule D PDF for a tax year. It
+ * needs the address proof headers, so it is fetched rather than linked.
+ */
+export async function downloadTaxFormsPdf(address, year, walletType, reporting = 'none') {
+  const query = `address=${encodeURIComponent(address)}&year=${year}&reporting=${reporting}`;
+  const proof = await addressProofHeaders(address, walletType);
+  const response = await fetch(`${API_BASE}/api/realized-sales/tax-forms.pdf?${query}`, { headers: proof });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Failed to download tax forms: ${response.status}`);
+  }
+  downloadPDF(await response.blob(), `harvy-form-8949-${year}.pdf`);
+}
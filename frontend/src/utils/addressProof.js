@@ -0,0 +1,73 @@
+/**
+ * Address proofs for the realized-sales routes: the connected wallet signs
+ * (BIP322) a message the backend issues for its Taproot address. A proof is
+ * reused until shortly before it expires, so the wallet prompts once an hour.
+ */
+import { request } from 'sats-connect';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// Ask for a new signature this long before the backend stops accepting one
+const RENEW_BEFORE_MS = 5 * 60 * 1000;
+
+// address → { promise, expiresAt } (expiresAt is null while signing)
+const proofs = new Map();
+
+async function signMessage(walletType, address, message) {
+  if (walletType === 'xverse') {
+    const response = await request('signMessage', { address, message, protocol: 'BIP322' });
+    if (response.status !== 'success') {
+      throw new Error('Message signing was cancelled or failed');
+    }
+    return response.result.signature;
+  }
+  if (walletType === 'unisat') {
+    return window.unisat.signMessage(message, 'bip322-simple');
+  }
+  if (walletType === 'leather') {
+    const response = await window.LeatherProvider.request('signMessage', { message, paymentType: 'p2tr' });
+    if (!response?.result?.signature) {
+      throw new Error('Message signing was cancelled or failed');
+    }
+    return response.result.signature;
+  }
+  throw new Error(`Unsupported wallet type: ${walletType}`);
+}
+
+async function createProof(address, walletType) {
+  const response = await fetch(`${API_BASE}/api/address-proof?address=${encodeURIComponent(address)}`, {
+    headers: { Accept: 'application/json' },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to start address proof: ${response.status}`);
+  }
+  const signature = await signMessage(walletType, address, data.message);
+  return { message: data.message, signature, expiresAt: data.expiresAt };
+}
+
+/**
+ * Headers proving the connected wallet controls `address`, signing a new
+ * message only when there is no unexpired proof
+ * @param {string} address - Taproot (ordinals) address
+ * @param {string} walletType - 'xverse', 'unisat' or 'leather'
+ * @returns {Promise<object>} - X-Address-Proof-Message/-Signature headers
+ */
+export async function addressProofHeaders(address, walletType) {
+  let entry = proofs.get(address);
+  if (!entry || (entry.expiresAt !== null && Date.parse(entry.expiresAt) - Date.now() < RENEW_BEFORE_MS)) {
+    // Checked and replaced synchronously, so concurrent callers share one signing prompt
+    entry = { promise: createProof(address, walletType), expiresAt: null };
+    proofs.set(address, entry);
+  }
+  try {
+    const { message, signature, expiresAt } = await entry.promise;
+    entry.expiresAt = expiresAt;
+    return { 'X-Address-Proof-Message': message, 'X-Address-Proof-Signature': signature };
+  } catch (err) {
+    if (proofs.get(address) === entry) {
+      proofs.delete(address);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Cost Basis Import from Crypto Tax Software CSVs
+ *
+ * Reads transaction exports from Koinly, CoinTracker or a generic CSV,
+ * keeps the rows where BTC was spent on an ordinal, and matches them to the
+ * user's ordinals by inscription ID or by purchase transaction ID. Once the
+ * user applies the import, matched purchases pre-fill the purchase price and
+ * date SellModal reads from localStorage; values already saved are only
+ * replaced where the user chose to.
+ */
+
+const INSCRIPTION_ID_PATTERN = /[0-9a-f]{64}i\d+/i;
+const TXID_PATTERN = /^[0-9a-f]{64}$/i;
+
+/**
+ * Parse CSV text into an array of rows (arrays of cells), handling quoted
+ * cells with commas, escaped quotes and line breaks
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Lowercase, without punctuation or "(optional)"/"(UTC)" suffixes; other
+// parentheses are kept as words, so "Cost Basis (BTC)" is "cost basis btc"
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/\((optional|utc)\)/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Normalize a date cell to YYYY-MM-DD. Accepts ISO dates
+ * ("2024-03-10 15:00:00 UTC") and US dates ("03/10/2024 15:00:00")
+ */
+export function parseImportDate(value) {
+  const text = (value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  return null;
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(String(value || '').replace(/,/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function findInscriptionId(...values) {
+  for (const value of values) {
+    const match = String(value || '').match(INSCRIPTION_ID_PATTERN);
+    if (match) return match[0].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * A BTC-for-ordinal purchase from a trade row: BTC sent for a single asset,
+ * or sent with nothing received (a marketplace purchase the tool did not
+ * recognise, matchable by txid). A BTC fee counts toward the basis.
+ */
+function tradePurchase({ date, sentAmount, sentCurrency, receivedAmount, receivedCurrency, feeAmount, feeCurrency, txid, description }) {
+  if ((sentCurrency || '').trim().toUpperCase() !== 'BTC') return null;
+  const priceBTC = parseAmount(sentAmount);
+  if (!priceBTC || priceBTC <= 0) return null;
+  const inscriptionId = findInscriptionId(receivedCurrency, description);
+  // BTC traded for a fungible asset is not an ordinal purchase
+  if (!inscriptionId && (receivedCurrency || '').trim() && parseAmount(receivedAmount) !== 1) return null;
+  const feeBTC = (feeCurrency || '').trim().toUpperCase() === 'BTC' ? parseAmount(feeAmount) || 0 : 0;
+  const txHash = (txid || '').trim();
+  return {
+    inscriptionId,
+    asset: (receivedCurrency || '').trim(),
+    txid: TXID_PATTERN.test(txHash) ? txHash.toLowerCase() : null,
+    priceBTC: Math.round((priceBTC + feeBTC) * 1e8) / 1e8,
+    date: parseImportDate(date),
+  };
+}
+
+// Generic CSV price columns (normalized headers)
+const GENERIC_BTC_COLUMNS = ['price btc', 'purchase price btc', 'cost basis btc', 'cost btc', 'amount btc'];
+const GENERIC_SATS_COLUMNS = ['price sats', 'purchase price sats', 'cost basis sats', 'cost sats', 'amount sats'];
+
+/**
+ * Supported import formats. `detect` recognises a format from its
+ * normalized headers; `toPurchase` turns a row (keyed by normalized header)
+ * into { inscriptionId, asset, txid, priceBTC, date }, or null when the
+ * row is not a BTC purchase. `checkHeaders`, when present, throws if the
+ * file lacks the columns the format needs.
+ */
+export const IMPORT_FORMATS = {
+  koinly: {
+    label: 'Koinly',
+    detect: headers => headers.includes('sent amount') && headers.includes('received currency') && headers.includes('txhash'),
+    toPurchase: row => tradePurchase({
+      date: row['date'],
+      sentAmount: row['sent amount'],
+      sentCurrency: row['sent currency'],
+      receivedAmount: row['received amount'],
+      receivedCurrency: row['received currency'],
+      feeAmount: row['fee amount'],
+      feeCurrency: row['fee currency'],
+      txid: row['txhash'],
+      description: row['description'],
+    }),
+  },
+  cointracker: {
+    label: 'CoinTracker',
+    detect: headers => headers.includes('sent quantity') && headers.includes('received currency'),
+    toPurchase: row => tradePurchase({
+      date: row['date'],
+      sentAmount: row['sent quantity'],
+      sentCurrency: row['sent currency'],
+      receivedAmount: row['received quantity'],
+      receivedCurrency: row['received currency'],
+      feeAmount: row['fee amount'],
+      feeCurrency: row['fee currency'],
+      txid: row['transaction id'] || row['txid'] || row['tx hash'],
+      description: row['description'] || row['tag'],
+    }),
+  },
+  // Any CSV with an inscription ID or txid column and a price column in BTC
+  // or sats. Unlabelled "price" or "cost basis" columns are usually fiat,
+  // so they are not read.
+  generic: {
+    label: 'Generic CSV',
+    detect: () => true,
+    checkHeaders: (headers) => {
+      if (![...GENERIC_BTC_COLUMNS, ...GENERIC_SATS_COLUMNS].some(name => headers.includes(name))) {
+        throw new Error(
+          'No price column in BTC or sats. Name it one of: ' +
+          [...GENERIC_BTC_COLUMNS, ...GENERIC_SATS_COLUMNS].map(name => `"${name}"`).join(', ') +
+          ' (case and punctuation are ignored, e.g. "Cost Basis (BTC)")'
+        );
+      }
+    },
+    toPurchase: (row) => {
+      const pick = (...names) => names.map(name => row[name]).find(value => value !== undefined && value !== '');
+      const btc = parseAmount(pick(...GENERIC_BTC_COLUMNS));
+      const sats = parseAmount(pick(...GENERIC_SATS_COLUMNS));
+      const priceBTC = btc !== null ? btc : sats !== null ? sats / 1e8 : null;
+      if (!priceBTC || priceBTC <= 0) return null;
+      const txHash = (pick('txid', 'tx id', 'tx hash', 'txhash', 'transaction id', 'transaction hash') || '').trim();
+      return {
+        inscriptionId: findInscriptionId(pick('inscription id', 'inscription', 'asset', 'token id', 'description')),
+        asset: pick('inscription id', 'inscription', 'asset', 'token id') || '',
+        txid: TXID_PATTERN.test(txHash) ? txHash.toLowerCase() : null,
+        priceBTC: Math.round(priceBTC * 1e8) / 1e8,
+        date: parseImportDate(pick('date acquired', 'acquired', 'purchase date', 'date')),
+      };
+    },
+  },
+};
+
+/**
+ * Read purchases from a tax software CSV.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {object} - { format, purchases: [{ line, inscriptionId, asset, txid, priceBTC, date }], skippedCount }
+ *   (skippedCount: rows that are not BTC purchases, e.g. sales, deposits, transfers)
+ */
+export function readPurchases(text) {
+  const [headerCells, ...rows] = parseCSV(text);
+  if (!headerCells) {
+    throw new Error('The file is empty');
+  }
+  const headers = headerCells.map(normalizeHeader);
+  const format = Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].detect(headers));
+  IMPORT_FORMATS[format].checkHeaders?.(headers);
+
+  const purchases = [];
+  let skippedCount = 0;
+  rows.forEach((cells, index) => {
+    const row = Object.fromEntries(headers.map((header, i) => [header, (cells[i] || '').trim()]));
+    const purchase = IMPORT_FORMATS[format].toPurchase(row);
+    if (purchase && (purchase.inscriptionId || purchase.txid)) {
+      // Line numbers as shown in a spreadsheet, after the header row
+      purchases.push({ line: index + 2, ...purchase });
+    } else {
+      skippedCount++;
+    }
+  });
+
+  return { format, purchases, skippedCount };
+}
+
+/**
+ * Match purchases to owned ordinals: by inscription ID, else by the purchase
+ * txid (the transaction the ordinal now sits in, or its reveal). A txid
+ * shared by several ordinals, such as the reveal of a batch inscription,
+ * cannot tell them apart, so those purchases stay unmatched with reason
+ * 'ambiguous'. When an ordinal has several purchases the latest is its
+ * current basis.
+ *
+ * @param {Array} purchases - readPurchases().purchases
+ * @param {Array} ordinals - Ordinal list items ({ id, output })
+ * @returns {object} - { matched: { [inscriptionId]: { priceBTC, date, line, matchedBy } },
+ *   unmatched: [{ ...purchase, reason: 'not_found' | 'ambiguous' }] }
+ */
+export function matchPurchases(purchases, ordinals) {
+  const byInscription = new Map(ordinals.map(ordinal => [ordinal.id.toLowerCase(), ordinal.id]));
+  const byLocation = new Map();
+  const byReveal = new Map();
+  const add = (index, txid, inscriptionId) => {
+    if (!txid) return;
+    if (!index.has(txid)) index.set(txid, new Set());
+    index.get(txid).add(inscriptionId);
+  };
+  ordinals.forEach((ordinal) => {
+    add(byLocation, (ordinal.output || '').split(':')[0].toLowerCase(), ordinal.id);
+    add(byReveal, ordinal.id.slice(0, 64).toLowerCase(), ordinal.id);
+  });
+
+  // The ordinal a txid points to: the one sitting in that transaction,
+  // else the one it revealed; undefined when several ordinals share it
+  const findByTxid = (txid) => {
+    const candidates = byLocation.get(txid) || byReveal.get(txid);
+    if (!candidates) return null;
+    return candidates.size === 1 ? [...candidates][0] : undefined;
+  };
+
+  const matched = {};
+  const unmatched = [];
+  purchases.forEach((purchase) => {
+    const byId = purchase.inscriptionId && byInscription.get(purchase.inscriptionId);
+    const byTxid = !byId && purchase.txid ? findByTxid(purchase.txid) : null;
+    const inscriptionId = byId || byTxid;
+    if (!inscriptionId) {
+      unmatched.push({ ...purchase, reason: byTxid === undefined ? 'ambiguous' : 'not_found' });
+      return;
+    }
+    const previous = matched[inscriptionId];
+    if (!previous || (purchase.date || '') >= (previous.date || '')) {
+      matched[inscriptionId] = {
+        priceBTC: purchase.priceBTC,
+        date: purchase.date,
+        line: purchase.line,
+        matchedBy: byId ? 'inscription' : 'txid',
+      };
+    }
+  });
+
+  return { matched, unmatched };
+}
+
+function savedBasis(inscriptionId, storage) {
+  const price = storage.getItem(`ordinal-price-${inscriptionId}`);
+  return {
+    priceBTC: price !== null && price !== '' ? parseFloat(price) : null,
+    date: storage.getItem(`ordinal-date-${inscriptionId}`) || null,
+  };
+}
+
+/**
+ * Compare matched purchases with the prices and dates already saved (in
+ * SellModal or by an earlier import). A match conflicts when a saved value
+ * differs from the imported one; empty fields are simply filled.
+ *
+ * @param {object} matched - matchPurchases().matched
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} - { additions: [inscriptionId], unchanged: [inscriptionId],
+ *   conflicts: [{ inscriptionId, saved: { priceBTC, date }, imported: { priceBTC, date } }] }
+ */
+export function diffImportedBasis(matched, storage = localStorage) {
+  const additions = [];
+  const unchanged = [];
+  const conflicts = [];
+  Object.entries(matched).forEach(([inscriptionId, { priceBTC, date }]) => {
+    const saved = savedBasis(inscriptionId, storage);
+    const priceDiffers = saved.priceBTC !== null && saved.priceBTC !== priceBTC;
+    const dateDiffers = saved.date !== null && date !== null && saved.date !== date;
+    if (priceDiffers || dateDiffers) {
+      conflicts.push({ inscriptionId, saved, imported: { priceBTC, date } });
+    } else if (saved.priceBTC === null || (saved.date === null && date !== null)) {
+      additions.push(inscriptionId);
+    } else {
+      unchanged.push(inscriptionId);
+    }
+  });
+  return { additions, unchanged, conflicts };
+}
+
+/**
+ * Save matched purchases where SellModal looks for them: the BTC price
+ * under `ordinal-price-<id>` and the date under `ordinal-date-<id>`. Empty
+ * fields are filled; a saved value that differs is only replaced for the
+ * ordinals listed in `replace`, after the user confirmed it.
+ *
+ * @param {object} matched - matchPurchases().matched
+ * @param {object} [options]
+ * @param {Array} [options.replace] - Inscription IDs whose saved price and date may be replaced
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {object} - { savedCount, replacedCount }
+ */
+export function saveImportedBasis(matched, { replace = [] } = {}, storage = localStorage) {
+  const { additions, conflicts } = diffImportedBasis(matched, storage);
+  const replacing = conflicts.map(conflict => conflict.inscriptionId).filter(id => replace.includes(id));
+  [...additions, ...replacing].forEach((inscriptionId) => {
+    const { priceBTC, date } = matched[inscriptionId];
+    const saved = savedBasis(inscriptionId, storage);
+    const overwrite = replacing.includes(inscriptionId);
+    if (overwrite || saved.priceBTC === null) {
+      storage.setItem(`ordinal-price-${inscriptionId}`, String(priceBTC));
+    }
+    if (date && (overwrite || saved.date === null)) {
+      storage.setItem(`ordinal-date-${inscriptionId}`, date);
+    }
+  });
+  return { savedCount: additions.length, replacedCount: replacing.length };
+}
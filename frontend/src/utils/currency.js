@@ -0,0 +1,50 @@
+/**
+ * Reporting currency for tax figures
+ * Mirrors currencies.js on the server; the user's choice is kept in localStorage
+ */
+
+export const REPORTING_CURRENCIES = {
+  usd: { label: 'USD ($)' },
+  eur: { label: 'EUR (€)' },
+  gbp: { label: 'GBP (£)' },
+  cad: { label: 'CAD (CA$)' },
+  aud: { label: 'AUD (A$)' },
+};
+
+const STORAGE_KEY = 'reporting-currency';
+
+const envDefault = (process.env.REACT_APP_REPORTING_CURRENCY || 'usd').trim().toLowerCase();
+
+export const DEFAULT_CURRENCY = REPORTING_CURRENCIES[envDefault] ? envDefault : 'usd';
+
+/**
+ * The user's saved reporting currency, or the configured default
+ */
+export function getReportingCurrency() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return REPORTING_CURRENCIES[saved] ? saved : DEFAULT_CURRENCY;
+}
+
+/**
+ * Remember the user's reporting currency
+ * @param {string} currency - One of the REPORTING_CURRENCIES keys
+ */
+export function setReportingCurrency(currency) {
+  if (REPORTING_CURRENCIES[currency]) {
+    localStorage.setItem(STORAGE_KEY, currency);
+  }
+}
+
+/**
+ * Format an amount in a reporting currency, e.g. "€12.34" or "CA$12.34"
+ * @param {number} amount
+ * @param {string} currency - Reporting currency code
+ */
+export function formatFiat(amount, currency) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount || 0);
+}
@@ -0,0 +1,70 @@
+/**
+ * Tax jurisdiction for loss-harvesting rules and report layouts
+ * Mirrors tax-jurisdictions.js on the server; the user's choice is kept in localStorage
+ */
+
+export const JURISDICTIONS = {
+  us: { label: 'United States', currency: 'usd', rule: null },
+  uk: {
+    label: 'United Kingdom',
+    currency: 'gbp',
+    rule: { name: '30-day rule', daysBefore: 0, daysAfter: 30, sameAsset: 'matched' },
+  },
+  ca: {
+    label: 'Canada',
+    currency: 'cad',
+    rule: { name: 'superficial loss rule', daysBefore: 30, daysAfter: 30, sameAsset: 'disallowed' },
+  },
+  au: {
+    label: 'Australia',
+    currency: 'aud',
+    rule: { name: 'wash sale guidance', daysBefore: 0, daysAfter: 30, sameAsset: 'at_risk' },
+  },
+};
+
+// What a repurchase inside the window means for a loss
+export const RULE_STATUS_LABELS = {
+  allowed: 'Allowed',
+  disallowed: 'Loss disallowed',
+  matched: 'Matched: recompute against the new cost',
+  at_risk: 'Loss at risk',
+  review: 'Review: same collection',
+};
+
+const STORAGE_KEY = 'tax-jurisdiction';
+
+/**
+ * The user's saved jurisdiction, US by default
+ */
+export function getJurisdiction() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return JURISDICTIONS[saved] ? saved : 'us';
+}
+
+/**
+ * Remember the user's jurisdiction
+ * @param {string} jurisdiction - One of the JURISDICTIONS keys
+ */
+export function setJurisdiction(jurisdiction) {
+  if (JURISDICTIONS[jurisdiction]) {
+    localStorage.setItem(STORAGE_KEY, jurisdiction);
+  }
+}
+
+/**
+ * One-line warning about a jurisdiction's repurchase window, or null for
+ * jurisdictions without one
+ */
+export function describeRepurchaseRule(jurisdiction) {
+  const { label, rule } = JURISDICTIONS[jurisdiction] || {};
+  if (!rule) return null;
+  const period = rule.daysBefore
+    ? `within ${rule.daysBefore} days before or ${rule.daysAfter} days after the sale`
+    : `within ${rule.daysAfter} days after the sale`;
+  const outcome = {
+    disallowed: 'disallows the loss',
+    matched: 'matches the sale with the new purchase, so the loss is recomputed against its cost',
+  }[rule.sameAsset] || 'can put the loss at risk';
+  return `${label} ${rule.name}: buying the same ordinal back ${period} ${outcome}. ` +
+    'Buying another from the same collection may count too.';
+}
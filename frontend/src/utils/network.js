@@ -0,0 +1,45 @@
+/**
+ * Bitcoin network settings for the frontend
+ * Mirrors network-config.js on the server, keyed by REACT_APP_BITCOIN_NETWORK
+ */
+
+const NETWORKS = {
+  mainnet: { bech32: 'bc', explorerUrl: 'https://mempool.space' },
+  testnet: { bech32: 'tb', explorerUrl: 'https://mempool.space/testnet' },
+  testnet4: { bech32: 'tb', explorerUrl: 'https://mempool.space/testnet4' },
+  signet: { bech32: 'tb', explorerUrl: 'https://mempool.space/signet' },
+  regtest: { bech32: 'bcrt', explorerUrl: null },
+};
+
+const requested = (process.env.REACT_APP_BITCOIN_NETWORK || 'mainnet').trim().toLowerCase();
+
+// A typo must not silently point the UI at mainnet while the backend runs elsewhere
+if (!NETWORKS[requested]) {
+  throw new Error(`Unknown REACT_APP_BITCOIN_NETWORK: ${requested} (expected ${Object.keys(NETWORKS).join(', ')})`);
+}
+
+export const NETWORK_NAME = requested;
+
+const network = NETWORKS[NETWORK_NAME];
+
+// bc1p on mainnet, tb1p on testnet/testnet4/signet, bcrt1p on regtest
+export const TAPROOT_PREFIX = `${network.bech32}1p`;
+
+const EXPLORER_URL = (process.env.REACT_APP_EXPLORER_URL || network.explorerUrl || '').replace(/\/+$/, '') || null;
+
+/**
+ * Check whether an address is a Taproot address on the configured network
+ * @param {string} s - Address to check
+ */
+export function isTaproot(s) {
+  const trimmed = (s || '').trim();
+  return new RegExp(`^${TAPROOT_PREFIX}[0-9a-z]{58,86}$`, 'i').test(trimmed);
+}
+
+/**
+ * Block explorer link for an address, or null when the network has no explorer
+ * @param {string} address - Bitcoin address
+ */
+export function explorerAddressUrl(address) {
+  return EXPLORER_URL ? `${EXPLORER_URL}/address/${address}` : null;
+}
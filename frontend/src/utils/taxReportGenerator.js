@@ -5,16 +5,23 @@
  * https://www.irs.gov/forms-pubs/about-form-8949
  */
 
+import {
+  BROKER_REPORTING,
+  FORM_8949_BOXES,
+  classifyForm8949Box as classifySale,
+  formatIRSDate,
+  holdingPeriodDays,
+  isLongTerm,
+} from '../../../form8949.js';
+
+export { BROKER_REPORTING, FORM_8949_BOXES };
+
 /**
- * Format date as MM/DD/YYYY for IRS forms
+ * Format a fiat amount to cents, or blank when it could not be valued
  */
-function formatIRSDate(timestamp) {
-  if (!timestamp) return 'N/A';
-  const date = new Date(timestamp);
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${month}/${day}/${year}`;
+function formatFiatAmount(value) {
+  if (value === null || value === undefined) return '';
+  return Number(value).toFixed(2);
 }
 
 /**
@@ -26,30 +33,81 @@ function formatBTC(value) {
 }
 
 /**
- * Calculate holding period in days
+ * Calculate holding period in days (UTC days)
  */
 function calculateHoldingPeriod(acquiredDate, disposedDate) {
-  if (!acquiredDate || !disposedDate) return 'Unknown';
-  const acquired = new Date(acquiredDate);
-  const disposed = new Date(disposedDate);
-  const diffTime = Math.abs(disposed - acquired);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return diffDays;
+  const days = holdingPeriodDays(acquiredDate, disposedDate);
+  return days === null ? 'Unknown' : days;
 }
 
 /**
  * Determine if holding period is short-term or long-term
- * Short-term: <= 365 days
- * Long-term: > 365 days
+ * Long-term: held more than one year (sold after the first anniversary)
  */
 function getHoldingPeriodType(acquiredDate, disposedDate) {
-  const days = calculateHoldingPeriod(acquiredDate, disposedDate);
-  if (days === 'Unknown') return 'Unknown';
-  return days > 365 ? 'Long-term' : 'Short-term';
+  if (calculateHoldingPeriod(acquiredDate, disposedDate) === 'Unknown') return 'Unknown';
+  return isLongTerm({ dateAcquired: acquiredDate, dateSold: disposedDate }) ? 'Long-term' : 'Short-term';
+}
+
+/**
+ * Pick the Form 8949 box for a report row (see form8949.js). A row with
+ * no acquisition date is short-term until the user supplies one.
+ *
+ * @param {object} row - A prepared report row
+ * @param {string} [reporting] - One of the BROKER_REPORTING keys
+ * @returns {string} - Box letter
+ */
+export function classifyForm8949Box(row, reporting = 'none') {
+  return classifySale({ dateAcquired: row.dateAcquiredRaw, dateSold: row.dateDisposedRaw }, reporting);
+}
+
+function roundTotal(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * Group report rows into Form 8949 Part I (short-term) and Part II
+ * (long-term), one group per checked box in box order, each with the
+ * totals carried to its Schedule D line. Rows with a blank basis are
+ * counted in `missingBasisCount` and left out of the basis and gain totals.
+ *
+ * @param {Array} reportData - Rows from prepareForm8949Data or prepareRealizedForm8949Data
+ * @param {object} [options]
+ * @param {string} [options.reporting] - One of the BROKER_REPORTING keys
+ * @returns {Array} - [{ part, box, scheduleDLine, rows, totals: { proceeds, costBasis, adjustment, gainLoss }, missingBasisCount }]
+ */
+export function groupForm8949ByBox(reportData, { reporting = 'none' } = {}) {
+  const groups = new Map();
+  (reportData || []).forEach((row) => {
+    const box = classifyForm8949Box(row, reporting);
+    if (!groups.has(box)) {
+      groups.set(box, { part: FORM_8949_BOXES[box].part, box, scheduleDLine: FORM_8949_BOXES[box].scheduleDLine, rows: [] });
+    }
+    groups.get(box).rows.push({ ...row, box });
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.part.localeCompare(b.part) || a.box.localeCompare(b.box))
+    .map((group) => {
+      const valued = group.rows.filter(row => row.costBasisRaw !== null && row.costBasisRaw !== undefined);
+      const sum = (rows, key) => roundTotal(rows.reduce((total, row) => total + (Number(row[key]) || 0), 0));
+      return {
+        ...group,
+        totals: {
+          proceeds: sum(group.rows, 'proceedsRaw'),
+          costBasis: sum(valued, 'costBasisRaw'),
+          adjustment: sum(group.rows, 'adjustmentAmount'),
+          gainLoss: sum(valued, 'gainLossRaw'),
+        },
+        missingBasisCount: group.rows.length - valued.length,
+      };
+    });
 }
 
 /**
- * Prepare ordinal data for Form 8949
+ * Prepare ordinal data for a hypothetical Form 8949 (planning only: every
+ * ordinal sold today at its listing or floor price, amounts in BTC). For a
+ * report you can file, use prepareRealizedForm8949Data.
  *
  * Form 8949 requires:
  * - (a) Description of property
@@ -60,8 +118,13 @@ function getHoldingPeriodType(acquiredDate, disposedDate) {
  * - (f) Code(s) from instructions (if any)
  * - (g) Amount of adjustment (if any)
  * - (h) Gain or (loss)
+ *
+ * With `fiat` ({ currency, spotPrice, closes }), each row is also valued in
+ * that reporting currency: proceeds at today's price and cost basis at the
+ * acquisition date's close (closes maps YYYY-MM-DD to a price). Rows whose
+ * close is unknown get blank fiat basis and gain.
  */
-export function prepareForm8949Data(ordinals, activityData, valueData) {
+export function prepareForm8949Data(ordinals, activityData, valueData, fiat = null) {
   const reportData = [];
 
   ordinals.forEach((ordinal) => {
@@ -90,7 +153,14 @@ export function prepareForm8949Data(ordinals, activityData, valueData) {
     const disposedDate = new Date().toISOString(); // Hypothetical disposal date (today)
     const holdingPeriodType = getHoldingPeriodType(acquiredDate, disposedDate);
 
+    const acquiredClose = acquiredDate ? fiat?.closes?.[new Date(acquiredDate).toISOString().slice(0, 10)] : null;
+    const proceedsFiat = fiat?.spotPrice ? currentPrice * fiat.spotPrice : null;
+    const costBasisFiat = acquiredClose ? purchasePrice * acquiredClose : null;
+    const gainLossFiat = proceedsFiat !== null && costBasisFiat !== null ? proceedsFiat - costBasisFiat : null;
+
     reportData.push({
+      mode: 'hypothetical',
+
       // Column A: Description of property
       description: `Bitcoin Ordinal ${ordinal.id.substring(0, 8)}...`,
       fullInscriptionId: ordinal.id,
@@ -121,6 +191,15 @@ export function prepareForm8949Data(ordinals, activityData, valueData) {
       gainLoss: formatBTC(gainLoss),
       gainLossRaw: gainLoss,
 
+      // Columns D, E and H in the reporting currency
+      currency: fiat?.currency || null,
+      proceedsFiat: formatFiatAmount(proceedsFiat),
+      proceedsFiatRaw: proceedsFiat,
+      costBasisFiat: formatFiatAmount(costBasisFiat),
+      costBasisFiatRaw: costBasisFiat,
+      gainLossFiat: formatFiatAmount(gainLossFiat),
+      gainLossFiatRaw: gainLossFiat,
+
       // Additional helpful information (not on Form 8949)
       holdingPeriodDays: calculateHoldingPeriod(acquiredDate, disposedDate),
       holdingPeriodType: holdingPeriodType,
@@ -135,16 +214,137 @@ export function prepareForm8949Data(ordinals, activityData, valueData) {
   return reportData;
 }
 
+/**
+ * Prepare Form 8949 rows from realized Harvy sales (GET /api/realized-sales):
+ * the sale transaction's block time as date sold, the ordinal's share of the
+ * sale proceeds, and USD amounts valued at the sale and acquisition dates.
+ * Rows without an acquisition-date basis have blank basis and gain columns.
+ */
+export function prepareRealizedForm8949Data(sales) {
+  const reportData = (sales || []).map((sale) => ({
+    mode: 'realized',
+
+    description: `Bitcoin Ordinal ${sale.inscriptionId.substring(0, 8)}...`,
+    fullInscriptionId: sale.inscriptionId,
+    txid: sale.txid,
+
+    dateAcquired: formatIRSDate(sale.dateAcquired),
+    dateAcquiredRaw: sale.dateAcquired,
+    dateDisposed: formatIRSDate(sale.dateSold),
+    dateDisposedRaw: sale.dateSold,
+
+    // Columns D, E and H in USD
+    proceeds: formatFiatAmount(sale.proceedsUSD),
+    proceedsRaw: sale.proceedsUSD,
+    costBasis: formatFiatAmount(sale.costBasisUSD),
+    costBasisRaw: sale.costBasisUSD,
+    adjustmentCode: '',
+    adjustmentAmount: '',
+    gainLoss: formatFiatAmount(sale.gainLossUSD),
+    gainLossRaw: sale.gainLossUSD,
+
+    currency: 'usd',
+    proceedsSats: sale.proceedsSats,
+    costBasisSats: sale.costBasisSats,
+    serviceFeeSats: sale.serviceFeeSats,
+    serviceFeeUSD: sale.serviceFeeUSD,
+
+    holdingPeriodDays: calculateHoldingPeriod(sale.dateAcquired, sale.dateSold),
+    holdingPeriodType: getHoldingPeriodType(sale.dateAcquired, sale.dateSold),
+  }));
+
+  // In order of sale, as the IRS lists them
+  reportData.sort((a, b) => new Date(a.dateDisposedRaw) - new Date(b.dateDisposedRaw));
+
+  return reportData;
+}
+
+// Realized rows: Form 8949 columns in USD, plus the on-chain record,
+// grouped by part and box with a totals row per box
+function realizedCSV(reportData, reporting) {
+  const headers = [
+    'Part',
+    'Box',
+    '(a) Description of property',
+    '(b) Date acquired',
+    '(c) Date sold or disposed',
+    '(d) Proceeds (USD)',
+    '(e) Cost or other basis (USD)',
+    '(f) Code(s)',
+    '(g) Amount of adjustment',
+    '(h) Gain or (loss) (USD)',
+    'Holding Period Type',
+    'Holding Period (Days)',
+    'Inscription ID',
+    'Sale Transaction ID',
+    'Proceeds (sats)',
+    'Cost basis (sats)',
+  ];
+
+  const rows = [];
+  groupForm8949ByBox(reportData, { reporting }).forEach((group) => {
+    group.rows.forEach(item => rows.push([
+      group.part,
+      group.box,
+      `"${item.description}"`,
+      item.dateAcquired,
+      item.dateDisposed,
+      item.proceeds,
+      item.costBasis,
+      item.adjustmentCode,
+      item.adjustmentAmount,
+      item.gainLoss,
+      item.holdingPeriodType,
+      item.holdingPeriodDays,
+      `"${item.fullInscriptionId}"`,
+      item.txid,
+      item.proceedsSats,
+      item.costBasisSats ?? '',
+    ]));
+    rows.push([
+      group.part,
+      group.box,
+      `"Totals - Box ${group.box} (Schedule D line ${group.scheduleDLine})"`,
+      '',
+      '',
+      formatFiatAmount(group.totals.proceeds),
+      formatFiatAmount(group.totals.costBasis),
+      '',
+      group.totals.adjustment ? formatFiatAmount(group.totals.adjustment) : '',
+      formatFiatAmount(group.totals.gainLoss),
+      '', '', '', '', '', '',
+    ]);
+  });
+
+  return [headers.join(','), ...rows.map(row => row.join(','))].join('\n');
+}
+
 /**
  * Generate CSV content for Form 8949
+ * Realized rows (prepareRealizedForm8949Data) give a fileable USD report,
+ * grouped by Part I/II and box (see groupForm8949ByBox) with box totals.
+ * Hypothetical rows open with a planning-only notice; rows prepared with a
+ * reporting currency get proceeds, basis and gain columns in that currency
+ * after the BTC columns
+ * @param {Array} reportData
+ * @param {object} [options] - { reporting }: one of the BROKER_REPORTING keys
  */
-export function generateForm8949CSV(reportData) {
+export function generateForm8949CSV(reportData, { reporting = 'none' } = {}) {
   if (!reportData || reportData.length === 0) {
     return null;
   }
 
+  if (reportData[0].mode === 'realized') {
+    return realizedCSV(reportData, reporting);
+  }
+
+  const currency = reportData[0].currency;
+  const code = currency ? currency.toUpperCase() : null;
+
   // CSV Header (Form 8949 columns)
   const headers = [
+    'Part',
+    'Box',
     '(a) Description of property',
     '(b) Date acquired',
     '(c) Date sold or disposed',
@@ -155,26 +355,48 @@ export function generateForm8949CSV(reportData) {
     '(h) Gain or (loss)',
     'Holding Period Type',
     'Holding Period (Days)',
-    'Inscription ID'
+    'Inscription ID',
+    ...(code ? [`Proceeds (${code})`, `Cost or other basis (${code})`, `Gain or (loss) (${code})`] : []),
   ];
 
-  // Build CSV rows
-  const rows = reportData.map(item => [
-    `"${item.description}"`,
-    item.dateAcquired,
-    item.dateDisposed,
-    item.proceeds,
-    item.costBasis,
-    item.adjustmentCode,
-    item.adjustmentAmount,
-    item.gainLoss,
-    item.holdingPeriodType,
-    item.holdingPeriodDays,
-    `"${item.fullInscriptionId}"`
-  ]);
+  // Build CSV rows, grouped by part and box with a BTC totals row per box
+  const rows = [];
+  groupForm8949ByBox(reportData, { reporting }).forEach((group) => {
+    group.rows.forEach(item => rows.push([
+      group.part,
+      group.box,
+      `"${item.description}"`,
+      item.dateAcquired,
+      item.dateDisposed,
+      item.proceeds,
+      item.costBasis,
+      item.adjustmentCode,
+      item.adjustmentAmount,
+      item.gainLoss,
+      item.holdingPeriodType,
+      item.holdingPeriodDays,
+      `"${item.fullInscriptionId}"`,
+      ...(code ? [item.proceedsFiat, item.costBasisFiat, item.gainLossFiat] : []),
+    ]));
+    rows.push([
+      group.part,
+      group.box,
+      `"Totals - Box ${group.box} (Schedule D line ${group.scheduleDLine})"`,
+      '',
+      '',
+      formatBTC(group.totals.proceeds),
+      formatBTC(group.totals.costBasis),
+      '',
+      '',
+      formatBTC(group.totals.gainLoss),
+      '', '', '',
+      ...(code ? ['', '', ''] : []),
+    ]);
+  });
 
   // Combine headers and rows
   const csvContent = [
+    '"PLANNING ONLY - hypothetical sale of each ordinal today at its listing or floor price. Not for filing."',
     headers.join(','),
     ...rows.map(row => row.join(','))
   ].join('\n');
@@ -182,8 +404,214 @@ export function generateForm8949CSV(reportData) {
   return csvContent;
 }
 
+/**
+ * TXF (Tax Exchange Format V042) reference codes for Form 8949 detail
+ * records, by box. TXF predates Form 1099-DA, so the digital-asset boxes
+ * G-L use the codes of their 1099-B counterparts A-F.
+ */
+export const TXF_REF_CODES = {
+  A: 711, B: 712, C: 715, D: 713, E: 714, F: 716,
+  G: 711, H: 712, I: 715, J: 713, K: 714, L: 716,
+};
+
+/**
+ * Generate a TXF file of realized sales for TurboTax and H&R Block desktop
+ * import: one detail record per ordinal sold, under the reference code of
+ * its Form 8949 box, with dates, USD cost basis and proceeds. Sales without
+ * a basis are written with blank acquisition date and basis for the user to
+ * complete in the tax software.
+ *
+ * @param {Array} reportData - Rows from prepareRealizedForm8949Data
+ * @param {object} [options]
+ * @param {string} [options.reporting] - One of the BROKER_REPORTING keys
+ * @param {Date} [options.exportDate] - Date written in the file header
+ * @returns {string|null} - TXF content, or null with no realized rows
+ */
+export function generateTXF(reportData, { reporting = 'none', exportDate = new Date() } = {}) {
+  const realized = (reportData || []).filter(row => row.mode === 'realized');
+  if (realized.length === 0) {
+    return null;
+  }
+
+  const lines = ['V042', 'AHarvy', `D${formatIRSDate(exportDate)}`, '^'];
+  groupForm8949ByBox(realized, { reporting }).forEach((group) => {
+    group.rows.forEach((item) => {
+      const hasBasis = item.costBasisRaw !== null && item.costBasisRaw !== undefined;
+      lines.push(
+        'TD',
+        `N${TXF_REF_CODES[group.box]}`,
+        'C1',
+        'L1',
+        `P${item.description}`,
+        `D${hasBasis ? item.dateAcquired : ''}`,
+        `D${item.dateDisposed}`,
+        `$${hasBasis ? item.costBasis : ''}`,
+        `$${item.proceeds}`,
+        '^',
+      );
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Satoshis as a BTC amount for tax-software imports
+function satsToBTCAmount(sats) {
+  return sats === null || sats === undefined ? '' : (sats / 1e8).toFixed(8);
+}
+
+// YYYY-MM-DD HH:mm:ss in UTC
+function formatUTCDateTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// MM/DD/YYYY HH:mm:ss in UTC
+function formatUSDateTime(timestamp) {
+  const [date, time] = formatUTCDateTime(timestamp).split(' ');
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year} ${time}`;
+}
+
+function quoteCSV(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Crypto tax software import formats. Each writer maps a realized Harvy sale
+ * to the tool's universal CSV: the ordinal (by inscription ID, quantity 1)
+ * is sent, its share of the proceeds is received in BTC, and its share of
+ * Harvy's service fee is the fee.
+ */
+export const EXPORT_FORMATS = {
+  koinly: {
+    label: 'Koinly',
+    headers: [
+      'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+      'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash',
+    ],
+    row: item => [
+      `${formatUTCDateTime(item.dateDisposedRaw)} UTC`,
+      1,
+      quoteCSV(item.fullInscriptionId),
+      satsToBTCAmount(item.proceedsSats),
+      'BTC',
+      satsToBTCAmount(item.serviceFeeSats),
+      item.serviceFeeSats ? 'BTC' : '',
+      formatFiatAmount(item.proceedsRaw),
+      'USD',
+      '',
+      quoteCSV(`Sold ordinal to Harvy: ${item.fullInscriptionId}`),
+      item.txid,
+    ],
+  },
+  cointracker: {
+    label: 'CoinTracker',
+    headers: ['Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency', 'Fee Amount', 'Fee Currency', 'Tag'],
+    row: item => [
+      formatUSDateTime(item.dateDisposedRaw),
+      satsToBTCAmount(item.proceedsSats),
+      'BTC',
+      1,
+      quoteCSV(item.fullInscriptionId),
+      satsToBTCAmount(item.serviceFeeSats),
+      item.serviceFeeSats ? 'BTC' : '',
+      '',
+    ],
+  },
+  coinledger: {
+    label: 'CoinLedger',
+    headers: [
+      'Date (UTC)', 'Platform (Optional)', 'Asset Sent', 'Amount Sent', 'Asset Received', 'Amount Received',
+      'Fee Currency (Optional)', 'Fee Amount (Optional)', 'Type', 'Description (Optional)', 'TxHash (Optional)',
+    ],
+    row: item => [
+      formatUSDateTime(item.dateDisposedRaw),
+      'Harvy',
+      quoteCSV(item.fullInscriptionId),
+      1,
+      'BTC',
+      satsToBTCAmount(item.proceedsSats),
+      item.serviceFeeSats ? 'BTC' : '',
+      satsToBTCAmount(item.serviceFeeSats),
+      'Trade',
+      quoteCSV(`Sold ordinal to Harvy: ${item.fullInscriptionId}`),
+      item.txid,
+    ],
+  },
+};
+
+/**
+ * Generate a crypto tax software CSV of realized sales, one row per ordinal
+ * sold, in date order.
+ *
+ * @param {string} formatId - An EXPORT_FORMATS key
+ * @param {Array} reportData - Rows from prepareRealizedForm8949Data
+ * @returns {string|null} - CSV content, or null with no realized rows
+ */
+export function generateExportCSV(formatId, reportData) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatId}`);
+  }
+  const realized = (reportData || []).filter(row => row.mode === 'realized');
+  if (realized.length === 0) {
+    return null;
+  }
+
+  return [
+    format.headers.join(','),
+    ...realized.map(item => format.row(item).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Generate a CSV of a non-US jurisdiction report: one row per realized sale
+ * in the local currency, with the repurchase rule outcome, then the summary
+ * lines of the local layout.
+ *
+ * @param {object} report - Response of /api/realized-sales/jurisdiction-report
+ * @param {object} statusLabels - Rule status => label
+ * @returns {string|null} - CSV content, or null with no sales
+ */
+export function generateJurisdictionCSV(report, statusLabels) {
+  if (!report || report.sales.length === 0) {
+    return null;
+  }
+  const code = report.currency.toUpperCase();
+  const headers = [
+    'Inscription ID', 'Date Acquired', 'Date Disposed',
+    `Proceeds (${code})`, `Cost (${code})`, `Incidental Costs (${code})`, `Gain or (Loss) (${code})`,
+    'Repurchase Rule', 'Re-acquired Inscription', 'Re-acquired On',
+    `Disallowed Loss (${code})`, `Allowable Gain or (Loss) (${code})`, 'Transaction ID',
+  ];
+  const rows = report.sales.map(sale => [
+    quoteCSV(sale.inscriptionId),
+    sale.dateAcquired || '',
+    sale.dateSold.slice(0, 10),
+    formatFiatAmount(sale.proceeds),
+    formatFiatAmount(sale.costBasis),
+    formatFiatAmount(sale.expenses),
+    formatFiatAmount(sale.gainLoss),
+    quoteCSV(statusLabels[sale.rule.status] || sale.rule.status),
+    quoteCSV(sale.rule.inscriptionId || ''),
+    sale.rule.acquiredOn || '',
+    formatFiatAmount(sale.disallowedLoss),
+    formatFiatAmount(sale.allowableGainLoss),
+    sale.txid,
+  ].join(','));
+
+  return [
+    quoteCSV(`${report.name}: ${report.title}, ${report.year}`),
+    headers.join(','),
+    ...rows,
+    '',
+    ...report.summary.map(line => `${quoteCSV(line.label)},${line.isCount ? line.amount : formatFiatAmount(line.amount)}`),
+  ].join('\n');
+}
+
 /**
  * Calculate total losses and statistics
+ * totalLossesFiat sums the reporting-currency losses (null if none could be valued)
  */
 export function calculateTaxSummary(reportData) {
   if (!reportData || reportData.length === 0) {
@@ -193,6 +621,8 @@ export function calculateTaxSummary(reportData) {
       totalLongTermLosses: 0,
       numberOfLosses: 0,
       averageLoss: 0,
+      totalLossesFiat: null,
+      unvaluedFiatCount: 0,
     };
   }
 
@@ -208,20 +638,28 @@ export function calculateTaxSummary(reportData) {
   const numberOfLosses = reportData.length;
   const averageLoss = numberOfLosses > 0 ? totalLosses / numberOfLosses : 0;
 
+  const valued = reportData.filter(item => item.gainLossFiatRaw !== null && item.gainLossFiatRaw !== undefined);
+  // A lot can be a BTC loss but a fiat gain when BTC rose since purchase
+  const totalLossesFiat = valued.length > 0
+    ? valued.reduce((sum, item) => sum - item.gainLossFiatRaw, 0)
+    : null;
+
   return {
     totalLosses,
     totalShortTermLosses: shortTermLosses,
     totalLongTermLosses: longTermLosses,
     numberOfLosses,
     averageLoss,
+    totalLossesFiat,
+    unvaluedFiatCount: reportData.length - valued.length,
   };
 }
 
 /**
- * Download CSV file
+ * Download a generated file
  */
-export function downloadCSV(csvContent, filename = 'harvy-tax-report.csv') {
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
   const link = document.createElement('a');
   const url = URL.createObjectURL(blob);
 
@@ -236,13 +674,34 @@ export function downloadCSV(csvContent, filename = 'harvy-tax-report.csv') {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Download CSV file
+ */
+export function downloadCSV(csvContent, filename = 'harvy-tax-report.csv') {
+  downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Download TXF file
+ */
+export function downloadTXF(txfContent, filename = 'harvy-tax-report.txf') {
+  downloadFile(txfContent, filename, 'text/plain;charset=utf-8;');
+}
+
+/**
+ * Download a PDF (Blob) fetched from the backend
+ */
+export function downloadPDF(pdfBlob, filename = 'harvy-tax-forms.pdf') {
+  downloadFile(pdfBlob, filename, 'application/pdf');
+}
+
 /**
  * Generate filename with current date
  */
-export function generateFilename(prefix = 'harvy-tax-report') {
+export function generateFilename(prefix = 'harvy-tax-report', extension = 'csv') {
   const now = new Date();
   const year = now.getFullYear();
   const month = String(now.getMonth() + 1).padStart(2, '0');
   const day = String(now.getDate()).padStart(2, '0');
-  return `${prefix}-${year}-${month}-${day}.csv`;
+  return `${prefix}-${year}-${month}-${day}.${extension}`;
 }
@@ -0,0 +1,651 @@
+// inscription-providers.js
+// Pluggable inscription indexer providers for Harvy (Magic Eden, Hiro, ord / ordinals.com, local fixtures)
+//
+// Every provider implements the same (optional) capabilities:
+//   listByOwner(address, { offset, limit }) → { items, total, limit } | null
+//   getInscription(id)                      → normalized inscription | null
+//   getLocation(id)                         → { txid, vout, output } | null
+//   getActivity(id)                         → [normalized activity] | null
+//   getContent(id, { headOnly })            → { contentType, body } | null
+//   getOutputInscriptions(output)           → { output, inscriptions: [id] } | null
+//   getOutputRunes(output)                  → { output, runes: [{ name, amount }] } | null
+//
+// A provider that does not support a capability simply omits the method.
+// Returning null means "not found here, try the next provider"; throwing
+// means "this provider is unavailable" and is also skipped with a warning.
+
+import fetch from 'node-fetch';
+import fs from 'fs';
+import { Readable } from 'stream';
+
+export const PROVIDER_CAPABILITIES = [
+  'listByOwner',
+  'getInscription',
+  'getLocation',
+  'getActivity',
+  'getContent',
+  'getOutputInscriptions',
+  'getOutputRunes',
+];
+
+// Default priority per capability when no env override is configured.
+// ordinals.com stays first for content because it is the canonical source.
+const DEFAULT_PROVIDER_ORDER = {
+  listByOwner: ['magiceden', 'hiro'],
+  getInscription: ['magiceden', 'hiro', 'ordinals'],
+  getLocation: ['magiceden', 'hiro'],
+  getActivity: ['magiceden', 'hiro'],
+  getContent: ['ordinals', 'hiro'],
+  getOutputInscriptions: ['hiro', 'ordinals'],
+  getOutputRunes: ['ordinals'],
+};
+
+// Env suffix per capability, e.g. INSCRIPTION_PROVIDERS_CONTENT=ord,ordinals
+const CAPABILITY_ENV_SUFFIX = {
+  listByOwner: 'LIST',
+  getInscription: 'INSCRIPTION',
+  getLocation: 'LOCATION',
+  getActivity: 'ACTIVITY',
+  getContent: 'CONTENT',
+  getOutputInscriptions: 'OUTPUT',
+  getOutputRunes: 'RUNES',
+};
+
+/* ------------------------------ Utilities ------------------------------ */
+
+/**
+ * Fetch JSON from an indexer. A 404 resolves to null (when allowed) so the
+ * caller can fall through to the next provider; other failures throw with
+ * `status` set so routes can map upstream errors to HTTP responses.
+ */
+async function fetchJson(url, { headers = {}, allowNotFound = true } = {}) {
+  const r = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+  if (r.status === 404 && allowNotFound) {
+    return null;
+  }
+  if (!r.ok) {
+    const text = await r.text().catch(() => '');
+    const err = new Error(`HTTP ${r.status} ${r.statusText} @ ${url} :: ${text.slice(0, 200)}`);
+    err.status = r.status;
+    throw err;
+  }
+  return r.json();
+}
+
+/**
+ * Fetch inscription content with retry and exponential backoff for transient
+ * failures (5xx, 429, timeouts, connection resets).
+ * @returns {Promise<Response|null>} - Upstream response, or null if unavailable
+ */
+async function fetchContentWithRetry(url, { method = 'GET', retries = 0 } = {}) {
+  const maxRetries = 2;
+  const timeout = 15000; // 15 seconds per attempt
+
+  try {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    const upstream = await fetch(url, {
+      method,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 Harvy/1.0',
+        Accept: '*/*',
+      },
+      signal: controller.signal,
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!upstream.ok) {
+      if (retries < maxRetries && (upstream.status >= 500 || upstream.status === 429)) {
+        const delay = Math.min(1000 * Math.pow(2, retries), 5000); // Exponential backoff, max 5s
+        console.log(`Retrying ${url} after ${delay}ms (attempt ${retries + 1}/${maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return fetchContentWithRetry(url, { method, retries: retries + 1 });
+      }
+      return null;
+    }
+
+    return upstream;
+  } catch (err) {
+    if (retries < maxRetries && (err.name === 'AbortError' || err.code === 'ECONNRESET')) {
+      const delay = Math.min(1000 * Math.pow(2, retries), 5000);
+      console.log(`Retrying ${url} after ${delay}ms due to ${err.name} (attempt ${retries + 1}/${maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return fetchContentWithRetry(url, { method, retries: retries + 1 });
+    }
+    return null;
+  }
+}
+
+function contentResult(upstream, headOnly) {
+  if (!upstream) {
+    return null;
+  }
+  return {
+    contentType: upstream.headers.get('content-type') || 'application/octet-stream',
+    body: headOnly ? null : upstream.body,
+  };
+}
+
+/**
+ * Split an "txid:vout" output (or "txid:vout:offset" satpoint) into its parts.
+ * @returns {object|null} - { txid, vout, output }
+ */
+export function parseOutpoint(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const [txid, voutRaw] = value.split(':');
+  const vout = parseInt(voutRaw, 10);
+  if (!/^[0-9a-f]{64}$/i.test(txid || '') || !Number.isInteger(vout) || vout < 0) {
+    return null;
+  }
+  return { txid, vout, output: `${txid}:${vout}` };
+}
+
+/**
+ * Normalized inscription shape shared by every provider. Market fields
+ * (listed price, collection floor) are only populated by marketplaces.
+ */
+function normalizeInscription(fields) {
+  return {
+    id: fields.id,
+    number: fields.number ?? null,
+    contentType: fields.contentType || null,
+    contentUri: fields.contentUri || null,
+    previewUri: fields.previewUri || null,
+    offchainImage: fields.offchainImage || null,
+    displayName: fields.displayName || null,
+    owner: fields.owner || null,
+    output: fields.output || null,
+    listedPriceSats: fields.listedPriceSats ?? null,
+    collection: fields.collection
+      ? {
+        id: fields.collection.id || null,
+        symbol: fields.collection.symbol || null,
+        name: fields.collection.name || null,
+        floorPriceSats: fields.collection.floorPriceSats ?? null,
+      }
+      : null,
+  };
+}
+
+/**
+ * Normalized activity entry. Prices are in sats.
+ */
+function normalizeActivity(fields) {
+  return {
+    kind: fields.kind,
+    createdAt: fields.createdAt || null,
+    txId: fields.txId || null,
+    priceSats: fields.priceSats ?? null,
+    listedPriceSats: fields.listedPriceSats ?? null,
+    oldOwner: fields.oldOwner || null,
+    newOwner: fields.newOwner || null,
+    location: fields.location || null,
+  };
+}
+
+/* ------------------------------ Providers ------------------------------ */
+
+/**
+ * Magic Eden ordinals API (fast indexing, marketplace data).
+ * Mainnet only; MAGICEDEN_API_KEY avoids free-tier rate limits.
+ */
+export function createMagicEdenProvider({
+  baseUrl = process.env.MAGICEDEN_API_URL || 'https://api-mainnet.magiceden.dev/v2/ord/btc',
+  apiKey = process.env.MAGICEDEN_API_KEY,
+} = {}) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  function fromToken(token) {
+    return normalizeInscription({
+      id: token.id,
+      number: token.inscriptionNumber ?? token.number,
+      contentType: token.contentType || token.content_type,
+      contentUri: token.contentURI,
+      previewUri: token.contentPreviewURI || token.contentURI,
+      offchainImage: token.meta?.high_res_img_url,
+      displayName: token.displayName || token.meta?.name,
+      owner: token.owner,
+      output: token.output,
+      listedPriceSats: token.listedPrice ?? null,
+      collection: token.collection
+        ? {
+          id: token.collection.id,
+          symbol: token.collection.symbol,
+          name: token.collection.name,
+          floorPriceSats: token.collection.floorPrice ?? null,
+        }
+        : null,
+    });
+  }
+
+  async function fetchToken(id) {
+    const json = await fetchJson(`${baseUrl}/tokens?tokenIds=${encodeURIComponent(id)}`, { headers });
+    if (!json) {
+      return null;
+    }
+    const token = Array.isArray(json) ? json[0] : (json.tokens || [])[0];
+    return token || null;
+  }
+
+  return {
+    name: 'magiceden',
+
+    async listByOwner(address, { offset = 0, limit = 100 } = {}) {
+      // Magic Eden requires limit to be a multiple of 20 (min 20, max 100)
+      const meLimit = Math.min(100, Math.max(20, Math.ceil(limit / 20) * 20));
+      const json = await fetchJson(
+        `${baseUrl}/tokens?ownerAddress=${encodeURIComponent(address)}&showAll=true&limit=${meLimit}&offset=${offset}`,
+        { headers, allowNotFound: false },
+      );
+      // Magic Eden returns { tokens: [...], total?: number } or an array
+      const tokens = Array.isArray(json) ? json : (json.tokens || []);
+      return {
+        items: tokens.map(fromToken),
+        total: json.total || tokens.length,
+        limit: meLimit,
+      };
+    },
+
+    async getInscription(id) {
+      const token = await fetchToken(id);
+      return token ? fromToken(token) : null;
+    },
+
+    async getLocation(id) {
+      const token = await fetchToken(id);
+      return parseOutpoint(token?.output);
+    },
+
+    async getActivity(id) {
+      // Magic Eden requires 'kind' parameter - fetch relevant activity types
+      // We need: sale (actual sales), buying_broadcasted (purchases), list (listings)
+      const activityKinds = ['sale', 'buying_broadcasted', 'list'];
+      const activities = [];
+      let succeeded = 0;
+
+      for (const kind of activityKinds) {
+        try {
+          const json = await fetchJson(
+            `${baseUrl}/activities?tokenId=${encodeURIComponent(id)}&kind=${kind}`,
+            { headers },
+          );
+          succeeded++;
+          for (const a of json?.activities || []) {
+            activities.push(normalizeActivity({
+              kind: a.kind,
+              createdAt: a.createdAt,
+              txId: a.txId,
+              priceSats: a.price ?? null,
+              listedPriceSats: a.listedPrice ?? null,
+              oldOwner: a.oldOwner,
+              newOwner: a.newOwner,
+              location: a.newLocation || a.location,
+            }));
+          }
+        } catch (err) {
+          // Continue fetching other kinds even if one fails
+          console.error(`Failed to fetch ${kind} activities for ${id}:`, err.message);
+        }
+      }
+
+      if (succeeded === 0) {
+        throw new Error(`Magic Eden activity lookup failed for ${id}`);
+      }
+      return activities;
+    },
+  };
+}
+
+/**
+ * Hiro ordinals API. HIRO_API_KEY is optional and raises rate limits.
+ */
+export function createHiroProvider({
+  baseUrl = 'https://api.hiro.so/ordinals/v1',
+  apiKey = process.env.HIRO_API_KEY,
+} = {}) {
+  const headers = apiKey ? { 'x-api-key': apiKey } : {};
+
+  function fromResult(r) {
+    return normalizeInscription({
+      id: r.id,
+      number: r.number,
+      contentType: r.content_type,
+      owner: r.address,
+      output: r.output,
+    });
+  }
+
+  return {
+    name: 'hiro',
+
+    async listByOwner(address, { offset = 0, limit = 60 } = {}) {
+      // Hiro caps page size at 60
+      const hiroLimit = Math.min(60, limit);
+      const json = await fetchJson(
+        `${baseUrl}/inscriptions?address=${encodeURIComponent(address)}&offset=${offset}&limit=${hiroLimit}`,
+        { headers, allowNotFound: false },
+      );
+      return {
+        items: (json.results || []).map(fromResult),
+        total: json.total ?? (json.results || []).length,
+        limit: hiroLimit,
+      };
+    },
+
+    async getInscription(id) {
+      const json = await fetchJson(`${baseUrl}/inscriptions/${encodeURIComponent(id)}`, { headers });
+      return json ? fromResult(json) : null;
+    },
+
+    async getLocation(id) {
+      const json = await fetchJson(`${baseUrl}/inscriptions/${encodeURIComponent(id)}`, { headers });
+      return parseOutpoint(json?.output);
+    },
+
+    async getActivity(id) {
+      const json = await fetchJson(`${baseUrl}/inscriptions/${encodeURIComponent(id)}/transfers?limit=60`, { headers });
+      if (!json) {
+        return null;
+      }
+      // Hiro only knows transfers, not marketplace prices
+      const transfers = json.results || [];
+      return transfers.map((t, i) => normalizeActivity({
+        kind: 'transfer',
+        createdAt: t.timestamp ? new Date(t.timestamp).toISOString() : null,
+        txId: t.tx_id,
+        newOwner: t.address,
+        oldOwner: transfers[i + 1]?.address || null,
+        location: t.location,
+      }));
+    },
+
+    async getContent(id, { headOnly = false } = {}) {
+      const upstream = await fetchContentWithRetry(
+        `${baseUrl}/inscriptions/${encodeURIComponent(id)}/content`,
+        { method: headOnly ? 'HEAD' : 'GET' },
+      );
+      return contentResult(upstream, headOnly);
+    },
+
+    async getOutputInscriptions(output) {
+      const json = await fetchJson(
+        `${baseUrl}/inscriptions?output=${encodeURIComponent(output)}&limit=60`,
+        { headers, allowNotFound: false },
+      );
+      return { output, inscriptions: (json.results || []).map(r => r.id) };
+    },
+  };
+}
+
+/**
+ * An `ord` server's JSON API. ordinals.com is a public instance of the same
+ * server, so it uses this implementation with a different base URL. Address
+ * listing requires the server to run with --index-addresses.
+ */
+export function createOrdServerProvider({
+  name = 'ord',
+  baseUrl = process.env.ORD_SERVER_URL,
+} = {}) {
+  if (!baseUrl) {
+    throw new Error(`${name} provider requires a base URL (set ORD_SERVER_URL)`);
+  }
+  const root = baseUrl.replace(/\/+$/, '');
+
+  // /output/<outpoint> lists inscriptions and, on rune-indexing servers,
+  // rune balances (an object keyed by rune name, or [name, balance] pairs
+  // on older versions). A 404 means the server has not indexed the output.
+  async function fetchOutput(output) {
+    return fetchJson(`${root}/output/${encodeURIComponent(output)}`);
+  }
+
+  function fromJson(json) {
+    const location = parseOutpoint(json.satpoint);
+    return normalizeInscription({
+      id: json.id || json.inscription_id,
+      number: json.number,
+      contentType: json.content_type,
+      owner: json.address,
+      output: location?.output,
+    });
+  }
+
+  return {
+    name,
+
+    async listByOwner(address, { offset = 0, limit = 60 } = {}) {
+      const json = await fetchJson(`${root}/address/${encodeURIComponent(address)}`, { allowNotFound: false });
+      const ids = json.inscriptions || [];
+      const page = ids.slice(offset, offset + limit);
+      const items = [];
+      for (const id of page) {
+        const detail = await fetchJson(`${root}/inscription/${id}`);
+        if (detail) {
+          items.push(fromJson(detail));
+        }
+      }
+      return { items, total: ids.length, limit };
+    },
+
+    async getInscription(id) {
+      const json = await fetchJson(`${root}/inscription/${encodeURIComponent(id)}`);
+      return json ? fromJson(json) : null;
+    },
+
+    async getLocation(id) {
+      const json = await fetchJson(`${root}/inscription/${encodeURIComponent(id)}`);
+      return parseOutpoint(json?.satpoint);
+    },
+
+    async getContent(id, { headOnly = false } = {}) {
+      const upstream = await fetchContentWithRetry(
+        `${root}/content/${encodeURIComponent(id)}`,
+        { method: headOnly ? 'HEAD' : 'GET' },
+      );
+      return contentResult(upstream, headOnly);
+    },
+
+    async getOutputInscriptions(output) {
+      const json = await fetchOutput(output);
+      return json ? { output, inscriptions: json.inscriptions || [] } : null;
+    },
+
+    async getOutputRunes(output) {
+      const json = await fetchOutput(output);
+      if (!json) {
+        return null;
+      }
+      const entries = Array.isArray(json.runes) ? json.runes : Object.entries(json.runes || {});
+      return {
+        output,
+        runes: entries.map(([name, balance]) => ({ name, amount: String(balance?.amount ?? balance) })),
+      };
+    },
+  };
+}
+
+/**
+ * Local fixture-backed provider so the backend can run offline in tests.
+ *
+ * Fixture file shape:
+ * {
+ *   "inscriptions": [{ "id", "number", "contentType", "owner", "output", "collection", ... }],
+ *   "activities": { "<inscriptionId>": [{ "kind", "createdAt", "priceSats", ... }] },
+ *   "content": { "<inscriptionId>": { "contentType", "text" | "base64" } },
+ *   "runes": { "<txid:vout>": [{ "name", "amount" }] }
+ * }
+ */
+export function createFixtureProvider({
+  fixturePath = process.env.INSCRIPTION_FIXTURE_PATH,
+  data,
+} = {}) {
+  if (!data && !fixturePath) {
+    throw new Error('fixture provider requires a fixture file (set INSCRIPTION_FIXTURE_PATH)');
+  }
+  const fixtures = data || JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  const inscriptions = (fixtures.inscriptions || []).map(normalizeInscription);
+  const byId = new Map(inscriptions.map(i => [i.id, i]));
+
+  return {
+    name: 'fixture',
+
+    async listByOwner(address, { offset = 0, limit = 100 } = {}) {
+      const owned = inscriptions.filter(i => i.owner === address);
+      return {
+        items: owned.slice(offset, offset + limit),
+        total: owned.length,
+        limit,
+      };
+    },
+
+    async getInscription(id) {
+      return byId.get(id) || null;
+    },
+
+    async getLocation(id) {
+      return parseOutpoint(byId.get(id)?.output);
+    },
+
+    async getActivity(id) {
+      const activities = fixtures.activities?.[id];
+      return activities ? activities.map(normalizeActivity) : null;
+    },
+
+    async getContent(id, { headOnly = false } = {}) {
+      const entry = fixtures.content?.[id];
+      if (!entry) {
+        return null;
+      }
+      const bytes = entry.base64
+        ? Buffer.from(entry.base64, 'base64')
+        : Buffer.from(entry.text || '', 'utf8');
+      return {
+        contentType: entry.contentType || 'application/octet-stream',
+        body: headOnly ? null : Readable.from([bytes]),
+      };
+    },
+
+    async getOutputInscriptions(output) {
+      return { output, inscriptions: inscriptions.filter(i => i.output === output).map(i => i.id) };
+    },
+
+    async getOutputRunes(output) {
+      return { output, runes: fixtures.runes?.[output] || [] };
+    },
+  };
+}
+
+/* --------------------------- Provider registry -------------------------- */
+
+const PROVIDER_FACTORIES = {
+  magiceden: () => createMagicEdenProvider(),
+  hiro: () => createHiroProvider(),
+  ordinals: () => createOrdServerProvider({ name: 'ordinals', baseUrl: 'https://ordinals.com' }),
+  ord: () => createOrdServerProvider(),
+  fixture: () => createFixtureProvider(),
+};
+
+function parseProviderList(value) {
+  return (value || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the provider priority for a capability.
+ * INSCRIPTION_PROVIDERS_<LIST|INSCRIPTION|LOCATION|ACTIVITY|CONTENT|OUTPUT|RUNES> wins
+ * over INSCRIPTION_PROVIDERS, which wins over the built-in default.
+ * @param {string} capability - One of PROVIDER_CAPABILITIES
+ * @returns {string[]} - Provider names in priority order
+ */
+export function resolveProviderOrder(capability, env = process.env) {
+  const specific = parseProviderList(env[`INSCRIPTION_PROVIDERS_${CAPABILITY_ENV_SUFFIX[capability]}`]);
+  if (specific.length > 0) {
+    return specific;
+  }
+  const global = parseProviderList(env.INSCRIPTION_PROVIDERS);
+  if (global.length > 0) {
+    return global;
+  }
+  return DEFAULT_PROVIDER_ORDER[capability];
+}
+
+/**
+ * Combine providers into a single object exposing every capability. Each
+ * call walks its priority list, skipping providers that lack the capability,
+ * return null, or throw. If every provider threw, the highest-priority error
+ * is rethrown (with `errors` listing all of them).
+ *
+ * @param {object} options
+ * @param {object} [options.providers] - name → provider instance (built lazily from the registry if omitted)
+ * @param {object} [options.order] - capability → provider names (defaults to resolveProviderOrder)
+ * @returns {object} - Provider chain exposing every PROVIDER_CAPABILITIES method
+ */
+export function createProviderChain({ providers = {}, order = {} } = {}) {
+  const instances = { ...providers };
+
+  function getProvider(name) {
+    if (!instances[name]) {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) {
+        throw new Error(`Unknown inscription provider: ${name}`);
+      }
+      instances[name] = factory();
+    }
+    return instances[name];
+  }
+
+  const chain = {};
+  for (const capability of PROVIDER_CAPABILITIES) {
+    chain[capability] = async (...args) => {
+      const names = order[capability] || resolveProviderOrder(capability);
+      const errors = [];
+      let attempted = 0;
+
+      for (const name of names) {
+        // An unknown name or a factory that throws (e.g. missing config) is a
+        // failed provider, not a reason to skip the rest of the chain
+        let provider;
+        try {
+          provider = getProvider(name);
+        } catch (e) {
+          attempted++;
+          console.warn(`${name} ${capability} failed: ${e.message}`);
+          errors.push(e);
+          continue;
+        }
+        if (typeof provider[capability] !== 'function') {
+          continue;
+        }
+
+        attempted++;
+        try {
+          const result = await provider[capability](...args);
+          if (result !== null && result !== undefined) {
+            // Tag object results with the provider that answered
+            return Array.isArray(result) ? result : { ...result, source: name };
+          }
+        } catch (e) {
+          console.warn(`${name} ${capability} failed: ${e.message}`);
+          errors.push(e);
+        }
+      }
+
+      if (attempted > 0 && errors.length === attempted) {
+        const err = errors[0];
+        err.errors = errors;
+        throw err;
+      }
+      return null;
+    };
+  }
+  return chain;
+}
+
+// Shared chain used by server.js and psbt-utils.js. Provider order is read
+// from the environment on every call; instances are created on first use.
+export const inscriptionProviders = createProviderChain();
@@ -0,0 +1,94 @@
+// network-config.js
+// One place for per-network settings: bitcoinjs params, address prefixes, mempool and explorer URLs
+
+import * as bitcoin from 'bitcoinjs-lib';
+
+// Signet and testnet4 share testnet's address encoding (tb1...); regtest uses bcrt1...
+// Regtest has no public mempool instance: the default is a local esplora (electrs --network regtest).
+export const NETWORKS = {
+  mainnet: {
+    params: bitcoin.networks.bitcoin,
+    mempoolApiUrl: 'https://mempool.space/api',
+    explorerUrl: 'https://mempool.space',
+  },
+  testnet: {
+    params: bitcoin.networks.testnet,
+    mempoolApiUrl: 'https://mempool.space/testnet/api',
+    explorerUrl: 'https://mempool.space/testnet',
+  },
+  testnet4: {
+    params: bitcoin.networks.testnet,
+    mempoolApiUrl: 'https://mempool.space/testnet4/api',
+    explorerUrl: 'https://mempool.space/testnet4',
+  },
+  signet: {
+    params: bitcoin.networks.testnet,
+    mempoolApiUrl: 'https://mempool.space/signet/api',
+    explorerUrl: 'https://mempool.space/signet',
+  },
+  regtest: {
+    params: bitcoin.networks.regtest,
+    mempoolApiUrl: 'http://127.0.0.1:3002',
+    explorerUrl: null,
+  },
+};
+
+/**
+ * Resolve BITCOIN_NETWORK (default mainnet).
+ * @returns {string} - One of the NETWORKS keys
+ * @throws {Error} for unknown network names
+ */
+export function getNetworkName(env = process.env) {
+  const name = (env.BITCOIN_NETWORK || 'mainnet').trim().toLowerCase();
+  if (!NETWORKS[name]) {
+    throw new Error(`Unknown BITCOIN_NETWORK: ${name} (expected ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Settings for the active network. MEMPOOL_API_URL and EXPLORER_URL
+ * override the per-network defaults.
+ * @returns {object} - { name, params, bech32, taprootPrefix, mempoolApiUrl, explorerUrl }
+ */
+export function getNetworkConfig(env = process.env) {
+  const name = getNetworkName(env);
+  const network = NETWORKS[name];
+  return {
+    name,
+    params: network.params,
+    bech32: network.params.bech32,
+    taprootPrefix: `${network.params.bech32}1p`,
+    mempoolApiUrl: (env.MEMPOOL_API_URL || network.mempoolApiUrl).replace(/\/+$/, ''),
+    explorerUrl: (env.EXPLORER_URL || network.explorerUrl || '').replace(/\/+$/, '') || null,
+  };
+}
+
+/**
+ * Base URL of the mempool (esplora) API for the active network.
+ * @returns {string}
+ */
+export function getMempoolApiUrl() {
+  return getNetworkConfig().mempoolApiUrl;
+}
+
+/**
+ * Whether an address looks like a Taproot address on the active network.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidTaprootAddress(address) {
+  const trimmed = (address || '').trim();
+  const { taprootPrefix } = getNetworkConfig();
+  return new RegExp(`^${taprootPrefix}[0-9a-z]{58,86}$`, 'i').test(trimmed);
+}
+
+/**
+ * Block explorer link for a transaction, or null when the network has none.
+ * @param {string} txid
+ * @returns {string|null}
+ */
+export function explorerTxUrl(txid) {
+  const { explorerUrl } = getNetworkConfig();
+  return explorerUrl ? `${explorerUrl}/tx/${txid}` : null;
+}
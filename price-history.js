@@ -0,0 +1,232 @@
+// price-history.js
+// Daily BTC closes by date and reporting currency: an importable local dataset plus an optional CoinGecko refresh
+
+import fs from 'fs';
+import path from 'path';
+import { parseCurrency } from './currencies.js';
+import { satsToFiat } from './psbt-utils.js';
+import { getTradeStore } from './trade-store.js';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function priceError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Validate a YYYY-MM-DD calendar date.
+ * @param {string} value
+ * @returns {string|null} - The date, or null if it is not a real calendar date
+ */
+export function parseIsoDate(value) {
+  const match = DATE_PATTERN.exec((value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().slice(0, 10) === match[0] ? match[0] : null;
+}
+
+function todayUTC(now) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a daily price CSV. A header row must name a `date` column and a
+ * `close` (or `price`) column; dates may be full ISO timestamps. An optional
+ * `currency` column tags each row (rows without one are USD).
+ * @param {string} contents - CSV text
+ * @returns {Array} - [{ date, currency, close }]
+ */
+export function parsePriceHistoryCsv(contents) {
+  const lines = contents.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+  const dateIndex = header.indexOf('date');
+  const closeIndex = header.includes('close') ? header.indexOf('close') : header.indexOf('price');
+  const currencyIndex = header.indexOf('currency');
+  if (dateIndex === -1 || closeIndex === -1) {
+    throw new Error('Price history CSV needs a header with "date" and "close" columns');
+  }
+
+  const prices = [];
+  let skipped = 0;
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    const date = parseIsoDate(cells[dateIndex]?.slice(0, 10));
+    const close = parseFloat(cells[closeIndex]);
+    const currency = currencyIndex === -1 || !cells[currencyIndex] ? 'usd' : parseCurrency(cells[currencyIndex]);
+    if (!date || !currency || !Number.isFinite(close) || close <= 0) {
+      skipped++;
+      continue;
+    }
+    prices.push({ date, currency, close });
+  }
+  if (skipped > 0) {
+    console.warn(`Skipped ${skipped} unparseable price history rows`);
+  }
+  return prices;
+}
+
+/**
+ * Fetch the BTC close for a UTC date from CoinGecko. Its history endpoint
+ * reports the price at 00:00 UTC, so a day's close is the next day's
+ * snapshot. The free API only serves the last 365 days.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [currency] - Reporting currency code
+ * @returns {Promise<number>} - Price of one BTC in that currency
+ */
+export async function fetchCoinGeckoDailyClose(date, currency = 'usd') {
+  const coingeckoAPI = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  const [year, month, day] = next.toISOString().slice(0, 10).split('-');
+
+  const response = await fetch(
+    `${coingeckoAPI}/coins/bitcoin/history?date=${day}-${month}-${year}&localization=false`,
+    { headers: { Accept: 'application/json' } },
+  );
+  if (!response.ok) {
+    throw new Error(`CoinGecko API error: ${response.status} ${response.statusText}`);
+  }
+  const json = await response.json();
+  const close = json?.market_data?.current_price?.[currency];
+  if (!Number.isFinite(close) || close <= 0) {
+    throw new Error(`CoinGecko has no BTC/${currency.toUpperCase()} price for ${date}`);
+  }
+  return close;
+}
+
+/**
+ * Daily close lookups backed by the trade store's btc_daily_prices table.
+ * Missing dates are fetched upstream (and stored) unless refresh is off.
+ *
+ * @param {object} options
+ * @param {object} options.store - Trade store
+ * @param {Function} [options.fetchDailyClose] - (date, currency) => Promise<number>
+ * @param {boolean} [options.refresh] - Fetch dates missing from the dataset (BTC_PRICE_HISTORY_REFRESH, default true)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} - { getDailyClose, importCsv }
+ */
+export function createPriceHistory({
+  store,
+  fetchDailyClose = fetchCoinGeckoDailyClose,
+  refresh = process.env.BTC_PRICE_HISTORY_REFRESH !== 'false',
+  now = () => new Date(),
+}) {
+  return {
+    /**
+     * BTC close for a past UTC date.
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} [currency] - Reporting currency code
+     * @returns {Promise<object>} - { date, currency, close, source }
+     * @throws {Error} with code INVALID_DATE (malformed or future), NO_DAILY_CLOSE (today) or PRICE_UNAVAILABLE
+     */
+    async getDailyClose(date, currency = 'usd') {
+      const day = parseIsoDate(date);
+      if (!day) {
+        throw priceError('INVALID_DATE', `Invalid date: ${date} (expected YYYY-MM-DD)`);
+      }
+      const today = todayUTC(now());
+      if (day > today) {
+        throw priceError('INVALID_DATE', `Invalid date: ${day} is in the future`);
+      }
+      if (day === today) {
+        throw priceError('NO_DAILY_CLOSE', `No daily close yet for ${day}`);
+      }
+
+      const pair = `BTC/${currency.toUpperCase()}`;
+      const stored = store.getDailyPrice(day, currency);
+      if (stored) {
+        return { date: day, currency, close: stored.close, source: stored.source };
+      }
+      if (!refresh) {
+        throw priceError('PRICE_UNAVAILABLE', `No ${pair} price for ${day} in the price history dataset`);
+      }
+
+      let close;
+      try {
+        close = await fetchDailyClose(day, currency);
+      } catch (e) {
+        throw priceError('PRICE_UNAVAILABLE', `No ${pair} price for ${day}: ${e.message}`);
+      }
+      store.upsertDailyPrices([{ date: day, currency, close, source: 'coingecko' }]);
+      return { date: day, currency, close, source: 'coingecko' };
+    },
+
+    /**
+     * Load a daily price CSV into the store. Dataset rows replace any
+     * previously fetched closes for the same dates.
+     * @param {string} filePath
+     * @returns {number} - Rows imported
+     */
+    importCsv(filePath) {
+      const prices = parsePriceHistoryCsv(fs.readFileSync(filePath, 'utf8'));
+      const source = `dataset:${path.basename(filePath)}`;
+      return store.upsertDailyPrices(prices.map(p => ({ ...p, source })));
+    },
+  };
+}
+
+/**
+ * Value each lot's cost basis at its purchase-date close in the reporting
+ * currency. Undated lots, and lots bought today (no close yet), use the
+ * current price.
+ * @param {object} priceHistory - createPriceHistory() result
+ * @param {Array} ordinals - [{ inscriptionId, purchasePriceSats, purchaseDate? }]
+ * @param {number} spotPrice - Current BTC price in `currency`
+ * @param {string} [currency] - Reporting currency code
+ * @returns {Promise<object>} - { currency, lots: [{ inscriptionId, purchasePriceSats, purchaseDate, btcPrice, priceSource, costBasis }], totalCostBasis }
+ */
+export async function valueCostBasis(priceHistory, ordinals, spotPrice, currency = 'usd') {
+  const lots = [];
+  for (const ord of ordinals) {
+    let price = { date: null, close: spotPrice, source: 'spot' };
+    if (ord.purchaseDate) {
+      try {
+        price = await priceHistory.getDailyClose(ord.purchaseDate, currency);
+      } catch (e) {
+        if (e.code !== 'NO_DAILY_CLOSE') {
+          throw e;
+        }
+        price = { ...price, date: parseIsoDate(ord.purchaseDate) };
+      }
+    }
+    lots.push({
+      inscriptionId: ord.inscriptionId,
+      purchasePriceSats: ord.purchasePriceSats,
+      purchaseDate: price.date,
+      btcPrice: price.close,
+      priceSource: price.source,
+      costBasis: satsToFiat(ord.purchasePriceSats, price.close),
+    });
+  }
+  return {
+    currency,
+    lots,
+    totalCostBasis: Math.round(lots.reduce((sum, lot) => sum + lot.costBasis, 0) * 100) / 100,
+  };
+}
+
+let sharedPriceHistory = null;
+
+/**
+ * Lazily open the shared price history used by server.js, importing the
+ * BTC_PRICE_HISTORY_PATH dataset (if set) the first time.
+ * @returns {object} - createPriceHistory() result
+ */
+export function getPriceHistory() {
+  if (!sharedPriceHistory) {
+    sharedPriceHistory = createPriceHistory({ store: getTradeStore() });
+    const datasetPath = process.env.BTC_PRICE_HISTORY_PATH;
+    if (datasetPath) {
+      const imported = sharedPriceHistory.importCsv(datasetPath);
+      console.log(`📈 Imported ${imported} daily BTC closes from ${datasetPath}`);
+    }
+  }
+  return sharedPriceHistory;
+}
@@ -0,0 +1,291 @@
+// price-oracle.js
+// Spot BTC price as the median of several sources, with outlier, staleness and quorum checks
+
+import { REPORTING_CURRENCIES } from './currencies.js';
+import { getMempoolApiUrl } from './network-config.js';
+
+const DEFAULT_SOURCES = ['coingecko', 'coinbase', 'kraken', 'mempool'];
+
+const CURRENCY_CODES = Object.keys(REPORTING_CURRENCIES);
+
+function oracleError(message, details = {}) {
+  const err = new Error(message);
+  err.code = 'PRICE_ORACLE_UNAVAILABLE';
+  Object.assign(err, details);
+  return err;
+}
+
+async function getJson(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+function positivePrices(entries) {
+  const prices = {};
+  for (const [currency, value] of entries) {
+    const price = Number(value);
+    if (CURRENCY_CODES.includes(currency) && Number.isFinite(price) && price > 0) {
+      prices[currency] = price;
+    }
+  }
+  return prices;
+}
+
+/**
+ * CoinGecko simple price (COINGECKO_API_URL).
+ * @returns {Promise<object>} - { prices: { usd, eur, ... }, timestamp } (timestamp in ms, null if unknown)
+ */
+export async function fetchCoinGeckoPrices() {
+  const base = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+  const json = await getJson(
+    `${base}/simple/price?ids=bitcoin&vs_currencies=${CURRENCY_CODES.join(',')}&include_last_updated_at=true`,
+  );
+  const updatedAt = json?.bitcoin?.last_updated_at;
+  return {
+    prices: positivePrices(Object.entries(json?.bitcoin || {})),
+    timestamp: Number.isFinite(updatedAt) ? updatedAt * 1000 : null,
+  };
+}
+
+/**
+ * Coinbase exchange rates for BTC (COINBASE_API_URL).
+ * @returns {Promise<object>} - { prices, timestamp: null }
+ */
+export async function fetchCoinbasePrices() {
+  const base = process.env.COINBASE_API_URL || 'https://api.coinbase.com/v2';
+  const json = await getJson(`${base}/exchange-rates?currency=BTC`);
+  const rates = Object.entries(json?.data?.rates || {}).map(([code, rate]) => [code.toLowerCase(), rate]);
+  return { prices: positivePrices(rates), timestamp: null };
+}
+
+/**
+ * Kraken last trade prices for the XBT pairs (KRAKEN_API_URL).
+ * @returns {Promise<object>} - { prices, timestamp: null }
+ */
+export async function fetchKrakenPrices() {
+  const base = process.env.KRAKEN_API_URL || 'https://api.kraken.com/0/public';
+  const pairs = CURRENCY_CODES.map(code => `XBT${code.toUpperCase()}`).join(',');
+  const json = await getJson(`${base}/Ticker?pair=${pairs}`);
+  if (json?.error?.length) {
+    throw new Error(json.error.join('; '));
+  }
+  // Result keys mix naming schemes (XXBTZUSD, XBTAUD); the quote currency is the suffix
+  const entries = Object.entries(json?.result || {}).map(([pair, ticker]) => [
+    pair.slice(-3).toLowerCase(),
+    ticker?.c?.[0],
+  ]);
+  return { prices: positivePrices(entries), timestamp: null };
+}
+
+/**
+ * mempool.space's /v1/prices for the active network's API.
+ * @returns {Promise<object>} - { prices, timestamp }
+ */
+export async function fetchMempoolPrices() {
+  const json = await getJson(`${getMempoolApiUrl()}/v1/prices`);
+  const entries = Object.entries(json || {}).map(([code, price]) => [code.toLowerCase(), price]);
+  return {
+    prices: positivePrices(entries),
+    timestamp: Number.isFinite(json?.time) ? json.time * 1000 : null,
+  };
+}
+
+export const PRICE_SOURCES = {
+  coingecko: fetchCoinGeckoPrices,
+  coinbase: fetchCoinbasePrices,
+  kraken: fetchKrakenPrices,
+  mempool: fetchMempoolPrices,
+};
+
+function parseNumberEnv(env, name, fallback, { integer = false, min = 0 } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') {
+    return fallback;
+  }
+  const value = integer ? parseInt(raw, 10) : parseFloat(raw);
+  if (!Number.isFinite(value) || value < min) {
+    throw new Error(`Invalid ${name} configuration`);
+  }
+  return value;
+}
+
+/**
+ * Oracle settings from the environment.
+ * @returns {object} - { sources, minSources, maxDeviationPct, maxAgeSeconds, cacheSeconds }
+ */
+export function getPriceOracleConfig(env = process.env) {
+  const sources = env.BTC_PRICE_SOURCES && env.BTC_PRICE_SOURCES.trim()
+    ? env.BTC_PRICE_SOURCES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : [...DEFAULT_SOURCES];
+  for (const name of sources) {
+    if (!PRICE_SOURCES[name]) {
+      throw new Error(`Unknown BTC price source: ${name} (expected ${Object.keys(PRICE_SOURCES).join(', ')})`);
+    }
+  }
+  const minSources = parseNumberEnv(env, 'BTC_PRICE_MIN_SOURCES', Math.min(2, sources.length), { integer: true, min: 1 });
+  if (minSources > sources.length) {
+    throw new Error('BTC_PRICE_MIN_SOURCES must not exceed the number of BTC_PRICE_SOURCES');
+  }
+  return {
+    sources,
+    minSources,
+    maxDeviationPct: parseNumberEnv(env, 'BTC_PRICE_MAX_DEVIATION_PCT', 2),
+    maxAgeSeconds: parseNumberEnv(env, 'BTC_PRICE_MAX_AGE_SECONDS', 300, { min: 1 }),
+    cacheSeconds: parseNumberEnv(env, 'BTC_PRICE_CACHE_SECONDS', 60),
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combine per-source quotes for one currency: drop stale quotes, take the
+ * median, reject quotes deviating from it by more than maxDeviationPct and
+ * re-take the median of the rest.
+ *
+ * @param {Array} quotes - [{ source, price, timestamp }] (timestamp in ms)
+ * @param {object} options - { currency, minSources, maxDeviationPct, maxAgeSeconds, now }
+ * @returns {object} - { currency, price, asOf, sources: [{ source, price, timestamp }], rejected: [{ source, price, reason }] }
+ * @throws {Error} with code PRICE_ORACLE_UNAVAILABLE when fewer than minSources agree
+ */
+export function aggregateQuotes(quotes, { currency, minSources, maxDeviationPct, maxAgeSeconds, now }) {
+  const rejected = [];
+  const fresh = [];
+  for (const quote of quotes) {
+    if (now - quote.timestamp > maxAgeSeconds * 1000) {
+      rejected.push({ source: quote.source, price: quote.price, reason: 'stale' });
+    } else {
+      fresh.push(quote);
+    }
+  }
+
+  let used = fresh;
+  if (fresh.length > 0) {
+    const center = median(fresh.map(q => q.price));
+    used = [];
+    for (const quote of fresh) {
+      const deviationPct = Math.abs(quote.price - center) / center * 100;
+      if (deviationPct > maxDeviationPct) {
+        rejected.push({ source: quote.source, price: quote.price, reason: `deviates ${deviationPct.toFixed(2)}% from median` });
+      } else {
+        used.push(quote);
+      }
+    }
+  }
+
+  if (used.length < minSources) {
+    throw oracleError(
+      `BTC/${currency.toUpperCase()} price unavailable: ${used.length} of ${minSources} required sources agree`,
+      { rejected },
+    );
+  }
+
+  return {
+    currency,
+    price: Math.round(median(used.map(q => q.price)) * 100) / 100,
+    // A quote is only as fresh as its oldest input
+    asOf: new Date(Math.min(...used.map(q => q.timestamp))).toISOString(),
+    sources: used.map(q => ({ source: q.source, price: q.price, timestamp: new Date(q.timestamp).toISOString() })),
+    rejected,
+  };
+}
+
+/**
+ * Create a price oracle. Every source is queried in parallel on a cache
+ * miss; a source that fails is left out. When a refresh cannot reach
+ * quorum, the last good quote keeps being served until it is older than
+ * maxAgeSeconds, after which the oracle refuses to quote.
+ *
+ * @param {object} [options] - getPriceOracleConfig() fields plus:
+ * @param {object} [options.fetchers] - source name → () => Promise<{ prices, timestamp }>
+ * @param {Function} [options.now] - Clock (ms), for tests
+ * @returns {object} - { getQuote(currency), clear() }
+ */
+export function createPriceOracle({
+  sources,
+  minSources,
+  maxDeviationPct,
+  maxAgeSeconds,
+  cacheSeconds,
+  fetchers = PRICE_SOURCES,
+  now = () => Date.now(),
+} = getPriceOracleConfig()) {
+  let snapshot = null; // { fetchedAt, quotes: { currency → [{ source, price, timestamp }] }, errors }
+  const lastGood = new Map(); // currency → aggregated quote
+  let inflight = null;
+
+  async function refresh() {
+    const fetchedAt = now();
+    const results = await Promise.allSettled(sources.map(name => fetchers[name]()));
+    const quotes = {};
+    const errors = [];
+    results.forEach((result, index) => {
+      const source = sources[index];
+      if (result.status === 'rejected') {
+        console.warn(`BTC price source ${source} failed: ${result.reason?.message}`);
+        errors.push({ source, error: result.reason?.message });
+        return;
+      }
+      const { prices, timestamp } = result.value;
+      for (const [currency, price] of Object.entries(prices)) {
+        (quotes[currency] ||= []).push({ source, price, timestamp: timestamp ?? fetchedAt });
+      }
+    });
+    snapshot = { fetchedAt, quotes, errors };
+  }
+
+  return {
+    /**
+     * Current BTC price in a reporting currency.
+     * @param {string} [currency]
+     * @returns {Promise<object>} - aggregateQuotes() result
+     * @throws {Error} with code PRICE_ORACLE_UNAVAILABLE
+     */
+    async getQuote(currency = 'usd') {
+      if (!snapshot || now() - snapshot.fetchedAt >= cacheSeconds * 1000) {
+        inflight ||= refresh().finally(() => { inflight = null; });
+        await inflight;
+      }
+
+      const options = { currency, minSources, maxDeviationPct, maxAgeSeconds, now: now() };
+      try {
+        const quote = aggregateQuotes(snapshot.quotes[currency] || [], options);
+        lastGood.set(currency, quote);
+        return quote;
+      } catch (e) {
+        const previous = lastGood.get(currency);
+        if (previous && now() - Date.parse(previous.asOf) <= maxAgeSeconds * 1000) {
+          console.warn(`${e.message}; serving the quote from ${previous.asOf}`);
+          return previous;
+        }
+        e.sourceErrors = snapshot.errors;
+        throw e;
+      }
+    },
+
+    /** Drop cached quotes (tests and configuration changes). */
+    clear() {
+      snapshot = null;
+      lastGood.clear();
+    },
+  };
+}
+
+let sharedOracle = null;
+
+/**
+ * Lazily create the shared oracle from the environment.
+ * @returns {object} - createPriceOracle() result
+ */
+export function getPriceOracle() {
+  if (!sharedOracle) {
+    sharedOracle = createPriceOracle(getPriceOracleConfig());
+  }
+  return sharedOracle;
+}
@@ -4,11 +4,38 @@
 import * as bitcoin from 'bitcoinjs-lib';
 import * as ecc from 'tiny-secp256k1';
 import { ECPairFactory } from 'ecpair';
+import { inscriptionProviders } from './inscription-providers.js';
+import { estimateFeeRate } from './fee-estimator.js';
+import { detectScriptType, estimateVsize, scriptTypeForAddress } from './tx-size.js';
+import { filterSpendableUtxos } from './utxo-reservations.js';
+import { getMempoolApiUrl, getNetworkConfig } from './network-config.js';
 
 // Initialize ECC library
 bitcoin.initEccLib(ecc);
 const ECPair = ECPairFactory(ecc);
 
+// nSequence signalling BIP125 replaceability, so stuck sales can be fee-bumped by RBF
+export const RBF_SEQUENCE = 0xfffffffd;
+
+// How the batch service fee is paid:
+//   seller_inputs — seller BTC inputs fund a separate fee output to Harvy
+//   net_payout    — the fee is netted against the seller payout (no seller BTC needed)
+//   auto          — seller_inputs, falling back to net_payout when the seller has no clean BTC
+export const FEE_SETTLEMENTS = ['seller_inputs', 'net_payout', 'auto'];
+
+/**
+ * Resolve the fee settlement from an explicit value or FEE_SETTLEMENT (default auto).
+ * @param {string} [settlement]
+ * @returns {string}
+ */
+export function resolveFeeSettlement(settlement) {
+  const resolved = (settlement || process.env.FEE_SETTLEMENT || 'auto').trim().toLowerCase();
+  if (!FEE_SETTLEMENTS.includes(resolved)) {
+    throw new Error(`Invalid fee settlement: ${resolved} (expected ${FEE_SETTLEMENTS.join(', ')})`);
+  }
+  return resolved;
+}
+
 /**
  * Return Harvy's flat service fee in sats for a single transaction.
  * @returns {number}
@@ -39,20 +66,26 @@ export function usdToSats(usd, btcPriceUSD) {
  * @returns {number} - Amount in USD
  */
 export function satsToUSD(sats, btcPriceUSD) {
+  return satsToFiat(sats, btcPriceUSD);
+}
+
+/**
+ * Convert satoshis to a fiat amount in the currency the BTC price is quoted in
+ * @param {number} sats - Amount in satoshis
+ * @param {number} btcPrice - BTC price in the target currency
+ * @returns {number} - Amount rounded to 2 decimals
+ */
+export function satsToFiat(sats, btcPrice) {
   const btc = sats / 100000000;
-  return Math.round(btc * btcPriceUSD * 100) / 100; // Round to 2 decimals
+  return Math.round(btc * btcPrice * 100) / 100; // Round to 2 decimals
 }
 
 /**
  * Get Bitcoin network configuration
- * @returns {object} - Bitcoin network object (mainnet or testnet)
+ * @returns {object} - bitcoinjs network params for BITCOIN_NETWORK (see network-config.js)
  */
 export function getNetwork() {
-  const networkName = process.env.BITCOIN_NETWORK || 'mainnet';
-  if (networkName === 'mainnet') {
-    return bitcoin.networks.bitcoin;
-  }
-  return bitcoin.networks.testnet;
+  return getNetworkConfig().params;
 }
 
 function parsePsbt(psbtString, network) {
@@ -75,6 +108,84 @@ function parsePsbt(psbtString, network) {
   throw new Error('Invalid PSBT encoding: expected base64 or hex PSBT');
 }
 
+/**
+ * Compute the txid of a PSBT's unsigned transaction. For all-segwit inputs
+ * this is also the txid of the final broadcast transaction, which lets us
+ * link a signed PSBT back to the one Harvy created.
+ * @param {string} psbtString - PSBT in base64 or hex
+ * @returns {string} - Unsigned transaction id
+ */
+export function getUnsignedTxid(psbtString) {
+  const psbt = parsePsbt(psbtString, getNetwork());
+  return bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId();
+}
+
+/**
+ * Virtual size of a fully-signed PSBT's final transaction, finalizing a
+ * copy the same way broadcastPSBT does.
+ * @param {string} psbtString - Signed PSBT in base64 or hex
+ * @returns {number} - vbytes
+ */
+export function getFinalVsize(psbtString) {
+  const psbt = parsePsbt(psbtString, getNetwork());
+  psbt.data.inputs.forEach((input, i) => {
+    if (input.finalScriptWitness || input.finalScriptSig) return;
+    if (input.tapKeySig) {
+      psbt.finalizeTaprootInput(i);
+    } else {
+      psbt.finalizeInput(i);
+    }
+  });
+  return psbt.extractTransaction().virtualSize();
+}
+
+/**
+ * Summarize a PSBT's unsigned transaction: inputs (with prevout values and
+ * addresses where known), outputs and the implied miner fee.
+ * @param {string} psbtString - PSBT in base64 or hex
+ * @returns {object} - { unsignedTxid, inputs, outputs, feeSats }
+ */
+export function summarizePsbt(psbtString) {
+  const network = getNetwork();
+  const psbt = parsePsbt(psbtString, network);
+
+  const decodeAddress = (script) => {
+    try {
+      return bitcoin.address.fromOutputScript(script, network);
+    } catch {
+      return null;
+    }
+  };
+
+  const inputs = psbt.txInputs.map((input, i) => {
+    const witnessUtxo = psbt.data.inputs[i].witnessUtxo;
+    return {
+      txid: Buffer.from(input.hash).reverse().toString('hex'),
+      vout: input.index,
+      value: witnessUtxo ? Number(witnessUtxo.value) : null,
+      address: witnessUtxo ? decodeAddress(witnessUtxo.script) : null,
+    };
+  });
+
+  const outputs = psbt.txOutputs.map((output) => ({
+    script: Buffer.from(output.script).toString('hex'),
+    address: decodeAddress(output.script),
+    value: Number(output.value),
+  }));
+
+  const inputTotal = inputs.every(i => i.value !== null)
+    ? inputs.reduce((sum, i) => sum + i.value, 0)
+    : null;
+  const outputTotal = outputs.reduce((sum, o) => sum + o.value, 0);
+
+  return {
+    unsignedTxid: bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId(),
+    inputs,
+    outputs,
+    feeSats: inputTotal === null ? null : inputTotal - outputTotal,
+  };
+}
+
 /**
  * SECURITY: Load Harvy's private key from environment
  * IMPORTANT: Never log or expose this key!
@@ -117,7 +228,7 @@ export function loadHarvyKeyPair() {
  * @returns {Promise<Array>} - Array of UTXO objects
  */
 export async function fetchUTXOs(address) {
-  const mempoolAPI = process.env.MEMPOOL_API_URL || 'https://mempool.space/api';
+  const mempoolAPI = getMempoolApiUrl();
   const url = `${mempoolAPI}/address/${address}/utxo`;
 
   try {
@@ -142,53 +253,19 @@ export async function fetchUTXOs(address) {
 export async function findInscriptionUTXO(address, inscriptionId) {
   // The inscription ID contains the REVEAL tx, but the ordinal may have been
   // transferred since then. We need the CURRENT UTXO location.
-  // Use Magic Eden (fast indexing) with Hiro as fallback.
+  // Ask the inscription providers in priority order (Magic Eden, then Hiro by default).
 
   let currentTxid, currentVout;
 
-  // Try Magic Eden first (faster indexing than Hiro)
   try {
-    const meHeaders = { Accept: 'application/json' };
-    if (process.env.MAGICEDEN_API_KEY) {
-      meHeaders['Authorization'] = `Bearer ${process.env.MAGICEDEN_API_KEY}`;
-    }
-    const meResp = await fetch(
-      `https://api-mainnet.magiceden.dev/v2/ord/btc/tokens?tokenIds=${encodeURIComponent(inscriptionId)}`,
-      { headers: meHeaders }
-    );
-    if (meResp.ok) {
-      const meData = await meResp.json();
-      const token = Array.isArray(meData) ? meData[0] : (meData.tokens || [])[0];
-      if (token && token.output) {
-        const [outTxid, outVout] = token.output.split(':');
-        currentTxid = outTxid;
-        currentVout = parseInt(outVout, 10);
-        console.log(`Inscription ${inscriptionId} current UTXO: ${currentTxid}:${currentVout} (from Magic Eden)`);
-      }
+    const location = await inscriptionProviders.getLocation(inscriptionId);
+    if (location) {
+      currentTxid = location.txid;
+      currentVout = location.vout;
+      console.log(`Inscription ${inscriptionId} current UTXO: ${currentTxid}:${currentVout} (from ${location.source})`);
     }
   } catch (e) {
-    console.warn(`Magic Eden lookup failed: ${e.message}`);
-  }
-
-  // Fallback to Hiro if Magic Eden didn't return data
-  if (!currentTxid) {
-    try {
-      const hiroResp = await fetch(
-        `https://api.hiro.so/ordinals/v1/inscriptions/${inscriptionId}`,
-        { headers: { Accept: 'application/json' } }
-      );
-      if (hiroResp.ok) {
-        const hiroData = await hiroResp.json();
-        if (hiroData.output) {
-          const [outTxid, outVout] = hiroData.output.split(':');
-          currentTxid = outTxid;
-          currentVout = parseInt(outVout, 10);
-          console.log(`Inscription ${inscriptionId} current UTXO: ${currentTxid}:${currentVout} (from Hiro fallback)`);
-        }
-      }
-    } catch (e) {
-      console.warn(`Hiro fallback failed: ${e.message}`);
-    }
+    console.warn(`Inscription location lookup failed: ${e.message}`);
   }
 
   // Last resort: parse from inscription ID (works only if never transferred)
@@ -253,13 +330,213 @@ export function selectUTXOs(utxos, targetSats, feeEstimate = 1000) {
   return { selected, total, change };
 }
 
+/**
+ * Select UTXOs when the miner fee depends on how many inputs get selected.
+ * Re-selects with a larger fee until the input count the fee was sized for
+ * covers the selection, then charges the fee for the inputs actually used.
+ * @param {Array} utxos - Available UTXOs
+ * @param {number} targetSats - Amount needed in satoshis (excluding fee)
+ * @param {Function} feeForInputCount - (inputCount) => fee in sats
+ * @returns {object} - { selected: Array, total: number, change: number, fee: number }
+ */
+export function selectUTXOsForFee(utxos, targetSats, feeForInputCount) {
+  let inputCount = 1;
+  for (;;) {
+    const selection = selectUTXOs(utxos, targetSats, feeForInputCount(inputCount));
+    if (selection.selected.length <= inputCount) {
+      const fee = feeForInputCount(selection.selected.length);
+      return { ...selection, change: selection.total - targetSats - fee, fee };
+    }
+    inputCount = selection.selected.length;
+  }
+}
+
+/**
+ * Select Harvy's funding UTXOs, skipping unconfirmed and reserved coins, and
+ * reserve the selection under the lease. Synchronous on purpose: nothing may
+ * await between reading the reservations and writing the new one.
+ * @param {Array} utxos - All of Harvy's UTXOs
+ * @param {object|null} harvyUtxoLease - Lease from createUtxoLease(), if any
+ * @param {number} targetSats - Amount needed in satoshis (excluding fee)
+ * @param {Function} feeForInputCount - (inputCount) => fee in sats
+ * @returns {object} - { selected, total, change, fee }
+ */
+function selectHarvyFunding(utxos, harvyUtxoLease, targetSats, feeForInputCount) {
+  const spendable = harvyUtxoLease ? harvyUtxoLease.filter(utxos) : filterSpendableUtxos(utxos);
+  if (spendable.length === 0) {
+    throw new Error('Harvy wallet has no confirmed, unreserved UTXOs. Please try again shortly.');
+  }
+
+  const selection = selectUTXOsForFee(spendable, targetSats, feeForInputCount);
+  if (harvyUtxoLease) {
+    harvyUtxoLease.reserve(selection.selected);
+  }
+  return selection;
+}
+
+/**
+ * Describe how the seller's fee-paying address is spent. Xverse and similar
+ * wallets keep spendable BTC in a separate P2WPKH or P2SH-P2WPKH payment
+ * address; the ordinals (Taproot) address is used when none is given.
+ *
+ * @param {object} params
+ * @param {string} params.address - Payment address
+ * @param {string} [params.publicKey] - Its public key (hex); required for P2SH-P2WPKH
+ * @param {Uint8Array} [params.taprootInternalKey] - x-only key to use for a P2TR address
+ * @param {object} [params.network] - bitcoinjs network (defaults to getNetwork())
+ * @returns {object} - { address, type, inputFields } where inputFields are merged into each addInput
+ */
+export function resolveSellerPaymentAccount({ address, publicKey, taprootInternalKey, network = getNetwork() }) {
+  let script;
+  try {
+    script = bitcoin.address.toOutputScript(address, network);
+  } catch (e) {
+    throw new Error(`Invalid payment address: ${e.message}`);
+  }
+  const type = detectScriptType(script);
+  const pubkey = publicKey ? Buffer.from(publicKey, 'hex') : null;
+
+  if (type === 'p2tr') {
+    let internalKey = taprootInternalKey;
+    if (pubkey) {
+      internalKey = pubkey.length === 33 ? pubkey.subarray(1, 33) : pubkey;
+    }
+    if (!internalKey) {
+      // Same fallback as the ordinals inputs: the tweaked key from the address
+      internalKey = bitcoin.address.fromBech32(address).data;
+    }
+    return { address, type, inputFields: { tapInternalKey: internalKey } };
+  }
+
+  if (type === 'p2wpkh') {
+    if (pubkey && bitcoin.payments.p2wpkh({ pubkey, network }).address !== address) {
+      throw new Error('Payment public key does not match the payment address');
+    }
+    return { address, type, inputFields: {} };
+  }
+
+  if (type === 'p2sh') {
+    if (!pubkey) {
+      throw new Error('A public key is required to spend from a P2SH-P2WPKH payment address');
+    }
+    const redeem = bitcoin.payments.p2wpkh({ pubkey, network });
+    if (bitcoin.payments.p2sh({ redeem, network }).address !== address) {
+      throw new Error('Payment public key does not match the payment address (expected P2SH-P2WPKH)');
+    }
+    return { address, type: 'p2sh-p2wpkh', inputFields: { redeemScript: redeem.output } };
+  }
+
+  throw new Error(`Unsupported payment address type: ${type || 'unknown'} (use P2TR, P2WPKH or P2SH-P2WPKH)`);
+}
+
+/**
+ * Build the wallet signInputs map (address → input indices) the frontend
+ * passes to signPsbt. Addresses without inputs are dropped.
+ * @param {Array} entries - [address, indices] pairs
+ * @returns {object}
+ */
+function groupSignInputs(entries) {
+  const signInputs = {};
+  for (const [address, indices] of entries) {
+    if (indices.length > 0) {
+      signInputs[address] = [...(signInputs[address] || []), ...indices];
+    }
+  }
+  return signInputs;
+}
+
+/**
+ * Explain why a UTXO must not be spent as plain BTC, or return null if it is
+ * a clean cardinal. Outputs no provider can vouch for are treated as unsafe.
+ * @param {object} utxo - { txid, vout, value }
+ * @param {object} options - { providers, checkRunes }
+ * @returns {Promise<string|null>}
+ */
+async function findUtxoAssets(utxo, { providers, checkRunes }) {
+  const output = `${utxo.txid}:${utxo.vout}`;
+  try {
+    const held = await providers.getOutputInscriptions(output);
+    if (!held) {
+      return 'inscriptions could not be checked';
+    }
+    if (held.inscriptions.length > 0) {
+      return `holds inscription ${held.inscriptions[0]}`;
+    }
+
+    if (checkRunes) {
+      const runes = await providers.getOutputRunes(output);
+      if (!runes) {
+        return 'runes could not be checked';
+      }
+      if (runes.runes.length > 0) {
+        return `holds rune ${runes.runes[0].name}`;
+      }
+    }
+  } catch (e) {
+    return `asset lookup failed: ${e.message}`;
+  }
+  return null;
+}
+
+/**
+ * Select seller UTXOs to fund a payment from plain BTC only. Candidates are
+ * checked smallest-first against the inscription providers (and for runes
+ * when SELLER_RUNES_CHECK=true); anything carrying assets, or that cannot be
+ * checked, is skipped.
+ * @param {Array} utxos - Candidate UTXOs (already excluding the ones being sold)
+ * @param {number} targetSats - Amount needed in satoshis
+ * @param {object} [options]
+ * @param {object} [options.providers] - Provider chain (defaults to inscriptionProviders)
+ * @param {boolean} [options.checkRunes] - Also require an empty runes balance
+ * @returns {Promise<object>} - { selected, total, change, skipped: [{ output, reason }] }
+ * @throws {Error} with code NO_CARDINAL_UTXOS when clean UTXOs cannot cover targetSats
+ */
+export async function selectCardinalUtxos(utxos, targetSats, {
+  providers = inscriptionProviders,
+  checkRunes = process.env.SELLER_RUNES_CHECK === 'true',
+} = {}) {
+  const sorted = [...utxos].sort((a, b) => a.value - b.value);
+  const selected = [];
+  const skipped = [];
+  let total = 0;
+
+  for (const utxo of sorted) {
+    if (total >= targetSats) {
+      break;
+    }
+    const reason = await findUtxoAssets(utxo, { providers, checkRunes });
+    if (reason) {
+      skipped.push({ output: `${utxo.txid}:${utxo.vout}`, reason });
+      continue;
+    }
+    selected.push(utxo);
+    total += utxo.value;
+  }
+
+  if (total < targetSats) {
+    for (const { output, reason } of skipped) {
+      console.warn(`Skipped seller UTXO ${output}: ${reason}`);
+    }
+    const err = new Error(
+      `Seller has ${total} sats in UTXOs free of inscriptions${checkRunes ? ' and runes' : ''}, ` +
+      `need ${targetSats} sats (${skipped.length} UTXO(s) skipped). ` +
+      'Send plain BTC to this address and try again.'
+    );
+    err.code = 'NO_CARDINAL_UTXOS';
+    err.skipped = skipped;
+    throw err;
+  }
+
+  return { selected, total, change: total - targetSats, skipped };
+}
+
 /**
  * Create transaction hex for a given txid (needed for PSBT)
  * @param {string} txid - Transaction ID
  * @returns {Promise<string>} - Raw transaction hex
  */
 export async function fetchTransactionHex(txid) {
-  const mempoolAPI = process.env.MEMPOOL_API_URL || 'https://mempool.space/api';
+  const mempoolAPI = getMempoolApiUrl();
   const url = `${mempoolAPI}/tx/${txid}/hex`;
 
   try {
@@ -300,10 +577,14 @@ export async function createOrdinalPurchasePSBT(params) {
     inscriptionId,
     sellerAddress,
     sellerPaymentUTXOs,  // UTXOs seller will use to pay service fee
+    sellerPaymentAddress,   // Optional address holding sellerPaymentUTXOs (defaults to sellerAddress)
+    sellerPaymentPublicKey, // Its public key (hex); required for P2SH-P2WPKH
     purchasePriceSats,   // Original purchase price (for tax calculation)
     offerSats,           // What Harvy will pay (e.g., 600 sats minimum)
     serviceFeeSats,      // Service fee amount
     btcPriceUSD,         // Current BTC price for calculations
+    feeRate: providedFeeRate, // Optional estimateFeeRate() result; estimated here if omitted
+    harvyUtxoLease,      // Optional createUtxoLease() result; selected Harvy UTXOs are reserved under it
   } = params;
 
   console.log('Creating PSBT with params:', {
@@ -331,18 +612,55 @@ export async function createOrdinalPurchasePSBT(params) {
     throw new Error(`Cannot find inscription ${inscriptionId} in seller's wallet`);
   }
 
+  // For now this function doesn't receive sellerPublicKey - fall back to address extraction
+  // TODO: Pass sellerPublicKey through this path too
+  const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
+  const sellerInternalPubkey = sellerDecoded.data;
+  const paymentAccount = resolveSellerPaymentAccount({
+    address: sellerPaymentAddress || sellerAddress,
+    publicKey: sellerPaymentPublicKey,
+    taprootInternalKey: sellerPaymentAddress ? undefined : sellerInternalPubkey,
+    network,
+  });
+
+  const feeRateEstimate = providedFeeRate || await estimateFeeRate();
+
   // Fetch Harvy's UTXOs to fund the purchase
   const harvyUTXOs = await fetchUTXOs(harvyAddress);
   if (harvyUTXOs.length === 0) {
     throw new Error('Harvy wallet has no UTXOs. Please fund the wallet first.');
   }
 
-  // Select UTXOs for Harvy to pay offerSats (estimate 1500 sats for fees)
-  const { selected: harvySelected, change: harvyChange } = selectUTXOs(
+  // Size the transaction per script type: seller inscription + payment inputs,
+  // Harvy's funding inputs, then seller payment, inscription, service fee and change outputs
+  const MIN_OUTPUT_VALUE = 546;
+  const feeRate = feeRateEstimate.satPerVb;
+  const sellerType = scriptTypeForAddress(sellerAddress, network);
+  const harvyType = scriptTypeForAddress(harvyAddress, network);
+  const vsizeFor = (harvyInputCount) => estimateVsize({
+    inputs: [
+      ...Array(harvyInputCount).fill(harvyType),
+      sellerType,
+      ...Array(sellerPaymentUTXOs.length).fill(paymentAccount.type),
+    ],
+    outputs: [
+      sellerType,
+      harvyType,
+      ...(serviceFeeSats >= MIN_OUTPUT_VALUE ? [harvyType] : []),
+      harvyType,
+    ],
+  });
+
+  // Select (and reserve) UTXOs for Harvy to pay offerSats plus the miner fee
+  const { selected: harvySelected, change: harvyChange, fee: estimatedFee } = selectHarvyFunding(
     harvyUTXOs,
+    harvyUtxoLease,
     offerSats,
-    1500
+    (count) => Math.ceil(vsizeFor(count) * feeRate)
   );
+  const estimatedVsize = vsizeFor(harvySelected.length);
+
+  console.log(`Estimated fee: ${estimatedFee} sats (${estimatedVsize} vbytes @ ${feeRate} sat/vb)`);
 
   // Create PSBT
   const psbt = new bitcoin.Psbt({ network });
@@ -358,6 +676,7 @@ export async function createOrdinalPurchasePSBT(params) {
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
+      sequence: RBF_SEQUENCE,
       witnessUtxo: {
         script: harvyP2tr.output,
         value: BigInt(utxo.value),
@@ -368,17 +687,13 @@ export async function createOrdinalPurchasePSBT(params) {
 
   // Add seller's inscription input (seller will sign this)
   // tapInternalKey must be the ACTUAL internal public key, not the tweaked output key
-  // For now this function doesn't receive sellerPublicKey - fall back to address extraction
-  // TODO: Pass sellerPublicKey through this path too
-  const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
-  const sellerInternalPubkey = sellerDecoded.data;
-
   const inscriptionTxHex = await fetchTransactionHex(inscriptionUTXO.txid);
   const inscriptionPrevTx = bitcoin.Transaction.fromHex(inscriptionTxHex);
   const inscriptionPrevOutput = inscriptionPrevTx.outs[inscriptionUTXO.vout];
   psbt.addInput({
     hash: inscriptionUTXO.txid,
     index: inscriptionUTXO.vout,
+    sequence: RBF_SEQUENCE,
     witnessUtxo: {
       script: inscriptionPrevOutput.script,
       value: BigInt(inscriptionUTXO.value),
@@ -387,18 +702,21 @@ export async function createOrdinalPurchasePSBT(params) {
   });
 
   // Add seller's payment UTXOs for service fee (seller will sign these)
+  const paymentInputIndices = [];
   for (const utxo of sellerPaymentUTXOs) {
     const txHex = await fetchTransactionHex(utxo.txid);
     const prevTx = bitcoin.Transaction.fromHex(txHex);
     const prevOutput = prevTx.outs[utxo.vout];
+    paymentInputIndices.push(psbt.inputCount);
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
+      sequence: RBF_SEQUENCE,
       witnessUtxo: {
         script: prevOutput.script,
         value: BigInt(utxo.value),
       },
-      tapInternalKey: sellerInternalPubkey,
+      ...paymentAccount.inputFields,
     });
   }
 
@@ -410,7 +728,6 @@ export async function createOrdinalPurchasePSBT(params) {
   });
 
   // OUTPUT 2: Inscription to Harvy (pad to dust limit if needed)
-  const MIN_OUTPUT_VALUE = 546;
   psbt.addOutput({
     address: harvyAddress,
     value: BigInt(Math.max(inscriptionUTXO.value, MIN_OUTPUT_VALUE)),
@@ -425,7 +742,9 @@ export async function createOrdinalPurchasePSBT(params) {
   }
 
   // OUTPUT 4: Change back to Harvy (if any)
+  let harvyChangeVout = null;
   if (harvyChange > 546) { // Only create change output if above dust limit
+    harvyChangeVout = psbt.txOutputs.length;
     psbt.addOutput({
       address: harvyAddress,
       value: BigInt(harvyChange),
@@ -455,6 +774,10 @@ export async function createOrdinalPurchasePSBT(params) {
     details: {
       harvyInputCount: harvySelected.length,
       sellerInputCount: 1 + sellerPaymentUTXOs.length,
+      signInputs: groupSignInputs([
+        [sellerAddress, [harvySelected.length]],
+        [paymentAccount.address, paymentInputIndices],
+      ]),
       inscriptionUTXO: {
         txid: inscriptionUTXO.txid,
         vout: inscriptionUTXO.vout,
@@ -466,6 +789,15 @@ export async function createOrdinalPurchasePSBT(params) {
         serviceFee: serviceFeeSats,
         harvyChange,
       },
+      harvyChangeVout, // Spendable by Harvy for CPFP fee bumps
+      estimatedFee,
+      estimatedVsize,
+      feeRate: {
+        satPerVb: feeRate,
+        target: feeRateEstimate.target,
+        source: feeRateEstimate.source,
+        clamped: feeRateEstimate.clamped,
+      },
     },
   };
 }
@@ -476,13 +808,14 @@ export async function createOrdinalPurchasePSBT(params) {
  * Transaction structure:
  * INPUTS:
  *   1-N. Seller's UTXOs containing inscriptions (one per ordinal)
- *   N+1 to K. Seller's ordinary BTC UTXOs (pay the flat service fee)
+ *   N+1 to K. Seller's ordinary BTC UTXOs from the payment address (pay the flat service fee;
+ *             none with feeSettlement net_payout)
  *   K+1 to M. Harvy's UTXOs (fund the ordinal purchase and miner fee)
  *
  * OUTPUTS:
  *   1-N. Each inscription → Harvy's address (preserving UTXO value)
- *   N+1. Seller payout (Harvy offer plus any seller-side fee change refund)
- *   N+2. Flat service fee → Harvy
+ *   N+1. Seller payout to the payment address (Harvy offer plus any seller-side fee change refund)
+ *   N+2. Flat service fee → Harvy (omitted when the fee is netted against the payout)
  *   N+3. Change → Harvy (if any)
  *
  * @param {object} params - Transaction parameters
@@ -493,8 +826,14 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
     ordinals,          // Array of { inscriptionId, purchasePriceSats, currentPriceSats }
     sellerAddress,
     sellerPublicKey,   // Seller's actual internal public key (hex string from wallet)
+    sellerPaymentAddress,   // Optional segwit payment address funding the fee (defaults to sellerAddress)
+    sellerPaymentPublicKey, // Its public key (hex); required for P2SH-P2WPKH
     totalOfferSats,    // Total payment (600 × ordinals.length)
     totalServiceFeeSats,
+    feeSettlement: requestedSettlement, // Optional FEE_SETTLEMENTS value (defaults to FEE_SETTLEMENT / auto)
+    feeRate: providedFeeRate, // Optional estimateFeeRate() result; estimated here if omitted
+    feeTarget,         // Optional 'fast' | 'normal' | 'economy' when estimating here
+    harvyUtxoLease,    // Optional createUtxoLease() result; selected Harvy UTXOs are reserved under it
   } = params;
 
   console.log('Creating BATCHED PSBT with params:', {
@@ -539,44 +878,111 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
     0
   );
 
+  // Resolve seller's internal public key for tapInternalKey
+  let sellerInternalPubkey;
+  if (sellerPublicKey) {
+    const pubkeyBuf = Buffer.from(sellerPublicKey, 'hex');
+    sellerInternalPubkey = pubkeyBuf.length === 33 ? pubkeyBuf.subarray(1, 33) : pubkeyBuf;
+    console.log(`Seller pubkey from wallet: ${sellerPublicKey} (${pubkeyBuf.length} bytes)`);
+    console.log(`Seller x-only internal pubkey: ${sellerInternalPubkey.toString('hex')}`);
+
+    const derivedP2tr = bitcoin.payments.p2tr({ internalPubkey: sellerInternalPubkey, network });
+    console.log(`Derived address from pubkey: ${derivedP2tr.address}`);
+    console.log(`Actual seller address:       ${sellerAddress}`);
+    console.log(`Address match: ${derivedP2tr.address === sellerAddress}`);
+
+    if (derivedP2tr.address !== sellerAddress) {
+      console.warn('⚠️  Public key does NOT derive to seller address!');
+      const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
+      console.log(`Tweaked output key from address: ${sellerDecoded.data.toString('hex')}`);
+    }
+  } else {
+    console.warn('⚠️  No sellerPublicKey provided, falling back to tweaked key from address');
+    const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
+    sellerInternalPubkey = sellerDecoded.data;
+  }
+
+  // The fee is funded from the seller's payment address when the wallet has
+  // one (Xverse P2WPKH / P2SH-P2WPKH), otherwise from the ordinals address
+  const paymentAccount = resolveSellerPaymentAccount({
+    address: sellerPaymentAddress || sellerAddress,
+    publicKey: sellerPaymentPublicKey,
+    taprootInternalKey: sellerPaymentAddress ? undefined : sellerInternalPubkey,
+    network,
+  });
+
   // Fetch seller UTXOs to fund the flat service fee.
-  const sellerAllUtxos = await fetchUTXOs(sellerAddress);
+  const sellerAllUtxos = await fetchUTXOs(paymentAccount.address);
   const inscriptionKeys = new Set(inscriptionUTXOs.map((utxo) => `${utxo.txid}:${utxo.vout}`));
   const sellerSpendableUtxos = sellerAllUtxos.filter(
     (utxo) => !inscriptionKeys.has(`${utxo.txid}:${utxo.vout}`)
   );
 
-  if (totalServiceFeeSats > 0 && sellerSpendableUtxos.length === 0) {
-    throw new Error('Seller has no spendable BTC UTXOs available to fund the flat service fee');
+  // Other UTXOs may carry inscriptions or runes; only clean cardinals pay the fee
+  const settlementMode = resolveFeeSettlement(requestedSettlement);
+  let feeSettlement = settlementMode === 'net_payout' ? 'net_payout' : 'seller_inputs';
+  let sellerFeeSelection = { selected: [], change: 0 };
+  if (totalServiceFeeSats > 0 && feeSettlement === 'seller_inputs') {
+    try {
+      sellerFeeSelection = await selectCardinalUtxos(sellerSpendableUtxos, totalServiceFeeSats);
+    } catch (e) {
+      if (settlementMode !== 'auto' || e.code !== 'NO_CARDINAL_UTXOS') {
+        throw e;
+      }
+      console.log(`Seller cannot fund the service fee (${e.message}); netting it against the payout`);
+      feeSettlement = 'net_payout';
+    }
   }
-
-  const sellerFeeSelection = totalServiceFeeSats > 0
-    ? selectUTXOs(sellerSpendableUtxos, totalServiceFeeSats, 0)
-    : { selected: [], change: 0 };
   const sellerFeeSelected = sellerFeeSelection.selected;
   const sellerFeeChange = sellerFeeSelection.change;
 
+  // Netting: Harvy keeps the fee out of the payout instead of receiving a fee
+  // output. The offer is raised when needed so the payout stays above dust.
+  const feeNetted = feeSettlement === 'net_payout';
+  const grossOfferSats = feeNetted
+    ? Math.max(totalOfferSats, totalServiceFeeSats + MIN_OUTPUT_VALUE)
+    : totalOfferSats;
+  const harvyPayoutSats = feeNetted ? grossOfferSats - totalServiceFeeSats : totalOfferSats;
+  const serviceFeeOutputSats = feeNetted ? 0 : totalServiceFeeSats;
+
+  const feeRateEstimate = providedFeeRate || await estimateFeeRate({ target: feeTarget });
+
   // Fetch Harvy's UTXOs to fund the purchase
   const harvyUTXOs = await fetchUTXOs(harvyAddress);
   if (harvyUTXOs.length === 0) {
     throw new Error('Harvy wallet has no UTXOs. Please fund the wallet first.');
   }
 
-  // Estimate fees: ~180 bytes per input + ~34 bytes per output + 10 bytes overhead
+  // Size the transaction per script type
   // Inputs: inscriptionUTXOs + sellerFeeSelected + harvySelected
   // Outputs: inscription transfers + seller payout + service fee + Harvy change
-  const estimatedVsize = 10 + (180 * (1 + inscriptionUTXOs.length + sellerFeeSelected.length)) + (34 * (3 + inscriptionUTXOs.length));
-  const feeRate = 5; // sats/vbyte (conservative for testnet)
-  const estimatedFee = Math.ceil(estimatedVsize * feeRate);
-
-  console.log(`Estimated fee: ${estimatedFee} sats (${estimatedVsize} vbytes @ ${feeRate} sat/vb)`);
+  const feeRate = feeRateEstimate.satPerVb;
+  const sellerType = scriptTypeForAddress(sellerAddress, network);
+  const harvyType = scriptTypeForAddress(harvyAddress, network);
+  const vsizeFor = (harvyInputCount) => estimateVsize({
+    inputs: [
+      ...Array(inscriptionUTXOs.length).fill(sellerType),
+      ...Array(sellerFeeSelected.length).fill(paymentAccount.type),
+      ...Array(harvyInputCount).fill(harvyType),
+    ],
+    outputs: [
+      ...Array(inscriptionUTXOs.length).fill(harvyType),
+      paymentAccount.type,
+      ...(serviceFeeOutputSats >= MIN_OUTPUT_VALUE ? [harvyType] : []),
+      harvyType,
+    ],
+  });
 
-  // Select UTXOs for Harvy to pay totalOfferSats + fees
-  const { selected: harvySelected, change: harvyChange } = selectUTXOs(
+  // Select (and reserve) UTXOs for Harvy to pay the seller payout + fees
+  const { selected: harvySelected, change: harvyChange, fee: estimatedFee } = selectHarvyFunding(
     harvyUTXOs,
-    totalOfferSats + totalInscriptionOutputValue, // Need to cover payment + inscription outputs (padded)
-    estimatedFee
+    harvyUtxoLease,
+    harvyPayoutSats + totalInscriptionOutputValue, // Need to cover payment + inscription outputs (padded)
+    (count) => Math.ceil(vsizeFor(count) * feeRate)
   );
+  const estimatedVsize = vsizeFor(harvySelected.length);
+
+  console.log(`Estimated fee: ${estimatedFee} sats (${estimatedVsize} vbytes @ ${feeRate} sat/vb, ${feeRateEstimate.target} via ${feeRateEstimate.source})`);
 
   // Create PSBT
   const psbt = new bitcoin.Psbt({ network });
@@ -586,30 +992,6 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
   const harvyInternalPubkey = harvyKeyPair.publicKey.subarray(1, 33); // x-only pubkey
   const harvyP2tr = bitcoin.payments.p2tr({ internalPubkey: harvyInternalPubkey, network });
 
-  // Resolve seller's internal public key for tapInternalKey
-  let sellerInternalPubkey;
-  if (sellerPublicKey) {
-    const pubkeyBuf = Buffer.from(sellerPublicKey, 'hex');
-    sellerInternalPubkey = pubkeyBuf.length === 33 ? pubkeyBuf.subarray(1, 33) : pubkeyBuf;
-    console.log(`Seller pubkey from wallet: ${sellerPublicKey} (${pubkeyBuf.length} bytes)`);
-    console.log(`Seller x-only internal pubkey: ${sellerInternalPubkey.toString('hex')}`);
-
-    const derivedP2tr = bitcoin.payments.p2tr({ internalPubkey: sellerInternalPubkey, network });
-    console.log(`Derived address from pubkey: ${derivedP2tr.address}`);
-    console.log(`Actual seller address:       ${sellerAddress}`);
-    console.log(`Address match: ${derivedP2tr.address === sellerAddress}`);
-
-    if (derivedP2tr.address !== sellerAddress) {
-      console.warn('⚠️  Public key does NOT derive to seller address!');
-      const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
-      console.log(`Tweaked output key from address: ${sellerDecoded.data.toString('hex')}`);
-    }
-  } else {
-    console.warn('⚠️  No sellerPublicKey provided, falling back to tweaked key from address');
-    const sellerDecoded = bitcoin.address.fromBech32(sellerAddress);
-    sellerInternalPubkey = sellerDecoded.data;
-  }
-
   // ============================================================
   // INPUT ORDERING: Inscription inputs FIRST, then Harvy's funding inputs.
   //
@@ -633,6 +1015,7 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
+      sequence: RBF_SEQUENCE,
       witnessUtxo: {
         script: prevOutput.script,
         value: BigInt(utxo.value),
@@ -642,20 +1025,24 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
   }
 
   // INPUTS N to K: Seller's ordinary BTC inputs to pay Harvy's flat service fee
+  const ordinalsInputIndices = [...sellerInputIndices];
+  const paymentInputIndices = [];
   for (const utxo of sellerFeeSelected) {
     const txHex = await fetchTransactionHex(utxo.txid);
     const prevTx = bitcoin.Transaction.fromHex(txHex);
     const prevOutput = prevTx.outs[utxo.vout];
     const inputIndex = psbt.inputCount;
     sellerInputIndices.push(inputIndex);
+    paymentInputIndices.push(inputIndex);
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
+      sequence: RBF_SEQUENCE,
       witnessUtxo: {
         script: prevOutput.script,
         value: BigInt(utxo.value),
       },
-      tapInternalKey: sellerInternalPubkey,
+      ...paymentAccount.inputFields,
     });
   }
 
@@ -665,6 +1052,7 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
     psbt.addInput({
       hash: utxo.txid,
       index: utxo.vout,
+      sequence: RBF_SEQUENCE,
       witnessUtxo: {
         script: harvyP2tr.output,
         value: BigInt(utxo.value),
@@ -691,24 +1079,27 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
 
   // Refund any seller-side overage back into the same payout output so the
   // transaction still has a single non-Harvy recipient output.
-  const sellerPayoutSats = totalOfferSats + sellerFeeChange;
+  const sellerPayoutSats = harvyPayoutSats + sellerFeeChange;
 
-  // OUTPUT N: Payment to seller
+  // OUTPUT N: Payment to seller, at the payment address so the proceeds and
+  // fee change land where the wallet keeps spendable BTC
   psbt.addOutput({
-    address: sellerAddress,
+    address: paymentAccount.address,
     value: BigInt(sellerPayoutSats),
   });
 
-  // OUTPUT N+1: Service fee to Harvy (only if above dust limit)
-  if (totalServiceFeeSats >= MIN_OUTPUT_VALUE) {
+  // OUTPUT N+1: Service fee to Harvy (only if above dust limit and not netted)
+  if (serviceFeeOutputSats >= MIN_OUTPUT_VALUE) {
     psbt.addOutput({
       address: harvyAddress,
-      value: BigInt(totalServiceFeeSats),
+      value: BigInt(serviceFeeOutputSats),
     });
   }
 
   // OUTPUT N+2: Change back to Harvy (if any)
+  let harvyChangeVout = null;
   if (harvyChange > 546) {
+    harvyChangeVout = psbt.txOutputs.length;
     psbt.addOutput({
       address: harvyAddress,
       value: BigInt(harvyChange),
@@ -737,6 +1128,15 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
       harvyInputCount: harvySelected.length,
       sellerInputCount: inscriptionUTXOs.length + sellerFeeSelected.length,
       sellerInputIndices, // Indices the seller needs to sign
+      // Per-address indices for wallets that sign by address (Xverse signInputs)
+      signInputs: groupSignInputs([
+        [sellerAddress, ordinalsInputIndices],
+        [paymentAccount.address, paymentInputIndices],
+      ]),
+      sellerPaymentAddress: paymentAccount.address,
+      sellerPaymentType: paymentAccount.type,
+      feeSettlement,
+      grossOfferSats, // Sale proceeds: the offer, raised if netting the fee required it
       inscriptionUTXOs: inscriptionUTXOs.map(u => ({
         inscriptionId: u.inscriptionId,
         txid: u.txid,
@@ -751,7 +1151,16 @@ export async function createBatchedOrdinalPurchasePSBT(params) {
         sellerFeeInputTotal: sellerFeeSelected.reduce((sum, utxo) => sum + utxo.value, 0),
         sellerFeeChange,
       },
+      harvyChangeVout, // Spendable by Harvy for CPFP fee bumps
       estimatedFee,
+      estimatedVsize,
+      feeRate: {
+        satPerVb: feeRate,
+        target: feeRateEstimate.target,
+        source: feeRateEstimate.source,
+        clamped: feeRateEstimate.clamped,
+      },
+      unsignedTxid: bitcoin.Transaction.fromBuffer(psbt.data.getTransaction()).getId(),
     },
   };
 }
@@ -840,11 +1249,17 @@ export async function broadcastPSBT(psbtBase64) {
 
   // Extract the final transaction
   const tx = psbt.extractTransaction();
-  const txHex = tx.toHex();
-  const txid = tx.getId();
+  return broadcastRawTransaction(tx.toHex(), tx.getId());
+}
 
-  // Broadcast to mempool
-  const mempoolAPI = process.env.MEMPOOL_API_URL || 'https://mempool.space/api';
+/**
+ * Broadcast a finalized raw transaction via the mempool API.
+ * @param {string} txHex - Raw transaction hex
+ * @param {string} txid - Expected txid (returned when the tx is already known)
+ * @returns {Promise<string>} - Transaction ID
+ */
+export async function broadcastRawTransaction(txHex, txid) {
+  const mempoolAPI = getMempoolApiUrl();
   const url = `${mempoolAPI}/tx`;
 
   try {
@@ -884,7 +1299,9 @@ export async function broadcastPSBT(psbtBase64) {
  * - At least one input must clearly belong to Harvy (funding input)
  * - All outputs must decode to standard addresses for the active network
  * - Exactly ONE non-Harvy output is allowed (the seller's payment)
- * - The seller payment amount must be within a sane range
+ * - The seller payment amount must be within a sane range (when the service
+ *   fee was netted against it, the floor is the dust limit rather than
+ *   MIN_ORDINAL_PAYMENT_SATS, and there is no separate fee output)
  * - Total output value must be capped
  *
  * These checks significantly reduce the risk that an attacker can craft a
@@ -892,9 +1309,11 @@ export async function broadcastPSBT(psbtBase64) {
  * normal PSBT creation endpoints.
  *
  * @param {string} psbtBase64 - Fully or partially signed PSBT in base64
+ * @param {object} [options]
+ * @param {string} [options.feeSettlement] - Settlement the PSBT was quoted with ('seller_inputs' | 'net_payout')
  * @throws {Error} if validation fails
  */
-export function validatePsbtForHarvySafety(psbtBase64) {
+export function validatePsbtForHarvySafety(psbtBase64, { feeSettlement = 'seller_inputs' } = {}) {
   const network = getNetwork();
   const harvyAddress = process.env.HARVY_WALLET_ADDRESS;
 
@@ -952,7 +1371,9 @@ export function validatePsbtForHarvySafety(psbtBase64) {
   const sellerOutput = nonHarvyOutputs[0];
 
   // Value guards (sats)
-  const MIN_PAYMENT_SATS = BigInt(parseInt(process.env.MIN_ORDINAL_PAYMENT_SATS || '600', 10));
+  const MIN_PAYMENT_SATS = feeSettlement === 'net_payout'
+    ? 546n
+    : BigInt(parseInt(process.env.MIN_ORDINAL_PAYMENT_SATS || '600', 10));
   const MAX_SELLER_PAYOUT_SATS = BigInt(parseInt(process.env.MAX_SELLER_PAYOUT_SATS || '10000000', 10)); // default: 0.1 BTC
 
   if (sellerOutput.value < MIN_PAYMENT_SATS) {
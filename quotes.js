@@ -0,0 +1,119 @@
+// quotes.js
+// Server-issued quotes that bind a created PSBT to the one later finalized
+
+import crypto from 'crypto';
+import { summarizePsbt } from './psbt-utils.js';
+import { hashPsbt } from './trade-store.js';
+import { createUtxoLease } from './utxo-reservations.js';
+
+/**
+ * Quote lifetime in seconds (QUOTE_TTL_SECONDS, default 10 minutes).
+ * @returns {number}
+ */
+export function getQuoteTtlSeconds() {
+  const raw = parseInt(process.env.QUOTE_TTL_SECONDS || '600', 10);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    throw new Error('Invalid QUOTE_TTL_SECONDS configuration');
+  }
+  return raw;
+}
+
+/**
+ * Start a quote before its PSBT is built: allocates the quote id and expiry
+ * and returns a UTXO lease the builder reserves Harvy's coins under.
+ * @param {object} store - Trade store
+ * @param {object} [options]
+ * @param {Date} [options.now] - Clock override for tests
+ * @returns {object} - Lease from createUtxoLease()
+ */
+export function openQuoteLease(store, { now = new Date() } = {}) {
+  return createUtxoLease(store, {
+    quoteId: crypto.randomUUID(),
+    expiresAt: new Date(now.getTime() + getQuoteTtlSeconds() * 1000).toISOString(),
+  });
+}
+
+/**
+ * Register a freshly created PSBT as a quote. The quote pins the exact
+ * unsigned transaction (txid), the Harvy inputs it spends, every output and
+ * the miner fee, and expires after the configured TTL. When the PSBT was
+ * built under a lease, the quote takes the lease's id and expiry so the
+ * reserved UTXOs lapse together with it.
+ *
+ * @param {object} store - Trade store
+ * @param {object} params
+ * @param {string} params.psbtBase64 - PSBT as returned to the seller
+ * @param {number} [params.tradeId] - Trade this quote belongs to
+ * @param {string} params.harvyAddress - Harvy's wallet address
+ * @param {object} [params.lease] - Lease from openQuoteLease()
+ * @param {Date} [params.now] - Clock override for tests
+ * @returns {object} - Stored quote
+ */
+export function issueQuote(store, { psbtBase64, tradeId, harvyAddress, lease, now = new Date() }) {
+  const summary = summarizePsbt(psbtBase64);
+  const expiresAt = lease
+    ? lease.expiresAt
+    : new Date(now.getTime() + getQuoteTtlSeconds() * 1000).toISOString();
+
+  return store.insertQuote({
+    id: lease ? lease.quoteId : crypto.randomUUID(),
+    tradeId,
+    unsignedTxid: summary.unsignedTxid,
+    psbtHash: hashPsbt(psbtBase64),
+    harvyInputs: summary.inputs
+      .filter(input => input.address === harvyAddress)
+      .map(({ txid, vout, value }) => ({ txid, vout, value })),
+    outputs: summary.outputs.map(({ script, value }) => ({ script, value })),
+    feeSats: summary.feeSats,
+    expiresAt,
+    createdAt: now.toISOString(),
+  });
+}
+
+/**
+ * SECURITY: Verify that a signed PSBT is exactly the transaction Harvy quoted.
+ * The unsigned txid commits to every input outpoint, output script/value,
+ * version and locktime, so a match means nothing was added, removed or
+ * changed after Harvy signed. Inputs and outputs are re-checked against the
+ * stored quote as defense in depth.
+ *
+ * Errors start with "Invalid PSBT" so /api/finalize-psbt answers 400.
+ *
+ * @param {object} store - Trade store
+ * @param {string} psbtString - Signed PSBT (base64 or hex)
+ * @param {object} [options]
+ * @param {string} [options.quoteId] - Quote id the client claims to be finalizing
+ * @param {Date} [options.now] - Clock override for tests
+ * @returns {object} - Matching quote
+ * @throws {Error} if no unexpired, unused quote matches
+ */
+export function verifyPsbtMatchesQuote(store, psbtString, { quoteId, now = new Date() } = {}) {
+  const summary = summarizePsbt(psbtString);
+  const quote = quoteId ? store.getQuote(quoteId) : store.findQuoteByUnsignedTxid(summary.unsignedTxid);
+
+  if (!quote) {
+    throw new Error('Invalid PSBT: no Harvy quote found for this transaction');
+  }
+  if (quote.unsignedTxid !== summary.unsignedTxid) {
+    throw new Error('Invalid PSBT: transaction does not match the quoted transaction');
+  }
+  if (quote.usedAt) {
+    throw new Error('Invalid PSBT: quote has already been used');
+  }
+  if (new Date(quote.expiresAt).getTime() <= now.getTime()) {
+    throw new Error(`Invalid PSBT: quote expired at ${quote.expiresAt}. Please request a new quote.`);
+  }
+
+  const outputsMatch = quote.outputs.length === summary.outputs.length &&
+    quote.outputs.every((out, i) => out.script === summary.outputs[i].script && out.value === summary.outputs[i].value);
+  if (!outputsMatch) {
+    throw new Error('Invalid PSBT: outputs do not match the quote');
+  }
+
+  const spent = new Set(summary.inputs.map(input => `${input.txid}:${input.vout}`));
+  if (!quote.harvyInputs.every(input => spent.has(`${input.txid}:${input.vout}`))) {
+    throw new Error('Invalid PSBT: Harvy inputs do not match the quote');
+  }
+
+  return quote;
+}
@@ -5,8 +5,6 @@
 import 'dotenv/config'; // Load environment variables from .env
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
-import fs from 'fs';
 import path, { dirname } from 'path';
 import { fileURLToPath } from 'url';
 import helmet from 'helmet';
@@ -14,20 +12,44 @@ import rateLimit from 'express-rate-limit';
 import NodeCache from 'node-cache';
 import {
   getFlatServiceFeeSats,
-  satsToUSD,
+  satsToFiat,
   createOrdinalPurchasePSBT,
   createBatchedOrdinalPurchasePSBT,
   broadcastPSBT,
   validatePsbtForHarvySafety,
+  getUnsignedTxid,
+  getFinalVsize,
+  resolveSellerPaymentAccount,
+  FEE_SETTLEMENTS,
 } from './psbt-utils.js';
+import { inscriptionProviders } from './inscription-providers.js';
+import { getTradeStore, hashPsbt } from './trade-store.js';
+import { issueQuote, openQuoteLease, verifyPsbtMatchesQuote } from './quotes.js';
+import { createAddressProofMessage, verifyAddressProof } from './address-proof.js';
+import { estimateFeeRate, FEE_TARGETS } from './fee-estimator.js';
+import { createTxTracker, fetchTxStatus, getTrackerConfig, refreshTradeStatus, toTxStatus } from './tx-tracker.js';
+import { bumpTradeWithCpfp, createAutoCpfp, createRbfReplacementPSBT, recordRbfReplacement } from './fee-bump.js';
+import { explorerTxUrl, getNetworkConfig, isValidTaprootAddress } from './network-config.js';
+import { getPriceHistory, parseIsoDate, valueCostBasis } from './price-history.js';
+import { formatFiat, getReportingCurrency, parseCurrency, REPORTING_CURRENCIES } from './currencies.js';
+import { getPriceOracle } from './price-oracle.js';
+import { discoverCostBasis } from './cost-basis.js';
+import { BROKER_REPORTING, buildRealizedSales, localizeSales } from './tax-report.js';
+import { JURISDICTIONS, buildJurisdictionReport, parseJurisdiction } from './tax-jurisdictions.js';
+import { renderTaxFormsPdf } from './tax-forms-pdf.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const PORT = process.env.PORT || 3001;
 const app = express();
-const BITCOIN_NETWORK = process.env.BITCOIN_NETWORK || 'mainnet';
-const TRANSACTION_LOG_PATH = path.join(__dirname, 'transaction-events.ndjson');
+// Fails fast on an unknown BITCOIN_NETWORK
+const NETWORK = getNetworkConfig();
+const TAPROOT_PREFIX = NETWORK.taprootPrefix;
+// Fails fast on an unsupported REPORTING_CURRENCY
+const REPORTING_CURRENCY = getReportingCurrency();
+// Legacy append-only event log, imported into the trade store once on boot
+const LEGACY_TRANSACTION_LOG_PATH = path.join(__dirname, 'transaction-events.ndjson');
 
 // Security headers
 app.use(helmet({
@@ -112,75 +134,89 @@ console.log('🗑️  Cache cleared on startup');
 
 /* ------------------------------ Utilities ------------------------------ */
 
-function isValidTaprootAddress(address) {
-  const trimmed = (address || '').trim();
-  const expectedPrefix = BITCOIN_NETWORK === 'mainnet' ? 'bc1p' : 'tb1p';
-  return new RegExp(`^${expectedPrefix}[0-9a-z]{58,86}$`, 'i').test(trimmed);
+// A separate fee-paying address is optional; when given it must be a
+// P2TR/P2WPKH/P2SH-P2WPKH address on our network matching its public key.
+function validateSellerPaymentAccount(sellerPaymentAddress, sellerPaymentPublicKey) {
+  if (!sellerPaymentAddress) {
+    return null;
+  }
+  try {
+    resolveSellerPaymentAccount({ address: sellerPaymentAddress, publicKey: sellerPaymentPublicKey });
+    return null;
+  } catch (e) {
+    return e.message;
+  }
 }
 
-async function tryFetch(url, opts = {}) {
-  const r = await fetch(url, opts);
-  if (!r.ok) {
-    const text = await r.text().catch(() => '');
-    const err = new Error(`HTTP ${r.status} ${r.statusText} @ ${url} :: ${text.slice(0, 200)}`);
-    err.status = r.status;
-    throw err;
+// Operator-only routes require `Authorization: Bearer $ADMIN_API_TOKEN`
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  if (req.get('authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
-  return r;
+  return next();
 }
 
-function logTransactionEvent(eventType, payload = {}) {
+// SECURITY: Routes exposing an address's purchase prices, dates and gains
+// need a BIP322 signature by that address over a message from
+// /api/address-proof, sent as X-Address-Proof-Message/-Signature
+function requireAddressProof(req, res, next) {
+  const address = req.method === 'GET' ? req.query.address : req.body?.address;
+  if (!isValidTaprootAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address: must be a Taproot address' });
+  }
   try {
-    const line = JSON.stringify({
-      timestamp: new Date().toISOString(),
-      network: BITCOIN_NETWORK,
-      eventType,
-      ...payload,
+    verifyAddressProof({
+      address,
+      message: req.get('x-address-proof-message'),
+      signature: req.get('x-address-proof-signature'),
     });
-    fs.appendFileSync(TRANSACTION_LOG_PATH, `${line}\n`, 'utf8');
   } catch (e) {
-    console.error('Transaction event log write failed:', e.message);
+    return res.status(401).json({ error: e.message });
   }
+  return next();
 }
 
-// Server-side BTC price fetching with short-term caching
-async function fetchBtcPriceFromApi() {
-  const url = 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd';
-  const r = await tryFetch(url, { headers: { Accept: 'application/json' } });
-  const json = await r.json();
-  const price = json?.bitcoin?.usd;
-
-  if (!price || price <= 0 || price > 1000000) {
-    throw new Error('Received invalid BTC price from upstream');
+function logTransactionEvent(eventType, payload = {}) {
+  try {
+    getTradeStore().recordEvent(eventType, payload);
+  } catch (e) {
+    console.error('Transaction event log write failed:', e.message);
   }
+}
 
-  return price;
+/**
+ * Current BTC price in a reporting currency from the price oracle (median
+ * of BTC_PRICE_SOURCES). Throws with code PRICE_ORACLE_UNAVAILABLE rather
+ * than quote from too few, disagreeing or stale sources.
+ * @param {string} [currency]
+ * @returns {Promise<object>} - { currency, price, asOf, sources, rejected }
+ */
+function getBtcQuote(currency = 'usd') {
+  return getPriceOracle().getQuote(currency);
 }
 
-async function getBtcPriceUSD() {
-  const cacheKey = 'btcPriceUSD';
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
+// The parts of an oracle quote recorded with a trade and returned to clients
+function describeQuote(quote) {
+  return {
+    currency: quote.currency,
+    price: quote.price,
+    asOf: quote.asOf,
+    sources: quote.sources,
+    rejected: quote.rejected,
+  };
+}
 
-  try {
-    const price = await fetchBtcPriceFromApi();
-    // Cache for 60 seconds to avoid hammering upstream
-    cache.set(cacheKey, price, 60);
-    return price;
-  } catch (e) {
-    console.error('BTC price fetch failed:', e.message);
-    const fallback = parseFloat(process.env.DEFAULT_BTC_PRICE_USD || '0');
-    if (!fallback) {
-      throw e;
-    }
-    console.warn('Using fallback DEFAULT_BTC_PRICE_USD from env');
-    cache.set(cacheKey, fallback, 60);
-    return fallback;
-  }
+// The request's reporting currency (REPORTING_CURRENCY when omitted), or null if unsupported
+function resolveCurrency(value) {
+  return value === undefined || value === null || value === '' ? REPORTING_CURRENCY : parseCurrency(value);
 }
 
+const UNSUPPORTED_CURRENCY_ERROR = `Invalid currency: must be one of ${Object.keys(REPORTING_CURRENCIES).join(', ')}`;
+
 /* -------------------------------- Routes -------------------------------- */
 
 app.get('/test', (_req, res) => {
@@ -189,7 +225,7 @@ app.get('/test', (_req, res) => {
 
 /**
  * GET /api/ordinals?address=<bc1p...>&offset=0&excludeBrc20=true
- * Lists inscriptions owned by a Taproot address (via Magic Eden).
+ * Lists inscriptions owned by a Taproot address (via the inscription provider chain).
  * Uses in-memory caching to reduce API calls.
  */
 app.get('/api/ordinals', strictLimiter, async (req, res) => {
@@ -201,12 +237,12 @@ app.get('/api/ordinals', strictLimiter, async (req, res) => {
 
   if (!address) {
     return res.status(400).json({
-      error: `address is required (Taproot owner address starting with ${BITCOIN_NETWORK === 'mainnet' ? 'bc1p' : 'tb1p'}...)`,
+      error: `address is required (Taproot owner address starting with ${TAPROOT_PREFIX}...)`,
     });
   }
   if (!isValidTaprootAddress(address)) {
     return res.status(400).json({
-      error: `invalid address: must be a Taproot (${BITCOIN_NETWORK === 'mainnet' ? 'bc1p' : 'tb1p'}...) owner address`,
+      error: `invalid address: must be a Taproot (${TAPROOT_PREFIX}...) owner address`,
     });
   }
 
@@ -221,42 +257,32 @@ app.get('/api/ordinals', strictLimiter, async (req, res) => {
   }
 
   try {
-    // Magic Eden requires limit to be a multiple of 20 (min 20, max 100)
-    const meLimit = 100;
-    const headers = { Accept: 'application/json' };
-    if (process.env.MAGICEDEN_API_KEY) {
-      headers['Authorization'] = `Bearer ${process.env.MAGICEDEN_API_KEY}`;
+    const listing = await inscriptionProviders.listByOwner(address, { offset, limit: 100 });
+    if (!listing) {
+      const err = new Error(`No inscription provider could list ${address}`);
+      err.status = 502;
+      throw err;
     }
 
-    const r = await tryFetch(
-      `https://api-mainnet.magiceden.dev/v2/ord/btc/tokens?ownerAddress=${encodeURIComponent(address)}&showAll=true&limit=${meLimit}&offset=${offset}`,
-      { headers },
-    );
-    const json = await r.json();
-
-    // Magic Eden returns { tokens: [...], total?: number } or an array
-    let results = Array.isArray(json) ? json : (json.tokens || []);
-    const totalFromAPI = json.total || results.length;
-
     // Note: No content-type filtering — show all inscriptions so users can decide what to sell.
     // Magic Eden's preview URIs handle rendering for all types including BRC-20 and JSON inscriptions.
 
-    const items = results.map((it) => ({
+    const items = listing.items.map((it) => ({
       id: it.id,
-      number: it.inscriptionNumber ?? it.number,
-      content_type: it.contentType || it.content_type || null,
-      content_uri: it.contentURI || `/api/ordinal-bytes/${it.id}`,
-      preview_uri: it.contentPreviewURI || it.contentURI || `/api/ordinal-bytes/${it.id}`,
-      offchain_image: it.meta?.high_res_img_url || null,
+      number: it.number,
+      content_type: it.contentType,
+      content_uri: it.contentUri || `/api/ordinal-bytes/${it.id}`,
+      preview_uri: it.previewUri || it.contentUri || `/api/ordinal-bytes/${it.id}`,
+      offchain_image: it.offchainImage,
       collection_name: it.collection?.name || null,
-      display_name: it.displayName || it.meta?.name || null,
-      output: it.output || null,
+      display_name: it.displayName,
+      output: it.output,
     }));
 
     const response = {
       items,
-      total: totalFromAPI,
-      limit: meLimit,
+      total: listing.total,
+      limit: listing.limit,
       offset: offset,
       filteredCount: items.length,
     };
@@ -294,23 +320,65 @@ app.get('/api/ordinals', strictLimiter, async (req, res) => {
 });
 
 /**
- * GET /api/btc-price
- * Returns the current BTC/USD price from the backend (cached briefly).
+ * GET /api/btc-price[?date=YYYY-MM-DD][&currency=eur]
+ * Returns the current BTC price from the price oracle, with the sources it
+ * was taken from, or the daily close for a past date from the price history,
+ * in the requested reporting currency (REPORTING_CURRENCY by default). 503
+ * when the oracle refuses to quote. USD responses also carry `priceUSD` for
+ * older clients.
  */
-app.get('/api/btc-price', async (_req, res) => {
+app.get('/api/btc-price', async (req, res) => {
+  const currency = resolveCurrency(req.query.currency);
+  if (!currency) {
+    return res.status(400).json({ error: UNSUPPORTED_CURRENCY_ERROR });
+  }
+  const withLegacyField = (body) => (currency === 'usd' ? { ...body, priceUSD: body.price } : body);
+
+  if (req.query.date !== undefined) {
+    try {
+      const { date, close, source } = await getPriceHistory().getDailyClose(String(req.query.date), currency);
+      return res.json(withLegacyField({ date, currency, price: close, source }));
+    } catch (e) {
+      const statusCode = { INVALID_DATE: 400, NO_DAILY_CLOSE: 400, PRICE_UNAVAILABLE: 404 }[e.code] || 500;
+      return res.status(statusCode).json({ error: e.message });
+    }
+  }
+
   try {
-    const price = await getBtcPriceUSD();
-    return res.json({ priceUSD: price });
+    const quote = await getBtcQuote(currency);
+    return res.json(withLegacyField(describeQuote(quote)));
   } catch (e) {
     console.error('BTC price endpoint error:', e.message);
+    if (e.code === 'PRICE_ORACLE_UNAVAILABLE') {
+      return res.status(503).json({ error: e.message, rejected: e.rejected });
+    }
     return res.status(502).json({ error: 'Failed to fetch BTC price' });
   }
 });
 
+/**
+ * GET /api/fee-rate?target=fast|normal|economy
+ * Returns the miner fee rate Harvy would use for a batch right now.
+ */
+app.get('/api/fee-rate', async (req, res) => {
+  const target = req.query.target;
+  if (target && !FEE_TARGETS.includes(target)) {
+    return res.status(400).json({ error: `Invalid fee target: must be one of ${FEE_TARGETS.join(', ')}` });
+  }
+
+  try {
+    const estimate = await estimateFeeRate({ target });
+    return res.json(estimate);
+  } catch (e) {
+    console.error('Fee rate endpoint error:', e.message);
+    return res.status(502).json({ error: 'Failed to estimate miner fee rate' });
+  }
+});
+
 /**
  * GET /api/ordinal-meta/:id
  * Returns { id, number, content_type }.
- * Uses Magic Eden; falls back to ordinals.com HEAD probe.
+ * Uses the inscription providers; falls back to a content HEAD probe.
  * Cached for 24 hours since metadata rarely changes.
  */
 app.get('/api/ordinal-meta/:id', async (req, res) => {
@@ -326,36 +394,23 @@ app.get('/api/ordinal-meta/:id', async (req, res) => {
   }
 
   try {
-    // 1) Try Magic Eden
     let number = null;
     let contentType = null;
 
+    // 1) Ask the indexers for inscription metadata
     try {
-      const meHeaders = { Accept: 'application/json' };
-      if (process.env.MAGICEDEN_API_KEY) {
-        meHeaders['Authorization'] = `Bearer ${process.env.MAGICEDEN_API_KEY}`;
-      }
-      const r = await fetch(`https://api-mainnet.magiceden.dev/v2/ord/btc/tokens?tokenIds=${encodeURIComponent(id)}`, {
-        headers: meHeaders,
-      });
-      if (r.ok) {
-        const data = await r.json();
-        const token = Array.isArray(data) ? data[0] : (data.tokens || [])[0];
-        if (token) {
-          number = token.inscriptionNumber ?? null;
-          contentType = token.contentType || null;
-        }
+      const inscription = await inscriptionProviders.getInscription(id);
+      if (inscription) {
+        number = inscription.number;
+        contentType = inscription.contentType;
       }
     } catch {}
 
-    // 2) If unknown, probe ordinals.com with HEAD to infer type
+    // 2) If unknown, probe content providers with HEAD to infer type
     if (!contentType) {
       try {
-        const head = await fetch(`https://ordinals.com/content/${id}`, { method: 'HEAD' });
-        if (head.ok) {
-          const t = head.headers.get('content-type');
-          if (t) { contentType = t; }
-        }
+        const head = await inscriptionProviders.getContent(id, { headOnly: true });
+        if (head) { contentType = head.contentType; }
       } catch {}
     }
 
@@ -378,15 +433,17 @@ app.get('/api/ordinal-meta/:id', async (req, res) => {
 });
 
 /**
- * GET /api/ordinal-activity/:id
- * Fetches transaction/activity history for a specific inscription from Magic Eden.
- * Returns purchase history metadata for optional UI assistance.
+ * GET /api/ordinal-activity/:id[?address=]
+ * Fetches transaction/activity history for a specific inscription from the inscription providers.
+ * Returns purchase history metadata for optional UI assistance; with
+ * `address`, the last purchase is the newest one made by that address.
  */
 app.get('/api/ordinal-activity/:id', async (req, res) => {
   const { id } = req.params;
+  const address = typeof req.query.address === 'string' ? req.query.address : null;
 
   // Check cache first (cache for 5 minutes since activity can change)
-  const cacheKey = `activity:${id}`;
+  const cacheKey = `activity:${id}:${address || ''}`;
   const cached = cache.get(cacheKey);
   if (cached) {
     res.setHeader('X-Cache', 'HIT');
@@ -395,35 +452,7 @@ app.get('/api/ordinal-activity/:id', async (req, res) => {
   }
 
   try {
-    // Prepare headers with API key if available
-    const headers = { Accept: 'application/json' };
-    if (process.env.MAGICEDEN_API_KEY) {
-      headers['Authorization'] = `Bearer ${process.env.MAGICEDEN_API_KEY}`;
-    }
-
-    // Magic Eden requires 'kind' parameter - fetch relevant activity types
-    // We need: sale (actual sales), buying_broadcasted (purchases), list (listings)
-    const activityKinds = ['sale', 'buying_broadcasted', 'list'];
-    const allActivities = [];
-
-    for (const kind of activityKinds) {
-      try {
-        const r = await fetch(
-          `https://api-mainnet.magiceden.dev/v2/ord/btc/activities?tokenId=${encodeURIComponent(id)}&kind=${kind}`,
-          { headers }
-        );
-
-        if (r.ok) {
-          const json = await r.json();
-          if (json.activities) {
-            allActivities.push(...json.activities);
-          }
-        }
-      } catch (err) {
-        // Continue fetching other kinds even if one fails
-        console.error(`Failed to fetch ${kind} activities for ${id}:`, err.message);
-      }
-    }
+    const allActivities = await inscriptionProviders.getActivity(id) || [];
 
     // Sort activities by date (newest first)
     const activities = allActivities.sort((a, b) => {
@@ -434,21 +463,22 @@ app.get('/api/ordinal-activity/:id', async (req, res) => {
 
     // Find the most recent "buy" or "sale" to get purchase price
     const lastPurchase = activities.find(a =>
-      a.kind === 'buying_broadcasted' ||
+      (a.kind === 'buying_broadcasted' ||
       a.kind === 'sale' ||
-      a.kind === 'list_sale'
+      a.kind === 'list_sale') &&
+      (!address || a.newOwner === address)
     );
 
     // Debug logging
     if (lastPurchase) {
       console.log(`📊 Activity for ${id.slice(0, 12)}...: ${activities.length} activities, lastPurchase FOUND`);
-      console.log(`   → Raw price data: listedPrice=${lastPurchase.listedPrice}, price=${lastPurchase.price}, priceSymbol=${lastPurchase.priceSymbol}`);
+      console.log(`   → Raw price data: listedPriceSats=${lastPurchase.listedPriceSats}, priceSats=${lastPurchase.priceSats}`);
     } else {
       console.log(`📊 Activity for ${id.slice(0, 12)}...: ${activities.length} activities, lastPurchase=none`);
     }
 
-    // Convert satoshis to BTC (Magic Eden returns prices in sats)
-    const priceSats = lastPurchase?.listedPrice || lastPurchase?.price || null;
+    // Convert satoshis to BTC (providers return prices in sats)
+    const priceSats = lastPurchase?.listedPriceSats || lastPurchase?.priceSats || null;
     const priceBTC = priceSats !== null ? priceSats / 100000000 : null;
 
     const result = {
@@ -479,9 +509,42 @@ app.get('/api/ordinal-activity/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ordinal-cost-basis/:id[?address=]
+ * What the seller (`address`, else the current owner) paid for an
+ * inscription, derived from the purchase transaction into that address.
+ * Returns { inscriptionId, address, basis: { sats, btc, date, txid, breakdown } | null,
+ * confidence: high|medium|low|none, source, reason }.
+ */
+app.get('/api/ordinal-cost-basis/:id', async (req, res) => {
+  const { id } = req.params;
+  const address = typeof req.query.address === 'string' && req.query.address ? req.query.address : undefined;
+  if (address && !isValidTaprootAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address: must be a Taproot address' });
+  }
+
+  const cacheKey = `cost-basis:${id}:${address || ''}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.json(cached);
+  }
+
+  try {
+    const result = await discoverCostBasis(id, { address });
+    // Purchases are on-chain history; only the owner changes, and rarely
+    cache.set(cacheKey, result, 600);
+    res.setHeader('X-Cache', 'MISS');
+    return res.json(result);
+  } catch (e) {
+    console.error(`Cost basis discovery error for ${id}:`, e.message);
+    return res.status(502).json({ error: 'Failed to discover cost basis' });
+  }
+});
+
 /**
  * GET /api/ordinal-value/:id
- * Fetches current listing price and market data for a specific inscription from Magic Eden.
+ * Fetches current listing price and market data for a specific inscription (marketplace providers only).
  * Used only for optional market context in the UI.
  */
 app.get('/api/ordinal-value/:id', async (req, res) => {
@@ -497,36 +560,18 @@ app.get('/api/ordinal-value/:id', async (req, res) => {
   }
 
   try {
-    // Prepare headers with API key if available
-    const headers = { Accept: 'application/json' };
-    if (process.env.MAGICEDEN_API_KEY) {
-      headers['Authorization'] = `Bearer ${process.env.MAGICEDEN_API_KEY}`;
-    }
-
-    // Note: Magic Eden API uses 'tokenIds' (plural) not 'tokenId' (singular)
-    const r = await fetch(
-      `https://api-mainnet.magiceden.dev/v2/ord/btc/tokens?tokenIds=${encodeURIComponent(id)}`,
-      { headers }
-    );
-
-    if (!r.ok) {
-      throw new Error(`Magic Eden API returned ${r.status}`);
-    }
-
-    const json = await r.json();
-    const tokens = json.tokens || [];
-    const token = tokens[0]; // Get first token (should only be one for a specific ID)
+    const token = await inscriptionProviders.getInscription(id);
 
     // Debug logging
     if (!token) {
-      console.log(`⚠️  No token data found for ${id.slice(0, 12)}... on Magic Eden`);
+      console.log(`⚠️  No token data found for ${id.slice(0, 12)}...`);
     } else {
-      console.log(`✅ Found token data for ${id.slice(0, 12)}...: listed=${token.listedPrice}, floor=${token.collection?.floorPrice}`);
+      console.log(`✅ Found token data for ${id.slice(0, 12)}... (${token.source}): listed=${token.listedPriceSats}, floor=${token.collection?.floorPriceSats}`);
     }
 
-    // Convert satoshis to BTC (Magic Eden returns prices in sats)
-    const listedPriceSats = token?.listedPrice || null;
-    const floorPriceSats = token?.collection?.floorPrice || null;
+    // Convert satoshis to BTC (providers return prices in sats)
+    const listedPriceSats = token?.listedPriceSats || null;
+    const floorPriceSats = token?.collection?.floorPriceSats || null;
     const listedPriceBTC = listedPriceSats !== null ? listedPriceSats / 100000000 : null;
     const floorPriceBTC = floorPriceSats !== null ? floorPriceSats / 100000000 : null;
 
@@ -566,79 +611,34 @@ app.get('/api/ordinal-value/:id', async (req, res) => {
 
 /**
  * GET /api/ordinal-bytes/:id
- * Streams raw content. Tries Hiro, then ordinals.com as a fallback.
- * Includes retry logic with exponential backoff for transient failures.
+ * Streams raw content from the content providers (ordinals.com, then Hiro by default).
+ * Providers retry with exponential backoff for transient failures.
  */
 app.get('/api/ordinal-bytes/:id', async (req, res) => {
   const { id } = req.params;
-  // ordinals.com is the canonical source for inscription content
-  const candidates = [
-    `https://ordinals.com/content/${id}`,
-  ];
-
-  const maxRetries = 2;
-  const timeout = 15000; // 15 seconds per attempt
-
-  async function fetchWithRetry(url, retries = 0) {
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      const upstream = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 Harvy/1.0',
-          Accept: '*/*',
-        },
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!upstream.ok) {
-        // Retry on 5xx errors or 429 (rate limit)
-        if (retries < maxRetries && (upstream.status >= 500 || upstream.status === 429)) {
-          const delay = Math.min(1000 * Math.pow(2, retries), 5000); // Exponential backoff, max 5s
-          console.log(`Retrying ${url} after ${delay}ms (attempt ${retries + 1}/${maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return fetchWithRetry(url, retries + 1);
-        }
-        return null;
-      }
 
-      return upstream;
-    } catch (err) {
-      // Retry on timeout or network errors
-      if (retries < maxRetries && (err.name === 'AbortError' || err.code === 'ECONNRESET')) {
-        const delay = Math.min(1000 * Math.pow(2, retries), 5000);
-        console.log(`Retrying ${url} after ${delay}ms due to ${err.name} (attempt ${retries + 1}/${maxRetries})`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return fetchWithRetry(url, retries + 1);
-      }
-      return null;
-    }
+  let content = null;
+  try {
+    content = await inscriptionProviders.getContent(id);
+  } catch (e) {
+    console.error(`Content providers failed for ${id}:`, e.message);
   }
 
-  // Try each candidate source with retry logic
-  for (const url of candidates) {
-    const upstream = await fetchWithRetry(url);
-    if (upstream) {
-      const type = upstream.headers.get('content-type') || 'application/octet-stream';
-      res.setHeader('Content-Type', type);
-      res.setHeader('Cache-Control', 'public, max-age=86400');
-
-      // Handle stream errors gracefully
-      upstream.body.pipe(res).on('error', (err) => {
-        console.error('Stream error:', err.message);
-        if (!res.headersSent) {
-          res.status(502).send('Stream error');
-        }
-      });
-      return;
-    }
+  if (!content) {
+    console.error(`Failed to fetch content for ${id} from all sources`);
+    return res.status(502).send('Failed to fetch content from all upstream sources');
   }
 
-  console.error(`Failed to fetch content for ${id} from all sources`);
-  return res.status(502).send('Failed to fetch content from all upstream sources');
+  res.setHeader('Content-Type', content.contentType);
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+
+  // Handle stream errors gracefully
+  content.body.pipe(res).on('error', (err) => {
+    console.error('Stream error:', err.message);
+    if (!res.headersSent) {
+      res.status(502).send('Stream error');
+    }
+  });
 });
 
 /**
@@ -648,9 +648,12 @@ app.get('/api/ordinal-bytes/:id', async (req, res) => {
  *   inscriptionId,
  *   sellerAddress,
  *   sellerPaymentUTXOs,  // UTXOs seller will use to pay service fee
+ *   sellerPaymentAddress,   // optional: address holding sellerPaymentUTXOs (P2WPKH / P2SH-P2WPKH)
+ *   sellerPaymentPublicKey, // optional: its public key (required for P2SH-P2WPKH)
  *   purchasePriceSats,   // Original purchase price
  *   currentPriceSats,    // Current market price (optional)
- *   btcPriceUSD          // Current BTC/USD price
+ *   btcPriceUSD,         // Current BTC/USD price (ignored; the server prices BTC itself)
+ *   currency             // optional: reporting currency for the tax figures (defaults to REPORTING_CURRENCY)
  * }
  */
 app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
@@ -658,10 +661,13 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
     inscriptionId,
     sellerAddress,
     sellerPaymentUTXOs = [],
+    sellerPaymentAddress,
+    sellerPaymentPublicKey,
     purchasePriceSats,
     currentPriceSats,
     btcPriceUSD: _clientBtcPriceUSD,
-    userTaxRate // User-provided tax rate (decimal, e.g., 0.30 for 30%)
+    userTaxRate, // User-provided tax rate (decimal, e.g., 0.30 for 30%)
+    currency: requestedCurrency,
   } = req.body;
 
   console.log('📝 Creating PSBT offer for:', {
@@ -682,13 +688,28 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
   // Validate Taproot address
   if (!isValidTaprootAddress(sellerAddress)) {
     return res.status(400).json({
-      error: `Invalid seller address: must be a Taproot (${BITCOIN_NETWORK === 'mainnet' ? 'bc1p' : 'tb1p'}...) address`
+      error: `Invalid seller address: must be a Taproot (${TAPROOT_PREFIX}...) address`
     });
   }
 
+  const paymentAccountError = validateSellerPaymentAccount(sellerPaymentAddress, sellerPaymentPublicKey);
+  if (paymentAccountError) {
+    return res.status(400).json({ error: paymentAccountError });
+  }
+
+  const currency = resolveCurrency(requestedCurrency);
+  if (!currency) {
+    return res.status(400).json({ error: UNSUPPORTED_CURRENCY_ERROR });
+  }
+
+  let harvyUtxoLease = null;
   try {
-    // Always use server-side BTC price (ignore client-provided value)
-    const btcPriceUSD = await getBtcPriceUSD();
+    // Always use server-side BTC price (ignore client-provided value). Tax
+    // figures are in the reporting currency; the service fee cap stays USD.
+    const usdQuote = await getBtcQuote('usd');
+    const priceQuote = currency === 'usd' ? usdQuote : await getBtcQuote(currency);
+    const btcPriceUSD = usdQuote.price;
+    const btcPrice = priceQuote.price;
 
     // Get Harvy's wallet address from environment variable
     const harvyAddress = process.env.HARVY_WALLET_ADDRESS;
@@ -736,7 +757,7 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
 
     // Calculate tax loss and savings
     const taxLossSats = preliminaryLoss;
-    const taxLossUSD = satsToUSD(taxLossSats, btcPriceUSD);
+    const taxLoss = satsToFiat(taxLossSats, btcPrice);
 
     // Use user-provided tax rate if available, otherwise use default
     const taxRate = userTaxRate !== undefined && userTaxRate !== null
@@ -750,14 +771,15 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
       });
     }
 
-    const taxSavingsUSD = taxLossUSD * taxRate;
+    const taxSavings = taxLoss * taxRate;
 
-    console.log(`💰 Tax calculation: Loss=${taxLossSats} sats ($${taxLossUSD}), Savings=$${taxSavingsUSD} (${taxRate * 100}% rate)`);
+    console.log(`💰 Tax calculation: Loss=${taxLossSats} sats (${formatFiat(taxLoss, currency)}), Savings=${formatFiat(taxSavings, currency)} (${taxRate * 100}% rate)`);
 
     const serviceFeeSats = getFlatServiceFeeSats();
-    const serviceFeeUSD = satsToUSD(serviceFeeSats, btcPriceUSD);
+    const serviceFeeUSD = satsToFiat(serviceFeeSats, btcPriceUSD);
+    const serviceFee = satsToFiat(serviceFeeSats, btcPrice);
 
-    console.log(`💵 Service fee: Flat ${serviceFeeSats} sats ($${serviceFeeUSD})`);
+    console.log(`💵 Service fee: Flat ${serviceFeeSats} sats (${formatFiat(serviceFee, currency)})`);
 
     // Service fee cap (security limit - caps actual cash changing hands)
     const maxServiceFeeUSD = parseFloat(process.env.MAX_SERVICE_FEE_USD || 100);
@@ -783,61 +805,81 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
       });
     }
 
-    // Create the PSBT
+    // Create the PSBT; Harvy's selected UTXOs are reserved until the quote expires
     console.log('🔨 Building PSBT transaction...');
+    harvyUtxoLease = openQuoteLease(getTradeStore());
     const psbtResult = await createOrdinalPurchasePSBT({
       inscriptionId,
       sellerAddress,
       sellerPaymentUTXOs,
+      sellerPaymentAddress,
+      sellerPaymentPublicKey,
       purchasePriceSats,
       offerSats,
       serviceFeeSats,
       btcPriceUSD,
+      harvyUtxoLease,
     });
 
     console.log('✅ PSBT created successfully');
     console.log(`   Harvy inputs: ${psbtResult.details.harvyInputCount}`);
     console.log(`   Seller inputs: ${psbtResult.details.sellerInputCount}`);
 
+    // Register the PSBT as a quote; finalize-psbt only broadcasts quoted transactions
+    const quote = issueQuote(getTradeStore(), {
+      psbtBase64: psbtResult.psbtBase64,
+      harvyAddress,
+      lease: harvyUtxoLease,
+    });
+
     // Return PSBT for seller to sign
     return res.json({
       success: true,
       psbtBase64: psbtResult.psbtBase64,
       psbtHex: psbtResult.psbtHex,
+      quote: { id: quote.id, expiresAt: quote.expiresAt },
       transaction: {
         inscriptionId,
         offerSats,
         serviceFeeSats,
+        // Every fiat amount below is in this reporting currency
+        currency,
         taxCalculation: {
           purchasePriceSats,
           currentPriceSats: currentPriceSats || 0,
           taxLossSats,
-          taxLossUSD,
-          taxSavingsUSD,
+          btcPrice,
+          taxLoss,
+          taxSavings,
           taxRate,
         },
         serviceFee: {
           model: 'flat_sats',
-          usd: serviceFeeUSD,
+          fiat: serviceFee,
           sats: serviceFeeSats,
         },
         sellerNetCash: offerSats - serviceFeeSats, // What seller gets in cash
-        sellerNetBenefit: taxSavingsUSD - serviceFeeUSD, // Tax savings minus fee
+        sellerNetBenefit: taxSavings - serviceFee, // Tax savings minus fee
+        priceQuote: describeQuote(priceQuote),
       },
       details: psbtResult.details,
       instructions: [
         'Review the transaction details carefully',
         'You will receive ' + offerSats + ' sats for the ordinal',
-        'Service fee: ' + serviceFeeSats + ' sats ($' + serviceFeeUSD.toFixed(2) + ')',
+        'Service fee: ' + serviceFeeSats + ' sats (' + formatFiat(serviceFee, currency) + ')',
         'Net cash: ' + (offerSats - serviceFeeSats) + ' sats',
-        'Tax savings: $' + taxSavingsUSD.toFixed(2),
-        'Net benefit: $' + (taxSavingsUSD - serviceFeeUSD).toFixed(2),
+        'Tax savings: ' + formatFiat(taxSavings, currency),
+        'Net benefit: ' + formatFiat(taxSavings - serviceFee, currency),
         'Sign with your wallet to complete the transaction',
       ],
     });
 
   } catch (e) {
     console.error('❌ PSBT creation error:', e.message);
+    harvyUtxoLease?.release();
+    if (e.code === 'PRICE_ORACLE_UNAVAILABLE') {
+      return res.status(503).json({ error: e.message });
+    }
     console.error(e.stack);
     return res.status(500).json({
       error: 'Failed to create PSBT offer',
@@ -851,10 +893,17 @@ app.post('/api/create-psbt-offer', transactionLimiter, async (req, res) => {
  * Creates a SINGLE PSBT for buying MULTIPLE ordinals in one transaction
  * More efficient: one signature, lower fees, atomic execution
  * Body: {
- *   ordinals: [{ inscriptionId, purchasePriceSats, currentPriceSats }, ...],
+ *   ordinals: [{ inscriptionId, purchasePriceSats, purchaseDate?, currentPriceSats }, ...],
+ *     purchaseDate (YYYY-MM-DD) values the cost basis at that day's BTC close
  *   sellerAddress,
+ *   sellerPublicKey,
+ *   sellerPaymentAddress,   // optional: segwit payment address funding the fee and receiving the payout
+ *   sellerPaymentPublicKey, // optional: its public key (required for P2SH-P2WPKH)
  *   btcPriceUSD,
- *   userTaxRate
+ *   userTaxRate,
+ *   currency,      // optional: reporting currency for basis, proceeds and loss (defaults to REPORTING_CURRENCY)
+ *   feeTarget,     // optional: 'fast' | 'normal' | 'economy' (defaults to FEE_TARGET)
+ *   feeSettlement  // optional: 'seller_inputs' | 'net_payout' | 'auto' (defaults to FEE_SETTLEMENT)
  * }
  */
 app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
@@ -862,8 +911,13 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
     ordinals,
     sellerAddress,
     sellerPublicKey,
+    sellerPaymentAddress,
+    sellerPaymentPublicKey,
     btcPriceUSD: _clientBtcPriceUSD,
-    userTaxRate
+    userTaxRate,
+    currency: requestedCurrency,
+    feeTarget,
+    feeSettlement,
   } = req.body;
 
   console.log('📝 Creating BATCHED PSBT for:', {
@@ -894,13 +948,41 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
 
   if (!isValidTaprootAddress(sellerAddress)) {
     return res.status(400).json({
-      error: `Invalid seller address: must be a Taproot (${BITCOIN_NETWORK === 'mainnet' ? 'bc1p' : 'tb1p'}...) address`
+      error: `Invalid seller address: must be a Taproot (${TAPROOT_PREFIX}...) address`
     });
   }
 
+  const paymentAccountError = validateSellerPaymentAccount(sellerPaymentAddress, sellerPaymentPublicKey);
+  if (paymentAccountError) {
+    return res.status(400).json({ error: paymentAccountError });
+  }
+
+  if (feeTarget !== undefined && !FEE_TARGETS.includes(feeTarget)) {
+    return res.status(400).json({
+      error: `Invalid fee target: must be one of ${FEE_TARGETS.join(', ')}`
+    });
+  }
+
+  if (feeSettlement !== undefined && !FEE_SETTLEMENTS.includes(feeSettlement)) {
+    return res.status(400).json({
+      error: `Invalid fee settlement: must be one of ${FEE_SETTLEMENTS.join(', ')}`
+    });
+  }
+
+  const currency = resolveCurrency(requestedCurrency);
+  if (!currency) {
+    return res.status(400).json({ error: UNSUPPORTED_CURRENCY_ERROR });
+  }
+  const currencyCode = currency.toUpperCase();
+
+  let harvyUtxoLease = null;
   try {
-    // Always use server-side BTC price (ignore client-provided value)
-    const btcPriceUSD = await getBtcPriceUSD();
+    // Always use server-side BTC price (ignore client-provided value). Tax
+    // figures are in the reporting currency; the service fee cap stays USD.
+    const usdQuote = await getBtcQuote('usd');
+    const priceQuote = currency === 'usd' ? usdQuote : await getBtcQuote(currency);
+    const btcPriceUSD = usdQuote.price;
+    const btcPrice = priceQuote.price;
     const harvyAddress = process.env.HARVY_WALLET_ADDRESS;
     if (!harvyAddress || !process.env.HARVY_WALLET_PRIVATE_KEY) {
       return res.status(500).json({
@@ -925,6 +1007,11 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
           error: 'Invalid purchase price: must be between 1 and 100,000,000 sats'
         });
       }
+      if (ord.purchaseDate && !parseIsoDate(ord.purchaseDate)) {
+        return res.status(400).json({
+          error: `Invalid purchase date for ${ord.inscriptionId}: expected YYYY-MM-DD`
+        });
+      }
       totalPurchaseSats += ord.purchasePriceSats;
     }
 
@@ -936,17 +1023,35 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
       });
     }
 
-    const totalLossUSD = satsToUSD(totalLossSats, btcPriceUSD);
+    // Basis is valued at each purchase date's close, proceeds at today's price
+    let costBasis;
+    try {
+      costBasis = await valueCostBasis(getPriceHistory(), ordinals, btcPrice, currency);
+    } catch (e) {
+      const statusCode = { INVALID_DATE: 400, PRICE_UNAVAILABLE: 503 }[e.code];
+      if (statusCode) {
+        return res.status(statusCode).json({ error: e.message });
+      }
+      throw e;
+    }
+    const totalLoss = Math.round((costBasis.totalCostBasis - satsToFiat(totalOfferSats, btcPrice)) * 100) / 100;
+    if (totalLoss <= 0) {
+      return res.status(400).json({
+        error: `No tax loss to harvest in ${currencyCode}: BTC has risen since purchase, so the cost basis does not exceed the sale proceeds.`
+      });
+    }
+
     const taxRate = userTaxRate !== undefined ? parseFloat(userTaxRate) : 0.30;
     if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 1) {
       return res.status(400).json({
         error: 'Invalid tax rate: must be between 0% and 100% (0.00 to 1.00 as decimal)'
       });
     }
-    const taxSavingsUSD = totalLossUSD * taxRate;
+    const taxSavings = totalLoss * taxRate;
 
     const serviceFeeSats = getFlatServiceFeeSats();
-    const serviceFeeUSD = satsToUSD(serviceFeeSats, btcPriceUSD);
+    const serviceFeeUSD = satsToFiat(serviceFeeSats, btcPriceUSD);
+    const serviceFee = satsToFiat(serviceFeeSats, btcPrice);
     const maxServiceFeeUSD = parseFloat(process.env.MAX_SERVICE_FEE_USD || 100);
     if (serviceFeeUSD > maxServiceFeeUSD) {
       return res.status(400).json({
@@ -955,9 +1060,10 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
       });
     }
 
-    console.log(`💰 Batch: ${ordinals.length} ordinals, Loss=$${totalLossUSD}, Savings=$${taxSavingsUSD}, Fee=${serviceFeeSats} sats`);
+    console.log(`💰 Batch: ${ordinals.length} ordinals, Loss=${formatFiat(totalLoss, currency)}, Savings=${formatFiat(taxSavings, currency)}, Fee=${serviceFeeSats} sats`);
     logTransactionEvent('create_batch_psbt_requested', {
       sellerAddress,
+      sellerPaymentAddress,
       ordinalCount: ordinals.length,
       inscriptionIds: ordinals.map(ord => ord.inscriptionId),
       totalPurchaseSats,
@@ -965,54 +1071,152 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
       totalLossSats,
       serviceFeeSats,
       taxRate,
+      currency,
     });
 
-    // Create batched PSBT
+    const feeRate = await estimateFeeRate({ target: feeTarget });
+
+    // Create batched PSBT; Harvy's selected UTXOs are reserved until the quote expires
+    harvyUtxoLease = openQuoteLease(getTradeStore());
     const psbtResult = await createBatchedOrdinalPurchasePSBT({
       ordinals,
       sellerAddress,
       sellerPublicKey,
+      sellerPaymentAddress,
+      sellerPaymentPublicKey,
       totalOfferSats,
       totalServiceFeeSats: serviceFeeSats,
+      feeSettlement,
+      feeRate,
+      harvyUtxoLease,
     });
 
     console.log('✅ Batched PSBT created successfully');
 
+    // Netting the fee against the payout can raise the offer, so proceeds and
+    // the realized loss follow what Harvy actually pays for the ordinals
+    const saleProceedsSats = psbtResult.details.grossOfferSats;
+    const realizedLossSats = totalPurchaseSats - saleProceedsSats;
+    if (realizedLossSats <= 0) {
+      harvyUtxoLease.release();
+      return res.status(400).json({
+        error: 'No tax loss to harvest once the service fee is netted against the sale proceeds.'
+      });
+    }
+    const proceeds = satsToFiat(saleProceedsSats, btcPrice);
+    const realizedLoss = Math.round((costBasis.totalCostBasis - proceeds) * 100) / 100;
+    if (realizedLoss <= 0) {
+      harvyUtxoLease.release();
+      return res.status(400).json({
+        error: `No tax loss to harvest in ${currencyCode} once the service fee is netted against the sale proceeds.`
+      });
+    }
+    const realizedTaxSavings = realizedLoss * taxRate;
+
+    const trade = getTradeStore().createTrade({
+      sellerAddress,
+      status: 'created',
+      inscriptionIds: ordinals.map(ord => ord.inscriptionId),
+      ordinalCount: ordinals.length,
+      totalPurchaseSats,
+      totalOfferSats: saleProceedsSats,
+      totalLossSats: realizedLossSats,
+      serviceFeeSats,
+      taxRate,
+      btcPriceUSD,
+      unsignedTxid: psbtResult.details.unsignedTxid,
+      psbtHash: hashPsbt(psbtResult.psbtBase64),
+      feeSats: psbtResult.details.estimatedFee,
+      feeRate: psbtResult.details.feeRate.satPerVb,
+      harvyChangeVout: psbtResult.details.harvyChangeVout,
+      feeSettlement: psbtResult.details.feeSettlement,
+      currency,
+      btcPrice,
+      costBasis: costBasis.totalCostBasis,
+      proceeds,
+      lots: costBasis.lots,
+      priceQuote: describeQuote(priceQuote),
+    });
+    const quote = issueQuote(getTradeStore(), {
+      psbtBase64: psbtResult.psbtBase64,
+      tradeId: trade.id,
+      harvyAddress,
+      lease: harvyUtxoLease,
+    });
+    logTransactionEvent('create_batch_psbt_succeeded', {
+      sellerAddress,
+      tradeId: trade.id,
+      quoteId: quote.id,
+      unsignedTxid: trade.unsignedTxid,
+      quoteExpiresAt: quote.expiresAt,
+      feeRateSatPerVb: psbtResult.details.feeRate.satPerVb,
+      estimatedFeeSats: psbtResult.details.estimatedFee,
+      feeSettlement: psbtResult.details.feeSettlement,
+      btcPrice,
+      priceSources: priceQuote.sources.map(source => source.source),
+    });
+
     return res.json({
       success: true,
       psbtBase64: psbtResult.psbtBase64,
       psbtHex: psbtResult.psbtHex,
       transaction: {
         ordinalCount: ordinals.length,
-        totalOfferSats,
+        totalOfferSats: saleProceedsSats,
         totalServiceFeeSats: serviceFeeSats,
+        // Every fiat amount below is in this reporting currency
+        currency,
         taxCalculation: {
           totalPurchaseSats,
-          totalSaleProceedsSats: totalOfferSats,
-          totalLossSats,
-          totalLossUSD,
-          taxSavingsUSD,
+          totalSaleProceedsSats: saleProceedsSats,
+          totalLossSats: realizedLossSats,
+          btcPrice,
+          totalCostBasis: costBasis.totalCostBasis,
+          totalProceeds: proceeds,
+          totalLoss: realizedLoss,
+          taxSavings: realizedTaxSavings,
           taxRate,
+          lots: costBasis.lots,
         },
         serviceFee: {
           model: 'flat_sats',
-          usd: serviceFeeUSD,
+          fiat: serviceFee,
           sats: serviceFeeSats,
+          settlement: psbtResult.details.feeSettlement,
+        },
+        minerFee: {
+          paidBy: 'harvy',
+          satPerVb: psbtResult.details.feeRate.satPerVb,
+          target: psbtResult.details.feeRate.target,
+          source: psbtResult.details.feeRate.source,
+          vsize: psbtResult.details.estimatedVsize,
+          sats: psbtResult.details.estimatedFee,
+          fiat: satsToFiat(psbtResult.details.estimatedFee, btcPrice),
         },
-        sellerNetCashSats: totalOfferSats - serviceFeeSats,
-        sellerNetBenefit: taxSavingsUSD - serviceFeeUSD,
+        sellerNetCashSats: saleProceedsSats - serviceFeeSats,
+        sellerNetBenefit: realizedTaxSavings - serviceFee,
+        priceQuote: describeQuote(priceQuote),
       },
+      tradeId: trade.id,
+      quote: { id: quote.id, expiresAt: quote.expiresAt },
       details: psbtResult.details,
     });
 
   } catch (e) {
     console.error('❌ Batch PSBT creation error:', e.message);
+    harvyUtxoLease?.release();
     logTransactionEvent('create_batch_psbt_failed', {
       sellerAddress,
       ordinalCount: ordinals?.length || 0,
       inscriptionIds: Array.isArray(ordinals) ? ordinals.map(ord => ord.inscriptionId).filter(Boolean) : [],
       error: e.message,
     });
+    if (e.code === 'NO_CARDINAL_UTXOS') {
+      return res.status(400).json({ error: e.message });
+    }
+    if (e.code === 'PRICE_ORACLE_UNAVAILABLE') {
+      return res.status(503).json({ error: e.message });
+    }
     return res.status(500).json({
       error: 'Failed to create batch PSBT',
       details: process.env.NODE_ENV === 'development' ? e.message : undefined
@@ -1024,10 +1228,13 @@ app.post('/api/create-batch-psbt', transactionLimiter, async (req, res) => {
  * POST /api/finalize-psbt
  * Finalizes and broadcasts a fully-signed PSBT
  * SECURITY: This should only be called after manual review in production
- * Body: { psbtBase64 }
+ * Only PSBTs whose unsigned transaction matches an unexpired, unused quote
+ * from create-psbt-offer/create-batch-psbt are broadcast.
+ * Body: { psbtBase64, quoteId? }
  */
 app.post('/api/finalize-psbt', transactionLimiter, async (req, res) => {
   const psbtString = req.body.psbtBase64 || req.body.psbtHex || req.body.psbt;
+  const { quoteId } = req.body;
 
   console.log('📡 Finalizing and broadcasting PSBT...');
 
@@ -1037,17 +1244,60 @@ app.post('/api/finalize-psbt', transactionLimiter, async (req, res) => {
     });
   }
 
+  let unsignedTxid = null;
+  let claimedQuote = null;
+  // Only a rejected broadcast fails the trade; a PSBT that fails validation can be fixed and resubmitted
+  let broadcastRejected = false;
   try {
+    // SECURITY: The transaction must be exactly one Harvy quoted.
+    unsignedTxid = getUnsignedTxid(psbtString);
+    const quote = verifyPsbtMatchesQuote(getTradeStore(), psbtString, { quoteId });
+    const trade = quote.tradeId
+      ? getTradeStore().getTrade(quote.tradeId)
+      : getTradeStore().findTradeByUnsignedTxid(unsignedTxid);
+
     // SECURITY: Validate PSBT structure and economic invariants before broadcast.
     // This is a conservative, opinionated guardrail based on Harvy's own PSBT
     // construction patterns. It does NOT replace a professional audit for mainnet.
-    validatePsbtForHarvySafety(psbtString);
+    validatePsbtForHarvySafety(psbtString, { feeSettlement: trade?.feeSettlement || undefined });
+
+    // The quote is claimed atomically so concurrent requests cannot broadcast it twice
+    if (!getTradeStore().claimQuote(quote.id)) {
+      throw new Error('Invalid PSBT: quote has already been used');
+    }
+    claimedQuote = quote;
 
-    const txid = await broadcastPSBT(psbtString);
+    // A quote for an already-broadcast trade is an RBF replacement of it
+    const replacesTxid = trade?.txid || null;
+    const replacementVsize = replacesTxid ? getFinalVsize(psbtString) : null;
+
+    const txid = await broadcastPSBT(psbtString).catch((e) => {
+      broadcastRejected = true;
+      throw e;
+    });
 
     console.log(`✅ Transaction broadcast successfully: ${txid}`);
+    getTradeStore().markReservationsSpent(quote.id, txid);
+    // The replacement is recorded only now that it is on the network, and takes over the trade
+    const feeBump = replacesTxid
+      ? recordRbfReplacement(getTradeStore(), { trade, quoteId: quote.id, txid, feeSats: quote.feeSats, vsize: replacementVsize })
+      : null;
+    if (trade) {
+      getTradeStore().updateTrade(trade.id, {
+        status: 'broadcast',
+        txid,
+        broadcastResult: { ok: true, broadcastAt: new Date().toISOString() },
+        confirmationStatus: 'unconfirmed',
+        ...(feeBump ? { feeSats: feeBump.feeSats, feeRate: feeBump.feeRate, firstSeenAt: null, evictedAt: null } : {}),
+      });
+    }
     logTransactionEvent('finalize_psbt_succeeded', {
       txid,
+      tradeId: trade?.id,
+      quoteId: quote.id,
+      replacesTxid,
+      sellerAddress: trade?.sellerAddress,
+      psbtHash: hashPsbt(psbtString),
       psbtLength: psbtString.length,
     });
 
@@ -1060,15 +1310,27 @@ app.post('/api/finalize-psbt', transactionLimiter, async (req, res) => {
       success: true,
       txid,
       message: 'Transaction broadcast to the Bitcoin network',
-      explorerUrl: BITCOIN_NETWORK === 'mainnet'
-        ? `https://mempool.space/tx/${txid}`
-        : `https://mempool.space/testnet/tx/${txid}`
+      explorerUrl: explorerTxUrl(txid),
     });
 
   } catch (e) {
     console.error('❌ Broadcast error:', e.message);
+    // A failed broadcast leaves the quote usable until it expires
+    if (claimedQuote) {
+      getTradeStore().releaseQuote(claimedQuote.id);
+    }
+    const trade = unsignedTxid ? getTradeStore().findTradeByUnsignedTxid(unsignedTxid) : null;
+    if (broadcastRejected && trade && trade.status === 'created') {
+      getTradeStore().updateTrade(trade.id, {
+        status: 'failed',
+        broadcastResult: { ok: false, error: e.message, failedAt: new Date().toISOString() },
+      });
+    }
     logTransactionEvent('finalize_psbt_failed', {
       error: e.message,
+      tradeId: trade?.id,
+      quoteId: claimedQuote?.id || quoteId,
+      sellerAddress: trade?.sellerAddress,
       psbtLength: psbtString.length,
     });
     const statusCode = e.message && e.message.startsWith('Invalid PSBT')
@@ -1081,6 +1343,279 @@ app.post('/api/finalize-psbt', transactionLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/trades/:id/rbf-psbt
+ * Builds an RBF replacement for a stuck trade (Harvy pays the extra fee from
+ * its change). The seller re-signs it and submits it to /api/finalize-psbt
+ * with the returned quote id. The fee bump is recorded when it is finalized.
+ * SECURITY: Trade ids and seller addresses are public, so the caller proves
+ * they are the seller with the id of a quote Harvy issued them for this
+ * trade (the original one from create-batch-psbt, or an earlier RBF quote).
+ * Body: { quoteId, sellerPublicKey?, feeTarget? }
+ */
+app.post('/api/trades/:id/rbf-psbt', transactionLimiter, async (req, res) => {
+  const { quoteId, sellerPublicKey, feeTarget = 'fast' } = req.body;
+  const trade = getTradeStore().getTrade(parseInt(req.params.id, 10));
+  const tradeQuote = typeof quoteId === 'string' ? getTradeStore().getQuote(quoteId) : null;
+
+  if (!trade || !tradeQuote || tradeQuote.tradeId !== trade.id) {
+    return res.status(404).json({ error: 'Trade not found' });
+  }
+  if (!FEE_TARGETS.includes(feeTarget)) {
+    return res.status(400).json({ error: `Invalid fee target: must be one of ${FEE_TARGETS.join(', ')}` });
+  }
+
+  try {
+    const { satPerVb } = await estimateFeeRate({ target: feeTarget });
+    const replacement = await createRbfReplacementPSBT({ trade, sellerPublicKey, feeRate: satPerVb });
+    const quote = issueQuote(getTradeStore(), {
+      psbtBase64: replacement.psbtBase64,
+      tradeId: trade.id,
+      harvyAddress: process.env.HARVY_WALLET_ADDRESS,
+    });
+    logTransactionEvent('rbf_psbt_created', {
+      tradeId: trade.id,
+      txid: trade.txid,
+      sellerAddress: trade.sellerAddress,
+      quoteId: quote.id,
+      originalFee: replacement.details.originalFee,
+      newFee: replacement.details.newFee,
+    });
+
+    return res.json({
+      success: true,
+      psbtBase64: replacement.psbtBase64,
+      psbtHex: replacement.psbtHex,
+      quote: { id: quote.id, expiresAt: quote.expiresAt },
+      details: replacement.details,
+    });
+  } catch (e) {
+    console.error('RBF PSBT creation error:', e.message);
+    return res.status(400).json({ error: `Cannot replace transaction: ${e.message}` });
+  }
+});
+
+/**
+ * POST /api/admin/trades/:id/cpfp
+ * Operator-triggered CPFP: spends Harvy's change from the stuck trade with a
+ * child paying enough to lift the package to the target fee rate.
+ * Body: { feeTarget?, feeRateSatPerVb? }
+ */
+app.post('/api/admin/trades/:id/cpfp', requireAdmin, async (req, res) => {
+  const { feeTarget = 'fast', feeRateSatPerVb } = req.body;
+  const trade = getTradeStore().getTrade(parseInt(req.params.id, 10));
+  if (!trade) {
+    return res.status(404).json({ error: 'Trade not found' });
+  }
+  if (!FEE_TARGETS.includes(feeTarget)) {
+    return res.status(400).json({ error: `Invalid fee target: must be one of ${FEE_TARGETS.join(', ')}` });
+  }
+
+  try {
+    const feeRate = feeRateSatPerVb !== undefined
+      ? parseFloat(feeRateSatPerVb)
+      : (await estimateFeeRate({ target: feeTarget })).satPerVb;
+    if (!Number.isFinite(feeRate) || feeRate <= 0) {
+      return res.status(400).json({ error: 'Invalid feeRateSatPerVb' });
+    }
+
+    const feeBump = await bumpTradeWithCpfp(getTradeStore(), trade, { feeRate });
+    return res.json({ success: true, feeBump });
+  } catch (e) {
+    console.error('CPFP error:', e.message);
+    return res.status(400).json({ error: `Cannot CPFP transaction: ${e.message}` });
+  }
+});
+
+/**
+ * GET /api/admin/trades/:id/fee-bumps
+ * Fee bumps recorded against a trade.
+ */
+app.get('/api/admin/trades/:id/fee-bumps', requireAdmin, (req, res) => {
+  const tradeId = parseInt(req.params.id, 10);
+  if (!getTradeStore().getTrade(tradeId)) {
+    return res.status(404).json({ error: 'Trade not found' });
+  }
+  return res.json({ feeBumps: getTradeStore().listFeeBumps({ tradeId }) });
+});
+
+/**
+ * GET /api/address-proof?address=
+ * The message the seller signs (BIP322) to unlock their realized sales,
+ * valid for an hour.
+ */
+app.get('/api/address-proof', strictLimiter, (req, res) => {
+  const { address } = req.query;
+  if (!isValidTaprootAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address: must be a Taproot address' });
+  }
+  return res.json(createAddressProofMessage(address));
+});
+
+/**
+ * GET /api/realized-sales?address=&year=
+ * The seller's completed Harvy sales as Form 8949 rows in USD: one row per
+ * ordinal in each confirmed trade, sold at block time for its share of the
+ * proceeds, with basis valued at the purchase-date close. Needs an address
+ * proof (requireAddressProof).
+ */
+app.get('/api/realized-sales', strictLimiter, requireAddressProof, async (req, res) => {
+  const { address } = req.query;
+  const year = req.query.year !== undefined ? parseInt(req.query.year, 10) : undefined;
+  if (year !== undefined && !(year >= 2009 && year <= 9999)) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  try {
+    const trades = getTradeStore().listTrades({ sellerAddress: address, confirmationStatus: 'confirmed', limit: 10000 });
+    const report = await buildRealizedSales(trades, { priceHistory: getPriceHistory(), year });
+    return res.json({ address, year: year ?? null, ...report });
+  } catch (e) {
+    console.error('Realized sales error:', e.message);
+    return res.status(500).json({ error: 'Failed to build realized sales' });
+  }
+});
+
+/**
+ * GET /api/realized-sales/tax-forms.pdf?address=&year=&reporting=
+ * The same sales as a filled-in PDF: Form 8949 pages (14 sales per page,
+ * grouped by Part and box, with page totals) and a Schedule D summary.
+ * `reporting` says whether a broker issued a 1099-DA (default: none).
+ * Needs an address proof.
+ */
+app.get('/api/realized-sales/tax-forms.pdf', strictLimiter, requireAddressProof, async (req, res) => {
+  const { address } = req.query;
+  const year = parseInt(req.query.year, 10);
+  if (!(year >= 2009 && year <= 9999)) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+  const reporting = req.query.reporting || 'none';
+  if (!Object.hasOwn(BROKER_REPORTING, reporting)) {
+    return res.status(400).json({ error: `Invalid reporting: must be one of ${Object.keys(BROKER_REPORTING).join(', ')}` });
+  }
+
+  try {
+    const trades = getTradeStore().listTrades({ sellerAddress: address, confirmationStatus: 'confirmed', limit: 10000 });
+    const report = await buildRealizedSales(trades, { priceHistory: getPriceHistory(), year });
+    const pdf = renderTaxFormsPdf(report, { year, address, reporting });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="harvy-form-8949-${year}.pdf"`);
+    return res.send(pdf);
+  } catch (e) {
+    console.error('Tax forms PDF error:', e.message);
+    return res.status(500).json({ error: 'Failed to build tax forms' });
+  }
+});
+
+/**
+ * Collection name of an inscription from the marketplace providers, cached
+ * for a day; null when unknown.
+ */
+async function getCollectionName(inscriptionId) {
+  const cacheKey = `collection:${inscriptionId}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+  let name = null;
+  try {
+    name = (await inscriptionProviders.getInscription(inscriptionId))?.collection?.name || null;
+  } catch (e) {
+    console.warn(`No collection for ${inscriptionId}: ${e.message}`);
+  }
+  cache.set(cacheKey, name, 24 * 60 * 60);
+  return name;
+}
+
+/**
+ * POST /api/realized-sales/jurisdiction-report
+ * Body: { address, year, jurisdiction, acquisitions: [{ inscriptionId, collection, date }] }
+ * The seller's realized sales under a country's rules, valued in its
+ * currency: losses are disallowed or flagged when the seller re-acquired the
+ * same inscription, or one from the same collection, inside the repurchase
+ * window (UK 30-day rule, Canada superficial loss, Australia wash sales),
+ * with the summary lines of the local report. Acquisitions come from the
+ * client, which knows the wallet's ordinals and their purchase dates.
+ * Needs an address proof.
+ */
+app.post('/api/realized-sales/jurisdiction-report', strictLimiter, requireAddressProof, async (req, res) => {
+  const { address, acquisitions = [] } = req.body;
+  const year = parseInt(req.body.year, 10);
+  if (!(year >= 2009 && year <= 9999)) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+  const jurisdiction = parseJurisdiction(req.body.jurisdiction);
+  if (!jurisdiction) {
+    return res.status(400).json({ error: `Invalid jurisdiction: must be one of ${Object.keys(JURISDICTIONS).join(', ')}` });
+  }
+  if (!Array.isArray(acquisitions) || acquisitions.length > 10000 || !acquisitions.every(acquisition =>
+    typeof acquisition?.inscriptionId === 'string' &&
+    (acquisition.collection === undefined || acquisition.collection === null || typeof acquisition.collection === 'string') &&
+    /^\d{4}-\d{2}-\d{2}$/.test(acquisition.date || ''))) {
+    return res.status(400).json({ error: 'Invalid acquisitions: expected [{ inscriptionId, collection, date: YYYY-MM-DD }]' });
+  }
+
+  try {
+    const trades = getTradeStore().listTrades({ sellerAddress: address, confirmationStatus: 'confirmed', limit: 10000 });
+    const { sales } = await buildRealizedSales(trades, { priceHistory: getPriceHistory(), year });
+    const localized = await localizeSales(sales, { currency: JURISDICTIONS[jurisdiction].currency, priceHistory: getPriceHistory() });
+    for (const sale of localized) {
+      sale.collection = await getCollectionName(sale.inscriptionId);
+    }
+    const report = buildJurisdictionReport(localized, { jurisdiction, acquisitions });
+    return res.json({ address, year, ...report });
+  } catch (e) {
+    console.error('Jurisdiction report error:', e.message);
+    return res.status(500).json({ error: 'Failed to build jurisdiction report' });
+  }
+});
+
+/**
+ * GET /api/tx-status/:txid
+ * Confirmation status of a broadcast transaction. Harvy trades are served
+ * from the tracker's records (refreshed if stale); other txids are looked up
+ * live and cached briefly.
+ */
+app.get('/api/tx-status/:txid', async (req, res) => {
+  const txid = (req.params.txid || '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(txid)) {
+    return res.status(400).json({ error: 'Invalid txid' });
+  }
+
+  try {
+    let trade = getTradeStore().findTradeByTxid(txid);
+    if (trade) {
+      const checkedAgoMs = trade.statusCheckedAt ? Date.now() - Date.parse(trade.statusCheckedAt) : Infinity;
+      const buried = trade.confirmationStatus === 'confirmed' &&
+        trade.confirmations >= getTrackerConfig().targetConfirmations;
+      if (!buried && checkedAgoMs > 30 * 1000) {
+        trade = await refreshTradeStatus(getTradeStore(), trade);
+      }
+      return res.json({ ...toTxStatus(trade), explorerUrl: explorerTxUrl(txid) });
+    }
+
+    const cacheKey = `txstatus:${txid}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const status = await fetchTxStatus(txid);
+    const result = {
+      txid,
+      tracked: false,
+      status: !status.found ? 'not_found' : status.confirmed ? 'confirmed' : 'pending',
+      confirmations: status.confirmations,
+      blockHeight: status.blockHeight ?? null,
+      explorerUrl: explorerTxUrl(txid),
+    };
+    cache.set(cacheKey, result, 30);
+    return res.json(result);
+  } catch (e) {
+    console.error('Tx status error:', e.message);
+    return res.status(502).json({ error: 'Failed to fetch transaction status' });
+  }
+});
+
 /* ------------------------ Serve frontend in prod ------------------------ */
 
 const frontendBuild = path.join(__dirname, 'frontend', 'build');
@@ -1095,6 +1630,31 @@ app.get('*', (_req, res) => {
 
 /* --------------------------------- Boot --------------------------------- */
 
-app.listen(PORT, () => {
-  console.log(`✅ Server running on http://localhost:${PORT}`);
-});
+// Importing this module (e.g. from the integration harness in tests/harness)
+// only builds the app; `node server.js` imports the legacy log and listens.
+export { app };
+
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  // One-time import of the legacy ndjson event log (skipped once imported)
+  try {
+    const { imported, skipped } = getTradeStore().importNdjsonLog(LEGACY_TRANSACTION_LOG_PATH);
+    if (!skipped) {
+      console.log(`🗄️  Imported ${imported} legacy transaction events into the trade store`);
+    }
+  } catch (e) {
+    console.error('Legacy transaction log import failed:', e.message);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`✅ Server running on http://localhost:${PORT}`);
+    console.log(`🌐 Bitcoin network: ${NETWORK.name} (mempool API ${NETWORK.mempoolApiUrl})`);
+
+    if (process.env.TX_TRACKER_ENABLED !== 'false') {
+      const autoCpfp = process.env.FEE_BUMP_AUTO_CPFP === 'true' ? createAutoCpfp(getTradeStore()) : undefined;
+      createTxTracker({ store: getTradeStore(), afterRefresh: autoCpfp }).start();
+      console.log(`🔭 Confirmation tracker started${autoCpfp ? ' (auto CPFP enabled)' : ''}`);
+    }
+  });
+}
@@ -0,0 +1,335 @@
+// tax-forms-pdf.js
+// Form 8949 and Schedule D summary as a PDF, drawn with a minimal built-in PDF writer (no dependencies)
+
+import { FORM_8949_BOXES, groupSalesByBox, sumSaleTotals, summarizeScheduleD } from './tax-report.js';
+import { formatIRSDate } from './form8949.js';
+
+// IRS Form 8949 has 14 transaction lines per page
+export const FORM_8949_ROWS_PER_PAGE = 14;
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+
+// Helvetica advance widths (per 1000 units) for the characters in amounts and
+// dates; other characters use an average width, which is only used to fit text
+const HELVETICA_WIDTHS = { ' ': 278, ',': 278, '.': 278, '/': 278, '(': 333, ')': 333, '-': 333, '*': 389 };
+const DEFAULT_WIDTH = 556;
+
+// Form 8949 columns: x offset from the left margin and width, in points
+const COLUMNS = [
+  { key: 'description', label: ['(a) Description of property'], width: 150 },
+  { key: 'dateAcquired', label: ['(b) Date acquired', '(Mo., day, yr.)'], width: 56 },
+  { key: 'dateSold', label: ['(c) Date sold or', 'disposed of'], width: 56 },
+  { key: 'proceeds', label: ['(d) Proceeds', '(sales price)'], width: 66, numeric: true },
+  { key: 'costBasis', label: ['(e) Cost or', 'other basis'], width: 66, numeric: true },
+  { key: 'code', label: ['(f) Code(s)'], width: 34 },
+  { key: 'adjustment', label: ['(g) Amount of', 'adjustment'], width: 46, numeric: true },
+  { key: 'gainLoss', label: ['(h) Gain or (loss)'], width: 66, numeric: true },
+];
+
+const SCHEDULE_D_LINES = [
+  { line: '1b', label: 'Totals from Form(s) 8949 with Box A or G checked', part: 'I' },
+  { line: '2', label: 'Totals from Form(s) 8949 with Box B or H checked', part: 'I' },
+  { line: '3', label: 'Totals from Form(s) 8949 with Box C or I checked', part: 'I' },
+  { line: '7', label: 'Net short-term capital gain or (loss)', part: 'I' },
+  { line: '8b', label: 'Totals from Form(s) 8949 with Box D or J checked', part: 'II' },
+  { line: '9', label: 'Totals from Form(s) 8949 with Box E or K checked', part: 'II' },
+  { line: '10', label: 'Totals from Form(s) 8949 with Box F or L checked', part: 'II' },
+  { line: '15', label: 'Net long-term capital gain or (loss)', part: 'II' },
+  { line: '16', label: 'Combine lines 7 and 15', part: 'III' },
+];
+
+function textWidth(text, size) {
+  let units = 0;
+  for (const char of text) units += HELVETICA_WIDTHS[char] ?? DEFAULT_WIDTH;
+  return (units * size) / 1000;
+}
+
+// PDF string literal: escape delimiters, replace anything outside printable ASCII
+function pdfString(text) {
+  return `(${String(text).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * Collect drawing operators for one page. Coordinates are measured from the
+ * top-left corner, as the layout is written top-down.
+ */
+function createPage() {
+  const ops = [];
+  return {
+    text(x, y, text, { size = 8, bold = false, align = 'left' } = {}) {
+      if (!text) return;
+      const offset = align === 'right' ? textWidth(text, size) : align === 'center' ? textWidth(text, size) / 2 : 0;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${(x - offset).toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td ${pdfString(text)} Tj ET`);
+    },
+    line(x1, y1, x2, y2, width = 0.5) {
+      ops.push(`${width} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+    },
+    rect(x, y, w, h, width = 0.5) {
+      ops.push(`${width} w ${x} ${PAGE_HEIGHT - y - h} ${w} ${h} re S`);
+    },
+    content: () => ops.join('\n'),
+  };
+}
+
+/**
+ * Serialize pages into a PDF 1.4 file: catalog, page tree, the two standard
+ * Helvetica fonts, then a page and content stream object per page.
+ * @param {Array<string>} contents - Content streams, one per page
+ * @returns {Buffer}
+ */
+function writePdf(contents) {
+  const objects = [];
+  const pageIds = contents.map((_, i) => 5 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${contents.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  contents.forEach((content, i) => {
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Dollars and cents with separators; losses in parentheses
+function formatUSD(value) {
+  if (value === null || value === undefined) return '';
+  const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return value < 0 ? `(${formatted})` : formatted;
+}
+
+function boxDescription(box) {
+  const spec = FORM_8949_BOXES[box];
+  const term = spec.part === 'I' ? 'Short-term' : 'Long-term';
+  const form = spec.digitalAsset ? '1099-DA' : '1099-B';
+  if (spec.reporting === 'basis_reported') return `${term} transactions reported on Form(s) ${form} showing basis was reported to the IRS`;
+  if (spec.reporting === 'basis_not_reported') return `${term} transactions reported on Form(s) ${form} showing basis wasn't reported to the IRS`;
+  return `${term} transactions not reported to you on Form ${form}`;
+}
+
+function drawHeader(page, { title, subtitle, year, address }) {
+  page.text(MARGIN, MARGIN + 14, title, { size: 14, bold: true });
+  page.text(MARGIN + 110, MARGIN + 14, subtitle, { size: 10 });
+  page.text(PAGE_WIDTH - MARGIN, MARGIN + 14, `Tax year ${year}`, { size: 10, bold: true, align: 'right' });
+  page.line(MARGIN, MARGIN + 22, PAGE_WIDTH - MARGIN, MARGIN + 22, 1);
+  page.text(MARGIN, MARGIN + 36, 'Name(s) shown on return:', { size: 8 });
+  page.line(MARGIN + 100, MARGIN + 37, MARGIN + 330, MARGIN + 37);
+  page.text(MARGIN + 340, MARGIN + 36, 'Social security number:', { size: 8 });
+  page.line(MARGIN + 435, MARGIN + 37, PAGE_WIDTH - MARGIN, MARGIN + 37);
+  page.text(MARGIN, MARGIN + 50, `Ordinals wallet: ${address}`, { size: 7 });
+}
+
+function drawFooter(page, pageNumber, pageCount, note) {
+  if (note) page.text(MARGIN, PAGE_HEIGHT - MARGIN - 14, note, { size: 7 });
+  page.text(MARGIN, PAGE_HEIGHT - MARGIN, 'Prepared by Harvy from confirmed on-chain sales. Amounts in USD. Review with your tax professional before filing.', { size: 7 });
+  page.text(PAGE_WIDTH - MARGIN, PAGE_HEIGHT - MARGIN, `Page ${pageNumber} of ${pageCount}`, { size: 7, align: 'right' });
+}
+
+function drawForm8949Page(page, { group, rows, pageTotals, year, address }) {
+  drawHeader(page, { title: 'Form 8949', subtitle: 'Sales and Other Dispositions of Capital Assets', year, address });
+
+  let y = MARGIN + 72;
+  page.text(MARGIN, y, group.part === 'I'
+    ? 'Part I   Short-Term. Transactions involving capital assets you held 1 year or less'
+    : 'Part II   Long-Term. Transactions involving capital assets you held more than 1 year', { size: 9, bold: true });
+
+  // The part's three boxes, with the group's box checked
+  y += 8;
+  const partBoxes = Object.keys(FORM_8949_BOXES).filter((box) => {
+    const spec = FORM_8949_BOXES[box];
+    return spec.part === group.part && spec.digitalAsset === FORM_8949_BOXES[group.box].digitalAsset;
+  });
+  for (const box of partBoxes) {
+    y += 13;
+    page.rect(MARGIN, y - 7, 8, 8);
+    if (box === group.box) page.text(MARGIN + 1.5, y, 'X', { size: 8, bold: true });
+    page.text(MARGIN + 14, y, `(${box}) ${boxDescription(box)}`, { size: 8 });
+  }
+
+  // Column headings
+  y += 16;
+  const tableTop = y;
+  const headerHeight = 22;
+  const rowHeight = 22;
+  let x = MARGIN;
+  for (const column of COLUMNS) {
+    column.label.forEach((label, i) => page.text(x + 2, tableTop + 9 + i * 8, label, { size: 6.5, bold: i === 0 }));
+    x += column.width;
+  }
+
+  // 14 lines, filled from the top
+  page.text(MARGIN - 10, tableTop + headerHeight + 13, '1', { size: 8, bold: true });
+  for (let i = 0; i < FORM_8949_ROWS_PER_PAGE; i++) {
+    const rowTop = tableTop + headerHeight + i * rowHeight;
+    const sale = rows[i];
+    if (!sale) continue;
+    const cells = {
+      description: `Inscription ${sale.inscriptionId.slice(0, 16)}...`,
+      dateAcquired: formatIRSDate(sale.dateAcquired),
+      dateSold: formatIRSDate(sale.dateSold),
+      proceeds: formatUSD(sale.proceedsUSD),
+      costBasis: sale.costBasisUSD === null ? '*' : formatUSD(sale.costBasisUSD),
+      code: '',
+      adjustment: '',
+      gainLoss: formatUSD(sale.gainLossUSD),
+    };
+    x = MARGIN;
+    for (const column of COLUMNS) {
+      const text = cells[column.key];
+      if (column.numeric) page.text(x + column.width - 3, rowTop + 13, text, { size: 7.5, align: 'right' });
+      else page.text(x + 3, rowTop + 13, text, { size: 7.5 });
+      x += column.width;
+    }
+    page.text(MARGIN + 3, rowTop + 20, `tx ${sale.txid.slice(0, 24)}...`, { size: 5 });
+  }
+
+  // Grid: outer box, heading rule, row rules and column rules
+  const tableBottom = tableTop + headerHeight + FORM_8949_ROWS_PER_PAGE * rowHeight;
+  const totalsBottom = tableBottom + 30;
+  const tableWidth = COLUMNS.reduce((total, column) => total + column.width, 0);
+  page.rect(MARGIN, tableTop, tableWidth, totalsBottom - tableTop);
+  for (let i = 0; i <= FORM_8949_ROWS_PER_PAGE; i++) {
+    const ruleY = tableTop + headerHeight + i * rowHeight;
+    page.line(MARGIN, ruleY, MARGIN + tableWidth, ruleY);
+  }
+  x = MARGIN;
+  COLUMNS.forEach((column, i) => {
+    x += column.width;
+    if (i < COLUMNS.length - 1) page.line(x, tableTop, x, totalsBottom);
+  });
+
+  // Line 2: this page's totals
+  page.text(MARGIN - 10, tableBottom + 12, '2', { size: 8, bold: true });
+  page.text(MARGIN + 3, tableBottom + 10, 'Totals. Add the amounts in columns', { size: 6.5, bold: true });
+  page.text(MARGIN + 3, tableBottom + 18, `(d), (e), (g), and (h). Include on your`, { size: 6.5 });
+  page.text(MARGIN + 3, tableBottom + 26, `Schedule D, line ${group.scheduleDLine} (Box ${group.box} checked).`, { size: 6.5 });
+  x = MARGIN;
+  const totalsCells = {
+    proceeds: formatUSD(pageTotals.proceedsUSD),
+    costBasis: formatUSD(pageTotals.costBasisUSD),
+    adjustment: '',
+    gainLoss: formatUSD(pageTotals.gainLossUSD),
+  };
+  for (const column of COLUMNS) {
+    if (totalsCells[column.key] !== undefined) {
+      page.text(x + column.width - 3, tableBottom + 18, totalsCells[column.key], { size: 7.5, bold: true, align: 'right' });
+    }
+    x += column.width;
+  }
+}
+
+function drawScheduleDPage(page, { lines, groups, year, address, saleCount }) {
+  drawHeader(page, { title: 'Schedule D', subtitle: 'Capital Gains and Losses - summary', year, address });
+
+  const columns = [
+    { key: 'proceedsUSD', label: ['(d) Proceeds', '(sales price)'] },
+    { key: 'costBasisUSD', label: ['(e) Cost', '(or other basis)'] },
+    { key: 'adjustmentUSD', label: ['(g) Adjustments', 'from Form 8949'] },
+    { key: 'gainLossUSD', label: ['(h) Gain or (loss)', 'd - e + g'] },
+  ];
+  const labelWidth = 260;
+  const columnWidth = (PAGE_WIDTH - 2 * MARGIN - labelWidth) / columns.length;
+
+  let y = MARGIN + 78;
+  columns.forEach((column, i) => {
+    const right = MARGIN + labelWidth + (i + 1) * columnWidth - 3;
+    column.label.forEach((label, j) => page.text(right, y + j * 8, label, { size: 6.5, bold: j === 0, align: 'right' }));
+  });
+  y += 12;
+
+  const partTitles = {
+    I: 'Part I   Short-Term Capital Gains and Losses - Generally Assets Held One Year or Less',
+    II: 'Part II   Long-Term Capital Gains and Losses - Generally Assets Held More Than One Year',
+    III: 'Part III   Summary',
+  };
+  let part = null;
+  for (const { line, label, part: linePart } of SCHEDULE_D_LINES) {
+    if (linePart !== part) {
+      part = linePart;
+      y += 22;
+      page.text(MARGIN, y, partTitles[part], { size: 9, bold: true });
+      page.line(MARGIN, y + 4, PAGE_WIDTH - MARGIN, y + 4, 1);
+    }
+    y += 18;
+    const values = lines[line];
+    const isNet = !('proceedsUSD' in values);
+    page.text(MARGIN, y, line, { size: 8, bold: true });
+    page.text(MARGIN + 22, y, label, { size: 8, bold: isNet });
+    columns.forEach((column, i) => {
+      if (isNet && column.key !== 'gainLossUSD') return;
+      const value = column.key === 'adjustmentUSD' && !values[column.key] ? '' : formatUSD(values[column.key]);
+      page.text(MARGIN + labelWidth + (i + 1) * columnWidth - 3, y, value, { size: 8, bold: isNet, align: 'right' });
+    });
+    page.line(MARGIN, y + 5, PAGE_WIDTH - MARGIN, y + 5, 0.25);
+  }
+
+  y += 30;
+  const missing = groups.reduce((total, group) => total + group.missingBasisCount, 0);
+  const notes = [
+    saleCount
+      ? `${saleCount} sale${saleCount === 1 ? '' : 's'} on ${groups.length} Form 8949 box${groups.length === 1 ? '' : 'es'}: ${groups.map(group => `${group.box} (line ${group.scheduleDLine})`).join(', ')}.`
+      : 'No confirmed Harvy sales in this tax year.',
+    'Only sales to Harvy are included. Add totals from your other Forms 8949, lines 1a and 8a,',
+    'and lines 4-6 and 11-14 (other gains, distributions and carryovers) before filing.',
+  ];
+  if (missing) {
+    notes.push(`${missing} sale${missing === 1 ? ' has' : 's have'} no recorded cost basis; those are left out of columns (e) and (h) until you enter one.`);
+  }
+  notes.forEach((note, i) => page.text(MARGIN, y + i * 11, note, { size: 8 }));
+}
+
+/**
+ * Render realized sales as a PDF: Form 8949 pages, one box at a time with
+ * at most 14 sales and that page's totals on each, followed by a Schedule D
+ * summary of every box's totals.
+ *
+ * @param {object} report - buildRealizedSales() result
+ * @param {object} options
+ * @param {number} options.year - Tax year shown on the forms
+ * @param {string} options.address - Seller's ordinals address
+ * @param {string} [options.reporting] - One of BROKER_REPORTING
+ * @returns {Buffer} - PDF file contents
+ */
+export function renderTaxFormsPdf(report, { year, address, reporting = 'none' }) {
+  const groups = groupSalesByBox(report.sales, { reporting });
+  const form8949Pages = [];
+  for (const group of groups) {
+    for (let start = 0; start < group.sales.length; start += FORM_8949_ROWS_PER_PAGE) {
+      const rows = group.sales.slice(start, start + FORM_8949_ROWS_PER_PAGE);
+      form8949Pages.push({ group, rows, pageTotals: sumSaleTotals(rows) });
+    }
+  }
+
+  const pageCount = form8949Pages.length + 1;
+  const contents = form8949Pages.map(({ group, rows, pageTotals }, i) => {
+    const page = createPage();
+    drawForm8949Page(page, { group, rows, pageTotals, year, address });
+    drawFooter(page, i + 1, pageCount, rows.some(sale => sale.costBasisUSD === null)
+      ? '* Cost basis not recorded: enter it in column (e) and complete column (h) before filing. Not included in the totals.'
+      : null);
+    return page.content();
+  });
+
+  const summary = createPage();
+  drawScheduleDPage(summary, { lines: summarizeScheduleD(groups), groups, year, address, saleCount: report.sales.length });
+  drawFooter(summary, pageCount, pageCount, null);
+  contents.push(summary.content());
+
+  return writePdf(contents);
+}
@@ -0,0 +1,242 @@
+// tax-jurisdictions.js
+// Loss-harvesting rules by country: repurchase matching windows that disallow or flag losses, and local report layouts
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Supported tax jurisdictions. `rule` describes the repurchase window
+ * around a loss sale (days before and after the sale date) and what a
+ * re-acquisition in it means: `sameAsset` for the same inscription,
+ * `sameCollection` for another inscription from its collection. Outcomes:
+ *   disallowed - the loss is not available this year
+ *   matched    - the disposal is matched with the re-acquisition, so the gain or loss
+ *                must be recomputed against its cost; the amount shown is kept, not denied
+ *   at_risk    - the tax authority may deny the loss (anti-avoidance guidance)
+ *   review     - may be treated as the same asset; check with an adviser
+ * US: crypto is property, so the wash-sale rule does not apply and the report is Form 8949.
+ */
+export const JURISDICTIONS = {
+  us: {
+    name: 'United States',
+    currency: 'usd',
+    layout: 'form_8949',
+    rule: null,
+  },
+  uk: {
+    name: 'United Kingdom',
+    currency: 'gbp',
+    layout: 'uk_capital_gains',
+    rule: {
+      name: '30-day (bed and breakfast) rule',
+      daysBefore: 0,
+      daysAfter: 30,
+      sameAsset: 'matched',
+      sameCollection: 'review',
+      note: 'A disposal is matched with a re-acquisition of the same asset on the same day or in the next 30 days, so the gain or loss must be recomputed against the new cost instead of the original one.',
+    },
+  },
+  ca: {
+    name: 'Canada',
+    currency: 'cad',
+    layout: 'ca_schedule_3',
+    rule: {
+      name: 'Superficial loss rule',
+      daysBefore: 30,
+      daysAfter: 30,
+      sameAsset: 'disallowed',
+      sameCollection: 'review',
+      note: 'A loss is denied when identical property is acquired from 30 days before to 30 days after the sale and still held 30 days after it; the denied loss is added to the new property\'s ACB.',
+    },
+  },
+  au: {
+    name: 'Australia',
+    currency: 'aud',
+    layout: 'au_cgt',
+    rule: {
+      name: 'Wash sale guidance (TR 2008/1)',
+      daysBefore: 0,
+      daysAfter: 30,
+      sameAsset: 'at_risk',
+      sameCollection: 'review',
+      note: 'The ATO can deny a loss from selling an asset and buying back the same or a substantially identical asset soon after, when the main purpose is the tax benefit.',
+    },
+  },
+};
+
+/**
+ * Normalize a jurisdiction code.
+ * @param {string} value - e.g. 'UK', 'uk'
+ * @returns {string|null} - Lowercase code, or null if unsupported
+ */
+export function parseJurisdiction(value) {
+  const code = String(value ?? '').trim().toLowerCase();
+  return Object.hasOwn(JURISDICTIONS, code) ? code : null;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Apply a jurisdiction's repurchase rule to valued sales. Only losses are
+ * checked. A re-acquisition of the same inscription after the sale (it was
+ * bought back) takes precedence over one from the same collection; the
+ * nearest acquisition in the window is reported.
+ *
+ * @param {Array} sales - localizeSales rows with `collection` (name or null)
+ * @param {Array} acquisitions - The seller's acquisitions: [{ inscriptionId, collection, date: 'YYYY-MM-DD' }]
+ * @param {string} jurisdiction - A JURISDICTIONS key
+ * @returns {Array} - Rows with `rule: { status, inscriptionId, collection, acquiredOn, daysFromSale } | { status: 'allowed' }`,
+ *   `disallowedLoss` and `allowableGainLoss` (gainLoss with disallowed losses removed) added
+ */
+export function applyLossRules(sales, acquisitions, jurisdiction) {
+  const { rule } = JURISDICTIONS[jurisdiction];
+
+  return sales.map((sale) => {
+    const allowed = { ...sale, rule: { status: 'allowed' }, disallowedLoss: 0, allowableGainLoss: sale.gainLoss };
+    if (!rule || sale.gainLoss === null || sale.gainLoss >= 0) {
+      return allowed;
+    }
+
+    const saleDate = sale.dateSold.slice(0, 10);
+    const inWindow = acquisitions
+      .filter(acquisition => acquisition.date)
+      .map(acquisition => ({ ...acquisition, daysFromSale: daysBetween(saleDate, acquisition.date) }))
+      .filter(acquisition => acquisition.daysFromSale >= -rule.daysBefore && acquisition.daysFromSale <= rule.daysAfter)
+      .sort((a, b) => Math.abs(a.daysFromSale) - Math.abs(b.daysFromSale));
+
+    // The sold inscription counts only if it was bought back after the sale
+    const sameAsset = inWindow.find(acquisition => acquisition.inscriptionId === sale.inscriptionId &&
+      acquisition.daysFromSale >= 0 && acquisition.date !== sale.dateAcquired);
+    const sameCollection = sale.collection
+      ? inWindow.find(acquisition => acquisition.inscriptionId !== sale.inscriptionId && acquisition.collection === sale.collection)
+      : null;
+    const match = sameAsset || sameCollection;
+    if (!match) {
+      return allowed;
+    }
+
+    const status = sameAsset ? rule.sameAsset : rule.sameCollection;
+    const disallowedLoss = status === 'disallowed' ? -sale.gainLoss : 0;
+    return {
+      ...sale,
+      rule: {
+        status,
+        inscriptionId: match.inscriptionId,
+        collection: match.collection || null,
+        acquiredOn: match.date,
+        daysFromSale: match.daysFromSale,
+      },
+      disallowedLoss,
+      allowableGainLoss: status === 'disallowed' ? 0 : sale.gainLoss,
+    };
+  });
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function heldOverOneYear(sale) {
+  return Boolean(sale.dateAcquired) && daysBetween(sale.dateAcquired, sale.dateSold.slice(0, 10)) >= 365;
+}
+
+/**
+ * Summary lines of each local report layout, from rule-checked sales
+ * (valued sales only; gains and losses use the allowable amounts).
+ */
+const LAYOUTS = {
+  form_8949: {
+    title: 'Form 8949 / Schedule D',
+    summary: ({ proceeds, costBasis, gains, losses }) => [
+      { label: 'Proceeds', amount: proceeds },
+      { label: 'Cost or other basis', amount: costBasis },
+      { label: 'Gains', amount: gains },
+      { label: 'Losses', amount: losses },
+      { label: 'Net gain or (loss)', amount: roundCents(gains + losses) },
+    ],
+  },
+  uk_capital_gains: {
+    title: 'Capital Gains Tax summary (SA108, other property, assets and gains)',
+    summary: ({ count, proceeds, costBasis, expenses, gains, losses }) => [
+      { label: 'Number of disposals', amount: count, isCount: true },
+      { label: 'Disposal proceeds', amount: proceeds },
+      { label: 'Allowable costs (including incidental costs)', amount: roundCents(costBasis + expenses) },
+      { label: 'Gains in the year, before losses', amount: gains },
+      { label: 'Losses in the year', amount: -losses },
+    ],
+  },
+  ca_schedule_3: {
+    title: 'Schedule 3 - Capital gains (or losses)',
+    summary: ({ proceeds, costBasis, expenses, gains, losses, disallowed }) => {
+      const net = roundCents(gains + losses);
+      return [
+        { label: 'Proceeds of disposition', amount: proceeds },
+        { label: 'Adjusted cost base', amount: costBasis },
+        { label: 'Outlays and expenses', amount: expenses },
+        { label: 'Gain (or loss)', amount: net },
+        { label: 'Superficial losses denied (added to the ACB of the substitute property)', amount: disallowed },
+        net >= 0
+          ? { label: 'Taxable capital gain (50% inclusion)', amount: roundCents(net / 2) }
+          : { label: 'Net capital loss (50% allowable, carried forward or back)', amount: roundCents(net / 2) },
+      ];
+    },
+  },
+  au_cgt: {
+    title: 'CGT schedule',
+    summary: ({ proceeds, costBasis, expenses, gains, losses, discountableGains }) => [
+      { label: 'Capital proceeds', amount: proceeds },
+      { label: 'Cost base (including incidental costs)', amount: roundCents(costBasis + expenses) },
+      { label: 'Total current year capital gains', amount: gains },
+      { label: 'of which held 12 months or more (CGT discount may apply)', amount: discountableGains },
+      { label: 'Capital losses', amount: -losses },
+      { label: 'Net capital gain or (loss) before discount', amount: roundCents(gains + losses) },
+    ],
+  },
+};
+
+/**
+ * Build a jurisdiction's report from valued sales: each sale checked
+ * against the repurchase rule, the totals, and the summary lines of the
+ * local layout.
+ *
+ * @param {Array} sales - localizeSales rows with `collection`
+ * @param {object} options
+ * @param {string} options.jurisdiction - A JURISDICTIONS key
+ * @param {Array} [options.acquisitions] - See applyLossRules
+ * @returns {object} - { jurisdiction, name, currency, rule, layout, title, sales, summary, totals, flaggedCount, unvaluedCount }
+ */
+export function buildJurisdictionReport(sales, { jurisdiction, acquisitions = [] }) {
+  const spec = JURISDICTIONS[jurisdiction];
+  if (!spec) {
+    throw new Error(`Unknown jurisdiction: ${jurisdiction}`);
+  }
+  const checked = applyLossRules(sales, acquisitions, jurisdiction);
+  const valued = checked.filter(sale => sale.gainLoss !== null);
+  const sum = (rows, pick) => roundCents(rows.reduce((total, row) => total + pick(row), 0));
+
+  const totals = {
+    count: valued.length,
+    proceeds: sum(valued, sale => sale.proceeds),
+    costBasis: sum(valued, sale => sale.costBasis),
+    expenses: sum(valued, sale => sale.expenses),
+    gains: sum(valued, sale => Math.max(sale.allowableGainLoss, 0)),
+    losses: sum(valued, sale => Math.min(sale.allowableGainLoss, 0)),
+    disallowed: sum(valued, sale => sale.disallowedLoss),
+    discountableGains: sum(valued.filter(heldOverOneYear), sale => Math.max(sale.allowableGainLoss, 0)),
+  };
+
+  return {
+    jurisdiction,
+    name: spec.name,
+    currency: spec.currency,
+    rule: spec.rule,
+    layout: spec.layout,
+    title: LAYOUTS[spec.layout].title,
+    sales: checked,
+    summary: LAYOUTS[spec.layout].summary(totals),
+    totals,
+    flaggedCount: checked.filter(sale => sale.rule.status !== 'allowed').length,
+    unvaluedCount: checked.length - valued.length,
+  };
+}
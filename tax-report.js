@@ -0,0 +1,220 @@
+// tax-report.js
+// Realized Harvy sales as Form 8949 rows: one row per ordinal sold in a confirmed trade, valued in USD
+
+import { satsToFiat } from './psbt-utils.js';
+import { BROKER_REPORTING, FORM_8949_BOXES, classifyForm8949Box, isLongTerm } from './form8949.js';
+
+/**
+ * Split a trade's sale proceeds across its ordinals. Harvy pays the same
+ * amount per ordinal; any remainder (from fee netting) goes to the first.
+ * @param {number} totalSats
+ * @param {number} count
+ * @returns {number[]}
+ */
+function splitProceeds(totalSats, count) {
+  const each = Math.floor(totalSats / count);
+  return Array.from({ length: count }, (_, i) => (i === 0 ? totalSats - each * (count - 1) : each));
+}
+
+/**
+ * Build realized-sale rows from Harvy trades. Only confirmed trades count as
+ * sales; the sale date is the confirming block's time and proceeds (and the
+ * ordinal's share of Harvy's service fee) are valued at the USD price Harvy
+ * quoted for the trade. Cost basis is valued at the
+ * USD close on each lot's purchase date; lots recorded without a purchase
+ * date (or without a purchase price) have no basis and are flagged.
+ *
+ * @param {Array} trades - Trade store records
+ * @param {object} options
+ * @param {object} options.priceHistory - createPriceHistory() result
+ * @param {number} [options.year] - Only sales confirmed in this calendar year (UTC)
+ * @returns {Promise<object>} - { currency: 'usd', sales: [...], totals: { proceedsUSD, costBasisUSD, gainLossUSD }, missingBasisCount }
+ *   (gainLossUSD totals only the rows with a basis)
+ */
+export async function buildRealizedSales(trades, { priceHistory, year } = {}) {
+  const sales = [];
+  const realized = trades
+    .filter(trade => trade.confirmationStatus === 'confirmed' && trade.txid && trade.confirmedAt)
+    .filter(trade => !year || new Date(trade.confirmedAt).getUTCFullYear() === year)
+    .sort((a, b) => new Date(a.confirmedAt) - new Date(b.confirmedAt));
+
+  for (const trade of realized) {
+    const inscriptionIds = trade.inscriptionIds || [];
+    const lotsById = new Map((trade.lots || []).map(lot => [lot.inscriptionId, lot]));
+    const proceeds = splitProceeds(trade.totalOfferSats, inscriptionIds.length);
+    const serviceFees = trade.serviceFeeSats ? splitProceeds(trade.serviceFeeSats, inscriptionIds.length) : null;
+
+    for (const [index, inscriptionId] of inscriptionIds.entries()) {
+      const lot = lotsById.get(inscriptionId);
+      const proceedsSats = proceeds[index];
+      const proceedsUSD = satsToFiat(proceedsSats, trade.btcPriceUSD);
+
+      let acquisitionPrice = null;
+      if (lot?.purchaseDate && lot.purchasePriceSats) {
+        if (trade.currency === 'usd' && lot.priceSource !== 'spot') {
+          acquisitionPrice = { close: lot.btcPrice, source: lot.priceSource };
+        } else {
+          try {
+            acquisitionPrice = await priceHistory.getDailyClose(lot.purchaseDate, 'usd');
+          } catch (e) {
+            console.warn(`No USD close for ${lot.purchaseDate} (${inscriptionId}): ${e.message}`);
+          }
+        }
+      }
+      const costBasisUSD = acquisitionPrice ? satsToFiat(lot.purchasePriceSats, acquisitionPrice.close) : null;
+
+      sales.push({
+        tradeId: trade.id,
+        txid: trade.txid,
+        inscriptionId,
+        dateAcquired: lot?.purchaseDate || null,
+        dateSold: trade.confirmedAt,
+        proceedsSats,
+        costBasisSats: lot?.purchasePriceSats ?? null,
+        btcPriceAtSale: trade.btcPriceUSD,
+        quotedCurrency: trade.currency,
+        quotedBtcPrice: trade.btcPrice ?? null,
+        btcPriceAtAcquisition: acquisitionPrice?.close ?? null,
+        acquisitionPriceSource: acquisitionPrice?.source ?? null,
+        proceedsUSD,
+        costBasisUSD,
+        gainLossUSD: costBasisUSD !== null ? Math.round((proceedsUSD - costBasisUSD) * 100) / 100 : null,
+        serviceFeeSats: serviceFees ? serviceFees[index] : null,
+        serviceFeeUSD: serviceFees ? satsToFiat(serviceFees[index], trade.btcPriceUSD) : null,
+      });
+    }
+  }
+
+  const sum = (key) => Math.round(sales.reduce((total, sale) => total + (sale[key] || 0), 0) * 100) / 100;
+  return {
+    currency: 'usd',
+    sales,
+    totals: { proceedsUSD: sum('proceedsUSD'), costBasisUSD: sum('costBasisUSD'), gainLossUSD: sum('gainLossUSD') },
+    missingBasisCount: sales.filter(sale => sale.costBasisUSD === null).length,
+  };
+}
+
+/**
+ * Value realized sales in another reporting currency for non-US reports.
+ * Proceeds use the price Harvy quoted when the trade was made in that
+ * currency, else the BTC close on the sale date; basis uses the close on the
+ * purchase date. Harvy's service fee is a disposal expense. Amounts that
+ * cannot be valued yet (e.g. a sale from today, before its close) are null.
+ *
+ * @param {Array} sales - buildRealizedSales rows
+ * @param {object} options
+ * @param {string} options.currency - Reporting currency code
+ * @param {object} options.priceHistory - createPriceHistory() result
+ * @returns {Promise<Array>} - Rows with { currency, proceeds, costBasis, expenses, gainLoss } added
+ */
+export async function localizeSales(sales, { currency, priceHistory }) {
+  const closes = new Map();
+  const closeOn = async (date) => {
+    if (!closes.has(date)) {
+      closes.set(date, priceHistory.getDailyClose(date, currency).then(({ close }) => close, () => null));
+    }
+    return closes.get(date);
+  };
+
+  const rows = [];
+  for (const sale of sales) {
+    let proceeds;
+    let costBasis;
+    let expenses;
+    if (currency === 'usd') {
+      proceeds = sale.proceedsUSD;
+      costBasis = sale.costBasisUSD;
+      expenses = sale.serviceFeeUSD || 0;
+    } else {
+      const salePrice = sale.quotedCurrency === currency && sale.quotedBtcPrice
+        ? sale.quotedBtcPrice
+        : await closeOn(sale.dateSold.slice(0, 10));
+      const purchasePrice = sale.dateAcquired && sale.costBasisSats ? await closeOn(sale.dateAcquired) : null;
+      proceeds = salePrice ? satsToFiat(sale.proceedsSats, salePrice) : null;
+      costBasis = purchasePrice ? satsToFiat(sale.costBasisSats, purchasePrice) : null;
+      expenses = salePrice && sale.serviceFeeSats ? satsToFiat(sale.serviceFeeSats, salePrice) : 0;
+    }
+    const gainLoss = proceeds !== null && costBasis !== null ? roundCents(proceeds - costBasis - expenses) : null;
+    rows.push({ ...sale, currency, proceeds, costBasis, expenses, gainLoss });
+  }
+  return rows;
+}
+
+// Form 8949 boxes, broker reporting options and the long-term test are
+// shared with the frontend reports, so the CSV, TXF and PDF agree
+export { BROKER_REPORTING, FORM_8949_BOXES, classifyForm8949Box, isLongTerm };
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Totals of Form 8949 columns (d), (e), (g) and (h) for some sales; sales
+ * without a basis count toward proceeds only.
+ * @param {Array} sales - buildRealizedSales rows
+ * @returns {object} - { proceedsUSD, costBasisUSD, adjustmentUSD, gainLossUSD }
+ */
+export function sumSaleTotals(sales) {
+  const valued = sales.filter(sale => sale.costBasisUSD !== null);
+  const sum = (rows, key) => roundCents(rows.reduce((total, row) => total + (row[key] || 0), 0));
+  return {
+    proceedsUSD: sum(sales, 'proceedsUSD'),
+    costBasisUSD: sum(valued, 'costBasisUSD'),
+    adjustmentUSD: 0,
+    gainLossUSD: sum(valued, 'gainLossUSD'),
+  };
+}
+
+/**
+ * Group realized sales by Form 8949 box, Part I boxes first, keeping each
+ * box's sales in date order. Sales without a basis are counted in
+ * `missingBasisCount` and left out of the basis and gain totals.
+ * @param {Array} sales - buildRealizedSales rows
+ * @param {object} [options]
+ * @param {string} [options.reporting] - One of BROKER_REPORTING
+ * @returns {Array} - [{ part, box, scheduleDLine, sales, totals: { proceedsUSD, costBasisUSD, adjustmentUSD, gainLossUSD }, missingBasisCount }]
+ */
+export function groupSalesByBox(sales, { reporting = 'none' } = {}) {
+  const groups = new Map();
+  for (const sale of sales) {
+    const box = classifyForm8949Box(sale, reporting);
+    if (!groups.has(box)) {
+      groups.set(box, { part: FORM_8949_BOXES[box].part, box, scheduleDLine: FORM_8949_BOXES[box].scheduleDLine, sales: [] });
+    }
+    groups.get(box).sales.push(sale);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.part.localeCompare(b.part) || a.box.localeCompare(b.box))
+    .map(group => ({
+      ...group,
+      totals: sumSaleTotals(group.sales),
+      missingBasisCount: group.sales.filter(sale => sale.costBasisUSD === null).length,
+    }));
+}
+
+/**
+ * Schedule D lines fed by Form 8949 box totals. Lines 7 and 15 net each
+ * part (Harvy sales only, so no carryovers or other gains are included)
+ * and line 16 combines them.
+ * @param {Array} groups - groupSalesByBox() result
+ * @returns {object} - Keyed by line ('1b', '2', '3', '7', '8b', '9', '10', '15', '16'): box lines have
+ *   { proceedsUSD, costBasisUSD, adjustmentUSD, gainLossUSD }, the net lines only { gainLossUSD }
+ */
+export function summarizeScheduleD(groups) {
+  const lines = {};
+  for (const line of ['1b', '2', '3', '8b', '9', '10']) {
+    const fed = groups.filter(group => group.scheduleDLine === line);
+    lines[line] = {
+      proceedsUSD: roundCents(fed.reduce((total, group) => total + group.totals.proceedsUSD, 0)),
+      costBasisUSD: roundCents(fed.reduce((total, group) => total + group.totals.costBasisUSD, 0)),
+      adjustmentUSD: roundCents(fed.reduce((total, group) => total + group.totals.adjustmentUSD, 0)),
+      gainLossUSD: roundCents(fed.reduce((total, group) => total + group.totals.gainLossUSD, 0)),
+    };
+  }
+  const net = (partLines) => ({ gainLossUSD: roundCents(partLines.reduce((total, line) => total + lines[line].gainLossUSD, 0)) });
+  lines['7'] = net(['1b', '2', '3']);
+  lines['15'] = net(['8b', '9', '10']);
+  lines['16'] = net(['7', '15']);
+  return lines;
+}
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import {
+  ADDRESS_PROOF_TTL_SECONDS,
+  createAddressProofMessage,
+  verifyAddressProof,
+  verifyBip322Signature,
+} from '../address-proof.js';
+import { createTaprootAccount, signAddressProof } from './harness/wallet.mjs';
+
+const mainnet = bitcoin.networks.bitcoin;
+const regtest = bitcoin.networks.regtest;
+
+// BIP322 test vector: P2TR key-path signature of "Hello World"
+const VECTOR_ADDRESS = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+const VECTOR_SIGNATURE = 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==';
+
+test('verifyBip322Signature accepts the BIP322 Taproot vector and rejects other messages', () => {
+  assert.equal(verifyBip322Signature(VECTOR_ADDRESS, 'Hello World', VECTOR_SIGNATURE, mainnet), true);
+  assert.equal(verifyBip322Signature(VECTOR_ADDRESS, 'Hello World!', VECTOR_SIGNATURE, mainnet), false);
+  assert.throws(
+    () => verifyBip322Signature('bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l', 'Hello World', VECTOR_SIGNATURE, mainnet),
+    /only Taproot/
+  );
+});
+
+test('verifyAddressProof accepts a fresh message signed by the address', () => {
+  const account = createTaprootAccount(regtest);
+  const now = new Date('2025-03-01T12:00:00Z');
+  const { message, expiresAt } = createAddressProofMessage(account.address, now);
+  assert.equal(expiresAt, new Date(now.getTime() + ADDRESS_PROOF_TTL_SECONDS * 1000).toISOString());
+
+  const signature = signAddressProof(account, message, regtest);
+  assert.doesNotThrow(() => verifyAddressProof({ address: account.address, message, signature }, { network: regtest, now }));
+});
+
+test('verifyAddressProof rejects missing, foreign, expired and forged proofs', () => {
+  const owner = createTaprootAccount(regtest);
+  const other = createTaprootAccount(regtest);
+  const now = new Date('2025-03-01T12:00:00Z');
+  const { message } = createAddressProofMessage(owner.address, now);
+  const verify = (proof, at = now) => verifyAddressProof(proof, { network: regtest, now: at });
+
+  assert.throws(() => verify({ address: owner.address }), { code: 'INVALID_ADDRESS_PROOF' });
+  // Someone else's signature over the owner's message
+  assert.throws(
+    () => verify({ address: owner.address, message, signature: signAddressProof(other, message, regtest) }),
+    /does not match/
+  );
+  // The owner's proof does not unlock another address
+  const signature = signAddressProof(owner, message, regtest);
+  assert.throws(() => verify({ address: other.address, message, signature }), /not for this address/);
+  assert.throws(() => verify({ address: owner.address, message, signature }, new Date(now.getTime() + (ADDRESS_PROOF_TTL_SECONDS + 1) * 1000)), /expired/);
+  assert.throws(() => verify({ address: owner.address, message: 'Hello World', signature }), /not for this address/);
+  assert.throws(() => verify({ address: owner.address, message, signature: 'AQ==' }), /malformed/);
+});
@@ -0,0 +1,167 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  diffImportedBasis,
+  matchPurchases,
+  parseCSV,
+  parseImportDate,
+  readPurchases,
+  saveImportedBasis,
+} from '../frontend/src/utils/costBasisImport.js';
+
+const REVEAL = 'a'.repeat(64);
+const SOLO_REVEAL = 'c'.repeat(64);
+const PURCHASE_TX = 'd'.repeat(64);
+
+// In-memory stand-in for localStorage
+function memoryStorage(entries = {}) {
+  const values = new Map(Object.entries(entries));
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+  };
+}
+
+test('parseCSV handles quoted commas, escaped quotes and CRLF line endings', () => {
+  const text = 'Date,Description,Amount\r\n2024-01-02,"Bought ""Rune"", then sold",1.5\r\n\r\n2024-02-03,"multi\nline",2\n';
+  assert.deepEqual(parseCSV(text), [
+    ['Date', 'Description', 'Amount'],
+    ['2024-01-02', 'Bought "Rune", then sold', '1.5'],
+    ['2024-02-03', 'multi\nline', '2'],
+  ]);
+  assert.deepEqual(parseCSV('a,b'), [['a', 'b']]);
+});
+
+test('parseImportDate reads ISO and US dates', () => {
+  assert.equal(parseImportDate('2024-03-10 15:00:00 UTC'), '2024-03-10');
+  assert.equal(parseImportDate('2024-03-10T15:00:00Z'), '2024-03-10');
+  assert.equal(parseImportDate('3/7/2024 15:00:00'), '2024-03-07');
+  assert.equal(parseImportDate('12/31/2023'), '2023-12-31');
+  assert.equal(parseImportDate('March 10, 2024'), null);
+  assert.equal(parseImportDate(''), null);
+});
+
+test('Koinly exports are detected and BTC purchases read with the BTC fee in the basis', () => {
+  const csv = [
+    'Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash',
+    `2024-03-10 15:00:00 UTC,0.05,BTC,1,${REVEAL}i0,0.0001,BTC,3500,USD,,,${PURCHASE_TX}`,
+    '2024-03-11 10:00:00 UTC,0.1,BTC,2000,ORDI,,,,,,,',
+    '2024-03-12 10:00:00 UTC,,,0.2,BTC,,,,,,,',
+  ].join('\n');
+  const { format, purchases, skippedCount } = readPurchases(csv);
+  assert.equal(format, 'koinly');
+  assert.equal(skippedCount, 2);
+  assert.deepEqual(purchases, [{
+    line: 2,
+    inscriptionId: `${REVEAL}i0`,
+    asset: `${REVEAL}i0`,
+    txid: PURCHASE_TX,
+    priceBTC: 0.0501,
+    date: '2024-03-10',
+  }]);
+});
+
+test('CoinTracker exports are detected, with US dates and txid-only purchases', () => {
+  const csv = [
+    'Date,Received Quantity,Received Currency,Sent Quantity,Sent Currency,Fee Amount,Fee Currency,Tag,Transaction ID',
+    `03/10/2024 15:00:00,,,0.02,BTC,,,,${PURCHASE_TX}`,
+  ].join('\n');
+  const { format, purchases } = readPurchases(csv);
+  assert.equal(format, 'cointracker');
+  assert.deepEqual(purchases.map(p => [p.inscriptionId, p.txid, p.priceBTC, p.date]), [[null, PURCHASE_TX, 0.02, '2024-03-10']]);
+});
+
+test('generic CSVs need an explicit BTC or sats price column', () => {
+  const inscription = `${REVEAL}i0`;
+  const btc = readPurchases(`Inscription ID,Cost Basis (BTC),Date Acquired\n${inscription},0.015,2024-05-01\n`);
+  assert.equal(btc.format, 'generic');
+  assert.deepEqual(btc.purchases.map(p => [p.inscriptionId, p.priceBTC, p.date]), [[inscription, 0.015, '2024-05-01']]);
+
+  const sats = readPurchases(`inscription_id,price_sats,date\n${inscription},1500000,05/01/2024\n`);
+  assert.deepEqual(sats.purchases.map(p => [p.priceBTC, p.date]), [[0.015, '2024-05-01']]);
+
+  // Unlabelled price columns are usually fiat: $500 must not become 500 BTC
+  assert.throws(
+    () => readPurchases(`Inscription ID,Cost Basis,Date\n${inscription},500,2024-05-01\n`),
+    /No price column in BTC or sats.*"cost basis btc".*"price sats"/,
+  );
+  assert.throws(() => readPurchases(`Inscription ID,Price (USD)\n${inscription},500\n`), /No price column in BTC or sats/);
+});
+
+test('matchPurchases matches by inscription ID, then txid, and keeps the latest purchase', () => {
+  const ordinals = [
+    { id: `${SOLO_REVEAL}i0`, output: `${PURCHASE_TX}:0` },
+    { id: `${'e'.repeat(64)}i0`, output: `${'f'.repeat(64)}:1` },
+  ];
+  const { matched, unmatched } = matchPurchases([
+    { line: 2, inscriptionId: `${'e'.repeat(64)}i0`, txid: null, priceBTC: 0.01, date: '2023-01-01' },
+    { line: 3, inscriptionId: `${'e'.repeat(64)}i0`, txid: null, priceBTC: 0.03, date: '2024-01-01' },
+    { line: 4, inscriptionId: null, txid: PURCHASE_TX, priceBTC: 0.02, date: '2024-02-01' },
+    { line: 5, inscriptionId: null, txid: '9'.repeat(64), priceBTC: 0.04, date: '2024-02-02' },
+  ], ordinals);
+
+  assert.deepEqual(matched, {
+    [`${'e'.repeat(64)}i0`]: { priceBTC: 0.03, date: '2024-01-01', line: 3, matchedBy: 'inscription' },
+    [`${SOLO_REVEAL}i0`]: { priceBTC: 0.02, date: '2024-02-01', line: 4, matchedBy: 'txid' },
+  });
+  assert.deepEqual(unmatched.map(p => [p.line, p.reason]), [[5, 'not_found']]);
+
+  // An earlier purchase listed after a later one does not replace it
+  const reordered = matchPurchases([
+    { line: 2, inscriptionId: `${SOLO_REVEAL}i0`, txid: null, priceBTC: 0.05, date: '2024-06-01' },
+    { line: 3, inscriptionId: `${SOLO_REVEAL}i0`, txid: null, priceBTC: 0.01, date: '2023-06-01' },
+  ], ordinals);
+  assert.equal(reordered.matched[`${SOLO_REVEAL}i0`].priceBTC, 0.05);
+});
+
+test('matchPurchases leaves a batch reveal txid unmatched instead of picking one of its ordinals', () => {
+  const batch = [0, 1, 2].map(index => ({ id: `${REVEAL}i${index}`, output: `${REVEAL}:${index}` }));
+  const { matched, unmatched } = matchPurchases([
+    { line: 2, inscriptionId: null, txid: REVEAL, priceBTC: 0.01, date: '2024-01-01' },
+    { line: 3, inscriptionId: `${REVEAL}i1`, txid: REVEAL, priceBTC: 0.02, date: '2024-01-01' },
+  ], batch);
+  assert.deepEqual(matched, { [`${REVEAL}i1`]: { priceBTC: 0.02, date: '2024-01-01', line: 3, matchedBy: 'inscription' } });
+  assert.deepEqual(unmatched.map(p => [p.line, p.reason]), [[2, 'ambiguous']]);
+
+  // Once one ordinal of the batch has moved, its new location still matches
+  const moved = [{ ...batch[0], output: `${PURCHASE_TX}:0` }, batch[1]];
+  assert.equal(matchPurchases([{ line: 2, inscriptionId: null, txid: PURCHASE_TX, priceBTC: 0.01, date: null }], moved)
+    .matched[`${REVEAL}i0`].matchedBy, 'txid');
+});
+
+test('saved prices and dates are kept unless the user chose to replace them', () => {
+  const fresh = `${'1'.repeat(64)}i0`;
+  const edited = `${'2'.repeat(64)}i0`;
+  const same = `${'3'.repeat(64)}i0`;
+  const storage = memoryStorage({
+    [`ordinal-price-${edited}`]: '0.5',
+    [`ordinal-date-${edited}`]: '2024-04-04',
+    [`ordinal-price-${same}`]: '0.2',
+    [`ordinal-date-${same}`]: '2024-02-02',
+  });
+  const matched = {
+    [fresh]: { priceBTC: 0.1, date: '2024-01-01' },
+    [edited]: { priceBTC: 0.3, date: '2024-03-03' },
+    [same]: { priceBTC: 0.2, date: '2024-02-02' },
+  };
+
+  const diff = diffImportedBasis(matched, storage);
+  assert.deepEqual(diff.additions, [fresh]);
+  assert.deepEqual(diff.unchanged, [same]);
+  assert.deepEqual(diff.conflicts, [{
+    inscriptionId: edited,
+    saved: { priceBTC: 0.5, date: '2024-04-04' },
+    imported: { priceBTC: 0.3, date: '2024-03-03' },
+  }]);
+
+  assert.deepEqual(saveImportedBasis(matched, {}, storage), { savedCount: 1, replacedCount: 0 });
+  assert.equal(storage.getItem(`ordinal-price-${fresh}`), '0.1');
+  assert.equal(storage.getItem(`ordinal-date-${fresh}`), '2024-01-01');
+  assert.equal(storage.getItem(`ordinal-price-${edited}`), '0.5');
+  assert.equal(storage.getItem(`ordinal-date-${edited}`), '2024-04-04');
+
+  assert.deepEqual(saveImportedBasis(matched, { replace: [edited] }, storage), { savedCount: 0, replacedCount: 1 });
+  assert.equal(storage.getItem(`ordinal-price-${edited}`), '0.3');
+  assert.equal(storage.getItem(`ordinal-date-${edited}`), '2024-03-03');
+});
@@ -0,0 +1,206 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCostBasisDiscovery, deriveMintCost, derivePurchaseCost } from '../cost-basis.js';
+
+const BUYER = 'bc1pbuyerordinals';
+const BUYER_PAYMENT = 'bc1qbuyerpayment';
+const SELLER = 'bc1psellerordinals';
+const SELLER_PAYMENT = 'bc1qsellerpayment';
+const MARKETPLACE = 'bc1qmarketplacefees';
+const txid = (n) => String(n).padStart(64, '0');
+const inscriptionId = `${txid(1)}i0`;
+// OP_FALSE OP_IF "ord"
+const ENVELOPE = '0063036f7264';
+
+function prevout(address, value) {
+  return { prevout: { scriptpubkey_address: address, value } };
+}
+
+function output(address, value) {
+  return { scriptpubkey_address: address, value };
+}
+
+// Marketplace PSBT sale: two padding inputs, the seller's inscription, the
+// buyer's payment; padding merged into output 0, inscription in output 1
+const purchaseTx = {
+  txid: txid(2),
+  fee: 3000,
+  status: { confirmed: true, block_time: Date.parse('2024-03-10T15:00:00Z') / 1000 },
+  vin: [
+    prevout(BUYER_PAYMENT, 600),
+    prevout(BUYER_PAYMENT, 600),
+    prevout(SELLER, 10000),
+    prevout(BUYER_PAYMENT, 200000),
+  ],
+  vout: [
+    output(BUYER_PAYMENT, 1200),
+    output(BUYER, 10000),
+    output(SELLER_PAYMENT, 100000),
+    output(MARKETPLACE, 2000),
+    output(BUYER_PAYMENT, 600),
+    output(BUYER_PAYMENT, 600),
+    output(BUYER_PAYMENT, 93800),
+  ],
+};
+
+function providersWith({ activity = [], location = { txid: txid(2), vout: 1 }, owner = BUYER } = {}) {
+  return {
+    getInscription: async () => ({ id: inscriptionId, owner }),
+    getLocation: async () => location,
+    getActivity: async () => activity,
+  };
+}
+
+test('derivePurchaseCost counts price, marketplace fee and miner fee paid by the buyer', () => {
+  assert.deepEqual(derivePurchaseCost(purchaseTx, { inscriptionVout: 1, buyerAddress: BUYER }), {
+    paidSats: 105000,
+    minerFeeSats: 3000,
+    postageSats: 10000,
+    inscriptionInput: 2,
+    buyerInputCount: 3,
+  });
+
+  const selfTransfer = {
+    txid: txid(3),
+    fee: 500,
+    vin: [prevout(BUYER, 10000), prevout(BUYER_PAYMENT, 5000)],
+    vout: [output(BUYER, 10000), output(BUYER_PAYMENT, 4500)],
+  };
+  assert.equal(derivePurchaseCost(selfTransfer, { inscriptionVout: 0, buyerAddress: BUYER }), null);
+});
+
+test('a purchase matching the marketplace sale record has high confidence', async () => {
+  const discovery = createCostBasisDiscovery({
+    providers: providersWith({
+      activity: [
+        { kind: 'list', createdAt: '2024-03-01T00:00:00Z', txId: null, listedPriceSats: 100000 },
+        { kind: 'buying_broadcasted', createdAt: '2024-03-10T14:59:00Z', txId: txid(2), priceSats: 100000, oldOwner: SELLER, newOwner: BUYER },
+      ],
+    }),
+    fetchTx: async () => purchaseTx,
+  });
+
+  const result = await discovery.discoverCostBasis(inscriptionId);
+  assert.equal(result.address, BUYER);
+  assert.equal(result.confidence, 'high');
+  assert.equal(result.source, 'onchain_purchase');
+  assert.deepEqual(result.basis, {
+    sats: 105000,
+    btc: 0.00105,
+    date: '2024-03-10T15:00:00.000Z',
+    txid: txid(2),
+    breakdown: { priceSats: 100000, marketplaceFeeSats: 2000, minerFeeSats: 3000, postageSats: 10000 },
+  });
+});
+
+test('sales to other addresses and unpaid transfers are skipped', async () => {
+  const laterTransfer = {
+    txid: txid(4),
+    fee: 400,
+    vin: [prevout(BUYER, 10000), prevout(BUYER_PAYMENT, 2000)],
+    vout: [output(BUYER, 10000), output(BUYER_PAYMENT, 1600)],
+  };
+  const txs = { [txid(2)]: purchaseTx, [txid(4)]: laterTransfer };
+  const discovery = createCostBasisDiscovery({
+    providers: providersWith({
+      location: { txid: txid(4), vout: 0 },
+      activity: [
+        // A newer sale of the same inscription to someone else (stale index)
+        { kind: 'sale', createdAt: '2024-05-01T00:00:00Z', txId: txid(5), priceSats: 400000, oldOwner: BUYER, newOwner: 'bc1psomeoneelse' },
+        { kind: 'transfer', createdAt: '2024-04-01T00:00:00Z', txId: txid(4), oldOwner: BUYER, newOwner: BUYER },
+        { kind: 'transfer', createdAt: '2024-03-10T15:00:00Z', txId: txid(2), oldOwner: SELLER, newOwner: BUYER },
+      ],
+    }),
+    fetchTx: async (id) => txs[id],
+  });
+
+  const result = await discovery.discoverCostBasis(inscriptionId, { address: BUYER });
+  assert.equal(result.confidence, 'medium');
+  assert.equal(result.basis.sats, 105000);
+  assert.equal(result.basis.txid, txid(2));
+  assert.equal(result.basis.breakdown.marketplaceFeeSats, null);
+});
+
+test('falls back to the marketplace price when the transaction cannot be read', async () => {
+  const discovery = createCostBasisDiscovery({
+    providers: providersWith({
+      activity: [{ kind: 'buying_broadcasted', createdAt: '2024-03-10T14:59:00Z', txId: txid(2), priceSats: 100000, newOwner: BUYER }],
+    }),
+    fetchTx: async () => { throw new Error('Mempool API error: 503 Service Unavailable'); },
+  });
+
+  const result = await discovery.discoverCostBasis(inscriptionId, { address: BUYER });
+  assert.equal(result.confidence, 'low');
+  assert.equal(result.source, 'marketplace_activity');
+  assert.equal(result.basis.sats, 100000);
+  assert.equal(result.basis.date, '2024-03-10T14:59:00Z');
+});
+
+test('deriveMintCost adds commit and reveal fees, postage and launchpad payments', () => {
+  const commit = {
+    txid: txid(6),
+    fee: 1500,
+    vin: [prevout(BUYER_PAYMENT, 50000)],
+    vout: [output('bc1pcommitscript', 12000), output('bc1qlaunchpad', 5000), output(BUYER_PAYMENT, 31500)],
+  };
+  const reveal = {
+    txid: txid(1),
+    fee: 2000,
+    vin: [{ txid: txid(6), vout: 0, prevout: { scriptpubkey_address: 'bc1pcommitscript', value: 12000 }, witness: ['sig', `20aa${ENVELOPE}0101`, 'c0'] }],
+    vout: [output(BUYER, 10000)],
+  };
+  assert.deepEqual(deriveMintCost(reveal, commit), {
+    sats: 18500,
+    recipient: BUYER,
+    inscriptionCount: 1,
+    breakdown: { commitFeeSats: 1500, revealFeeSats: 2000, postageSats: 10000, launchpadFeeSats: 5000 },
+  });
+
+  // A batch of two, each in its own output, shares the fees
+  const batchReveal = {
+    ...reveal,
+    vin: [{ ...reveal.vin[0], witness: ['sig', `20aa${ENVELOPE}0101${ENVELOPE}0102`, 'c0'] }],
+    vout: [output(BUYER, 546), output(BUYER, 546)],
+  };
+  assert.deepEqual(deriveMintCost(batchReveal, commit, { inscriptionIndex: 1 }).breakdown, {
+    commitFeeSats: 750, revealFeeSats: 1000, postageSats: 546, launchpadFeeSats: 2500,
+  });
+});
+
+test('an inscription minted to the address is valued at its mint cost', async () => {
+  const commit = {
+    txid: txid(6),
+    fee: 1500,
+    vin: [prevout(BUYER_PAYMENT, 20000)],
+    vout: [output('bc1pcommitscript', 12000), output(BUYER_PAYMENT, 6500)],
+  };
+  const reveal = {
+    txid: txid(1),
+    fee: 2000,
+    status: { confirmed: true, block_time: Date.parse('2023-12-01T08:00:00Z') / 1000 },
+    vin: [{ txid: txid(6), vout: 0, prevout: { scriptpubkey_address: 'bc1pcommitscript', value: 12000 }, witness: ['sig', `20aa${ENVELOPE}0101`, 'c0'] }],
+    vout: [output(BUYER, 10000)],
+  };
+  const txs = { [txid(1)]: reveal, [txid(6)]: commit };
+  const discovery = createCostBasisDiscovery({
+    providers: providersWith({ location: { txid: txid(1), vout: 0 } }),
+    fetchTx: async (id) => txs[id],
+  });
+
+  const result = await discovery.discoverCostBasis(inscriptionId, { address: BUYER });
+  assert.equal(result.source, 'mint');
+  assert.equal(result.confidence, 'high');
+  assert.deepEqual(result.basis, {
+    sats: 13500,
+    btc: 0.000135,
+    date: '2023-12-01T08:00:00.000Z',
+    txid: txid(1),
+    breakdown: { commitTxid: txid(6), commitFeeSats: 1500, revealFeeSats: 2000, postageSats: 10000, launchpadFeeSats: 0 },
+  });
+
+  // Minted to someone else and given to this address: no basis
+  const gifted = await discovery.discoverCostBasis(inscriptionId, { address: 'bc1precipient' });
+  assert.equal(gifted.basis, null);
+  assert.equal(gifted.confidence, 'none');
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatFiat, getReportingCurrency, parseCurrency } from '../currencies.js';
+import { satsToFiat } from '../psbt-utils.js';
+
+test('parseCurrency normalizes supported codes and rejects the rest', () => {
+  assert.equal(parseCurrency('EUR'), 'eur');
+  assert.equal(parseCurrency(' aud '), 'aud');
+  assert.equal(parseCurrency('jpy'), null);
+  assert.equal(parseCurrency(undefined), null);
+});
+
+test('getReportingCurrency defaults to usd and fails fast on unknown codes', () => {
+  assert.equal(getReportingCurrency({}), 'usd');
+  assert.equal(getReportingCurrency({ REPORTING_CURRENCY: 'GBP' }), 'gbp');
+  assert.throws(() => getReportingCurrency({ REPORTING_CURRENCY: 'btc' }), /Unknown REPORTING_CURRENCY/);
+});
+
+test('fiat amounts round to cents and format with the currency symbol', () => {
+  assert.equal(satsToFiat(12345, 55000), 6.79);
+  assert.equal(formatFiat(6.79, 'eur'), '€6.79');
+  assert.equal(formatFiat(1234.5, 'cad'), 'CA$1234.50');
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { ECPairFactory } from 'ecpair';
+
+import { createAutoCpfp, createRbfReplacementPSBT, planCpfp } from '../fee-bump.js';
+
+const ECPair = ECPairFactory(ecc);
+const network = bitcoin.networks.testnet;
+const originalEnv = { ...process.env };
+const originalFetch = globalThis.fetch;
+
+function restoreEnv() {
+  for (const key of Object.keys(process.env)) {
+    if (!(key in originalEnv)) {
+      delete process.env[key];
+    }
+  }
+  for (const [key, value] of Object.entries(originalEnv)) {
+    process.env[key] = value;
+  }
+}
+
+function p2trFor(keyPair) {
+  return bitcoin.payments.p2tr({ internalPubkey: keyPair.publicKey.subarray(1, 33), network });
+}
+
+test.afterEach(() => {
+  restoreEnv();
+  globalThis.fetch = originalFetch;
+});
+
+test('planCpfp lifts the package to the target rate', () => {
+  const plan = planCpfp({ parentVsize: 300, parentFee: 300, changeValue: 20000, childVsize: 111, targetFeeRate: 10 });
+  assert.equal(plan.childFee, 10 * 411 - 300);
+  assert.equal(plan.outputValue, 20000 - plan.childFee);
+  assert.ok(plan.packageFeeRate >= 10);
+});
+
+test('planCpfp refuses to spend change below dust', () => {
+  assert.throws(
+    () => planCpfp({ parentVsize: 300, parentFee: 300, changeValue: 2000, childVsize: 111, targetFeeRate: 10 }),
+    /cannot fund/
+  );
+});
+
+// A seller ordinal + Harvy funding trade, unconfirmed and signalling RBF
+function unconfirmedTrade() {
+  const harvyKey = ECPair.makeRandom({ network });
+  const sellerKey = ECPair.makeRandom({ network });
+  const harvy = p2trFor(harvyKey);
+  const seller = p2trFor(sellerKey);
+
+  process.env.BITCOIN_NETWORK = 'testnet';
+  process.env.HARVY_WALLET_ADDRESS = harvy.address;
+  process.env.HARVY_WALLET_PRIVATE_KEY = harvyKey.toWIF();
+
+  const originalTxid = 'aa'.repeat(32);
+  const original = {
+    txid: originalTxid,
+    fee: 400,
+    status: { confirmed: false },
+    vin: [
+      { txid: '11'.repeat(32), vout: 0, sequence: 0xfffffffd, prevout: { scriptpubkey: Buffer.from(seller.output).toString('hex'), scriptpubkey_address: seller.address, value: 546 } },
+      { txid: '22'.repeat(32), vout: 1, sequence: 0xfffffffd, prevout: { scriptpubkey: Buffer.from(harvy.output).toString('hex'), scriptpubkey_address: harvy.address, value: 50000 } },
+    ],
+    vout: [
+      { scriptpubkey: Buffer.from(harvy.output).toString('hex'), scriptpubkey_address: harvy.address, value: 546 },
+      { scriptpubkey: Buffer.from(seller.output).toString('hex'), scriptpubkey_address: seller.address, value: 600 },
+      { scriptpubkey: Buffer.from(harvy.output).toString('hex'), scriptpubkey_address: harvy.address, value: 48000 },
+    ],
+  };
+  const trade = { id: 1, txid: originalTxid, sellerAddress: seller.address, confirmationStatus: 'unconfirmed', harvyChangeVout: 2 };
+  return { harvy, original, trade };
+}
+
+// Esplora stand-in: transactions by txid and outspends by 'txid:vout'
+function mockEsplora(transactions, outspends = {}) {
+  globalThis.fetch = async (url) => {
+    const outspend = url.match(/\/tx\/([0-9a-f]{64})\/outspend\/(\d+)$/);
+    if (outspend) {
+      const spend = outspends[`${outspend[1]}:${outspend[2]}`] || { spent: false };
+      return { ok: true, status: 200, json: async () => spend };
+    }
+    const txid = url.match(/\/tx\/([0-9a-f]{64})$/)?.[1];
+    assert.ok(transactions[txid], `unexpected request ${url}`);
+    return { ok: true, status: 200, json: async () => transactions[txid] };
+  };
+}
+
+test('createRbfReplacementPSBT keeps inputs and pays the extra fee from Harvy change', async () => {
+  const { original, trade } = unconfirmedTrade();
+  mockEsplora({ [original.txid]: original });
+
+  const { psbtBase64, details } = await createRbfReplacementPSBT({ trade, feeRate: 20 });
+
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  assert.deepEqual(details.sellerInputIndices, [0]);
+  assert.equal(psbt.txInputs.length, 2);
+  assert.ok(psbt.txInputs.every(input => input.sequence === 0xfffffffd));
+  assert.ok(psbt.data.inputs[1].tapKeySig, 'Harvy input is signed');
+  assert.equal(psbt.data.inputs[0].tapKeySig, undefined);
+  assert.equal(psbt.txOutputs[1].value, 600n);
+  assert.equal(psbt.txOutputs[2].value, BigInt(48000 - (details.newFee - details.originalFee)));
+  assert.ok(details.newFee >= 20 * details.estimatedVsize);
+  assert.deepEqual(details.replacedDescendants, []);
+  assert.notEqual(details.unsignedTxid, original.txid);
+});
+
+test('createRbfReplacementPSBT also pays the fee of a pending CPFP child it evicts', async () => {
+  const { harvy, original, trade } = unconfirmedTrade();
+  const childTxid = 'cc'.repeat(32);
+  const child = {
+    txid: childTxid,
+    fee: 9000,
+    status: { confirmed: false },
+    vin: [{ txid: original.txid, vout: 2, prevout: original.vout[2] }],
+    vout: [{ scriptpubkey: Buffer.from(harvy.output).toString('hex'), scriptpubkey_address: harvy.address, value: 39000 }],
+  };
+  mockEsplora(
+    { [original.txid]: original, [childTxid]: child },
+    { [`${original.txid}:2`]: { spent: true, txid: childTxid, vin: 0, status: { confirmed: false } } }
+  );
+
+  // A fee rate the original plus the incremental relay fee would already meet
+  const { psbtBase64, details } = await createRbfReplacementPSBT({ trade, feeRate: 2 });
+
+  assert.deepEqual(details.replacedDescendants, [{ txid: childTxid, fee: 9000 }]);
+  assert.ok(details.newFee > original.fee + child.fee, 'replacement outbids parent and child together');
+  assert.equal(details.newFee, original.fee + child.fee + details.estimatedVsize);
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  assert.equal(psbt.txOutputs[2].value, BigInt(48000 - (details.newFee - original.fee)));
+});
+
+test('createAutoCpfp rejects invalid settings up front', () => {
+  const store = { listFeeBumps: () => [] };
+  process.env.FEE_BUMP_AFTER_MINUTES = 'soon';
+  assert.throws(() => createAutoCpfp(store), /Invalid FEE_BUMP_AFTER_MINUTES configuration/);
+  process.env.FEE_BUMP_AFTER_MINUTES = '30';
+  process.env.FEE_BUMP_TARGET = 'fastest';
+  assert.throws(() => createAutoCpfp(store), /Invalid fee target: fastest/);
+});
+
+test('auto CPFP skips a trade when fee estimation is unavailable', async () => {
+  process.env.FEE_BUMP_TARGET = 'economy';
+  delete process.env.FEE_RATE_SOURCES;
+  delete process.env.FEE_RATE_FALLBACK_SAT_VB;
+  globalThis.fetch = async () => {
+    throw new Error('offline');
+  };
+  const autoCpfp = createAutoCpfp({ listFeeBumps: () => [] });
+  const trade = {
+    id: 1,
+    confirmationStatus: 'unconfirmed',
+    harvyChangeVout: 2,
+    broadcastResult: { broadcastAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() },
+  };
+  await assert.doesNotReject(autoCpfp(trade));
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  clearFeeRateCache,
+  estimateFeeRate,
+  resolveFeeSources,
+  resolveFeeTarget,
+} from '../fee-estimator.js';
+
+const originalEnv = { ...process.env };
+const originalFetch = globalThis.fetch;
+
+const RECOMMENDED = { fastestFee: 40, halfHourFee: 20, hourFee: 12, economyFee: 4, minimumFee: 1 };
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: async () => body,
+  };
+}
+
+function restoreEnv() {
+  for (const key of Object.keys(process.env)) {
+    if (!(key in originalEnv)) {
+      delete process.env[key];
+    }
+  }
+  for (const [key, value] of Object.entries(originalEnv)) {
+    process.env[key] = value;
+  }
+}
+
+test.beforeEach(() => {
+  for (const key of Object.keys(process.env)) {
+    if (key.startsWith('FEE_') || key.startsWith('BITCOIND_')) {
+      delete process.env[key];
+    }
+  }
+  clearFeeRateCache();
+});
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+  restoreEnv();
+});
+
+test('resolveFeeTarget defaults to normal and rejects unknown targets', () => {
+  assert.equal(resolveFeeTarget(), 'normal');
+  process.env.FEE_TARGET = 'Economy';
+  assert.equal(resolveFeeTarget(), 'economy');
+  assert.equal(resolveFeeTarget('fast'), 'fast');
+  assert.throws(() => resolveFeeTarget('ludicrous'), /Invalid fee target/);
+  assert.deepEqual(resolveFeeSources({}), ['mempool']);
+  assert.deepEqual(resolveFeeSources({ FEE_RATE_SOURCES: 'bitcoind, Mempool' }), ['bitcoind', 'mempool']);
+});
+
+test('estimateFeeRate maps targets onto mempool recommended fees', async () => {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return jsonResponse(RECOMMENDED);
+  };
+  process.env.MEMPOOL_API_URL = 'https://mempool.test/api';
+
+  const fast = await estimateFeeRate({ target: 'fast' });
+  assert.equal(fast.satPerVb, 40);
+  assert.equal(fast.source, 'mempool');
+  assert.equal(urls[0], 'https://mempool.test/api/v1/fees/recommended');
+
+  assert.equal((await estimateFeeRate()).satPerVb, 20);
+  assert.equal((await estimateFeeRate({ target: 'economy' })).satPerVb, 4);
+});
+
+test('estimateFeeRate clamps to the configured floor and ceiling', async () => {
+  globalThis.fetch = async () => jsonResponse(RECOMMENDED);
+  process.env.FEE_RATE_FLOOR_SAT_VB = '6';
+  process.env.FEE_RATE_CEILING_SAT_VB = '30';
+
+  const economy = await estimateFeeRate({ target: 'economy' });
+  assert.equal(economy.satPerVb, 6);
+  assert.equal(economy.rawSatPerVb, 4);
+  assert.equal(economy.clamped, true);
+
+  assert.equal((await estimateFeeRate({ target: 'fast' })).satPerVb, 30);
+  assert.equal((await estimateFeeRate({ target: 'normal' })).clamped, false);
+});
+
+test('estimateFeeRate falls back from bitcoind to mempool and to a configured rate', async () => {
+  let rpcBody;
+  globalThis.fetch = async (url, options) => {
+    if (url === 'http://bitcoind.test') {
+      rpcBody = JSON.parse(options.body);
+      return jsonResponse({ result: { feerate: 0.00012, blocks: 6 }, error: null });
+    }
+    return jsonResponse({}, 503);
+  };
+  process.env.FEE_RATE_SOURCES = 'mempool,bitcoind';
+  process.env.BITCOIND_RPC_URL = 'http://bitcoind.test';
+
+  const estimate = await estimateFeeRate();
+  assert.equal(estimate.source, 'bitcoind');
+  assert.equal(estimate.satPerVb, 12);
+  assert.deepEqual(rpcBody.params, [6, 'ECONOMICAL']);
+
+  clearFeeRateCache();
+  process.env.FEE_RATE_SOURCES = 'mempool';
+  await assert.rejects(estimateFeeRate(), /Fee estimation unavailable/);
+
+  process.env.FEE_RATE_FALLBACK_SAT_VB = '3';
+  const fallback = await estimateFeeRate();
+  assert.equal(fallback.source, 'fallback');
+  assert.equal(fallback.satPerVb, 3);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { getTradeStore } from '../trade-store.js';
+import { startHarness } from './harness/index.mjs';
+
+// A server of its own, so the finalize calls in sell-flow.test.mjs do not
+// use up this file's share of the per-IP transaction rate limit
+let harness;
+
+test.before(async () => {
+  harness = await startHarness();
+});
+
+test.after(async () => {
+  await harness?.close();
+});
+
+test('only a rejected broadcast fails the trade; a PSBT that fails validation can be resubmitted', async () => {
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const inscription = harness.inscribe(seller.ordinals.address);
+
+  const created = await harness.request('POST', '/api/create-batch-psbt', {
+    ordinals: [{ inscriptionId: inscription.inscriptionId, purchasePriceSats: 250000 }],
+    sellerAddress: seller.ordinals.address,
+    sellerPublicKey: seller.ordinals.publicKey,
+    sellerPaymentAddress: seller.payment.address,
+    sellerPaymentPublicKey: seller.payment.publicKey,
+    userTaxRate: 0.3,
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { details, quote, tradeId } = created.body;
+  const signed = harness.sign(created.body.psbtBase64, details.signInputs, seller.accounts);
+
+  const wrongQuote = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: crypto.randomUUID() });
+  assert.equal(wrongQuote.status, 400);
+  assert.match(wrongQuote.body.error, /^Invalid PSBT/);
+  assert.equal(getTradeStore().getTrade(tradeId).status, 'created');
+
+  // A corrupted seller signature passes Harvy's checks but the node rejects it
+  const corrupted = bitcoin.Psbt.fromBase64(signed, { network: harness.network });
+  const sellerInput = corrupted.data.inputs.find(input => input.tapKeySig);
+  sellerInput.tapKeySig = Buffer.from(sellerInput.tapKeySig);
+  sellerInput.tapKeySig[0] ^= 1;
+  const rejected = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: corrupted.toBase64(), quoteId: quote.id });
+  assert.equal(rejected.status, 500);
+  assert.equal(getTradeStore().getTrade(tradeId).status, 'failed');
+});
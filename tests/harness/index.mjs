@@ -0,0 +1,172 @@
+// index.mjs
+// Offline integration harness: the Express app against local esplora, Magic Eden, ord and price stand-ins
+
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { createMockChain, startMockEsplora } from './mock-esplora.mjs';
+import { startMockMagicEden, startMockOrd } from './mock-indexers.mjs';
+import { startMockServer } from './mock-server.mjs';
+import { createSegwitAccount, createTaprootAccount, signAddressProof, signPsbt } from './wallet.mjs';
+
+export { signPsbt };
+
+/**
+ * Start the mocks, point Harvy's environment at them and serve the app on an
+ * ephemeral port. server.js reads its network config on import, so call this
+ * once per test file (node --test runs each file in its own process).
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Extra/overriding environment variables
+ * @param {object} [options.btcPrices] - currency → BTC price served by the CoinGecko stand-in
+ * @param {object} [options.historicalPrices] - DD-MM-YYYY → { currency: price } for CoinGecko's /coins/bitcoin/history
+ * @param {number} [options.harvyFundingSats] - Confirmed coin seeded to Harvy's wallet
+ * @param {boolean} [options.verbose] - Keep the app's console.log output (HARNESS_VERBOSE=1)
+ * @returns {Promise<object>} - Harness API (request, createSeller, inscribe, sign, chain, close, ...)
+ */
+export async function startHarness({
+  env = {},
+  btcPrices = { usd: 60000, eur: 55000 },
+  historicalPrices = {},
+  harvyFundingSats = 200000,
+  verbose = !!process.env.HARNESS_VERBOSE,
+} = {}) {
+  // The app logs every request and PSBT input in detail, which drowns the
+  // test runner's own output
+  const originalLog = console.log;
+  if (!verbose) {
+    console.log = () => {};
+  }
+
+  const network = bitcoin.networks.regtest;
+  const esplora = await startMockEsplora({ chain: createMockChain({ network }) });
+  const magicEden = await startMockMagicEden();
+  const ord = await startMockOrd();
+  const coingecko = await startMockServer(({ path, query }) => {
+    if (path === '/simple/price') {
+      const wanted = query.get('vs_currencies').split(',');
+      return { json: { bitcoin: Object.fromEntries(Object.entries(btcPrices).filter(([c]) => wanted.includes(c))) } };
+    }
+    if (path === '/coins/bitcoin/history' && historicalPrices[query.get('date')]) {
+      return { json: { market_data: { current_price: historicalPrices[query.get('date')] } } };
+    }
+    return null;
+  });
+
+  const harvy = createTaprootAccount(network);
+  Object.assign(process.env, {
+    BITCOIN_NETWORK: 'regtest',
+    MEMPOOL_API_URL: esplora.url,
+    MAGICEDEN_API_URL: magicEden.url,
+    ORD_SERVER_URL: ord.url,
+    COINGECKO_API_URL: coingecko.url,
+    BTC_PRICE_SOURCES: 'coingecko',
+    BTC_PRICE_MIN_SOURCES: '1',
+    INSCRIPTION_PROVIDERS: 'magiceden',
+    INSCRIPTION_PROVIDERS_OUTPUT: 'ord',
+    INSCRIPTION_PROVIDERS_RUNES: 'ord',
+    FEE_RATE_SOURCES: 'mempool',
+    HARVY_DB_PATH: ':memory:',
+    HARVY_WALLET_ADDRESS: harvy.address,
+    HARVY_WALLET_PRIVATE_KEY: harvy.keyPair.toWIF(),
+    FLAT_SERVICE_FEE_SATS: '5000',
+    FEE_SETTLEMENT: 'auto',
+    TX_TRACKER_ENABLED: 'false',
+    ...env,
+  });
+  if (harvyFundingSats > 0) {
+    esplora.chain.fund(harvy.address, harvyFundingSats);
+  }
+
+  const { app } = await import('../../server.js');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    network,
+    baseUrl,
+    harvy,
+    chain: esplora.chain,
+    esplora,
+    magicEden,
+    ord,
+
+    /** Call the app; resolves to { status, body } with the JSON body parsed. */
+    async request(method, path, body, headers = {}) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        json = text;
+      }
+      return { status: response.status, body: json };
+    },
+
+    /**
+     * A seller with a Taproot ordinals account and a P2WPKH payment account,
+     * the payment account funded with `paymentSats` when given.
+     */
+    createSeller({ paymentSats = 0 } = {}) {
+      const ordinals = createTaprootAccount(network);
+      const payment = createSegwitAccount(network);
+      if (paymentSats > 0) {
+        esplora.chain.fund(payment.address, paymentSats);
+      }
+      return { ordinals, payment, accounts: [ordinals, payment] };
+    },
+
+    /**
+     * Put a new inscription in `owner`'s wallet: a confirmed coin of `value`
+     * sats indexed by the Magic Eden and ord stand-ins.
+     * @returns {object} - { inscriptionId, output, txid, vout, value }
+     */
+    inscribe(owner, { value = 546, purchasePriceSats } = {}) {
+      const coin = esplora.chain.fund(owner, value);
+      const inscriptionId = `${coin.txid}i0`;
+      magicEden.addInscription({ id: inscriptionId, owner, output: coin.output });
+      ord.addInscription({ id: inscriptionId, output: coin.output });
+      if (purchasePriceSats) {
+        magicEden.addActivity(inscriptionId, {
+          kind: 'buying_broadcasted',
+          createdAt: new Date().toISOString(),
+          txId: coin.txid,
+          price: purchasePriceSats,
+          newOwner: owner,
+        });
+      }
+      return { inscriptionId, ...coin };
+    },
+
+    /**
+     * Sign /api/address-proof's message with a Taproot account, as the
+     * frontend does before fetching realized sales.
+     * @returns {Promise<object>} - Proof headers for request()
+     */
+    async proveAddress(account) {
+      const { body } = await this.request('GET', `/api/address-proof?address=${account.address}`);
+      return {
+        'X-Address-Proof-Message': body.message,
+        'X-Address-Proof-Signature': signAddressProof(account, body.message, network),
+      };
+    },
+
+    /** Sign as the seller's wallet would (see wallet.mjs). */
+    sign(psbtBase64, signInputs, accounts) {
+      return signPsbt(psbtBase64, signInputs, accounts, network);
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await Promise.all([esplora.close(), magicEden.close(), ord.close(), coingecko.close()]);
+      console.log = originalLog;
+    },
+  };
+}
@@ -0,0 +1,301 @@
+// mock-esplora.mjs
+// In-memory regtest-style chain behind the subset of the esplora/mempool API Harvy uses
+
+import crypto from 'node:crypto';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+
+import { startMockServer } from './mock-server.mjs';
+
+bitcoin.initEccLib(ecc);
+
+const DEFAULT_FEES = { fastestFee: 5, halfHourFee: 3, hourFee: 2, economyFee: 1, minimumFee: 1 };
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function addressOf(script, network) {
+  try {
+    return bitcoin.address.fromOutputScript(script, network);
+  } catch {
+    return null;
+  }
+}
+
+// Key-path P2TR and P2WPKH spends are checked like a node would; anything
+// else is refused so a test cannot silently broadcast an unverified input.
+function verifyInput(tx, index, prevouts) {
+  const { script, value } = prevouts[index];
+  const witness = tx.ins[index].witness;
+  const type = script.length === 34 && script[0] === 0x51 && script[1] === 0x20
+    ? 'p2tr'
+    : script.length === 22 && script[0] === 0x00 && script[1] === 0x14 ? 'p2wpkh' : null;
+
+  if (type === 'p2tr') {
+    if (witness.length !== 1 || (witness[0].length !== 64 && witness[0].length !== 65)) {
+      throw new Error(`input ${index}: expected a taproot key-path signature`);
+    }
+    const sig = witness[0];
+    const hashType = sig.length === 65 ? sig[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+    const hash = tx.hashForWitnessV1(index, prevouts.map(p => p.script), prevouts.map(p => p.value), hashType);
+    if (!ecc.verifySchnorr(hash, script.subarray(2), sig.subarray(0, 64))) {
+      throw new Error(`input ${index}: invalid schnorr signature`);
+    }
+    return;
+  }
+
+  if (type === 'p2wpkh') {
+    if (witness.length !== 2) {
+      throw new Error(`input ${index}: expected a P2WPKH witness`);
+    }
+    const [sig, pubkey] = witness;
+    if (toHex(bitcoin.crypto.hash160(pubkey)) !== toHex(script.subarray(2))) {
+      throw new Error(`input ${index}: public key does not match the spent output`);
+    }
+    const { signature, hashType } = bitcoin.script.signature.decode(sig);
+    const scriptCode = bitcoin.payments.p2pkh({ hash: script.subarray(2) }).output;
+    const hash = tx.hashForWitnessV0(index, scriptCode, value, hashType);
+    if (!ecc.verify(hash, pubkey, signature)) {
+      throw new Error(`input ${index}: invalid ECDSA signature`);
+    }
+    return;
+  }
+
+  throw new Error(`input ${index}: unsupported script ${toHex(script)}`);
+}
+
+/**
+ * In-memory chain: funding coins, a mempool and block mining. Spends are
+ * checked for missing/double-spent inputs, signatures and negative fees.
+ * @param {object} options
+ * @param {object} options.network - bitcoinjs network params
+ * @returns {object} - Chain API (fund, broadcast, mine, getTransaction, ...)
+ */
+export function createMockChain({ network = bitcoin.networks.regtest } = {}) {
+  const txs = new Map(); // txid → { tx, status, fee }
+  const spends = new Map(); // "txid:vout" → spending txid
+  let tipHeight = 100;
+
+  function blockStatus(height) {
+    return {
+      confirmed: true,
+      block_height: height,
+      block_hash: crypto.createHash('sha256').update(`block-${height}`).digest('hex'),
+      block_time: 1700000000 + height * 600,
+    };
+  }
+
+  function outputAt(txid, vout) {
+    return txs.get(txid)?.tx.outs[vout] || null;
+  }
+
+  return {
+    network,
+
+    get tipHeight() {
+      return tipHeight;
+    },
+
+    /**
+     * Create a confirmed coin paying `value` sats to `address`.
+     * @returns {object} - { txid, vout, value, output }
+     */
+    fund(address, value) {
+      const tx = new bitcoin.Transaction();
+      tx.version = 2;
+      // A unique coinbase-style input keeps every funding txid distinct
+      tx.addInput(crypto.randomBytes(32), 0xffffffff);
+      tx.addOutput(bitcoin.address.toOutputScript(address, network), BigInt(value));
+      const txid = tx.getId();
+      txs.set(txid, { tx, status: blockStatus(tipHeight), fee: 0, coinbase: true });
+      return { txid, vout: 0, value, output: `${txid}:0` };
+    },
+
+    /**
+     * Accept a raw transaction into the mempool.
+     * @returns {string} - txid
+     * @throws {Error} with the reason a node would reject it
+     */
+    broadcast(txHex) {
+      const tx = bitcoin.Transaction.fromHex(txHex);
+      const txid = tx.getId();
+      if (txs.has(txid)) {
+        throw new Error('txn-already-known');
+      }
+
+      const conflicts = new Set();
+      const prevouts = tx.ins.map((input, i) => {
+        const prevTxid = toHex(Buffer.from(input.hash).reverse());
+        const output = outputAt(prevTxid, input.index);
+        if (!output) {
+          throw new Error(`bad-txns-inputs-missingorspent (input ${i})`);
+        }
+        const spender = spends.get(`${prevTxid}:${input.index}`);
+        if (spender && txs.get(spender).status.confirmed) {
+          throw new Error(`bad-txns-inputs-missingorspent (input ${i} already spent)`);
+        }
+        if (spender) {
+          conflicts.add(spender);
+        }
+        return { txid: prevTxid, vout: input.index, script: output.script, value: output.value };
+      });
+      tx.ins.forEach((_input, i) => verifyInput(tx, i, prevouts));
+
+      const inputTotal = prevouts.reduce((sum, p) => sum + p.value, 0n);
+      const outputTotal = tx.outs.reduce((sum, o) => sum + o.value, 0n);
+      if (outputTotal > inputTotal) {
+        throw new Error('bad-txns-in-belowout');
+      }
+
+      // Replace-by-fee: the replacement evicts mempool conflicts and their
+      // descendants, and must pay more than all of them (BIP125 rule 3)
+      const evicted = [...conflicts];
+      for (let i = 0; i < evicted.length; i++) {
+        txs.get(evicted[i]).tx.outs.forEach((_out, vout) => {
+          const child = spends.get(`${evicted[i]}:${vout}`);
+          if (child && !evicted.includes(child)) {
+            evicted.push(child);
+          }
+        });
+      }
+      const evictedFees = evicted.reduce((sum, evictedTxid) => sum + txs.get(evictedTxid).fee, 0);
+      if (evicted.length > 0 && Number(inputTotal - outputTotal) <= evictedFees) {
+        throw new Error(`insufficient fee, rejecting replacement ${txid}`);
+      }
+      for (const evictedTxid of evicted) {
+        txs.get(evictedTxid).prevouts.forEach(p => spends.delete(`${p.txid}:${p.vout}`));
+        txs.delete(evictedTxid);
+      }
+
+      prevouts.forEach(p => spends.set(`${p.txid}:${p.vout}`, txid));
+      txs.set(txid, { tx, status: { confirmed: false }, fee: Number(inputTotal - outputTotal), prevouts });
+      return txid;
+    },
+
+    /**
+     * Confirm every mempool transaction in a new block.
+     * @returns {number} - New tip height
+     */
+    mine() {
+      tipHeight += 1;
+      for (const entry of txs.values()) {
+        if (!entry.status.confirmed) {
+          entry.status = blockStatus(tipHeight);
+        }
+      }
+      return tipHeight;
+    },
+
+    /** Unspent outputs paying `address`, mempool included (esplora shape). */
+    utxos(address) {
+      const result = [];
+      for (const [txid, { tx, status }] of txs) {
+        tx.outs.forEach((out, vout) => {
+          if (!spends.has(`${txid}:${vout}`) && addressOf(out.script, network) === address) {
+            result.push({ txid, vout, value: Number(out.value), status });
+          }
+        });
+      }
+      return result;
+    },
+
+    getTransaction(txid) {
+      return txs.get(txid)?.tx || null;
+    },
+
+    /** Esplora transaction JSON, with prevouts and fee. */
+    txJson(txid) {
+      const entry = txs.get(txid);
+      if (!entry) {
+        return null;
+      }
+      const { tx, status, fee, prevouts = [], coinbase } = entry;
+      return {
+        txid,
+        version: tx.version,
+        locktime: tx.locktime,
+        vin: tx.ins.map((input, i) => ({
+          txid: coinbase ? '0'.repeat(64) : prevouts[i].txid,
+          vout: input.index,
+          sequence: input.sequence,
+          is_coinbase: !!coinbase,
+          prevout: coinbase ? null : {
+            scriptpubkey: toHex(prevouts[i].script),
+            scriptpubkey_address: addressOf(prevouts[i].script, network),
+            value: Number(prevouts[i].value),
+          },
+        })),
+        vout: tx.outs.map(out => ({
+          scriptpubkey: toHex(out.script),
+          scriptpubkey_address: addressOf(out.script, network),
+          value: Number(out.value),
+        })),
+        size: tx.byteLength(),
+        weight: tx.weight(),
+        fee,
+        status,
+      };
+    },
+
+    outspend(txid, vout) {
+      const spender = spends.get(`${txid}:${vout}`);
+      return spender ? { spent: true, txid: spender, status: txs.get(spender).status } : { spent: false };
+    },
+
+    /** Transactions still waiting for a block. */
+    mempool() {
+      return [...txs.entries()].filter(([, entry]) => !entry.status.confirmed).map(([txid]) => txid);
+    },
+  };
+}
+
+/**
+ * Serve a mock chain over the esplora routes used by psbt-utils, fee-estimator,
+ * tx-tracker and fee-bump.
+ * @param {object} options
+ * @param {object} [options.chain] - createMockChain() result
+ * @param {object} [options.fees] - /v1/fees/recommended response
+ * @returns {Promise<object>} - { url, chain, requests, close }
+ */
+export async function startMockEsplora({ chain = createMockChain(), fees = DEFAULT_FEES } = {}) {
+  const server = await startMockServer(({ method, path, body }) => {
+    let match;
+    if (method === 'POST' && path === '/tx') {
+      try {
+        return { text: chain.broadcast(body.trim()) };
+      } catch (e) {
+        return { status: 400, text: `sendrawtransaction RPC error: ${e.message}` };
+      }
+    }
+    if (path === '/v1/fees/recommended') {
+      return { json: fees };
+    }
+    if (path === '/blocks/tip/height') {
+      return { text: String(chain.tipHeight) };
+    }
+    if ((match = path.match(/^\/address\/([^/]+)\/utxo$/))) {
+      return { json: chain.utxos(match[1]) };
+    }
+    if ((match = path.match(/^\/tx\/([0-9a-f]{64})(\/hex|\/status|\/outspend\/(\d+))?$/))) {
+      const [, txid, suffix, vout] = match;
+      const json = chain.txJson(txid);
+      if (!json) {
+        return null;
+      }
+      if (suffix === '/hex') {
+        return { text: chain.getTransaction(txid).toHex() };
+      }
+      if (suffix === '/status') {
+        return { json: json.status };
+      }
+      if (vout !== undefined) {
+        return { json: chain.outspend(txid, parseInt(vout, 10)) };
+      }
+      return { json };
+    }
+    return null;
+  });
+
+  return { ...server, chain };
+}
@@ -0,0 +1,95 @@
+// mock-indexers.mjs
+// Magic Eden token/activity API and an ord /output endpoint over one seeded inscription set
+
+import { startMockServer } from './mock-server.mjs';
+
+/**
+ * Serve the Magic Eden routes the magiceden provider calls
+ * (/tokens?tokenIds=, /tokens?ownerAddress=, /activities?tokenId=&kind=).
+ * @returns {Promise<object>} - { url, addInscription, addActivity, requests, close }
+ */
+export async function startMockMagicEden() {
+  const tokens = new Map(); // id → Magic Eden token
+  const activities = new Map(); // id → [activity]
+
+  const server = await startMockServer(({ path, query }) => {
+    if (path === '/tokens') {
+      if (query.has('tokenIds')) {
+        const ids = query.get('tokenIds').split(',');
+        return { json: { tokens: ids.map(id => tokens.get(id)).filter(Boolean) } };
+      }
+      const owned = [...tokens.values()].filter(t => t.owner === query.get('ownerAddress'));
+      const offset = parseInt(query.get('offset') || '0', 10);
+      const limit = parseInt(query.get('limit') || '20', 10);
+      return { json: { tokens: owned.slice(offset, offset + limit), total: owned.length } };
+    }
+    if (path === '/activities') {
+      const kind = query.get('kind');
+      const list = (activities.get(query.get('tokenId')) || []).filter(a => !kind || a.kind === kind);
+      return { json: { activities: list } };
+    }
+    return null;
+  });
+
+  return {
+    ...server,
+
+    /** Register an inscription held at `output` by `owner`. */
+    addInscription({ id, owner, output, number = tokens.size + 1, contentType = 'image/png', displayName }) {
+      tokens.set(id, {
+        id,
+        inscriptionNumber: number,
+        contentType,
+        contentURI: `https://ord-mirror.magiceden.dev/content/${id}`,
+        displayName: displayName || `Harness Inscription #${number}`,
+        owner,
+        output,
+        listedPrice: null,
+        collection: null,
+      });
+    },
+
+    /** Add a Magic Eden activity (kind, price, createdAt, txId, ...) for an inscription. */
+    addActivity(id, activity) {
+      activities.set(id, [...(activities.get(id) || []), { tokenId: id, ...activity }]);
+    },
+  };
+}
+
+/**
+ * Serve an ord server's /output/<outpoint> for the cardinal checks on seller
+ * fee UTXOs: seeded outputs list their inscriptions and runes, every other
+ * output is clean.
+ * @returns {Promise<object>} - { url, addInscription, addRunes, requests, close }
+ */
+export async function startMockOrd() {
+  const inscriptionsByOutput = new Map();
+  const runesByOutput = new Map();
+
+  const server = await startMockServer(({ path }) => {
+    const match = decodeURIComponent(path).match(/^\/output\/([0-9a-f]{64}:\d+)$/);
+    if (!match) {
+      return null;
+    }
+    const output = match[1];
+    return {
+      json: {
+        outpoint: output,
+        inscriptions: inscriptionsByOutput.get(output) || [],
+        runes: runesByOutput.get(output) || {},
+      },
+    };
+  });
+
+  return {
+    ...server,
+
+    addInscription({ id, output }) {
+      inscriptionsByOutput.set(output, [...(inscriptionsByOutput.get(output) || []), id]);
+    },
+
+    addRunes(output, runes) {
+      runesByOutput.set(output, { ...(runesByOutput.get(output) || {}), ...runes });
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// mock-server.mjs
+// Minimal local HTTP server for the integration harness's upstream stand-ins
+
+import http from 'node:http';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serve `handle` on an ephemeral 127.0.0.1 port. The handler receives
+ * { method, path, query, body } and returns { status?, json } or
+ * { status?, text }, or null for a 404.
+ * @param {Function} handle
+ * @returns {Promise<object>} - { url, requests, close }
+ */
+export async function startMockServer(handle) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    try {
+      const body = await readBody(req);
+      requests.push({ method: req.method, path: url.pathname, query: url.search });
+      const result = await handle({ method: req.method, path: url.pathname, query: url.searchParams, body });
+      if (!result) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+      }
+      const { status = 200, json, text } = result;
+      if (json !== undefined) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      } else {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(String(text ?? ''));
+      }
+    } catch (e) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(e.message);
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      // fetch keeps sockets alive, which would hold close() open
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,85 @@
+// wallet.mjs
+// Throwaway test wallets and a scripted signer standing in for Xverse/Unisat
+
+import crypto from 'node:crypto';
+import * as bitcoin from 'bitcoinjs-lib';
+import * as ecc from 'tiny-secp256k1';
+import { ECPairFactory } from 'ecpair';
+
+bitcoin.initEccLib(ecc);
+
+const ECPair = ECPairFactory(ecc);
+
+/**
+ * A Taproot (ordinals) account.
+ * @returns {object} - { type, address, publicKey (33-byte hex), keyPair }
+ */
+export function createTaprootAccount(network) {
+  const keyPair = ECPair.makeRandom({ network });
+  const { address } = bitcoin.payments.p2tr({ internalPubkey: keyPair.publicKey.subarray(1, 33), network });
+  return { type: 'p2tr', address, publicKey: Buffer.from(keyPair.publicKey).toString('hex'), keyPair };
+}
+
+/**
+ * A native segwit (payment) account.
+ * @returns {object} - { type, address, publicKey (33-byte hex), keyPair }
+ */
+export function createSegwitAccount(network) {
+  const keyPair = ECPair.makeRandom({ network });
+  const { address } = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network });
+  return { type: 'p2wpkh', address, publicKey: Buffer.from(keyPair.publicKey).toString('hex'), keyPair };
+}
+
+/**
+ * Sign a PSBT the way a browser wallet does for Harvy's `signInputs` map:
+ * only the listed inputs, with the key for each address, left unfinalized.
+ * @param {string} psbtBase64
+ * @param {object} signInputs - address → input indices (details.signInputs)
+ * @param {object[]} accounts - Accounts from createTaprootAccount/createSegwitAccount
+ * @param {object} network - bitcoinjs network params
+ * @returns {string} - Signed PSBT (base64)
+ */
+export function signPsbt(psbtBase64, signInputs, accounts, network) {
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  for (const [address, indices] of Object.entries(signInputs)) {
+    const account = accounts.find(a => a.address === address);
+    if (!account) {
+      throw new Error(`No test key for ${address}`);
+    }
+    const signer = account.type === 'p2tr'
+      ? account.keyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', account.keyPair.publicKey.subarray(1, 33)))
+      : account.keyPair;
+    for (const index of indices) {
+      psbt.signInput(index, signer);
+    }
+  }
+  return psbt.toBase64();
+}
+
+/**
+ * Sign a message with a Taproot account the way wallets' signMessage does
+ * for BIP322 ("simple" signature: the to_sign witness, base64).
+ * @param {object} account - Account from createTaprootAccount
+ * @param {string} message
+ * @param {object} network - bitcoinjs network params
+ * @returns {string} - Base64 signature
+ */
+export function signAddressProof(account, message, network) {
+  const outputScript = bitcoin.address.toOutputScript(account.address, network);
+  const tagHash = crypto.createHash('sha256').update('BIP0322-signed-message').digest();
+  const messageHash = crypto.createHash('sha256').update(Buffer.concat([tagHash, tagHash, Buffer.from(message, 'utf8')])).digest();
+
+  const toSpend = new bitcoin.Transaction();
+  toSpend.version = 0;
+  toSpend.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, messageHash]));
+  toSpend.addOutput(outputScript, 0n);
+  const toSign = new bitcoin.Transaction();
+  toSign.version = 0;
+  toSign.addInput(toSpend.getHash(), 0, 0);
+  toSign.addOutput(bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]), 0n);
+
+  const signer = account.keyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', account.keyPair.publicKey.subarray(1, 33)));
+  const sighash = toSign.hashForWitnessV1(0, [outputScript], [0n], bitcoin.Transaction.SIGHASH_DEFAULT);
+  const signature = signer.signSchnorr(sighash);
+  return Buffer.concat([Buffer.from([1, signature.length]), signature]).toString('base64');
+}
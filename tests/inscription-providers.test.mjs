@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import {
+  createFixtureProvider,
+  createProviderChain,
+  parseOutpoint,
+  resolveProviderOrder,
+} from '../inscription-providers.js';
+
+const FIXTURE_PATH = fileURLToPath(new URL('./fixtures/inscriptions.json', import.meta.url));
+
+const OWNER = 'bc1pmfr3p9j00pfxjh0zmgp99y8zftmd3s5pmedqhyptwy6lm87hf5sspknck9';
+const PUNK_ID = 'aa11111111111111111111111111111111111111111111111111111111111111i0';
+const TEXT_ID = 'aa22222222222222222222222222222222222222222222222222222222222222i0';
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test('parseOutpoint accepts outputs and satpoints and rejects garbage', () => {
+  const txid = 'bb'.repeat(32);
+  assert.deepEqual(parseOutpoint(`${txid}:1`), { txid, vout: 1, output: `${txid}:1` });
+  assert.deepEqual(parseOutpoint(`${txid}:2:0`), { txid, vout: 2, output: `${txid}:2` });
+  assert.equal(parseOutpoint('not-an-output'), null);
+  assert.equal(parseOutpoint(null), null);
+});
+
+test('fixture provider serves every capability offline', async () => {
+  const fixture = createFixtureProvider({ fixturePath: FIXTURE_PATH });
+
+  const listing = await fixture.listByOwner(OWNER);
+  assert.equal(listing.total, 2);
+  assert.deepEqual(listing.items.map(i => i.id), [PUNK_ID, TEXT_ID]);
+
+  const punk = await fixture.getInscription(PUNK_ID);
+  assert.equal(punk.number, 1000001);
+  assert.equal(punk.collection.floorPriceSats, 150000);
+
+  const location = await fixture.getLocation(TEXT_ID);
+  assert.equal(location.vout, 1);
+
+  const activity = await fixture.getActivity(PUNK_ID);
+  assert.equal(activity.length, 2);
+  assert.equal(activity[1].priceSats, 2000000);
+
+  const content = await fixture.getContent(TEXT_ID);
+  assert.equal(content.contentType, 'text/plain;charset=utf-8');
+  assert.equal(await readStream(content.body), 'hello from the fixture provider');
+
+  assert.equal(await fixture.getInscription('missing'), null);
+});
+
+test('fixture provider needs an explicit fixture file', async () => {
+  const saved = process.env.INSCRIPTION_FIXTURE_PATH;
+  delete process.env.INSCRIPTION_FIXTURE_PATH;
+  try {
+    assert.throws(() => createFixtureProvider(), /set INSCRIPTION_FIXTURE_PATH/);
+    process.env.INSCRIPTION_FIXTURE_PATH = FIXTURE_PATH;
+    assert.equal((await createFixtureProvider().getInscription(PUNK_ID)).id, PUNK_ID);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.INSCRIPTION_FIXTURE_PATH;
+    } else {
+      process.env.INSCRIPTION_FIXTURE_PATH = saved;
+    }
+  }
+});
+
+test('resolveProviderOrder prefers capability override, then global list, then default', () => {
+  assert.deepEqual(resolveProviderOrder('getContent', {}), ['ordinals', 'hiro']);
+  assert.deepEqual(
+    resolveProviderOrder('getContent', { INSCRIPTION_PROVIDERS: 'ord, Hiro' }),
+    ['ord', 'hiro']
+  );
+  assert.deepEqual(
+    resolveProviderOrder('getContent', {
+      INSCRIPTION_PROVIDERS: 'ord,hiro',
+      INSCRIPTION_PROVIDERS_CONTENT: 'fixture',
+    }),
+    ['fixture']
+  );
+});
+
+test('provider chain falls back past failures and misses in priority order', async () => {
+  const calls = [];
+  const chain = createProviderChain({
+    providers: {
+      broken: {
+        async getLocation() {
+          calls.push('broken');
+          throw new Error('upstream down');
+        },
+      },
+      empty: {
+        async getLocation() {
+          calls.push('empty');
+          return null;
+        },
+      },
+      contentOnly: {
+        async getContent() {
+          return { contentType: 'text/plain', body: null };
+        },
+      },
+      fixture: createFixtureProvider({ fixturePath: FIXTURE_PATH }),
+    },
+    order: { getLocation: ['broken', 'contentOnly', 'empty', 'fixture'] },
+  });
+
+  const location = await chain.getLocation(PUNK_ID);
+  assert.deepEqual(calls, ['broken', 'empty']);
+  assert.equal(location.source, 'fixture');
+  assert.equal(location.txid, `bb${'11'.repeat(31)}`);
+});
+
+test('provider chain rethrows the primary error when every provider fails', async () => {
+  const failing = (message, status) => ({
+    async listByOwner() {
+      const err = new Error(message);
+      err.status = status;
+      throw err;
+    },
+  });
+  const chain = createProviderChain({
+    providers: { first: failing('rate limited', 429), second: failing('down', 503) },
+    order: { listByOwner: ['first', 'second'] },
+  });
+
+  await assert.rejects(chain.listByOwner(OWNER), (err) => {
+    assert.equal(err.status, 429);
+    assert.equal(err.errors.length, 2);
+    return true;
+  });
+});
+
+test('provider chain rejects unknown provider names', async () => {
+  const chain = createProviderChain({ order: { getInscription: ['nope'] } });
+  await assert.rejects(chain.getInscription(PUNK_ID), /Unknown inscription provider: nope/);
+});
+
+test('provider chain treats unknown and unconfigured providers as failures and falls back', async () => {
+  const saved = process.env.INSCRIPTION_FIXTURE_PATH;
+  delete process.env.INSCRIPTION_FIXTURE_PATH;
+  try {
+    // 'fixture' is built from the registry and throws without INSCRIPTION_FIXTURE_PATH
+    const chain = createProviderChain({
+      providers: { backup: createFixtureProvider({ fixturePath: FIXTURE_PATH }) },
+      order: { getInscription: ['nope', 'fixture', 'backup'] },
+    });
+    const inscription = await chain.getInscription(PUNK_ID);
+    assert.equal(inscription.source, 'backup');
+  } finally {
+    if (saved === undefined) {
+      delete process.env.INSCRIPTION_FIXTURE_PATH;
+    } else {
+      process.env.INSCRIPTION_FIXTURE_PATH = saved;
+    }
+  }
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { explorerTxUrl, getMempoolApiUrl, getNetworkConfig, isValidTaprootAddress } from '../network-config.js';
+import { getNetwork } from '../psbt-utils.js';
+
+const originalEnv = { ...process.env };
+
+function restoreEnv() {
+  for (const key of Object.keys(process.env)) {
+    if (!(key in originalEnv)) {
+      delete process.env[key];
+    }
+  }
+  for (const [key, value] of Object.entries(originalEnv)) {
+    process.env[key] = value;
+  }
+}
+
+function taprootAddress(network) {
+  return bitcoin.payments.p2tr({ pubkey: Buffer.alloc(32, 7), network }).address;
+}
+
+test.beforeEach(() => {
+  delete process.env.MEMPOOL_API_URL;
+  delete process.env.EXPLORER_URL;
+});
+
+test.afterEach(restoreEnv);
+
+test('each network resolves its own params, mempool API and explorer', () => {
+  const cases = {
+    mainnet: ['bc', 'https://mempool.space/api', 'https://mempool.space/tx/ab'],
+    testnet: ['tb', 'https://mempool.space/testnet/api', 'https://mempool.space/testnet/tx/ab'],
+    testnet4: ['tb', 'https://mempool.space/testnet4/api', 'https://mempool.space/testnet4/tx/ab'],
+    signet: ['tb', 'https://mempool.space/signet/api', 'https://mempool.space/signet/tx/ab'],
+    regtest: ['bcrt', 'http://127.0.0.1:3002', null],
+  };
+  for (const [name, [bech32, mempool, explorer]] of Object.entries(cases)) {
+    process.env.BITCOIN_NETWORK = name;
+    assert.equal(getNetworkConfig().name, name);
+    assert.equal(getNetwork().bech32, bech32);
+    assert.equal(getMempoolApiUrl(), mempool);
+    assert.equal(explorerTxUrl('ab'), explorer);
+  }
+});
+
+test('MEMPOOL_API_URL and EXPLORER_URL override the network defaults', () => {
+  process.env.BITCOIN_NETWORK = 'regtest';
+  process.env.MEMPOOL_API_URL = 'http://localhost:8094/regtest/api/';
+  process.env.EXPLORER_URL = 'http://localhost:8094/regtest';
+  assert.equal(getMempoolApiUrl(), 'http://localhost:8094/regtest/api');
+  assert.equal(explorerTxUrl('ab'), 'http://localhost:8094/regtest/tx/ab');
+});
+
+test('isValidTaprootAddress only accepts the active network prefix', () => {
+  process.env.BITCOIN_NETWORK = 'regtest';
+  assert.ok(isValidTaprootAddress(taprootAddress(bitcoin.networks.regtest)));
+  assert.ok(!isValidTaprootAddress(taprootAddress(bitcoin.networks.testnet)));
+
+  process.env.BITCOIN_NETWORK = 'signet';
+  assert.ok(isValidTaprootAddress(taprootAddress(bitcoin.networks.testnet)));
+  assert.ok(!isValidTaprootAddress(taprootAddress(bitcoin.networks.bitcoin)));
+});
+
+test('unknown BITCOIN_NETWORK values are rejected', () => {
+  process.env.BITCOIN_NETWORK = 'testnet3x';
+  assert.throws(() => getNetworkConfig(), /Unknown BITCOIN_NETWORK/);
+});
@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  createPriceHistory,
+  parseIsoDate,
+  parsePriceHistoryCsv,
+  valueCostBasis,
+} from '../price-history.js';
+import { createTradeStore } from '../trade-store.js';
+
+const NOW = () => new Date('2024-06-15T12:00:00Z');
+
+function openHistory(options = {}) {
+  const store = createTradeStore({ filename: ':memory:', network: 'testnet' });
+  return { store, history: createPriceHistory({ store, now: NOW, ...options }) };
+}
+
+test('parseIsoDate accepts only real calendar dates', () => {
+  assert.equal(parseIsoDate('2024-02-29'), '2024-02-29');
+  assert.equal(parseIsoDate('2023-02-29'), null);
+  assert.equal(parseIsoDate('2024-1-05'), null);
+  assert.equal(parseIsoDate('yesterday'), null);
+  assert.equal(parseIsoDate(undefined), null);
+});
+
+test('parsePriceHistoryCsv reads date/close columns and skips bad rows', () => {
+  const prices = parsePriceHistoryCsv([
+    'Date,Open,Close',
+    '2024-01-01T00:00:00Z,42000,44000.5',
+    '2024-01-02,44000,',
+    '"2024-01-03","44100","42800"',
+  ].join('\n'));
+  assert.deepEqual(prices, [
+    { date: '2024-01-01', currency: 'usd', close: 44000.5 },
+    { date: '2024-01-03', currency: 'usd', close: 42800 },
+  ]);
+  assert.deepEqual(
+    parsePriceHistoryCsv('date,currency,close\n2024-01-01,EUR,40000\n2024-01-01,JPY,6200000'),
+    [{ date: '2024-01-01', currency: 'eur', close: 40000 }],
+  );
+  assert.throws(() => parsePriceHistoryCsv('day,value\n2024-01-01,1'), /header/);
+});
+
+test('getDailyClose prefers the imported dataset over an upstream fetch', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'harvy-prices-')), 'btc.csv');
+  fs.writeFileSync(file, 'date,close\n2024-01-01,44000\n');
+  const { store, history } = openHistory({
+    fetchDailyClose: async () => assert.fail('dataset dates must not be fetched'),
+  });
+
+  assert.equal(history.importCsv(file), 1);
+  assert.deepEqual(await history.getDailyClose('2024-01-01'), {
+    date: '2024-01-01',
+    currency: 'usd',
+    close: 44000,
+    source: 'dataset:btc.csv',
+  });
+  store.close();
+});
+
+test('getDailyClose fetches and caches missing dates per currency when refresh is on', async () => {
+  const fetched = [];
+  const { store, history } = openHistory({
+    fetchDailyClose: async (date, currency) => {
+      fetched.push(`${date}/${currency}`);
+      return currency === 'eur' ? 56000 : 61000;
+    },
+  });
+
+  assert.equal((await history.getDailyClose('2024-05-01')).close, 61000);
+  assert.equal((await history.getDailyClose('2024-05-01')).source, 'coingecko');
+  assert.equal((await history.getDailyClose('2024-05-01', 'eur')).close, 56000);
+  assert.deepEqual(fetched, ['2024-05-01/usd', '2024-05-01/eur']);
+  assert.equal(store.getDailyPrice('2024-05-01').close, 61000);
+  assert.equal(store.getDailyPrice('2024-05-01', 'eur').close, 56000);
+  store.close();
+});
+
+test('getDailyClose reports invalid, unfinished and unavailable days by code', async () => {
+  const { store, history } = openHistory({ refresh: false });
+
+  await assert.rejects(history.getDailyClose('2024-13-01'), { code: 'INVALID_DATE' });
+  await assert.rejects(history.getDailyClose('2024-06-15'), { code: 'NO_DAILY_CLOSE' });
+  await assert.rejects(history.getDailyClose('2024-06-16'), { code: 'INVALID_DATE' });
+  await assert.rejects(history.getDailyClose('2024-05-01'), { code: 'PRICE_UNAVAILABLE' });
+  store.close();
+});
+
+test('valueCostBasis values dated lots at their close and undated lots at spot', async () => {
+  const { store, history } = openHistory({ refresh: false });
+  store.upsertDailyPrices([
+    { date: '2023-01-10', close: 17000, source: 'test' },
+    { date: '2023-01-10', currency: 'gbp', close: 14000, source: 'test' },
+  ]);
+
+  const ordinals = [
+    { inscriptionId: 'aai0', purchasePriceSats: 1000000, purchaseDate: '2023-01-10' },
+    { inscriptionId: 'bbi0', purchasePriceSats: 500000 },
+  ];
+  const { lots, totalCostBasis } = await valueCostBasis(history, ordinals, 60000);
+  assert.deepEqual(lots.map(l => [l.purchaseDate, l.btcPrice, l.priceSource, l.costBasis]), [
+    ['2023-01-10', 17000, 'test', 170],
+    [null, 60000, 'spot', 300],
+  ]);
+  assert.equal(totalCostBasis, 470);
+
+  const inGbp = await valueCostBasis(history, ordinals, 48000, 'gbp');
+  assert.equal(inGbp.currency, 'gbp');
+  assert.deepEqual(inGbp.lots.map(l => l.costBasis), [140, 240]);
+  assert.equal(inGbp.totalCostBasis, 380);
+  store.close();
+});
+
+test('valueCostBasis values a lot bought today at spot and rejects other date errors', async () => {
+  const { store, history } = openHistory({ refresh: false });
+
+  const today = await valueCostBasis(history, [{ inscriptionId: 'aai0', purchasePriceSats: 1000000, purchaseDate: '2024-06-15' }], 60000);
+  assert.deepEqual(today.lots.map(l => [l.purchaseDate, l.btcPrice, l.priceSource, l.costBasis]), [['2024-06-15', 60000, 'spot', 600]]);
+
+  await assert.rejects(
+    valueCostBasis(history, [{ inscriptionId: 'aai0', purchasePriceSats: 1000000, purchaseDate: '2024-06-16' }], 60000),
+    { code: 'INVALID_DATE' }
+  );
+  await assert.rejects(
+    valueCostBasis(history, [{ inscriptionId: 'aai0', purchasePriceSats: 1000000, purchaseDate: '2024-05-01' }], 60000),
+    { code: 'PRICE_UNAVAILABLE' }
+  );
+  store.close();
+});
@@ -0,0 +1,143 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  aggregateQuotes,
+  createPriceOracle,
+  fetchKrakenPrices,
+  getPriceOracleConfig,
+} from '../price-oracle.js';
+
+const originalFetch = globalThis.fetch;
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function fixedSource(usd, timestamp = NOW) {
+  return async () => ({ prices: { usd }, timestamp });
+}
+
+function oracle(fetchers, overrides = {}) {
+  return createPriceOracle({
+    sources: Object.keys(fetchers),
+    minSources: 2,
+    maxDeviationPct: 2,
+    maxAgeSeconds: 300,
+    cacheSeconds: 60,
+    fetchers,
+    now: () => NOW,
+    ...overrides,
+  });
+}
+
+test('getPriceOracleConfig reads sources and thresholds from the environment', () => {
+  assert.deepEqual(getPriceOracleConfig({}), {
+    sources: ['coingecko', 'coinbase', 'kraken', 'mempool'],
+    minSources: 2,
+    maxDeviationPct: 2,
+    maxAgeSeconds: 300,
+    cacheSeconds: 60,
+  });
+  const config = getPriceOracleConfig({
+    BTC_PRICE_SOURCES: 'Kraken, coingecko',
+    BTC_PRICE_MIN_SOURCES: '1',
+    BTC_PRICE_MAX_DEVIATION_PCT: '0.5',
+  });
+  assert.deepEqual(config.sources, ['kraken', 'coingecko']);
+  assert.equal(config.minSources, 1);
+  assert.equal(config.maxDeviationPct, 0.5);
+  assert.throws(() => getPriceOracleConfig({ BTC_PRICE_SOURCES: 'bitstamp' }), /Unknown BTC price source/);
+  assert.throws(() => getPriceOracleConfig({ BTC_PRICE_SOURCES: 'kraken', BTC_PRICE_MIN_SOURCES: '2' }), /must not exceed/);
+  assert.throws(() => getPriceOracleConfig({ BTC_PRICE_MAX_AGE_SECONDS: 'soon' }), /Invalid BTC_PRICE_MAX_AGE_SECONDS/);
+});
+
+test('aggregateQuotes takes the median and rejects outliers and stale quotes', () => {
+  const quote = aggregateQuotes([
+    { source: 'coingecko', price: 60000, timestamp: NOW },
+    { source: 'coinbase', price: 60300, timestamp: NOW - 10_000 },
+    { source: 'kraken', price: 59900, timestamp: NOW },
+    { source: 'mempool', price: 45000, timestamp: NOW },
+    { source: 'stale', price: 60100, timestamp: NOW - 600_000 },
+  ], { currency: 'usd', minSources: 2, maxDeviationPct: 2, maxAgeSeconds: 300, now: NOW });
+
+  assert.equal(quote.price, 60000);
+  assert.deepEqual(quote.sources.map(s => s.source), ['coingecko', 'coinbase', 'kraken']);
+  assert.equal(quote.asOf, new Date(NOW - 10_000).toISOString());
+  assert.deepEqual(quote.rejected.map(r => [r.source, r.reason.split(' ')[0]]), [
+    ['stale', 'stale'],
+    ['mempool', 'deviates'],
+  ]);
+});
+
+test('aggregateQuotes refuses to quote without enough agreeing sources', () => {
+  assert.throws(
+    () => aggregateQuotes([
+      { source: 'coingecko', price: 60000, timestamp: NOW },
+      { source: 'coinbase', price: 70000, timestamp: NOW },
+    ], { currency: 'eur', minSources: 2, maxDeviationPct: 2, maxAgeSeconds: 300, now: NOW }),
+    (e) => e.code === 'PRICE_ORACLE_UNAVAILABLE' && /BTC\/EUR/.test(e.message) && e.rejected.length === 2,
+  );
+});
+
+test('the oracle skips failing sources and serves the last good quote only while fresh', async () => {
+  let clock = NOW;
+  let coinbaseUp = true;
+  const priceOracle = oracle({
+    coingecko: async () => ({ prices: { usd: 60000 }, timestamp: null }),
+    coinbase: async () => {
+      if (!coinbaseUp) throw new Error('503 Service Unavailable');
+      return { prices: { usd: 60200 }, timestamp: null };
+    },
+    kraken: async () => { throw new Error('timeout'); },
+  }, { now: () => clock });
+
+  const first = await priceOracle.getQuote('usd');
+  assert.equal(first.price, 60100);
+  assert.equal(first.asOf, new Date(NOW).toISOString());
+
+  // One source left: below quorum, but the previous quote is still fresh
+  coinbaseUp = false;
+  clock = NOW + 120_000;
+  assert.equal((await priceOracle.getQuote('usd')).price, 60100);
+
+  clock = NOW + 301_000;
+  await assert.rejects(
+    priceOracle.getQuote('usd'),
+    (e) => e.code === 'PRICE_ORACLE_UNAVAILABLE' && e.sourceErrors.some(err => err.source === 'kraken'),
+  );
+});
+
+test('the oracle caches a refresh across currencies', async () => {
+  let calls = 0;
+  const priceOracle = oracle({
+    coingecko: async () => { calls++; return { prices: { usd: 60000, eur: 55000 }, timestamp: NOW }; },
+    coinbase: fixedSource(60010),
+  }, { minSources: 1 });
+
+  await priceOracle.getQuote('usd');
+  const eur = await priceOracle.getQuote('eur');
+  assert.equal(eur.price, 55000);
+  assert.deepEqual(eur.sources.map(s => s.source), ['coingecko']);
+  assert.equal(calls, 1);
+  await assert.rejects(priceOracle.getQuote('gbp'), { code: 'PRICE_ORACLE_UNAVAILABLE' });
+});
+
+test('fetchKrakenPrices maps pair names onto reporting currencies', async () => {
+  globalThis.fetch = async () => ({
+    ok: true,
+    json: async () => ({
+      error: [],
+      result: {
+        XXBTZUSD: { c: ['60123.4', '0.01'] },
+        XXBTZEUR: { c: ['55000.1', '0.02'] },
+        XBTAUD: { c: ['90000.0', '0.1'] },
+      },
+    }),
+  });
+  assert.deepEqual(await fetchKrakenPrices(), {
+    prices: { usd: 60123.4, eur: 55000.1, aud: 90000 },
+    timestamp: null,
+  });
+});
@@ -2,10 +2,16 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import * as bitcoin from 'bitcoinjs-lib';
 
+import { createFixtureProvider, createProviderChain } from '../inscription-providers.js';
+
 import {
   getFlatServiceFeeSats,
   getNetwork,
+  getUnsignedTxid,
+  resolveSellerPaymentAccount,
   satsToUSD,
+  selectCardinalUtxos,
+  selectUTXOsForFee,
   usdToSats,
   validatePsbtForHarvySafety,
 } from '../psbt-utils.js';
@@ -170,3 +176,100 @@ test('validatePsbtForHarvySafety rejects seller payouts below minimum', () => {
     /seller payment below minimum/
   );
 });
+
+test('validatePsbtForHarvySafety allows a netted seller payout down to dust', () => {
+  process.env.BITCOIN_NETWORK = 'mainnet';
+  process.env.MIN_ORDINAL_PAYMENT_SATS = '600';
+  const network = bitcoin.networks.bitcoin;
+  const harvyAddress = createP2wpkhAddress(1, network);
+  const sellerAddress = createP2wpkhAddress(2, network);
+  process.env.HARVY_WALLET_ADDRESS = harvyAddress;
+
+  const netted = buildMockPsbt({ network, harvyAddress, sellerAddress, sellerValue: 546n });
+  assert.doesNotThrow(() => validatePsbtForHarvySafety(netted.toBase64(), { feeSettlement: 'net_payout' }));
+
+  const dust = buildMockPsbt({ network, harvyAddress, sellerAddress, sellerValue: 545n });
+  assert.throws(
+    () => validatePsbtForHarvySafety(dust.toBase64(), { feeSettlement: 'net_payout' }),
+    /seller payment below minimum/
+  );
+});
+
+test('getUnsignedTxid is stable across PSBT encodings', () => {
+  process.env.BITCOIN_NETWORK = 'mainnet';
+  const network = bitcoin.networks.bitcoin;
+  const harvyAddress = createP2wpkhAddress(1, network);
+  const sellerAddress = createP2wpkhAddress(2, network);
+
+  const psbt = buildMockPsbt({ network, harvyAddress, sellerAddress });
+  const txid = getUnsignedTxid(psbt.toBase64());
+
+  assert.match(txid, /^[0-9a-f]{64}$/);
+  assert.equal(getUnsignedTxid(psbt.toHex()), txid);
+});
+
+test('selectUTXOsForFee grows the fee with the number of inputs selected', () => {
+  const utxos = [{ value: 1000 }, { value: 1000 }, { value: 5000 }];
+  const result = selectUTXOsForFee(utxos, 1500, (count) => 100 * count);
+
+  assert.equal(result.selected.length, 2);
+  assert.equal(result.fee, 200);
+  assert.equal(result.change, 2000 - 1500 - 200);
+});
+
+test('selectCardinalUtxos never spends UTXOs carrying inscriptions or runes', async () => {
+  const inscribed = 'c1'.repeat(32);
+  const runic = 'c2'.repeat(32);
+  const clean = 'c3'.repeat(32);
+  const providers = createProviderChain({
+    providers: {
+      fixture: createFixtureProvider({
+        data: {
+          inscriptions: [{ id: `${inscribed}i0`, output: `${inscribed}:0` }],
+          runes: { [`${runic}:0`]: [{ name: 'UNCOMMONGOODS', amount: '1' }] },
+        },
+      }),
+    },
+    order: { getOutputInscriptions: ['fixture'], getOutputRunes: ['fixture'] },
+  });
+  const utxos = [
+    { txid: inscribed, vout: 0, value: 546 },
+    { txid: runic, vout: 0, value: 546 },
+    { txid: clean, vout: 0, value: 10000 },
+  ];
+
+  const result = await selectCardinalUtxos(utxos, 1000, { providers, checkRunes: true });
+  assert.deepEqual(result.selected.map(u => u.txid), [clean]);
+  assert.equal(result.change, 9000);
+  assert.deepEqual(result.skipped.map(s => s.reason), [`holds inscription ${inscribed}i0`, 'holds rune UNCOMMONGOODS']);
+
+  await assert.rejects(
+    selectCardinalUtxos(utxos.slice(0, 2), 500, { providers, checkRunes: true }),
+    (err) => err.code === 'NO_CARDINAL_UTXOS' && /free of inscriptions and runes/.test(err.message)
+  );
+});
+
+test('resolveSellerPaymentAccount adds the redeem script for wrapped segwit payment addresses', () => {
+  const network = bitcoin.networks.testnet;
+  const pubkey = Buffer.concat([Buffer.from([0x02]), Buffer.alloc(32, 7)]);
+  const otherPubkey = Buffer.concat([Buffer.from([0x03]), Buffer.alloc(32, 9)]);
+  const redeem = bitcoin.payments.p2wpkh({ pubkey, network });
+  const wrapped = bitcoin.payments.p2sh({ redeem, network }).address;
+
+  const nested = resolveSellerPaymentAccount({ address: wrapped, publicKey: pubkey.toString('hex'), network });
+  assert.equal(nested.type, 'p2sh-p2wpkh');
+  assert.deepEqual(Buffer.from(nested.inputFields.redeemScript), Buffer.from(redeem.output));
+  assert.throws(() => resolveSellerPaymentAccount({ address: wrapped, network }), /public key is required/);
+
+  const native = resolveSellerPaymentAccount({ address: redeem.address, publicKey: pubkey.toString('hex'), network });
+  assert.equal(native.type, 'p2wpkh');
+  assert.deepEqual(native.inputFields, {});
+  assert.throws(
+    () => resolveSellerPaymentAccount({ address: redeem.address, publicKey: otherPubkey.toString('hex'), network }),
+    /does not match/
+  );
+  assert.throws(
+    () => resolveSellerPaymentAccount({ address: redeem.address, network: bitcoin.networks.bitcoin }),
+    /Invalid payment address/
+  );
+});
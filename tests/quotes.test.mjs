@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { issueQuote, openQuoteLease, verifyPsbtMatchesQuote } from '../quotes.js';
+import { createTradeStore } from '../trade-store.js';
+
+const network = bitcoin.networks.testnet;
+const originalNetwork = process.env.BITCOIN_NETWORK;
+
+function p2wpkh(byte) {
+  return bitcoin.payments.p2wpkh({ hash: Buffer.alloc(20, byte), network }).address;
+}
+
+const HARVY = p2wpkh(1);
+const SELLER = p2wpkh(2);
+
+function buildPsbt({ sellerValue = 600n, harvyTxid = '11'.repeat(32) } = {}) {
+  const psbt = new bitcoin.Psbt({ network });
+  psbt.addInput({
+    hash: '22'.repeat(32),
+    index: 0,
+    witnessUtxo: { script: bitcoin.address.toOutputScript(SELLER, network), value: 546n },
+  });
+  psbt.addInput({
+    hash: harvyTxid,
+    index: 1,
+    witnessUtxo: { script: bitcoin.address.toOutputScript(HARVY, network), value: 12000n },
+  });
+  psbt.addOutput({ address: HARVY, value: 546n });
+  psbt.addOutput({ address: SELLER, value: sellerValue });
+  psbt.addOutput({ address: HARVY, value: 10000n });
+  return psbt.toBase64();
+}
+
+function setup() {
+  process.env.BITCOIN_NETWORK = 'testnet';
+  const store = createTradeStore({ filename: ':memory:', network: 'testnet' });
+  const now = new Date('2025-01-01T00:00:00.000Z');
+  const psbtBase64 = buildPsbt();
+  const quote = issueQuote(store, { psbtBase64, harvyAddress: HARVY, now });
+  return { store, now, psbtBase64, quote };
+}
+
+test.afterEach(() => {
+  if (originalNetwork === undefined) {
+    delete process.env.BITCOIN_NETWORK;
+  } else {
+    process.env.BITCOIN_NETWORK = originalNetwork;
+  }
+});
+
+test('issueQuote records Harvy inputs, outputs, fee and expiry', () => {
+  const { store, quote } = setup();
+  assert.deepEqual(quote.harvyInputs, [{ txid: '11'.repeat(32), vout: 1, value: 12000 }]);
+  assert.equal(quote.outputs.length, 3);
+  assert.equal(quote.feeSats, 12546 - 11146);
+  assert.equal(quote.expiresAt, '2025-01-01T00:10:00.000Z');
+  assert.equal(quote.usedAt, null);
+  store.close();
+});
+
+test('verifyPsbtMatchesQuote accepts the quoted transaction by id or txid', () => {
+  const { store, now, psbtBase64, quote } = setup();
+  assert.equal(verifyPsbtMatchesQuote(store, psbtBase64, { quoteId: quote.id, now }).id, quote.id);
+  assert.equal(verifyPsbtMatchesQuote(store, psbtBase64, { now }).id, quote.id);
+  store.close();
+});
+
+test('verifyPsbtMatchesQuote rejects transactions that differ from the quote', () => {
+  const { store, now, quote } = setup();
+  const tampered = buildPsbt({ sellerValue: 5000n });
+  assert.throws(() => verifyPsbtMatchesQuote(store, tampered, { now }), /^Error: Invalid PSBT: no Harvy quote/);
+  assert.throws(
+    () => verifyPsbtMatchesQuote(store, tampered, { quoteId: quote.id, now }),
+    /Invalid PSBT: transaction does not match/
+  );
+  store.close();
+});
+
+test('verifyPsbtMatchesQuote rejects expired and used quotes', () => {
+  const { store, psbtBase64, quote } = setup();
+  assert.throws(
+    () => verifyPsbtMatchesQuote(store, psbtBase64, { now: new Date('2025-01-01T00:10:00.000Z') }),
+    /Invalid PSBT: quote expired/
+  );
+
+  assert.equal(store.claimQuote(quote.id), true);
+  assert.equal(store.claimQuote(quote.id), false);
+  assert.throws(
+    () => verifyPsbtMatchesQuote(store, psbtBase64, { now: new Date('2025-01-01T00:01:00.000Z') }),
+    /Invalid PSBT: quote has already been used/
+  );
+
+  store.releaseQuote(quote.id);
+  assert.equal(verifyPsbtMatchesQuote(store, psbtBase64, { now: new Date('2025-01-01T00:01:00.000Z') }).id, quote.id);
+  store.close();
+});
+
+test('issueQuote adopts the id and expiry of the lease its PSBT was built under', () => {
+  process.env.BITCOIN_NETWORK = 'testnet';
+  const store = createTradeStore({ filename: ':memory:', network: 'testnet' });
+  const lease = openQuoteLease(store, { now: new Date('2025-01-01T00:00:00.000Z') });
+  lease.reserve([{ txid: '11'.repeat(32), vout: 1, value: 12000 }]);
+
+  const quote = issueQuote(store, { psbtBase64: buildPsbt(), harvyAddress: HARVY, lease });
+  assert.equal(quote.id, lease.quoteId);
+  assert.equal(quote.expiresAt, '2025-01-01T00:10:00.000Z');
+  assert.equal(store.listReservations({ quoteId: quote.id }).length, 1);
+  store.close();
+});
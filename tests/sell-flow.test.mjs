@@ -0,0 +1,279 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { getTradeStore } from '../trade-store.js';
+import { fetchTxStatus, refreshTradeStatus } from '../tx-tracker.js';
+import { startHarness } from './harness/index.mjs';
+
+let harness;
+
+test.before(async () => {
+  // CoinGecko's history snapshot at 00:00 UTC on the 11th is the 10th's close
+  harness = await startHarness({
+    historicalPrices: { '11-01-2023': { usd: 17000, eur: 16000 }, '11-03-2024': { usd: 72000, eur: 66000 } },
+  });
+});
+
+test.after(async () => {
+  await harness?.close();
+});
+
+async function createBatch(seller, inscriptions, extra = {}) {
+  return harness.request('POST', '/api/create-batch-psbt', {
+    ordinals: inscriptions.map(i => ({ inscriptionId: i.inscriptionId, purchasePriceSats: 250000 })),
+    sellerAddress: seller.ordinals.address,
+    sellerPublicKey: seller.ordinals.publicKey,
+    sellerPaymentAddress: seller.payment.address,
+    sellerPaymentPublicKey: seller.payment.publicKey,
+    userTaxRate: 0.3,
+    ...extra,
+  });
+}
+
+function outputsOf(txid) {
+  return harness.chain.getTransaction(txid).outs.map(out => ({
+    address: bitcoin.address.fromOutputScript(out.script, harness.network),
+    value: Number(out.value),
+  }));
+}
+
+test('batch sale is created, signed by the seller, broadcast and confirmed', async () => {
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const inscriptions = [harness.inscribe(seller.ordinals.address), harness.inscribe(seller.ordinals.address)];
+
+  const created = await createBatch(seller, inscriptions);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { details, quote, transaction } = created.body;
+  assert.equal(details.feeSettlement, 'seller_inputs');
+  assert.deepEqual(details.signInputs, { [seller.ordinals.address]: [0, 1], [seller.payment.address]: [2] });
+  assert.equal(transaction.taxCalculation.totalLossSats, 2 * 250000 - 1200);
+  assert.equal(transaction.priceQuote.price, 60000);
+  assert.deepEqual(transaction.priceQuote.sources.map(s => s.source), ['coingecko']);
+  assert.equal(getTradeStore().getTrade(created.body.tradeId).priceQuote.price, 60000);
+
+  const signed = harness.sign(created.body.psbtBase64, details.signInputs, seller.accounts);
+  const finalized = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: quote.id });
+  assert.equal(finalized.status, 200, JSON.stringify(finalized.body));
+
+  const { txid } = finalized.body;
+  assert.deepEqual(harness.chain.mempool(), [txid]);
+  assert.equal(finalized.body.explorerUrl, null, 'regtest has no explorer by default');
+
+  const outputs = outputsOf(txid);
+  assert.deepEqual(outputs.slice(0, 2), [
+    { address: harness.harvy.address, value: 546 },
+    { address: harness.harvy.address, value: 546 },
+  ]);
+  assert.deepEqual(outputs[2], { address: seller.payment.address, value: 1200 + (20000 - 5000) });
+  assert.deepEqual(outputs[3], { address: harness.harvy.address, value: 5000 });
+
+  const pending = await harness.request('GET', `/api/tx-status/${txid}`);
+  assert.equal(pending.status, 200);
+  assert.equal(pending.body.confirmations, 0);
+
+  harness.chain.mine();
+  harness.chain.mine();
+  // Tracked trades are refreshed at most every 30 seconds; ask upstream directly
+  const confirmed = await fetchTxStatus(txid);
+  assert.equal(confirmed.confirmed, true);
+  assert.equal(confirmed.confirmations, 2);
+
+  // Once confirmed, each ordinal is a realized sale of its share of the proceeds
+  await refreshTradeStatus(getTradeStore(), getTradeStore().getTrade(created.body.tradeId));
+  // Realized sales need proof of the address: neither no proof nor another wallet's will do
+  const realizedPath = `/api/realized-sales?address=${seller.ordinals.address}`;
+  assert.equal((await harness.request('GET', realizedPath)).status, 401);
+  const stranger = harness.createSeller();
+  const strangerProof = await harness.proveAddress(stranger.ordinals);
+  assert.equal((await harness.request('GET', realizedPath, undefined, strangerProof)).status, 401);
+  const proof = await harness.proveAddress(seller.ordinals);
+  const realized = await harness.request('GET', realizedPath, undefined, proof);
+  assert.equal(realized.status, 200, JSON.stringify(realized.body));
+  assert.deepEqual(realized.body.sales.map(sale => [sale.inscriptionId, sale.txid, sale.proceedsSats, sale.proceedsUSD]), [
+    [inscriptions[0].inscriptionId, txid, 600, 0.36],
+    [inscriptions[1].inscriptionId, txid, 600, 0.36],
+  ]);
+  // No purchase dates were given, so there is no acquisition-date basis
+  assert.equal(realized.body.missingBasisCount, 2);
+
+  const year = new Date(realized.body.sales[0].dateSold).getUTCFullYear();
+  const formsPath = `/api/realized-sales/tax-forms.pdf?address=${seller.ordinals.address}&year=${year}`;
+  assert.equal((await harness.request('GET', formsPath)).status, 401);
+  const forms = await harness.request('GET', formsPath, undefined, proof);
+  assert.equal(forms.status, 200);
+  assert.match(forms.body, /^%PDF-1\.4/);
+  assert.match(forms.body, /Schedule D, line 3 \\\(Box [CI] checked/);
+  const badReporting = await harness.request('GET', `${formsPath}&reporting=1099-b`, undefined, proof);
+  assert.equal(badReporting.status, 400);
+
+  // Under UK rules, with a same-day buyback of the first ordinal
+  const uk = await harness.request('POST', '/api/realized-sales/jurisdiction-report', {
+    address: seller.ordinals.address,
+    year,
+    jurisdiction: 'uk',
+    acquisitions: [{ inscriptionId: inscriptions[0].inscriptionId, collection: null, date: realized.body.sales[0].dateSold.slice(0, 10) }],
+  }, proof);
+  assert.equal(uk.status, 200, JSON.stringify(uk.body));
+  assert.equal(uk.body.currency, 'gbp');
+  assert.equal(uk.body.sales.length, 2);
+  assert.equal(uk.body.layout, 'uk_capital_gains');
+});
+
+test('a seller with no spare BTC has the fee netted from the payout', async () => {
+  const seller = harness.createSeller();
+  const inscription = harness.inscribe(seller.ordinals.address);
+
+  const created = await createBatch(seller, [inscription]);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { details, quote } = created.body;
+  assert.equal(details.feeSettlement, 'net_payout');
+  assert.deepEqual(details.signInputs, { [seller.ordinals.address]: [0] });
+
+  const signed = harness.sign(created.body.psbtBase64, details.signInputs, seller.accounts);
+  const finalized = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: quote.id });
+  assert.equal(finalized.status, 200, JSON.stringify(finalized.body));
+
+  const outputs = outputsOf(finalized.body.txid);
+  assert.deepEqual(outputs[1], { address: seller.payment.address, value: 546 });
+  assert.ok(outputs.slice(2).every(out => out.address === harness.harvy.address), 'no separate fee output');
+});
+
+test('fee UTXOs holding inscriptions are never spent for the service fee', async () => {
+  const seller = harness.createSeller();
+  const inscription = harness.inscribe(seller.ordinals.address);
+  // The payment address holds only an inscribed coin
+  harness.inscribe(seller.payment.address, { value: 10000 });
+
+  const created = await createBatch(seller, [inscription], { feeSettlement: 'seller_inputs' });
+  assert.equal(created.status, 400);
+  assert.match(created.body.error, /inscription/i);
+});
+
+test('a signed PSBT is broadcast once and tampered PSBTs are refused', async () => {
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const inscription = harness.inscribe(seller.ordinals.address);
+
+  const created = await createBatch(seller, [inscription]);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { details, quote } = created.body;
+
+  // Redirecting the payout changes the transaction Harvy quoted
+  const tampered = bitcoin.Psbt.fromBase64(created.body.psbtBase64, { network: harness.network });
+  tampered.txOutputs[1].value += 1000n;
+  tampered.data.globalMap.unsignedTx.tx.outs[1].value += 1000n;
+  const rejected = await harness.request('POST', '/api/finalize-psbt', {
+    psbtBase64: harness.sign(tampered.toBase64(), details.signInputs, seller.accounts),
+    quoteId: quote.id,
+  });
+  assert.equal(rejected.status, 400);
+  assert.match(rejected.body.error, /^Invalid PSBT/);
+
+  const signed = harness.sign(created.body.psbtBase64, details.signInputs, seller.accounts);
+  const first = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: quote.id });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+
+  const replay = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: quote.id });
+  assert.equal(replay.status, 400);
+  assert.ok(harness.chain.mempool().includes(first.body.txid));
+});
+
+test('a stuck sale is replaced only with the seller\'s quote, and the bump is recorded once broadcast', async () => {
+  // Confirm Harvy's change from the earlier sales so it can fund this one
+  harness.chain.mine();
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const inscription = harness.inscribe(seller.ordinals.address);
+
+  const created = await createBatch(seller, [inscription]);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { tradeId, quote } = created.body;
+  const signed = harness.sign(created.body.psbtBase64, created.body.details.signInputs, seller.accounts);
+  const original = await harness.request('POST', '/api/finalize-psbt', { psbtBase64: signed, quoteId: quote.id });
+  assert.equal(original.status, 200, JSON.stringify(original.body));
+
+  // The trade id and seller address are public; neither proves who is asking
+  const rbfPath = `/api/trades/${tradeId}/rbf-psbt`;
+  assert.equal((await harness.request('POST', rbfPath, { sellerAddress: seller.ordinals.address })).status, 404);
+  assert.equal((await harness.request('POST', rbfPath, { quoteId: crypto.randomUUID() })).status, 404);
+  harness.chain.fund(harness.harvy.address, 100000);
+  const other = await createBatch(seller, [harness.inscribe(seller.ordinals.address)]);
+  assert.equal((await harness.request('POST', rbfPath, { quoteId: other.body.quote.id })).status, 404);
+
+  const rbf = await harness.request('POST', rbfPath, { quoteId: quote.id, sellerPublicKey: seller.ordinals.publicKey });
+  assert.equal(rbf.status, 200, JSON.stringify(rbf.body));
+  assert.deepEqual(getTradeStore().listFeeBumps({ tradeId }), [], 'nothing recorded before the replacement is broadcast');
+
+  const replacement = await harness.request('POST', '/api/finalize-psbt', {
+    psbtBase64: harness.sign(rbf.body.psbtBase64, rbf.body.details.signInputs, seller.accounts),
+    quoteId: rbf.body.quote.id,
+  });
+  assert.equal(replacement.status, 200, JSON.stringify(replacement.body));
+  const { txid } = replacement.body;
+  assert.ok(harness.chain.mempool().includes(txid));
+  assert.ok(!harness.chain.mempool().includes(original.body.txid), 'replaced transaction evicted');
+
+  const [bump] = getTradeStore().listFeeBumps({ tradeId });
+  assert.deepEqual(
+    [bump.method, bump.status, bump.originalTxid, bump.bumpTxid, bump.quoteId, bump.feeSats],
+    ['rbf', 'broadcast', original.body.txid, txid, rbf.body.quote.id, rbf.body.details.newFee],
+  );
+  const trade = getTradeStore().getTrade(tradeId);
+  assert.equal(trade.txid, txid);
+  assert.equal(trade.feeSats, rbf.body.details.newFee);
+  assert.equal(trade.feeRate, rbf.body.details.newFee / harness.chain.getTransaction(txid).virtualSize());
+});
+
+test('purchase dates value the USD cost basis at that day\'s close', async () => {
+  // Confirm Harvy's change from the earlier sales so it can fund this one
+  harness.chain.mine();
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const [cheap, dear] = [harness.inscribe(seller.ordinals.address), harness.inscribe(seller.ordinals.address)];
+
+  // 1000 sats bought at $17k ($0.17) and sold as 600 sats at $60k ($0.36):
+  // a loss in sats but a gain in USD
+  const gain = await createBatch(seller, [cheap], {
+    ordinals: [{ inscriptionId: cheap.inscriptionId, purchasePriceSats: 1000, purchaseDate: '2023-01-10' }],
+  });
+  assert.equal(gain.status, 400);
+  assert.match(gain.body.error, /No tax loss to harvest in USD/);
+
+  const created = await createBatch(seller, [dear], {
+    ordinals: [{ inscriptionId: dear.inscriptionId, purchasePriceSats: 250000, purchaseDate: '2024-03-10' }],
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  assert.equal(created.body.transaction.currency, 'usd');
+  const tax = created.body.transaction.taxCalculation;
+  assert.equal(tax.totalCostBasis, 180);
+  assert.equal(tax.totalProceeds, 0.36);
+  assert.deepEqual(tax.lots.map(l => [l.purchaseDate, l.btcPrice, l.priceSource]), [['2024-03-10', 72000, 'coingecko']]);
+
+  const badDate = await createBatch(seller, [cheap], {
+    ordinals: [{ inscriptionId: cheap.inscriptionId, purchasePriceSats: 250000, purchaseDate: '10/03/2024' }],
+  });
+  assert.equal(badDate.status, 400);
+});
+
+test('a reporting currency values basis, proceeds and fees in that currency', async () => {
+  const seller = harness.createSeller({ paymentSats: 20000 });
+  const inscription = harness.inscribe(seller.ordinals.address);
+
+  const created = await createBatch(seller, [inscription], {
+    ordinals: [{ inscriptionId: inscription.inscriptionId, purchasePriceSats: 250000, purchaseDate: '2024-03-10' }],
+    currency: 'EUR',
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { currency, taxCalculation, serviceFee } = created.body.transaction;
+  assert.equal(currency, 'eur');
+  assert.equal(taxCalculation.btcPrice, 55000);
+  assert.equal(taxCalculation.totalCostBasis, 165);
+  assert.equal(taxCalculation.totalProceeds, 0.33);
+  assert.equal(taxCalculation.totalLoss, 164.67);
+  assert.equal(serviceFee.fiat, 2.75);
+
+  const price = await harness.request('GET', '/api/btc-price?currency=eur&date=2024-03-10');
+  assert.deepEqual(price.body, { date: '2024-03-10', currency: 'eur', price: 66000, source: 'coingecko' });
+
+  const unsupported = await createBatch(seller, [inscription], { currency: 'jpy' });
+  assert.equal(unsupported.status, 400);
+  assert.match(unsupported.body.error, /Invalid currency/);
+});
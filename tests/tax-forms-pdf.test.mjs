@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FORM_8949_ROWS_PER_PAGE, renderTaxFormsPdf } from '../tax-forms-pdf.js';
+
+function sales(count, fields = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    txid: 'a'.repeat(64),
+    inscriptionId: `${String(i).padStart(64, 'b')}i0`,
+    dateAcquired: '2024-06-01',
+    dateSold: '2024-12-20T18:00:00.000Z',
+    proceedsUSD: 10.5,
+    costBasisUSD: 20,
+    gainLossUSD: -9.5,
+    ...fields,
+  }));
+}
+
+// Text shown on the page, from the content streams' string operands
+function shownText(pdf) {
+  return [...pdf.toString('latin1').matchAll(/\((.*?)(?<!\\)\) Tj/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+}
+
+test('Form 8949 pages hold 14 sales each with page totals, then a Schedule D summary', () => {
+  const pdf = renderTaxFormsPdf(
+    { sales: [...sales(FORM_8949_ROWS_PER_PAGE + 1), ...sales(1, { dateAcquired: '2022-01-01' })] },
+    { year: 2024, address: 'bc1pseller' },
+  );
+  const source = pdf.toString('latin1');
+  assert.match(source, /^%PDF-1\.4\n/);
+  assert.match(source, /\/Count 4 >>/);
+
+  // Every xref entry points at its object
+  const offsets = source.slice(source.indexOf('\nxref\n')).match(/^\d{10} 00000 n $/gm);
+  assert.equal(offsets.length, 12);
+  offsets.forEach((entry, i) => assert.ok(source.startsWith(`${i + 1} 0 obj`, parseInt(entry, 10))));
+
+  const text = shownText(pdf);
+  // Part I (box C) over two pages: 14 sales then 1, each page totalled
+  assert.deepEqual(text.filter(t => /^Schedule D, line/.test(t)), [
+    'Schedule D, line 3 (Box C checked).',
+    'Schedule D, line 3 (Box C checked).',
+    'Schedule D, line 10 (Box F checked).',
+  ]);
+  assert.ok(text.includes('147.00') && text.includes('280.00') && text.includes('(133.00)'));
+  assert.ok(text.includes('Page 4 of 4'));
+  // Schedule D line 16 nets both parts: -142.50 short-term, -9.50 long-term
+  assert.ok(text.includes('(152.00)'));
+});
+
+test('a year without sales still gets a Schedule D summary page', () => {
+  const text = shownText(renderTaxFormsPdf({ sales: [] }, { year: 2025, address: 'bc1pseller', reporting: 'basis_reported' }));
+  assert.ok(text.includes('Schedule D'));
+  assert.ok(text.includes('No confirmed Harvy sales in this tax year.'));
+  assert.ok(text.includes('Page 1 of 1'));
+});
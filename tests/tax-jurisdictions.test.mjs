@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyLossRules, buildJurisdictionReport, parseJurisdiction } from '../tax-jurisdictions.js';
+
+const SOLD = `${'a'.repeat(64)}i0`;
+const OTHER = `${'b'.repeat(64)}i0`;
+
+function sale(fields) {
+  return {
+    inscriptionId: SOLD,
+    collection: 'Bitcoin Frogs',
+    dateAcquired: '2024-01-15',
+    dateSold: '2024-06-10T18:00:00.000Z',
+    proceeds: 0.5,
+    costBasis: 100,
+    expenses: 0.75,
+    gainLoss: -100.25,
+    ...fields,
+  };
+}
+
+test('parseJurisdiction accepts the supported countries', () => {
+  assert.equal(parseJurisdiction('UK'), 'uk');
+  assert.equal(parseJurisdiction('ca'), 'ca');
+  assert.equal(parseJurisdiction('de'), null);
+});
+
+test('buying the same ordinal back inside the window disallows the loss in Canada and matches it in the UK', () => {
+  const boughtBack = [{ inscriptionId: SOLD, collection: 'Bitcoin Frogs', date: '2024-06-25' }];
+  const [canada] = applyLossRules([sale({})], boughtBack, 'ca');
+  assert.equal(canada.rule.status, 'disallowed');
+  assert.equal(canada.rule.daysFromSale, 15);
+  assert.equal(canada.disallowedLoss, 100.25);
+  assert.equal(canada.allowableGainLoss, 0);
+
+  // The UK matches the disposal with the new purchase: the loss is flagged for recomputing, not denied
+  const [uk] = applyLossRules([sale({})], boughtBack, 'uk');
+  assert.equal(uk.rule.status, 'matched');
+  assert.equal(uk.rule.daysFromSale, 15);
+  assert.equal(uk.disallowedLoss, 0);
+  assert.equal(uk.allowableGainLoss, -100.25);
+  const report = buildJurisdictionReport([sale({})], { jurisdiction: 'uk', acquisitions: boughtBack });
+  assert.equal(report.flaggedCount, 1);
+  assert.equal(report.totals.losses, -100.25);
+  assert.equal(report.totals.disallowed, 0);
+  // Australia flags it instead; the US has no rule for crypto
+  assert.equal(applyLossRules([sale({})], boughtBack, 'au')[0].rule.status, 'at_risk');
+  assert.equal(applyLossRules([sale({})], boughtBack, 'us')[0].rule.status, 'allowed');
+
+  // Day 31 is outside every window
+  const later = [{ inscriptionId: SOLD, collection: 'Bitcoin Frogs', date: '2024-07-11' }];
+  assert.equal(applyLossRules([sale({})], later, 'uk')[0].rule.status, 'allowed');
+});
+
+test('same-collection purchases are flagged for review, before the sale only in Canada', () => {
+  const boughtBefore = [{ inscriptionId: OTHER, collection: 'Bitcoin Frogs', date: '2024-05-20' }];
+  const [canada] = applyLossRules([sale({})], boughtBefore, 'ca');
+  assert.deepEqual(canada.rule, { status: 'review', inscriptionId: OTHER, collection: 'Bitcoin Frogs', acquiredOn: '2024-05-20', daysFromSale: -21 });
+  assert.equal(canada.allowableGainLoss, -100.25);
+  assert.equal(applyLossRules([sale({})], boughtBefore, 'uk')[0].rule.status, 'allowed');
+
+  // The sold ordinal's own purchase and gains are never matched
+  const ownPurchase = [{ inscriptionId: SOLD, collection: 'Bitcoin Frogs', date: '2024-06-10' }];
+  assert.equal(applyLossRules([sale({ dateAcquired: '2024-06-10' })], ownPurchase, 'ca')[0].rule.status, 'allowed');
+  assert.equal(applyLossRules([sale({ gainLoss: 5 })], [{ inscriptionId: SOLD, date: '2024-06-11' }], 'uk')[0].rule.status, 'allowed');
+});
+
+test('the Canadian report nets allowable losses and lists denied superficial losses', () => {
+  const report = buildJurisdictionReport([
+    sale({}),
+    sale({ inscriptionId: OTHER, collection: null, dateAcquired: '2022-01-01', proceeds: 300, costBasis: 100, expenses: 0.75, gainLoss: 199.25 }),
+    sale({ inscriptionId: `${'c'.repeat(64)}i0`, proceeds: null, gainLoss: null }),
+  ], { jurisdiction: 'ca', acquisitions: [{ inscriptionId: SOLD, collection: 'Bitcoin Frogs', date: '2024-06-12' }] });
+
+  assert.equal(report.currency, 'cad');
+  assert.equal(report.flaggedCount, 1);
+  assert.equal(report.unvaluedCount, 1);
+  assert.deepEqual(report.summary.map(line => [line.label.split(' (')[0], line.amount]), [
+    ['Proceeds of disposition', 300.5],
+    ['Adjusted cost base', 200],
+    ['Outlays and expenses', 1.5],
+    ['Gain', 199.25],
+    ['Superficial losses denied', 100.25],
+    ['Taxable capital gain', 99.63],
+  ]);
+  assert.throws(() => buildJurisdictionReport([], { jurisdiction: 'de' }), /Unknown jurisdiction/);
+});
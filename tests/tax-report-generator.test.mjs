@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  EXPORT_FORMATS,
+  TXF_REF_CODES,
+  classifyForm8949Box,
+  generateExportCSV,
+  generateTXF,
+  groupForm8949ByBox,
+  prepareRealizedForm8949Data,
+} from '../frontend/src/utils/taxReportGenerator.js';
+
+function realizedSale(fields) {
+  return {
+    inscriptionId: `${'a'.repeat(64)}i0`,
+    txid: 'b'.repeat(64),
+    dateAcquired: '2024-01-10',
+    dateSold: '2024-06-15T12:00:00.000Z',
+    proceedsSats: 100000,
+    costBasisSats: 150000,
+    proceedsUSD: 60,
+    costBasisUSD: 70,
+    gainLossUSD: -10,
+    serviceFeeSats: 1000,
+    serviceFeeUSD: 0.6,
+    ...fields,
+  };
+}
+
+function row(fields) {
+  return prepareRealizedForm8949Data([realizedSale(fields)])[0];
+}
+
+test('classifyForm8949Box picks the box for each broker reporting mode', () => {
+  const shortTerm = row({});
+  const longTerm = row({ dateAcquired: '2022-03-01' });
+  assert.deepEqual(
+    ['none', 'basis_reported', 'basis_not_reported'].map(reporting => [
+      classifyForm8949Box(shortTerm, reporting),
+      classifyForm8949Box(longTerm, reporting),
+    ]),
+    [['C', 'F'], ['A', 'D'], ['B', 'E']],
+  );
+  assert.throws(() => classifyForm8949Box(shortTerm, '1099-b'), /Unknown broker reporting/);
+});
+
+test('sales from 2025 on use the digital-asset boxes G-L', () => {
+  const lastOf2024 = { dateSold: '2024-12-31T23:59:59.000Z' };
+  const firstOf2025 = { dateSold: '2025-01-01T00:00:00.000Z' };
+  assert.equal(classifyForm8949Box(row(lastOf2024)), 'C');
+  assert.equal(classifyForm8949Box(row(firstOf2025)), 'I');
+  assert.deepEqual(
+    ['none', 'basis_reported', 'basis_not_reported'].map(reporting => [
+      classifyForm8949Box(row({ ...firstOf2025, dateAcquired: '2024-06-01' }), reporting),
+      classifyForm8949Box(row({ ...firstOf2025, dateAcquired: '2023-06-01' }), reporting),
+    ]),
+    [['I', 'L'], ['G', 'J'], ['H', 'K']],
+  );
+});
+
+test('long-term starts the day after the first anniversary, 365 or 366 days', () => {
+  // 2023-03-01 to 2024-03-01 spans the leap day: 366 days, still one year
+  assert.equal(row({ dateAcquired: '2023-03-01', dateSold: '2024-02-29T12:00:00.000Z' }).holdingPeriodDays, 365);
+  assert.equal(classifyForm8949Box(row({ dateAcquired: '2023-03-01', dateSold: '2024-03-01T12:00:00.000Z' })), 'C');
+  assert.equal(row({ dateAcquired: '2023-03-01', dateSold: '2024-03-01T12:00:00.000Z' }).holdingPeriodDays, 366);
+  assert.equal(classifyForm8949Box(row({ dateAcquired: '2023-03-01', dateSold: '2024-03-02T00:00:00.000Z' })), 'F');
+  // Without a leap day the anniversary is 365 days on
+  assert.equal(classifyForm8949Box(row({ dateAcquired: '2024-03-01', dateSold: '2025-03-01T23:00:00.000Z' })), 'I');
+  assert.equal(classifyForm8949Box(row({ dateAcquired: '2024-03-01', dateSold: '2025-03-02T00:00:00.000Z' })), 'L');
+  assert.equal(row({ dateAcquired: '2024-03-01', dateSold: '2025-03-02T00:00:00.000Z' }).holdingPeriodType, 'Long-term');
+});
+
+test('groupForm8949ByBox totals each box for its Schedule D line, leaving missing basis out', () => {
+  const reportData = prepareRealizedForm8949Data([
+    realizedSale({ proceedsUSD: 60, costBasisUSD: 70, gainLossUSD: -10 }),
+    realizedSale({ dateAcquired: null, costBasisUSD: null, gainLossUSD: null, proceedsUSD: 25.5 }),
+    realizedSale({ dateAcquired: '2022-03-01', proceedsUSD: 100, costBasisUSD: 40, gainLossUSD: 60 }),
+  ]);
+
+  const groups = groupForm8949ByBox(reportData);
+  assert.deepEqual(groups.map(group => [group.part, group.box, group.scheduleDLine, group.rows.length, group.missingBasisCount]), [
+    ['I', 'C', '3', 2, 1],
+    ['II', 'F', '10', 1, 0],
+  ]);
+  assert.deepEqual(groups[0].totals, { proceeds: 85.5, costBasis: 70, adjustment: 0, gainLoss: -10 });
+  assert.deepEqual(groups[1].totals, { proceeds: 100, costBasis: 40, adjustment: 0, gainLoss: 60 });
+  assert.ok(groups[0].rows.every(item => item.box === 'C'));
+
+  assert.deepEqual(groupForm8949ByBox(reportData, { reporting: 'basis_reported' }).map(group => [group.box, group.scheduleDLine]), [
+    ['A', '1b'],
+    ['D', '8b'],
+  ]);
+  assert.deepEqual(groupForm8949ByBox([]), []);
+});
+
+test('generateTXF writes a V042 detail record per sale under its box reference code', () => {
+  const reportData = prepareRealizedForm8949Data([
+    realizedSale({ dateSold: '2024-06-15T12:00:00.000Z' }),
+    realizedSale({ dateAcquired: null, costBasisUSD: null, gainLossUSD: null, dateSold: '2024-07-01T12:00:00.000Z' }),
+  ]);
+  const txf = generateTXF(reportData, { exportDate: new Date('2025-02-01T12:00:00Z') });
+
+  assert.ok(txf.startsWith('V042\nAHarvy\nD02/01/2025\n^\n'));
+  assert.ok(txf.endsWith('^\n'));
+  const records = txf.trim().split('\n^').slice(1).map(record => record.trim().split('\n'));
+  assert.equal(records.length, 3);
+  assert.equal(records[2].length, 1);
+  assert.deepEqual(records[0], [
+    'TD', 'N715', 'C1', 'L1', 'PBitcoin Ordinal aaaaaaaa...', 'D01/10/2024', 'D06/15/2024', '$70.00', '$60.00',
+  ]);
+  // No basis: blank date acquired and cost for the user to fill in
+  assert.deepEqual(records[1], [
+    'TD', 'N715', 'C1', 'L1', 'PBitcoin Ordinal aaaaaaaa...', 'D', 'D07/01/2024', '$', '$60.00',
+  ]);
+  assert.equal(generateTXF([]), null);
+});
+
+test('generateTXF uses 711/712/715 short-term and 713/714/716 long-term codes, G-L reusing A-F', () => {
+  const codeFor = (fields, reporting) => {
+    const txf = generateTXF([row(fields)], { reporting });
+    return txf.split('\n').find(line => /^N\d+$/.test(line));
+  };
+  const longTerm = { dateAcquired: '2022-03-01' };
+  assert.deepEqual(
+    ['basis_reported', 'basis_not_reported', 'none'].map(reporting => [codeFor({}, reporting), codeFor(longTerm, reporting)]),
+    [['N711', 'N713'], ['N712', 'N714'], ['N715', 'N716']],
+  );
+  const in2025 = { dateAcquired: '2024-10-01', dateSold: '2025-03-01T00:00:00.000Z' };
+  assert.equal(codeFor(in2025, 'basis_reported'), 'N711');
+  assert.equal(codeFor({ ...in2025, ...longTerm }, 'none'), 'N716');
+  assert.deepEqual(
+    Object.keys(TXF_REF_CODES).map(box => TXF_REF_CODES[box]),
+    [711, 712, 715, 713, 714, 716, 711, 712, 715, 713, 714, 716],
+  );
+});
+
+// One sale with a fee and one without, confirmed late in the UTC day
+const exportData = prepareRealizedForm8949Data([
+  realizedSale({ dateSold: '2024-06-15T23:30:05.000Z', proceedsSats: 123456, serviceFeeSats: 2500, proceedsUSD: 74.07 }),
+  realizedSale({ dateSold: '2024-06-16T01:02:03.000Z', proceedsSats: 100000000, serviceFeeSats: 0, proceedsUSD: 60000 }),
+]);
+const inscription = `${'a'.repeat(64)}i0`;
+
+function exportLines(formatId) {
+  return generateExportCSV(formatId, exportData).split('\n');
+}
+
+test('Koinly export: sent ordinal, received BTC, BTC fee, UTC dates', () => {
+  const [header, withFee, withoutFee] = exportLines('koinly');
+  assert.equal(header, 'Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+  assert.equal(withFee, `2024-06-15 23:30:05 UTC,1,"${inscription}",0.00123456,BTC,0.00002500,BTC,74.07,USD,,"Sold ordinal to Harvy: ${inscription}",${'b'.repeat(64)}`);
+  assert.equal(withoutFee, `2024-06-16 01:02:03 UTC,1,"${inscription}",1.00000000,BTC,0.00000000,,60000.00,USD,,"Sold ordinal to Harvy: ${inscription}",${'b'.repeat(64)}`);
+});
+
+test('CoinTracker export: received BTC first, US-ordered UTC dates', () => {
+  const [header, withFee, withoutFee] = exportLines('cointracker');
+  assert.equal(header, 'Date,Received Quantity,Received Currency,Sent Quantity,Sent Currency,Fee Amount,Fee Currency,Tag');
+  assert.equal(withFee, `06/15/2024 23:30:05,0.00123456,BTC,1,"${inscription}",0.00002500,BTC,`);
+  assert.equal(withoutFee, `06/16/2024 01:02:03,1.00000000,BTC,1,"${inscription}",0.00000000,,`);
+});
+
+test('CoinLedger export: trade rows with fee currency before amount', () => {
+  const [header, withFee, withoutFee] = exportLines('coinledger');
+  assert.equal(header, 'Date (UTC),Platform (Optional),Asset Sent,Amount Sent,Asset Received,Amount Received,Fee Currency (Optional),Fee Amount (Optional),Type,Description (Optional),TxHash (Optional)');
+  assert.equal(withFee, `06/15/2024 23:30:05,Harvy,"${inscription}",1,BTC,0.00123456,BTC,0.00002500,Trade,"Sold ordinal to Harvy: ${inscription}",${'b'.repeat(64)}`);
+  assert.equal(withoutFee, `06/16/2024 01:02:03,Harvy,"${inscription}",1,BTC,1.00000000,,0.00000000,Trade,"Sold ordinal to Harvy: ${inscription}",${'b'.repeat(64)}`);
+});
+
+test('generateExportCSV rejects unknown formats and has nothing to export without realized rows', () => {
+  assert.deepEqual(Object.keys(EXPORT_FORMATS), ['koinly', 'cointracker', 'coinledger']);
+  assert.throws(() => generateExportCSV('turbotax', exportData), /Unknown export format/);
+  assert.equal(generateExportCSV('koinly', []), null);
+  assert.equal(generateExportCSV('koinly', exportData.map(item => ({ ...item, mode: 'hypothetical' }))), null);
+});
@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildRealizedSales, classifyForm8949Box, groupSalesByBox, summarizeScheduleD } from '../tax-report.js';
+import { classifyForm8949Box as classifyRow, prepareRealizedForm8949Data } from '../frontend/src/utils/taxReportGenerator.js';
+
+const priceHistory = {
+  async getDailyClose(date, currency) {
+    const closes = { '2023-05-01': 29000 };
+    if (currency !== 'usd' || !closes[date]) {
+      throw Object.assign(new Error(`No close for ${date}`), { code: 'PRICE_UNAVAILABLE' });
+    }
+    return { date, currency, close: closes[date], source: 'dataset:test.csv' };
+  },
+};
+
+function trade(fields) {
+  return {
+    id: 1,
+    txid: 'a'.repeat(64),
+    confirmationStatus: 'confirmed',
+    confirmedAt: '2024-12-20T18:00:00.000Z',
+    inscriptionIds: ['x1i0', 'x2i0'],
+    totalOfferSats: 1201,
+    serviceFeeSats: 1000,
+    btcPriceUSD: 100000,
+    currency: 'usd',
+    lots: [],
+    ...fields,
+  };
+}
+
+test('buildRealizedSales values confirmed sales in USD at the sale and purchase dates', async () => {
+  const report = await buildRealizedSales([
+    trade({
+      currency: 'eur',
+      lots: [
+        // EUR lot: revalued at the USD close of its purchase date
+        { inscriptionId: 'x1i0', purchasePriceSats: 100000, purchaseDate: '2023-05-01', btcPrice: 27000, priceSource: 'coingecko' },
+        // Undated lot: valued at spot when sold, so no acquisition basis
+        { inscriptionId: 'x2i0', purchasePriceSats: 50000, purchaseDate: null, btcPrice: 92000, priceSource: 'spot' },
+      ],
+    }),
+    trade({ id: 2, txid: 'b'.repeat(64), confirmationStatus: 'pending', confirmedAt: null }),
+  ], { priceHistory });
+
+  assert.equal(report.sales.length, 2);
+  assert.deepEqual(report.sales[0], {
+    tradeId: 1,
+    txid: 'a'.repeat(64),
+    inscriptionId: 'x1i0',
+    dateAcquired: '2023-05-01',
+    dateSold: '2024-12-20T18:00:00.000Z',
+    proceedsSats: 601,
+    costBasisSats: 100000,
+    btcPriceAtSale: 100000,
+    quotedCurrency: 'eur',
+    quotedBtcPrice: null,
+    btcPriceAtAcquisition: 29000,
+    acquisitionPriceSource: 'dataset:test.csv',
+    proceedsUSD: 0.6,
+    costBasisUSD: 29,
+    gainLossUSD: -28.4,
+    serviceFeeSats: 500,
+    serviceFeeUSD: 0.5,
+  });
+  assert.equal(report.sales[1].proceedsSats, 600);
+  assert.equal(report.sales[1].costBasisUSD, null);
+  assert.equal(report.missingBasisCount, 1);
+  assert.deepEqual(report.totals, { proceedsUSD: 1.2, costBasisUSD: 29, gainLossUSD: -28.4 });
+});
+
+test('buildRealizedSales reuses USD lot prices and filters by year', async () => {
+  const usdTrade = trade({
+    inscriptionIds: ['x1i0'],
+    totalOfferSats: 600,
+    lots: [{ inscriptionId: 'x1i0', purchasePriceSats: 100000, purchaseDate: '2022-01-03', btcPrice: 46000, priceSource: 'coingecko' }],
+  });
+
+  const report = await buildRealizedSales([usdTrade], { priceHistory });
+  assert.equal(report.sales[0].costBasisUSD, 46);
+  assert.equal(report.sales[0].btcPriceAtAcquisition, 46000);
+
+  assert.equal((await buildRealizedSales([usdTrade], { priceHistory, year: 2024 })).sales.length, 1);
+  assert.equal((await buildRealizedSales([usdTrade], { priceHistory, year: 2025 })).sales.length, 0);
+});
+
+function sale(fields) {
+  return { dateAcquired: '2024-01-10', dateSold: '2024-12-20T18:00:00.000Z', proceedsUSD: 100, costBasisUSD: 40, gainLossUSD: 60, ...fields };
+}
+
+test('classifyForm8949Box picks the part from the holding period and G-L from 2025', () => {
+  assert.equal(classifyForm8949Box(sale({})), 'C');
+  assert.equal(classifyForm8949Box(sale({ dateAcquired: '2023-12-19' })), 'F');
+  // Held exactly one year (366 days across the leap day) is still short-term
+  assert.equal(classifyForm8949Box(sale({ dateAcquired: '2023-12-20' })), 'C');
+  assert.equal(classifyForm8949Box(sale({ dateAcquired: null })), 'C');
+  assert.equal(classifyForm8949Box(sale({ dateAcquired: '2024-10-01', dateSold: '2025-02-01T00:00:00.000Z' }), 'basis_reported'), 'G');
+  assert.equal(classifyForm8949Box(sale({ dateAcquired: '2023-01-01', dateSold: '2025-02-01T00:00:00.000Z' }), 'basis_not_reported'), 'K');
+  assert.throws(() => classifyForm8949Box(sale({}), '1099-b'), /Unknown broker reporting/);
+});
+
+test('Form 8949 dates and tax years are UTC days, shared with the frontend reports', () => {
+  // Confirmed early on New Year's Day UTC: the evening before in the US
+  const newYear = sale({ dateAcquired: '2024-06-01', dateSold: '2025-01-01T02:00:00.000Z', inscriptionId: 'abci0' });
+  const [row] = prepareRealizedForm8949Data([newYear]);
+  assert.equal(classifyForm8949Box(newYear), 'I');
+  assert.equal(classifyRow(row), 'I');
+  assert.equal(row.dateDisposed, '01/01/2025');
+  assert.equal(row.dateAcquired, '06/01/2024');
+});
+
+test('box totals carry to their Schedule D lines', () => {
+  const groups = groupSalesByBox([
+    sale({ dateAcquired: '2022-06-01', proceedsUSD: 50, costBasisUSD: 80, gainLossUSD: -30 }),
+    sale({}),
+    sale({ dateAcquired: null, costBasisUSD: null, gainLossUSD: null }),
+  ]);
+  assert.deepEqual(groups.map(group => [group.box, group.scheduleDLine, group.sales.length, group.missingBasisCount]), [
+    ['C', '3', 2, 1],
+    ['F', '10', 1, 0],
+  ]);
+  assert.deepEqual(groups[0].totals, { proceedsUSD: 200, costBasisUSD: 40, adjustmentUSD: 0, gainLossUSD: 60 });
+
+  const lines = summarizeScheduleD(groups);
+  assert.equal(lines['3'].proceedsUSD, 200);
+  assert.equal(lines['1b'].proceedsUSD, 0);
+  assert.deepEqual(lines['7'], { gainLossUSD: 60 });
+  assert.deepEqual(lines['15'], { gainLossUSD: -30 });
+  assert.deepEqual(lines['16'], { gainLossUSD: 30 });
+});
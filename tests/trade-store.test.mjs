@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createTradeStore, hashPsbt } from '../trade-store.js';
+
+const SELLER = 'bc1pmfr3p9j00pfxjh0zmgp99y8zftmd3s5pmedqhyptwy6lm87hf5sspknck9';
+
+function openStore() {
+  return createTradeStore({ filename: ':memory:', network: 'testnet' });
+}
+
+test('createTradeStore migrates a fresh database to the latest schema', () => {
+  const store = openStore();
+  assert.equal(store.db.pragma('user_version', { simple: true }), 8);
+  const tables = store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(r => r.name);
+  for (const table of ['trades', 'quotes', 'audit_events', 'log_imports', 'utxo_reservations']) {
+    assert.ok(tables.includes(table), `missing table ${table}`);
+  }
+  store.close();
+});
+
+test('trades round-trip through create, update and lookups', () => {
+  const store = openStore();
+  const trade = store.createTrade({
+    sellerAddress: SELLER,
+    inscriptionIds: ['aai0', 'bbi0'],
+    ordinalCount: 2,
+    totalOfferSats: 1200,
+    serviceFeeSats: 1000,
+    unsignedTxid: 'cc'.repeat(32),
+    psbtHash: hashPsbt('cHNidP8B'),
+  });
+
+  assert.equal(trade.status, 'created');
+  assert.equal(trade.network, 'testnet');
+  assert.deepEqual(trade.inscriptionIds, ['aai0', 'bbi0']);
+  assert.equal(trade.confirmationStatus, 'unbroadcast');
+
+  const updated = store.updateTrade(trade.id, {
+    status: 'broadcast',
+    txid: 'cc'.repeat(32),
+    broadcastResult: { ok: true },
+    confirmationStatus: 'unconfirmed',
+  });
+  assert.equal(updated.status, 'broadcast');
+  assert.deepEqual(updated.broadcastResult, { ok: true });
+
+  assert.equal(store.findTradeByUnsignedTxid('cc'.repeat(32)).id, trade.id);
+  assert.equal(store.findTradeByTxid('cc'.repeat(32)).id, trade.id);
+  assert.equal(store.listTrades({ sellerAddress: SELLER }).length, 1);
+  assert.equal(store.listTrades({ status: 'created' }).length, 0);
+  store.close();
+});
+
+test('recordEvent keeps indexed fields as columns and the rest as payload', () => {
+  const store = openStore();
+  store.recordEvent('create_batch_psbt_requested', { sellerAddress: SELLER, ordinalCount: 3 });
+  store.recordEvent('finalize_psbt_succeeded', { txid: 'dd'.repeat(32) });
+
+  const [event] = store.listEvents({ sellerAddress: SELLER });
+  assert.equal(event.eventType, 'create_batch_psbt_requested');
+  assert.equal(event.network, 'testnet');
+  assert.equal(event.ordinalCount, 3);
+  assert.equal(store.listEvents({ txid: 'dd'.repeat(32) }).length, 1);
+  store.close();
+});
+
+test('importNdjsonLog imports a legacy log exactly once', () => {
+  const store = openStore();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'harvy-store-'));
+  const logPath = path.join(dir, 'transaction-events.ndjson');
+  fs.writeFileSync(logPath, [
+    JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', network: 'mainnet', eventType: 'create_batch_psbt_requested', sellerAddress: SELLER }),
+    'not json',
+    JSON.stringify({ timestamp: '2025-01-01T00:01:00.000Z', network: 'mainnet', eventType: 'finalize_psbt_succeeded', txid: 'ee'.repeat(32) }),
+    '',
+  ].join('\n'));
+
+  try {
+    assert.deepEqual(store.importNdjsonLog(logPath), { imported: 2, skipped: false });
+    assert.deepEqual(store.importNdjsonLog(logPath), { imported: 0, skipped: true });
+
+    const events = store.listEvents();
+    assert.equal(events.length, 2);
+    assert.equal(events[0].network, 'mainnet');
+    assert.equal(events[0].timestamp, '2025-01-01T00:01:00.000Z');
+    assert.equal(events[0].importedFrom, 'transaction-events.ndjson');
+
+    assert.deepEqual(store.importNdjsonLog(path.join(dir, 'missing.ndjson')), { imported: 0, skipped: true });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    store.close();
+  }
+});
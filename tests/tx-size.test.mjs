@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as bitcoin from 'bitcoinjs-lib';
+
+import { detectScriptType, estimateVsize, estimateWeight, scriptTypeForAddress } from '../tx-size.js';
+
+const network = bitcoin.networks.bitcoin;
+
+test('detectScriptType classifies standard output scripts', () => {
+  const p2wpkh = bitcoin.payments.p2wpkh({ hash: Buffer.alloc(20, 1), network });
+  const p2sh = bitcoin.payments.p2sh({ redeem: p2wpkh, network });
+  const p2pkh = bitcoin.payments.p2pkh({ hash: Buffer.alloc(20, 2), network });
+
+  assert.equal(detectScriptType(p2wpkh.output), 'p2wpkh');
+  assert.equal(detectScriptType(p2sh.output), 'p2sh');
+  assert.equal(detectScriptType(Buffer.from(p2pkh.output).toString('hex')), 'p2pkh');
+  assert.equal(
+    scriptTypeForAddress('bc1pmfr3p9j00pfxjh0zmgp99y8zftmd3s5pmedqhyptwy6lm87hf5sspknck9', network),
+    'p2tr'
+  );
+  assert.equal(detectScriptType(Buffer.from([0x6a, 0x01, 0x00])), null);
+});
+
+test('estimateVsize matches known sizes for single-script transactions', () => {
+  // 1-in/1-out P2TR key-path spend is 111 vB (444 WU)
+  assert.equal(estimateWeight({ inputs: ['p2tr'], outputs: ['p2tr'] }), 444);
+  assert.equal(estimateVsize({ inputs: ['p2tr'], outputs: ['p2tr'] }), 111);
+  // 1-in/2-out P2WPKH with max-size signature
+  assert.equal(estimateVsize({ inputs: ['p2wpkh'], outputs: ['p2wpkh', 'p2wpkh'] }), 141);
+  // Legacy-only transactions carry no segwit marker
+  assert.equal(estimateVsize({ inputs: ['p2pkh'], outputs: ['p2pkh'] }), 192);
+});
+
+test('estimateVsize sums mixed script types and is far below the 180 vB/input rule', () => {
+  const mixed = estimateVsize({
+    inputs: ['p2tr', 'p2tr', 'p2wpkh', 'p2sh-p2wpkh'],
+    outputs: ['p2tr', 'p2tr', 'p2wpkh', 'p2sh'],
+  });
+  // 11 overhead + 2*57.5 + 68 + 91 + 2*43 + 31 + 32, rounded up
+  assert.equal(mixed, 434);
+  assert.ok(mixed < 10 + 180 * 4 + 34 * 4);
+  assert.throws(() => estimateVsize({ inputs: ['p2wsh'], outputs: [] }), /Unsupported input script type/);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTradeStore } from '../trade-store.js';
+import { createTxTracker, fetchMempoolTxStatus, refreshTradeStatus, toTxStatus } from '../tx-tracker.js';
+
+const originalFetch = globalThis.fetch;
+const TXID = 'ab'.repeat(32);
+const BROADCAST_AT = '2025-01-01T00:00:00.000Z';
+
+function openStoreWithTrade() {
+  const store = createTradeStore({ filename: ':memory:', network: 'testnet' });
+  const created = store.createTrade({ sellerAddress: 'tb1pseller', unsignedTxid: TXID });
+  const trade = store.updateTrade(created.id, {
+    status: 'broadcast',
+    txid: TXID,
+    broadcastResult: { ok: true, broadcastAt: BROADCAST_AT },
+    confirmationStatus: 'unconfirmed',
+  });
+  return { store, trade };
+}
+
+function minutesAfterBroadcast(minutes) {
+  return new Date(Date.parse(BROADCAST_AT) + minutes * 60 * 1000);
+}
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('fetchMempoolTxStatus derives confirmations from the chain tip', async () => {
+  globalThis.fetch = async (url) => {
+    if (url.endsWith('/blocks/tip/height')) {
+      return { ok: true, status: 200, text: async () => '102' };
+    }
+    if (url.includes('/missing')) {
+      return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ confirmed: true, block_height: 100, block_hash: 'cd'.repeat(32), block_time: 1735689600 }),
+    };
+  };
+
+  const status = await fetchMempoolTxStatus(TXID);
+  assert.equal(status.confirmations, 3);
+  assert.equal(status.blockHeight, 100);
+  assert.deepEqual(await fetchMempoolTxStatus('missing'), { found: false, confirmed: false, confirmations: 0 });
+});
+
+test('refreshTradeStatus records first-seen and confirmation once', async () => {
+  const { store, trade } = openStoreWithTrade();
+
+  const seen = await refreshTradeStatus(store, trade, {
+    fetchStatus: async () => ({ found: true, confirmed: false, confirmations: 0 }),
+    now: minutesAfterBroadcast(1),
+  });
+  assert.equal(seen.firstSeenAt, minutesAfterBroadcast(1).toISOString());
+  assert.equal(toTxStatus(seen).status, 'pending');
+
+  const confirmed = await refreshTradeStatus(store, seen, {
+    fetchStatus: async () => ({ found: true, confirmed: true, blockHeight: 840000, blockTime: 1735690000, confirmations: 1 }),
+    now: minutesAfterBroadcast(15),
+  });
+  assert.equal(confirmed.confirmationStatus, 'confirmed');
+  assert.equal(confirmed.blockHeight, 840000);
+  assert.equal(confirmed.confirmedAt, new Date(1735690000 * 1000).toISOString());
+  assert.equal(confirmed.firstSeenAt, seen.firstSeenAt);
+
+  await refreshTradeStatus(store, confirmed, {
+    fetchStatus: async () => ({ found: true, confirmed: true, blockHeight: 840000, confirmations: 2 }),
+    now: minutesAfterBroadcast(25),
+  });
+  assert.equal(store.listEvents({ eventType: 'tx_confirmed' }).length, 1);
+  assert.equal(store.listEvents({ eventType: 'tx_first_seen' }).length, 1);
+  store.close();
+});
+
+test('refreshTradeStatus waits out the grace period before marking eviction', async () => {
+  const { store, trade } = openStoreWithTrade();
+  const missing = async () => ({ found: false, confirmed: false, confirmations: 0 });
+
+  const early = await refreshTradeStatus(store, trade, { fetchStatus: missing, now: minutesAfterBroadcast(2) });
+  assert.equal(early.confirmationStatus, 'unconfirmed');
+
+  const evicted = await refreshTradeStatus(store, early, { fetchStatus: missing, now: minutesAfterBroadcast(30) });
+  assert.equal(evicted.confirmationStatus, 'evicted');
+  assert.equal(toTxStatus(evicted).status, 'evicted');
+
+  const back = await refreshTradeStatus(store, evicted, {
+    fetchStatus: async () => ({ found: true, confirmed: false, confirmations: 0 }),
+    now: minutesAfterBroadcast(31),
+  });
+  assert.equal(back.confirmationStatus, 'unconfirmed');
+  assert.equal(store.listEvents({ eventType: 'tx_reappeared' }).length, 0);
+  assert.equal(store.listEvents({ eventType: 'tx_first_seen' }).length, 1);
+  store.close();
+});
+
+test('tracker tick follows trades until they reach the target confirmations', async () => {
+  const { store } = openStoreWithTrade();
+  let confirmations = 5;
+  const tracker = createTxTracker({
+    store,
+    fetchStatus: async () => ({ found: true, confirmed: true, blockHeight: 100, confirmations }),
+  });
+
+  await tracker.tick();
+  assert.equal(store.listTradesToTrack(6).length, 1);
+
+  confirmations = 6;
+  await tracker.tick();
+  assert.equal(store.listTradesToTrack(6).length, 0);
+  store.close();
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTradeStore } from '../trade-store.js';
+import { createUtxoLease, filterSpendableUtxos } from '../utxo-reservations.js';
+
+const txid = (byte) => byte.repeat(32);
+
+const UTXOS = [
+  { txid: txid('a1'), vout: 0, value: 1000, status: { confirmed: true } },
+  { txid: txid('a2'), vout: 1, value: 2000, status: { confirmed: true } },
+  { txid: txid('a3'), vout: 0, value: 3000, status: { confirmed: false } },
+];
+
+function openStore() {
+  return createTradeStore({ filename: ':memory:', network: 'testnet' });
+}
+
+function inMinutes(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+test('filterSpendableUtxos skips unconfirmed and held coins', () => {
+  const spendable = filterSpendableUtxos(UTXOS, new Set([`${txid('a2')}:1`]));
+  assert.deepEqual(spendable.map(u => u.txid), [txid('a1')]);
+});
+
+test('a lease hides its coins from concurrent leases until released', () => {
+  const store = openStore();
+  const first = createUtxoLease(store, { quoteId: 'quote-1', expiresAt: inMinutes(10) });
+  const second = createUtxoLease(store, { quoteId: 'quote-2', expiresAt: inMinutes(10) });
+
+  first.reserve([UTXOS[0]]);
+  assert.deepEqual(second.filter(UTXOS).map(u => u.txid), [txid('a2')]);
+  assert.throws(() => second.reserve([UTXOS[1], UTXOS[0]]), /already reserved/);
+  // The failed reservation is all-or-nothing
+  assert.equal(store.listReservations({ quoteId: 'quote-2' }).length, 0);
+
+  assert.equal(first.release(), 1);
+  assert.equal(second.filter(UTXOS).length, 2);
+  second.reserve([UTXOS[0]]);
+  assert.equal(store.listReservations({ quoteId: 'quote-2', status: 'reserved' }).length, 1);
+  store.close();
+});
+
+test('expired reservations lapse and spent coins stay held', () => {
+  const store = openStore();
+  createUtxoLease(store, { quoteId: 'expired', expiresAt: inMinutes(-1) }).reserve([UTXOS[0]]);
+  assert.equal(store.listHeldOutpoints().size, 0);
+
+  const lease = createUtxoLease(store, { quoteId: 'broadcast', expiresAt: inMinutes(-1) });
+  lease.reserve([UTXOS[1]]);
+  store.markReservationsSpent('broadcast', txid('ff'));
+  assert.deepEqual([...store.listHeldOutpoints()], [`${txid('a2')}:1`]);
+
+  const [reservation] = store.listReservations({ quoteId: 'broadcast' });
+  assert.equal(reservation.status, 'spent');
+  assert.equal(reservation.spentTxid, txid('ff'));
+  assert.equal(lease.release(), 0);
+  store.close();
+});
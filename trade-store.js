@@ -0,0 +1,729 @@
+// trade-store.js
+// Durable SQLite store for Harvy trades, quotes and audit events
+
+import Database from 'better-sqlite3';
+import crypto from 'crypto';
+import fs from 'fs';
+import path, { dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { getNetworkName } from './network-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DB_PATH = path.join(__dirname, 'harvy.db');
+
+/**
+ * Schema migrations, applied in order. The applied version is tracked in
+ * PRAGMA user_version, so only append to this list — never edit a shipped
+ * migration.
+ */
+const MIGRATIONS = [
+  {
+    name: 'initial_schema',
+    up: `
+      CREATE TABLE trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        network TEXT NOT NULL,
+        seller_address TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'created',
+        inscription_ids TEXT NOT NULL DEFAULT '[]',
+        ordinal_count INTEGER NOT NULL DEFAULT 0,
+        total_purchase_sats INTEGER,
+        total_offer_sats INTEGER,
+        total_loss_sats INTEGER,
+        service_fee_sats INTEGER,
+        tax_rate REAL,
+        btc_price_usd REAL,
+        unsigned_txid TEXT,
+        psbt_hash TEXT,
+        txid TEXT,
+        broadcast_result TEXT,
+        confirmation_status TEXT NOT NULL DEFAULT 'unbroadcast',
+        confirmations INTEGER NOT NULL DEFAULT 0,
+        block_height INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX trades_seller_address ON trades (seller_address);
+      CREATE UNIQUE INDEX trades_unsigned_txid ON trades (unsigned_txid);
+      CREATE INDEX trades_txid ON trades (txid);
+
+      CREATE TABLE quotes (
+        id TEXT PRIMARY KEY,
+        trade_id INTEGER REFERENCES trades (id),
+        unsigned_txid TEXT NOT NULL,
+        psbt_hash TEXT NOT NULL,
+        harvy_inputs TEXT NOT NULL DEFAULT '[]',
+        outputs TEXT NOT NULL DEFAULT '[]',
+        fee_sats INTEGER,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX quotes_unsigned_txid ON quotes (unsigned_txid);
+
+      CREATE TABLE audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        network TEXT,
+        event_type TEXT NOT NULL,
+        seller_address TEXT,
+        txid TEXT,
+        trade_id INTEGER,
+        payload TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX audit_events_type ON audit_events (event_type, timestamp);
+      CREATE INDEX audit_events_seller ON audit_events (seller_address);
+
+      CREATE TABLE log_imports (
+        sha256 TEXT PRIMARY KEY,
+        source_path TEXT NOT NULL,
+        event_count INTEGER NOT NULL,
+        imported_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    name: 'utxo_reservations',
+    up: `
+      CREATE TABLE utxo_reservations (
+        outpoint TEXT PRIMARY KEY,
+        txid TEXT NOT NULL,
+        vout INTEGER NOT NULL,
+        value INTEGER,
+        quote_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'reserved',
+        expires_at TEXT NOT NULL,
+        spent_txid TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX utxo_reservations_quote ON utxo_reservations (quote_id);
+      CREATE INDEX utxo_reservations_status ON utxo_reservations (status, expires_at);
+    `,
+  },
+  {
+    name: 'confirmation_tracking',
+    up: `
+      ALTER TABLE trades ADD COLUMN first_seen_at TEXT;
+      ALTER TABLE trades ADD COLUMN confirmed_at TEXT;
+      ALTER TABLE trades ADD COLUMN evicted_at TEXT;
+      ALTER TABLE trades ADD COLUMN status_checked_at TEXT;
+      CREATE INDEX trades_confirmation_status ON trades (confirmation_status);
+    `,
+  },
+  {
+    name: 'fee_bumps',
+    up: `
+      ALTER TABLE trades ADD COLUMN fee_sats INTEGER;
+      ALTER TABLE trades ADD COLUMN fee_rate REAL;
+      ALTER TABLE trades ADD COLUMN harvy_change_vout INTEGER;
+
+      CREATE TABLE fee_bumps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL REFERENCES trades (id),
+        method TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'created',
+        original_txid TEXT NOT NULL,
+        bump_txid TEXT,
+        quote_id TEXT,
+        fee_sats INTEGER,
+        fee_rate REAL,
+        package_fee_rate REAL,
+        error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX fee_bumps_trade ON fee_bumps (trade_id);
+      CREATE INDEX fee_bumps_quote ON fee_bumps (quote_id);
+    `,
+  },
+  {
+    name: 'fee_settlement',
+    up: `
+      ALTER TABLE trades ADD COLUMN fee_settlement TEXT;
+    `,
+  },
+  {
+    name: 'btc_daily_prices',
+    up: `
+      ALTER TABLE trades ADD COLUMN cost_basis_usd REAL;
+      ALTER TABLE trades ADD COLUMN proceeds_usd REAL;
+      ALTER TABLE trades ADD COLUMN lots TEXT;
+
+      CREATE TABLE btc_daily_prices (
+        date TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        close REAL NOT NULL,
+        source TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (date, currency)
+      );
+    `,
+  },
+  {
+    // Basis and proceeds are in the trade's reporting currency; btc_price_usd
+    // stays USD for the service fee cap
+    name: 'reporting_currency',
+    up: `
+      ALTER TABLE trades RENAME COLUMN cost_basis_usd TO cost_basis;
+      ALTER TABLE trades RENAME COLUMN proceeds_usd TO proceeds;
+      ALTER TABLE trades ADD COLUMN currency TEXT;
+      ALTER TABLE trades ADD COLUMN btc_price REAL;
+      UPDATE trades SET currency = 'usd', btc_price = btc_price_usd;
+    `,
+  },
+  {
+    // The oracle quote behind btc_price: sources used and rejected, as-of time
+    name: 'price_quote',
+    up: `
+      ALTER TABLE trades ADD COLUMN price_quote TEXT;
+    `,
+  },
+];
+
+const TRADE_COLUMNS = {
+  network: 'network',
+  sellerAddress: 'seller_address',
+  status: 'status',
+  inscriptionIds: 'inscription_ids',
+  ordinalCount: 'ordinal_count',
+  totalPurchaseSats: 'total_purchase_sats',
+  totalOfferSats: 'total_offer_sats',
+  totalLossSats: 'total_loss_sats',
+  serviceFeeSats: 'service_fee_sats',
+  taxRate: 'tax_rate',
+  btcPriceUSD: 'btc_price_usd',
+  unsignedTxid: 'unsigned_txid',
+  psbtHash: 'psbt_hash',
+  txid: 'txid',
+  broadcastResult: 'broadcast_result',
+  confirmationStatus: 'confirmation_status',
+  confirmations: 'confirmations',
+  blockHeight: 'block_height',
+  firstSeenAt: 'first_seen_at',
+  confirmedAt: 'confirmed_at',
+  evictedAt: 'evicted_at',
+  statusCheckedAt: 'status_checked_at',
+  feeSats: 'fee_sats',
+  feeRate: 'fee_rate',
+  harvyChangeVout: 'harvy_change_vout',
+  feeSettlement: 'fee_settlement',
+  currency: 'currency',
+  btcPrice: 'btc_price',
+  costBasis: 'cost_basis',
+  proceeds: 'proceeds',
+  lots: 'lots',
+  priceQuote: 'price_quote',
+};
+
+const FEE_BUMP_COLUMNS = {
+  tradeId: 'trade_id',
+  method: 'method',
+  status: 'status',
+  originalTxid: 'original_txid',
+  bumpTxid: 'bump_txid',
+  quoteId: 'quote_id',
+  feeSats: 'fee_sats',
+  feeRate: 'fee_rate',
+  packageFeeRate: 'package_fee_rate',
+  error: 'error',
+};
+
+// Columns stored as JSON text
+const JSON_COLUMNS = new Set(['inscription_ids', 'broadcast_result', 'harvy_inputs', 'outputs', 'payload', 'lots', 'price_quote']);
+
+function toColumnValue(column, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (JSON_COLUMNS.has(column)) {
+    return value === null ? null : JSON.stringify(value);
+  }
+  return value;
+}
+
+function rowToTrade(row) {
+  if (!row) {
+    return null;
+  }
+  const trade = { id: row.id };
+  for (const [key, column] of Object.entries(TRADE_COLUMNS)) {
+    const raw = row[column];
+    trade[key] = JSON_COLUMNS.has(column) && raw !== null ? JSON.parse(raw) : raw;
+  }
+  trade.createdAt = row.created_at;
+  trade.updatedAt = row.updated_at;
+  return trade;
+}
+
+function rowToQuote(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    id: row.id,
+    tradeId: row.trade_id,
+    unsignedTxid: row.unsigned_txid,
+    psbtHash: row.psbt_hash,
+    harvyInputs: JSON.parse(row.harvy_inputs),
+    outputs: JSON.parse(row.outputs),
+    feeSats: row.fee_sats,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+    createdAt: row.created_at,
+  };
+}
+
+function rowToReservation(row) {
+  return {
+    outpoint: row.outpoint,
+    txid: row.txid,
+    vout: row.vout,
+    value: row.value,
+    quoteId: row.quote_id,
+    status: row.status,
+    expiresAt: row.expires_at,
+    spentTxid: row.spent_txid,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToFeeBump(row) {
+  if (!row) {
+    return null;
+  }
+  const bump = { id: row.id };
+  for (const [key, column] of Object.entries(FEE_BUMP_COLUMNS)) {
+    bump[key] = row[column];
+  }
+  bump.createdAt = row.created_at;
+  bump.updatedAt = row.updated_at;
+  return bump;
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    network: row.network,
+    eventType: row.event_type,
+    sellerAddress: row.seller_address,
+    txid: row.txid,
+    tradeId: row.trade_id,
+    ...JSON.parse(row.payload),
+  };
+}
+
+/**
+ * Hash a PSBT string for storage. We never persist full PSBTs, only a
+ * fingerprint that lets reconciliation match what was created and broadcast.
+ * @param {string} psbtString - PSBT in base64 or hex
+ * @returns {string} - sha256 hex digest
+ */
+export function hashPsbt(psbtString) {
+  return crypto.createHash('sha256').update((psbtString || '').trim()).digest('hex');
+}
+
+/**
+ * Apply any pending migrations.
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {number} - Schema version after migrating
+ */
+export function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  for (let version = current; version < MIGRATIONS.length; version++) {
+    const migration = MIGRATIONS[version];
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+    console.log(`🗄️  Applied migration ${version + 1}: ${migration.name}`);
+  }
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Open (and migrate) a trade store.
+ * @param {object} options
+ * @param {string} [options.filename] - SQLite file path, or ':memory:' for tests
+ * @param {string} [options.network] - Network recorded on events and trades
+ * @returns {object} - Store API
+ */
+export function createTradeStore({
+  filename = process.env.HARVY_DB_PATH || DEFAULT_DB_PATH,
+  network = getNetworkName(),
+} = {}) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const now = () => new Date().toISOString();
+
+  const insertEventStmt = db.prepare(`
+    INSERT INTO audit_events (timestamp, network, event_type, seller_address, txid, trade_id, payload)
+    VALUES (@timestamp, @network, @eventType, @sellerAddress, @txid, @tradeId, @payload)
+  `);
+
+  function insertEvent(event) {
+    const { timestamp, network: eventNetwork, eventType, sellerAddress, txid, tradeId, ...payload } = event;
+    return insertEventStmt.run({
+      timestamp: timestamp || now(),
+      network: eventNetwork || network,
+      eventType,
+      sellerAddress: sellerAddress || null,
+      txid: txid || null,
+      tradeId: tradeId || null,
+      payload: JSON.stringify(payload),
+    }).lastInsertRowid;
+  }
+
+  return {
+    db,
+
+    /**
+     * Append an audit event. Known fields (sellerAddress, txid, tradeId) are
+     * indexed columns; everything else is kept in the JSON payload.
+     * @returns {number} - Event id
+     */
+    recordEvent(eventType, payload = {}) {
+      return insertEvent({ ...payload, eventType });
+    },
+
+    listEvents({ eventType, sellerAddress, txid, since, limit = 100 } = {}) {
+      const where = [];
+      const params = { limit };
+      if (eventType) { where.push('event_type = @eventType'); params.eventType = eventType; }
+      if (sellerAddress) { where.push('seller_address = @sellerAddress'); params.sellerAddress = sellerAddress; }
+      if (txid) { where.push('txid = @txid'); params.txid = txid; }
+      if (since) { where.push('timestamp >= @since'); params.since = since; }
+      const sql = `SELECT * FROM audit_events ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT @limit`;
+      return db.prepare(sql).all(params).map(rowToEvent);
+    },
+
+    /**
+     * Record a newly created (not yet broadcast) trade.
+     * @returns {object} - Stored trade
+     */
+    createTrade(fields) {
+      const timestamp = now();
+      const columns = ['created_at', 'updated_at'];
+      const params = { created_at: timestamp, updated_at: timestamp };
+      for (const [key, column] of Object.entries(TRADE_COLUMNS)) {
+        if (fields[key] !== undefined) {
+          columns.push(column);
+          params[column] = toColumnValue(column, fields[key]);
+        }
+      }
+      if (params.network === undefined) {
+        columns.push('network');
+        params.network = network;
+      }
+      const info = db.prepare(
+        `INSERT INTO trades (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`
+      ).run(params);
+      return this.getTrade(info.lastInsertRowid);
+    },
+
+    updateTrade(id, fields) {
+      const sets = ['updated_at = @updated_at'];
+      const params = { id, updated_at: now() };
+      for (const [key, column] of Object.entries(TRADE_COLUMNS)) {
+        if (fields[key] !== undefined) {
+          sets.push(`${column} = @${column}`);
+          params[column] = toColumnValue(column, fields[key]);
+        }
+      }
+      db.prepare(`UPDATE trades SET ${sets.join(', ')} WHERE id = @id`).run(params);
+      return this.getTrade(id);
+    },
+
+    getTrade(id) {
+      return rowToTrade(db.prepare('SELECT * FROM trades WHERE id = ?').get(id));
+    },
+
+    findTradeByUnsignedTxid(unsignedTxid) {
+      return rowToTrade(db.prepare('SELECT * FROM trades WHERE unsigned_txid = ?').get(unsignedTxid));
+    },
+
+    findTradeByTxid(txid) {
+      return rowToTrade(db.prepare('SELECT * FROM trades WHERE txid = ?').get(txid));
+    },
+
+    listTrades({ sellerAddress, status, confirmationStatus, limit = 100 } = {}) {
+      const where = [];
+      const params = { limit };
+      if (sellerAddress) { where.push('seller_address = @sellerAddress'); params.sellerAddress = sellerAddress; }
+      if (status) { where.push('status = @status'); params.status = status; }
+      if (confirmationStatus) { where.push('confirmation_status = @confirmationStatus'); params.confirmationStatus = confirmationStatus; }
+      const sql = `SELECT * FROM trades ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT @limit`;
+      return db.prepare(sql).all(params).map(rowToTrade);
+    },
+
+    /**
+     * Broadcast trades the confirmation tracker still has to follow: in the
+     * mempool, evicted (may be rebroadcast), or confirmed but not yet buried
+     * under the target number of confirmations.
+     * @param {number} targetConfirmations
+     * @returns {Array<object>}
+     */
+    listTradesToTrack(targetConfirmations) {
+      return db.prepare(`
+        SELECT * FROM trades
+        WHERE txid IS NOT NULL
+          AND (confirmation_status IN ('unconfirmed', 'evicted')
+            OR (confirmation_status = 'confirmed' AND confirmations < ?))
+        ORDER BY id
+      `).all(targetConfirmations).map(rowToTrade);
+    },
+
+    /**
+     * Record an RBF or CPFP fee bump against a trade.
+     * @returns {object} - Stored fee bump
+     */
+    createFeeBump(fields) {
+      const timestamp = now();
+      const columns = ['created_at', 'updated_at'];
+      const params = { created_at: timestamp, updated_at: timestamp };
+      for (const [key, column] of Object.entries(FEE_BUMP_COLUMNS)) {
+        if (fields[key] !== undefined) {
+          columns.push(column);
+          params[column] = fields[key];
+        }
+      }
+      const info = db.prepare(
+        `INSERT INTO fee_bumps (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`
+      ).run(params);
+      return this.getFeeBump(info.lastInsertRowid);
+    },
+
+    updateFeeBump(id, fields) {
+      const sets = ['updated_at = @updated_at'];
+      const params = { id, updated_at: now() };
+      for (const [key, column] of Object.entries(FEE_BUMP_COLUMNS)) {
+        if (fields[key] !== undefined) {
+          sets.push(`${column} = @${column}`);
+          params[column] = fields[key];
+        }
+      }
+      db.prepare(`UPDATE fee_bumps SET ${sets.join(', ')} WHERE id = @id`).run(params);
+      return this.getFeeBump(id);
+    },
+
+    getFeeBump(id) {
+      return rowToFeeBump(db.prepare('SELECT * FROM fee_bumps WHERE id = ?').get(id));
+    },
+
+    listFeeBumps({ tradeId, method, status } = {}) {
+      const where = [];
+      const params = {};
+      if (tradeId) { where.push('trade_id = @tradeId'); params.tradeId = tradeId; }
+      if (method) { where.push('method = @method'); params.method = method; }
+      if (status) { where.push('status = @status'); params.status = status; }
+      const sql = `SELECT * FROM fee_bumps ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id`;
+      return db.prepare(sql).all(params).map(rowToFeeBump);
+    },
+
+    insertQuote(quote) {
+      db.prepare(`
+        INSERT INTO quotes (id, trade_id, unsigned_txid, psbt_hash, harvy_inputs, outputs, fee_sats, expires_at, used_at, created_at)
+        VALUES (@id, @tradeId, @unsignedTxid, @psbtHash, @harvyInputs, @outputs, @feeSats, @expiresAt, @usedAt, @createdAt)
+      `).run({
+        id: quote.id,
+        tradeId: quote.tradeId || null,
+        unsignedTxid: quote.unsignedTxid,
+        psbtHash: quote.psbtHash,
+        harvyInputs: JSON.stringify(quote.harvyInputs || []),
+        outputs: JSON.stringify(quote.outputs || []),
+        feeSats: quote.feeSats ?? null,
+        expiresAt: quote.expiresAt,
+        usedAt: quote.usedAt || null,
+        createdAt: quote.createdAt || now(),
+      });
+      return this.getQuote(quote.id);
+    },
+
+    getQuote(id) {
+      return rowToQuote(db.prepare('SELECT * FROM quotes WHERE id = ?').get(id));
+    },
+
+    findQuoteByUnsignedTxid(unsignedTxid) {
+      return rowToQuote(
+        db.prepare('SELECT * FROM quotes WHERE unsigned_txid = ? ORDER BY created_at DESC').get(unsignedTxid)
+      );
+    },
+
+    /**
+     * Atomically mark a quote as used. Only one caller can win the claim.
+     * @returns {boolean} - true if this call claimed the quote
+     */
+    claimQuote(id) {
+      return db.prepare('UPDATE quotes SET used_at = ? WHERE id = ? AND used_at IS NULL').run(now(), id).changes === 1;
+    },
+
+    // Undo a claim when the broadcast it guarded did not go through
+    releaseQuote(id) {
+      db.prepare('UPDATE quotes SET used_at = NULL WHERE id = ?').run(id);
+    },
+
+    /**
+     * Outpoints ("txid:vout") Harvy must not select: reserved by an unexpired
+     * quote, or already spent by a broadcast transaction. Reservations past
+     * their expiry are released implicitly.
+     * @param {string} [at] - ISO timestamp to evaluate expiry against
+     * @returns {Set<string>}
+     */
+    listHeldOutpoints(at = now()) {
+      const rows = db.prepare(`
+        SELECT outpoint FROM utxo_reservations
+        WHERE status = 'spent' OR (status = 'reserved' AND expires_at > ?)
+      `).all(at);
+      return new Set(rows.map(row => row.outpoint));
+    },
+
+    /**
+     * Lease UTXOs to a quote until expiresAt. Fails without reserving anything
+     * if any of them is already held by another quote.
+     * @param {string} quoteId - Quote (lease) id
+     * @param {Array} utxos - [{ txid, vout, value }]
+     * @param {string} expiresAt - ISO timestamp
+     */
+    reserveUtxos(quoteId, utxos, expiresAt) {
+      const timestamp = now();
+      db.transaction(() => {
+        const held = this.listHeldOutpoints(timestamp);
+        for (const utxo of utxos) {
+          const outpoint = `${utxo.txid}:${utxo.vout}`;
+          const existing = db.prepare('SELECT quote_id FROM utxo_reservations WHERE outpoint = ?').get(outpoint);
+          if (held.has(outpoint) && existing?.quote_id !== quoteId) {
+            throw new Error(`UTXO ${outpoint} is already reserved`);
+          }
+          db.prepare(`
+            INSERT OR REPLACE INTO utxo_reservations
+              (outpoint, txid, vout, value, quote_id, status, expires_at, spent_txid, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 'reserved', ?, NULL, ?, ?)
+          `).run(outpoint, utxo.txid, utxo.vout, utxo.value ?? null, quoteId, expiresAt, timestamp, timestamp);
+        }
+      })();
+    },
+
+    // Free a quote's UTXOs when its PSBT could not be created or will never be used
+    releaseReservations(quoteId) {
+      return db.prepare(`
+        UPDATE utxo_reservations SET status = 'released', updated_at = ?
+        WHERE quote_id = ? AND status = 'reserved'
+      `).run(now(), quoteId).changes;
+    },
+
+    // Record that a quote's UTXOs were spent by a broadcast transaction
+    markReservationsSpent(quoteId, txid) {
+      return db.prepare(`
+        UPDATE utxo_reservations SET status = 'spent', spent_txid = ?, updated_at = ?
+        WHERE quote_id = ?
+      `).run(txid, now(), quoteId).changes;
+    },
+
+    listReservations({ quoteId, status } = {}) {
+      const where = [];
+      const params = {};
+      if (quoteId) { where.push('quote_id = @quoteId'); params.quoteId = quoteId; }
+      if (status) { where.push('status = @status'); params.status = status; }
+      const sql = `SELECT * FROM utxo_reservations ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at`;
+      return db.prepare(sql).all(params).map(rowToReservation);
+    },
+
+    /**
+     * Import a legacy transaction-events.ndjson log. The file's sha256 is
+     * remembered so the same log is never imported twice.
+     * @param {string} logPath - Path to the ndjson file
+     * @returns {object} - { imported: number, skipped: boolean }
+     */
+    importNdjsonLog(logPath) {
+      if (!fs.existsSync(logPath)) {
+        return { imported: 0, skipped: true };
+      }
+      const contents = fs.readFileSync(logPath, 'utf8');
+      const sha256 = crypto.createHash('sha256').update(contents).digest('hex');
+      if (db.prepare('SELECT 1 FROM log_imports WHERE sha256 = ?').get(sha256)) {
+        return { imported: 0, skipped: true };
+      }
+
+      let imported = 0;
+      db.transaction(() => {
+        for (const line of contents.split('\n')) {
+          if (!line.trim()) {
+            continue;
+          }
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch {
+            console.warn(`Skipping malformed transaction log line: ${line.slice(0, 80)}`);
+            continue;
+          }
+          if (!event.eventType) {
+            continue;
+          }
+          insertEvent({ ...event, importedFrom: path.basename(logPath) });
+          imported++;
+        }
+        db.prepare(
+          'INSERT INTO log_imports (sha256, source_path, event_count, imported_at) VALUES (?, ?, ?, ?)'
+        ).run(sha256, logPath, imported, now());
+      })();
+
+      return { imported, skipped: false };
+    },
+
+    /**
+     * Daily BTC close for a UTC date, or null when none is stored.
+     * @returns {object|null} - { date, currency, close, source, updatedAt }
+     */
+    getDailyPrice(date, currency = 'usd') {
+      const row = db.prepare('SELECT * FROM btc_daily_prices WHERE date = ? AND currency = ?').get(date, currency);
+      return row
+        ? { date: row.date, currency: row.currency, close: row.close, source: row.source, updatedAt: row.updated_at }
+        : null;
+    },
+
+    /**
+     * Insert or replace daily closes ({ date, currency?, close, source }).
+     * @returns {number} - Rows written
+     */
+    upsertDailyPrices(prices) {
+      const stmt = db.prepare(`
+        INSERT INTO btc_daily_prices (date, currency, close, source, updated_at)
+        VALUES (@date, @currency, @close, @source, @updatedAt)
+        ON CONFLICT (date, currency) DO UPDATE SET
+          close = excluded.close, source = excluded.source, updated_at = excluded.updated_at
+      `);
+      const updatedAt = now();
+      db.transaction(() => {
+        for (const { date, currency = 'usd', close, source } of prices) {
+          stmt.run({ date, currency, close, source, updatedAt });
+        }
+      })();
+      return prices.length;
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+let sharedStore = null;
+
+/**
+ * Lazily open the shared store used by server.js.
+ * @returns {object} - Store API
+ */
+export function getTradeStore() {
+  if (!sharedStore) {
+    sharedStore = createTradeStore();
+  }
+  return sharedStore;
+}
@@ -0,0 +1,137 @@
+// tx-size.js
+// Transaction weight/vsize calculator for fee budgeting across script types
+
+import * as bitcoin from 'bitcoinjs-lib';
+
+/**
+ * Non-witness bytes and witness bytes spent by one input of each type.
+ * Non-witness: outpoint (36) + scriptSig length/scriptSig + sequence (4).
+ * Witness: item count + each item with its length prefix.
+ */
+const INPUT_SIZES = {
+  // Key-path spend: one 64-byte Schnorr signature (SIGHASH_DEFAULT, no sighash byte)
+  p2tr: { base: 41, witness: 1 + 1 + 64 },
+  // ECDSA signature (max 72 with sighash byte) + 33-byte compressed pubkey
+  p2wpkh: { base: 41, witness: 1 + 1 + 72 + 1 + 33 },
+  // scriptSig pushes the 22-byte P2WPKH redeem script
+  'p2sh-p2wpkh': { base: 41 + 23, witness: 1 + 1 + 72 + 1 + 33 },
+  // Legacy: scriptSig with signature and compressed pubkey, no witness
+  p2pkh: { base: 41 + 107, witness: 0 },
+};
+
+/** Output script length for each type (value (8) and length prefix (1) are added). */
+const OUTPUT_SCRIPT_SIZES = {
+  p2tr: 34,
+  p2wsh: 34,
+  p2wpkh: 22,
+  p2sh: 23,
+  'p2sh-p2wpkh': 23,
+  p2pkh: 25,
+};
+
+// version (4) + locktime (4) + input/output count varints
+const TX_OVERHEAD_BYTES = 8;
+// segwit marker + flag, witness-only bytes
+const SEGWIT_MARKER_WEIGHT = 2;
+
+function varIntSize(n) {
+  if (n < 0xfd) return 1;
+  if (n <= 0xffff) return 3;
+  if (n <= 0xffffffff) return 5;
+  return 9;
+}
+
+/**
+ * Classify an output script.
+ * @param {Uint8Array|Buffer|string} script - Output script (bytes or hex)
+ * @returns {string|null} - 'p2tr' | 'p2wpkh' | 'p2wsh' | 'p2sh' | 'p2pkh' | null
+ */
+export function detectScriptType(script) {
+  const bytes = typeof script === 'string' ? Buffer.from(script, 'hex') : Buffer.from(script);
+
+  if (bytes.length === 34 && bytes[0] === 0x51 && bytes[1] === 0x20) return 'p2tr';
+  if (bytes.length === 22 && bytes[0] === 0x00 && bytes[1] === 0x14) return 'p2wpkh';
+  if (bytes.length === 34 && bytes[0] === 0x00 && bytes[1] === 0x20) return 'p2wsh';
+  if (bytes.length === 23 && bytes[0] === 0xa9 && bytes[1] === 0x14 && bytes[22] === 0x87) return 'p2sh';
+  if (bytes.length === 25 && bytes[0] === 0x76 && bytes[1] === 0xa9 && bytes[2] === 0x14 &&
+      bytes[23] === 0x88 && bytes[24] === 0xac) return 'p2pkh';
+  return null;
+}
+
+/**
+ * Classify an address by its output script.
+ * @param {string} address - Bitcoin address
+ * @param {object} network - bitcoinjs network
+ * @returns {string|null}
+ */
+export function scriptTypeForAddress(address, network) {
+  // Decoded by hand so sizing does not depend on the ECC library being initialized
+  try {
+    const { version, data } = bitcoin.address.fromBech32(address);
+    if (version === 1 && data.length === 32) return 'p2tr';
+    if (version === 0 && data.length === 20) return 'p2wpkh';
+    if (version === 0 && data.length === 32) return 'p2wsh';
+    return null;
+  } catch {}
+
+  const { version } = bitcoin.address.fromBase58Check(address);
+  if (version === network.scriptHash) return 'p2sh';
+  if (version === network.pubKeyHash) return 'p2pkh';
+  return null;
+}
+
+function inputSize(type) {
+  // Spending a P2SH output is only budgeted for the wrapped-segwit case Harvy supports
+  const sizes = INPUT_SIZES[type === 'p2sh' ? 'p2sh-p2wpkh' : type];
+  if (!sizes) {
+    throw new Error(`Unsupported input script type for size estimate: ${type}`);
+  }
+  return sizes;
+}
+
+function outputSize(type) {
+  const scriptSize = OUTPUT_SCRIPT_SIZES[type];
+  if (!scriptSize) {
+    throw new Error(`Unsupported output script type for size estimate: ${type}`);
+  }
+  return 8 + varIntSize(scriptSize) + scriptSize;
+}
+
+/**
+ * Compute transaction weight (weight units) for the given input/output types.
+ * Signatures are budgeted at their maximum size so the estimate never undershoots.
+ * @param {object} params
+ * @param {string[]} params.inputs - Input script types ('p2tr', 'p2wpkh', 'p2sh-p2wpkh', 'p2pkh')
+ * @param {string[]} params.outputs - Output script types
+ * @returns {number}
+ */
+export function estimateWeight({ inputs, outputs }) {
+  let baseBytes = TX_OVERHEAD_BYTES + varIntSize(inputs.length) + varIntSize(outputs.length);
+  let witnessBytes = 0;
+
+  for (const type of inputs) {
+    const sizes = inputSize(type);
+    baseBytes += sizes.base;
+    witnessBytes += sizes.witness;
+  }
+  for (const type of outputs) {
+    baseBytes += outputSize(type);
+  }
+
+  const hasWitness = witnessBytes > 0;
+  // Legacy inputs in a segwit tx still carry an empty witness stack (1 byte each)
+  const emptyWitnessBytes = hasWitness
+    ? inputs.filter(type => inputSize(type).witness === 0).length
+    : 0;
+
+  return baseBytes * 4 + (hasWitness ? SEGWIT_MARKER_WEIGHT + witnessBytes + emptyWitnessBytes : 0);
+}
+
+/**
+ * Compute virtual size (vbytes) for the given input/output types.
+ * @param {object} params - See estimateWeight
+ * @returns {number}
+ */
+export function estimateVsize(params) {
+  return Math.ceil(estimateWeight(params) / 4);
+}
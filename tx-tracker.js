@@ -0,0 +1,248 @@
+// tx-tracker.js
+// Follows broadcast Harvy transactions until they are buried under enough confirmations
+
+import { bitcoindRpc } from './bitcoind-rpc.js';
+import { getMempoolApiUrl } from './network-config.js';
+
+// bitcoind RPC_INVALID_ADDRESS_OR_KEY: "No such mempool or blockchain transaction"
+const RPC_NOT_FOUND = -5;
+
+function parsePositiveIntEnv(name, fallback) {
+  const raw = parseInt(process.env[name] || String(fallback), 10);
+  if (!Number.isFinite(raw) || raw <= 0) {
+    throw new Error(`Invalid ${name} configuration`);
+  }
+  return raw;
+}
+
+/**
+ * Tracker settings from the environment.
+ * @returns {object} - { intervalMs, targetConfirmations, evictionGraceMs }
+ */
+export function getTrackerConfig() {
+  return {
+    intervalMs: parsePositiveIntEnv('TX_TRACKER_INTERVAL_SECONDS', 60) * 1000,
+    targetConfirmations: parsePositiveIntEnv('TX_TRACKER_TARGET_CONFIRMATIONS', 6),
+    // A just-broadcast tx may not have propagated to the indexer yet
+    evictionGraceMs: parsePositiveIntEnv('TX_EVICTION_GRACE_SECONDS', 600) * 1000,
+  };
+}
+
+/**
+ * Look up a transaction via the mempool (esplora) API.
+ * @param {string} txid
+ * @returns {Promise<object>} - { found, confirmed, blockHeight, blockHash, blockTime, confirmations }
+ */
+export async function fetchMempoolTxStatus(txid) {
+  const mempoolAPI = getMempoolApiUrl();
+  const response = await fetch(`${mempoolAPI}/tx/${txid}/status`);
+  if (response.status === 404) {
+    return { found: false, confirmed: false, confirmations: 0 };
+  }
+  if (!response.ok) {
+    throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+  }
+
+  const status = await response.json();
+  if (!status.confirmed) {
+    return { found: true, confirmed: false, confirmations: 0 };
+  }
+
+  const tipResponse = await fetch(`${mempoolAPI}/blocks/tip/height`);
+  if (!tipResponse.ok) {
+    throw new Error(`Mempool API error: ${tipResponse.status} ${tipResponse.statusText}`);
+  }
+  const tipHeight = parseInt(await tipResponse.text(), 10);
+
+  return {
+    found: true,
+    confirmed: true,
+    blockHeight: status.block_height,
+    blockHash: status.block_hash,
+    blockTime: status.block_time,
+    confirmations: Math.max(tipHeight - status.block_height + 1, 1),
+  };
+}
+
+/**
+ * Look up a transaction via bitcoind (needs txindex for confirmed transactions
+ * that do not touch the node's wallet).
+ * @param {string} txid
+ * @returns {Promise<object>} - Same shape as fetchMempoolTxStatus
+ */
+export async function fetchBitcoindTxStatus(txid) {
+  let tx;
+  try {
+    tx = await bitcoindRpc('getrawtransaction', [txid, true]);
+  } catch (e) {
+    if (e.code === RPC_NOT_FOUND) {
+      return { found: false, confirmed: false, confirmations: 0 };
+    }
+    throw e;
+  }
+
+  if (!tx.blockhash || !tx.confirmations) {
+    return { found: true, confirmed: false, confirmations: 0 };
+  }
+
+  const header = await bitcoindRpc('getblockheader', [tx.blockhash]);
+  return {
+    found: true,
+    confirmed: true,
+    blockHeight: header.height,
+    blockHash: tx.blockhash,
+    blockTime: tx.blocktime,
+    confirmations: tx.confirmations,
+  };
+}
+
+/**
+ * Look up a transaction using TX_STATUS_SOURCE (mempool or bitcoind).
+ * @param {string} txid
+ * @returns {Promise<object>}
+ */
+export async function fetchTxStatus(txid) {
+  const source = (process.env.TX_STATUS_SOURCE || 'mempool').trim().toLowerCase();
+  if (source === 'bitcoind') {
+    return fetchBitcoindTxStatus(txid);
+  }
+  if (source !== 'mempool') {
+    throw new Error(`Unknown TX_STATUS_SOURCE: ${source}`);
+  }
+  return fetchMempoolTxStatus(txid);
+}
+
+/**
+ * Poll one broadcast trade and record first-seen, confirmation and eviction.
+ * State changes are written to the audit log as tx_first_seen, tx_confirmed,
+ * tx_evicted and tx_reappeared events.
+ *
+ * @param {object} store - Trade store
+ * @param {object} trade - Trade with a txid
+ * @param {object} [options]
+ * @param {Function} [options.fetchStatus] - Status lookup (defaults to fetchTxStatus)
+ * @param {Date} [options.now] - Clock override for tests
+ * @returns {Promise<object>} - Updated trade
+ */
+export async function refreshTradeStatus(store, trade, { fetchStatus = fetchTxStatus, now = new Date() } = {}) {
+  const status = await fetchStatus(trade.txid);
+  const checkedAt = now.toISOString();
+  const fields = { statusCheckedAt: checkedAt };
+  const events = [];
+
+  if (!status.found) {
+    const broadcastAt = Date.parse(trade.broadcastResult?.broadcastAt || trade.updatedAt);
+    const pastGrace = now.getTime() - broadcastAt > getTrackerConfig().evictionGraceMs;
+    if (trade.confirmationStatus !== 'evicted' && (trade.firstSeenAt || pastGrace)) {
+      fields.confirmationStatus = 'evicted';
+      fields.evictedAt = checkedAt;
+      fields.confirmations = 0;
+      events.push('tx_evicted');
+    }
+  } else {
+    if (!trade.firstSeenAt) {
+      fields.firstSeenAt = checkedAt;
+      events.push('tx_first_seen');
+    } else if (trade.confirmationStatus === 'evicted') {
+      events.push('tx_reappeared');
+    }
+
+    if (status.confirmed) {
+      fields.confirmationStatus = 'confirmed';
+      fields.confirmations = status.confirmations;
+      fields.blockHeight = status.blockHeight;
+      if (trade.confirmationStatus !== 'confirmed') {
+        fields.confirmedAt = status.blockTime ? new Date(status.blockTime * 1000).toISOString() : checkedAt;
+        events.push('tx_confirmed');
+      }
+    } else {
+      fields.confirmationStatus = 'unconfirmed';
+      fields.confirmations = 0;
+    }
+  }
+
+  const updated = store.updateTrade(trade.id, fields);
+  for (const eventType of events) {
+    store.recordEvent(eventType, {
+      txid: trade.txid,
+      tradeId: trade.id,
+      sellerAddress: trade.sellerAddress,
+      blockHeight: status.blockHeight,
+      confirmations: status.confirmations,
+    });
+  }
+  return updated;
+}
+
+/**
+ * Map a trade onto the public /api/tx-status shape.
+ * @param {object} trade
+ * @returns {object}
+ */
+export function toTxStatus(trade) {
+  const states = { unconfirmed: 'pending', confirmed: 'confirmed', evicted: 'evicted' };
+  return {
+    txid: trade.txid,
+    tracked: true,
+    status: states[trade.confirmationStatus] || 'pending',
+    confirmations: trade.confirmations,
+    blockHeight: trade.blockHeight,
+    firstSeenAt: trade.firstSeenAt,
+    confirmedAt: trade.confirmedAt,
+    evictedAt: trade.evictedAt,
+    checkedAt: trade.statusCheckedAt,
+  };
+}
+
+/**
+ * Background tracker that refreshes every broadcast trade on an interval.
+ * @param {object} params
+ * @param {object} params.store - Trade store
+ * @param {Function} [params.fetchStatus] - Status lookup (defaults to fetchTxStatus)
+ * @param {Function} [params.afterRefresh] - async (trade) hook run after each refresh (e.g. auto fee bump)
+ * @returns {object} - { tick, start, stop }
+ */
+export function createTxTracker({ store, fetchStatus = fetchTxStatus, afterRefresh }) {
+  const { intervalMs, targetConfirmations } = getTrackerConfig();
+  let timer = null;
+  let running = false;
+
+  async function tick() {
+    // Skip overlapping ticks when the upstream API is slow
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      for (const trade of store.listTradesToTrack(targetConfirmations)) {
+        try {
+          const updated = await refreshTradeStatus(store, trade, { fetchStatus });
+          if (afterRefresh) {
+            await afterRefresh(updated);
+          }
+        } catch (e) {
+          console.warn(`Tx status check failed for ${trade.txid}: ${e.message}`);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+
+    start() {
+      if (!timer) {
+        timer = setInterval(tick, intervalMs);
+        // Never keep the process alive just for tracking
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,45 @@
+// utxo-reservations.js
+// Leases on Harvy's UTXOs so concurrent PSBTs never select the same coins
+
+/**
+ * Filter out coins Harvy must not spend: unconfirmed outputs and anything
+ * held in the reservation table.
+ * @param {Array} utxos - UTXOs from the mempool API ({ txid, vout, value, status })
+ * @param {Set<string>} heldOutpoints - "txid:vout" outpoints to skip
+ * @returns {Array}
+ */
+export function filterSpendableUtxos(utxos, heldOutpoints = new Set()) {
+  return utxos.filter(utxo =>
+    utxo.status?.confirmed !== false && !heldOutpoints.has(`${utxo.txid}:${utxo.vout}`)
+  );
+}
+
+/**
+ * Create a lease for one quote. The PSBT builders call filter() and then
+ * reserve() with no await in between, so with the synchronous store two
+ * requests can never select the same coin.
+ *
+ * @param {object} store - Trade store
+ * @param {object} params
+ * @param {string} params.quoteId - Quote id the reservation is held under
+ * @param {string} params.expiresAt - ISO timestamp the lease lapses at (quote expiry)
+ * @returns {object} - { quoteId, expiresAt, filter, reserve, release }
+ */
+export function createUtxoLease(store, { quoteId, expiresAt }) {
+  return {
+    quoteId,
+    expiresAt,
+
+    filter(utxos) {
+      return filterSpendableUtxos(utxos, store.listHeldOutpoints());
+    },
+
+    reserve(utxos) {
+      store.reserveUtxos(quoteId, utxos, expiresAt);
+    },
+
+    release() {
+      return store.releaseReservations(quoteId);
+    },
+  };
+}